@@ -15,9 +15,20 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const adminRoutes = require('./routes/admin');
 const superadminRoutes = require('./routes/superadmin');
+const instructorRoutes = require('./routes/instructor');
+const paymentRoutes = require('./routes/payments');
+const { startScheduler } = require('./utils/scheduler');
 
 const app = express();
 
+// Dietro al proxy dell'hosting: req.ip deve essere l'IP del client (sessioni, limiti di login).
+// Disattivato di default, altrimenti X-Forwarded-For sarebbe falsificabile dal client.
+// TRUST_PROXY: numero di proxy (es. 1), "true" oppure indirizzi/subnet (es. "loopback, 10.0.0.0/8")
+const trustProxy = process.env.TRUST_PROXY?.trim();
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
+
 // Configurazione CORS sicura
 // const allowedOrigins = [
 //   process.env.CLIENT_URL,  // FE web
@@ -45,6 +56,9 @@ app.use(cors({
   credentials: true
 }));
 
+// PAYMENTS → prima di express.json: i webhook verificano la firma sul body grezzo
+app.use('/api/payments', paymentRoutes);
+
 app.use(express.json());
 app.use(cookieParser()); // Per leggere i cookie
 
@@ -64,12 +78,22 @@ app.use('/api/auth', authRoutes);
 app.use(
   '/api/user',
   verifyToken,
-  requireRole([Role.USER, Role.ADMIN, Role.SUPERADMIN]),
+  requireRole([Role.USER, Role.INSTRUCTOR, Role.ADMIN, Role.SUPERADMIN]),
   guardRequest(),
   filterResponse(),
   userRoutes
 );
 
+// INSTRUCTOR → istruttori + admin + superadmin (solo eventi assegnati)
+app.use(
+  '/api/instructor',
+  verifyToken,
+  requireRole([Role.INSTRUCTOR, Role.ADMIN, Role.SUPERADMIN]),
+  guardRequest(),
+  filterResponse(),
+  instructorRoutes
+);
+
 // ADMIN → admin + superadmin
 app.use(
   '/api/admin',
@@ -123,6 +147,9 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`version: ${version}`);
   console.log(`Server running on port ${PORT}`);
+
+  // Job pianificati (scadenze e promemoria subscription)
+  startScheduler().catch(err => console.error('Avvio scheduler fallito:', err));
 });
 
 
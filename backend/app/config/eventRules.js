@@ -9,6 +9,14 @@ const LEVEL_HIERARCHY = {
   DEEP: [GroupLevel.DEEP, GroupLevel.ALL]
 };
 
+// Priorità dei livelli (dal più basso al più alto)
+const LEVEL_PRIORITY = {
+  [GroupLevel.ALL]: 1,
+  [GroupLevel.OPEN]: 2,
+  [GroupLevel.ADVANCED]: 3,
+  [GroupLevel.DEEP]: 4
+};
+
 // Regola di default
 const DEFAULT_RULE = {
   requiresSubscription: true,
@@ -49,4 +57,4 @@ const eventRules = {
   EVENT_SPECIAL_DEEP: { requiresSubscription: true, allowedLevels: [GroupLevel.DEEP] },
 };
 
-module.exports = { LEVEL_HIERARCHY, DEFAULT_RULE, eventRules };
\ No newline at end of file
+module.exports = { LEVEL_HIERARCHY, LEVEL_PRIORITY, DEFAULT_RULE, eventRules };
\ No newline at end of file
@@ -0,0 +1,37 @@
+// config/settings.js
+
+// Valori di default delle impostazioni globali (sovrascrivibili tramite tabella Setting)
+const DEFAULT_SETTINGS = {
+  // Chiusura prenotazioni/disdette, in minuti prima dell'inizio evento
+  'booking.bookCutoffMinutes': 120,
+  'booking.cancelCutoffMinutes': 120,
+
+  // Partecipanti per istruttore assegnato: limita i posti prenotabili (0 = nessun limite)
+  'instructor.maxParticipantsPerInstructor': 0,
+
+  // Giorni di tolleranza dopo la scadenza del certificato medico
+  'medical.gracePeriodDays': 0,
+
+  // Blocco prenotazioni per assenze ripetute: con almeno noShowThreshold assenze
+  // negli ultimi noShowWindowDays giorni si blocca per noShowBlockDays giorni (0 = disattivato)
+  'attendance.noShowThreshold': 0,
+  'attendance.noShowWindowDays': 60,
+  'attendance.noShowBlockDays': 14,
+  // Le disdette tardive contano come assenze
+  'attendance.countLateCancel': true,
+
+  // Apertura check-in con QR, in minuti prima dell'inizio evento (chiude a fine evento)
+  'checkIn.opensMinutesBefore': 60,
+
+  // Promemoria di scadenza subscription, in giorni prima della fine (0 = disattivato)
+  'subscription.renewalReminderDays': 7,
+
+  // Sospensioni per subscription (infortunio, vacanza) se il piano non le specifica
+  'subscription.maxFreezes': 1,
+  'subscription.maxFreezeDays': 30,
+
+  // Ruoli per cui la 2FA è obbligatoria (sottoinsieme di ADMIN, SUPERADMIN)
+  'security.twoFactorRequiredRoles': [],
+};
+
+module.exports = { DEFAULT_SETTINGS };
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const prisma = require('../prisma');
 
 // JWT Secret (in production, use a strong secret from environment)
 const JWT_SECRET = process.env.JWT_SECRET || '';
@@ -22,4 +23,29 @@ const verifyToken = (req, res, next) => {
   }
 };
 
-module.exports = { verifyToken };
\ No newline at end of file
+/* ================================
+   REQUIRE VERIFIED EMAIL
+   - da usare dopo verifyToken
+================================ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { emailVerifiedAt: true }
+    });
+
+    if (!user?.emailVerifiedAt) {
+      return res.status(403).json({
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Devi verificare il tuo indirizzo email per continuare'
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Verified email check error:', err);
+    return res.status(500).json({ message: 'Errore server' });
+  }
+};
+
+module.exports = { verifyToken, requireVerifiedEmail };
\ No newline at end of file
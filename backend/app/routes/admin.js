@@ -1,23 +1,31 @@
 const express = require('express');
-const { PrismaClient, SubscriptionStatus, UserStatus, EventStatus, Role } = require('@prisma/client');
+const { PrismaClient, SubscriptionStatus, UserStatus, EventStatus, Role, IngressiReason, MedicalCertificateStatus, LocationType, ResourceType, SeriesFrequency, TopUpStatus, PaymentStatus, PaymentPurpose } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { hashPassword } = require('../utils/password');
 const { createSubscriptionWithGroups } = require('../utils/subscription');
-const { validateUserPostBody, validateUserPutBody, validateEventBody, validateEventPatchBody } = require('../utils/zodValidate');
+const { freezeSubscription, listSubscriptionFreezes } = require('../utils/subscriptionFreeze');
+const { listTopUpPurchases } = require('../utils/topUp');
+const { refundPayment, syncPayment } = require('../utils/payment');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const { cancelEvent, restoreEvent } = require('../utils/eventCancellation');
+const { revokeUserSessions } = require('../utils/session');
+const { unlockAccount } = require('../utils/loginGuard');
+const { applyIngressiChange, setIngressiBalance, refundBooking, getLedgerBalances, findIngressiMismatches, reconcileSubscription } = require('../utils/ingressi');
+const { validateUserPostBody, validateUserPutBody, validatePlanBody, validatePlanPutBody, validateTopUpPackBody, validateTopUpPackPutBody, validatePaymentRefundBody, validateSubscriptionFreezeBody, validateEventBody, validateEventPatchBody, validateEventCancelBody, validateEventSeriesBody, validateLocationBody, validateLocationPutBody, validateResourceBody, validateResourcePutBody, validateBookingRulesDefaultBody, validateCategoryBookingRulesBody, validateIngressiAdjustmentBody, validateMedicalCertificateSettingsBody, validateMedicalCertificateApproveBody, validateMedicalCertificateRejectBody, validateAttendanceBody, validateAttendanceSettingsBody, validateEventInstructorsBody } = require('../utils/zodValidate');
+const { getNowItaly, getEventCutoffs } = require('../utils/dateRules');
+const { getSetting, setSetting } = require('../utils/settings');
+const { getNoShowPolicy, getAttendanceSummary, getNoShowCounts, getEventRoster, markAttendance } = require('../utils/attendance');
+const { releaseBuddiesInTransaction, getBuddyRoster, autoPairEvent } = require('../utils/buddy');
+const { getInstructorRatio, getEventCapacity, listEventInstructors, setEventInstructors } = require('../utils/instructors');
+const { venueSelect, applyLocationDefaults, locationFilter } = require('../utils/locations');
+const { resourceSelect, assertReservableResources, findEventConflicts, getResourceSchedule } = require('../utils/resources');
+const { SERIES_SCOPES, SERIES_SCOPE_OCCURRENCE, toUtcDate, createEventSeries, updateSeriesOccurrences, cancelSeriesOccurrences, getEventSeries } = require('../utils/eventSeries');
+const { CHECK_IN_INVALID_TOKEN, CHECK_IN_BOOKING_NOT_FOUND, CHECK_IN_ALREADY_DONE, checkInWithToken } = require('../utils/checkIn');
+const { findExpiringCertificates, listCertificatesForReview, listUserCertificates, getCertificateFile, approveMedicalCertificate, rejectMedicalCertificate } = require('../utils/medicalCertificate');
 const { ZodError } = require("zod");
 
 const router = express.Router();
 
-const WEEKDAY_MAP = {
-  LUNEDI: 1,
-  MARTEDI: 2,
-  MERCOLEDI: 3,
-  GIOVEDI: 4,
-  VENERDI: 5,
-  SABATO: 6,
-  DOMENICA: 0,
-};
-
 const WEEKDAYS = [
   "LUNEDI",
   "MARTEDI",
@@ -28,6 +36,12 @@ const WEEKDAYS = [
   "DOMENICA",
 ];
 
+// Stato HTTP per i rifiuti del check-in (default 400)
+const CHECK_IN_ERROR_STATUS = {
+  [CHECK_IN_BOOKING_NOT_FOUND]: 404,
+  [CHECK_IN_ALREADY_DONE]: 409
+};
+
 /**
  * @swagger
  * tags:
@@ -59,9 +73,6 @@ const WEEKDAYS = [
  *             required:
  *               - email
  *               - password
- *               - startDate
- *               - endDate
- *               - amount
  *             properties:
  *               email:
  *                 type: string
@@ -69,6 +80,11 @@ const WEEKDAYS = [
  *               password:
  *                 type: string
  *                 example: password123
+ *               planId:
+ *                 type: integer
+ *                 description: >
+ *                   Piano del catalogo: date, importo, ingressi e gruppi non inviati vengono presi dal piano.
+ *                   Senza piano startDate, endDate, amount e ingressi sono obbligatori.
  *               firstName:
  *                 type: string
  *                 example: Mario
@@ -107,6 +123,8 @@ const WEEKDAYS = [
  *         description: Utente già esistente o dati mancanti
  *       403:
  *         description: Accesso negato
+ *       404:
+ *         description: Piano non trovato
  *       500:
  *         description: Errore server
  */
@@ -126,9 +144,14 @@ router.post('/users', async (req, res) => {
       amount,
       currency,
       groups,
+      planId,
       medicalCertificateExpiryDate
     } = validated;
 
+    if (planId && !await prisma.subscriptionPlan.findUnique({ where: { id: planId } })) {
+      return res.status(404).json({ message: 'Piano non trovato' });
+    }
+
     let user = await prisma.user.findUnique({ where: { email } });
 
     if (user) {
@@ -154,13 +177,15 @@ router.post('/users', async (req, res) => {
           lastName: lastName || null,
           role: role || Role.USER,
           status: UserStatus.SUBSCRIBED,
-          medicalCertificateExpiryDate: medicalCertificateExpiryDate
+          medicalCertificateExpiryDate: medicalCertificateExpiryDate,
+          // creato da un admin: email considerata verificata
+          emailVerifiedAt: new Date()
         }
       });
     }
 
     // Creazione subscription e assegnazione gruppi
-    const subscription = await createSubscriptionWithGroups({ userId: user.id, ...req.body })
+    const subscription = await createSubscriptionWithGroups({ userId: user.id, ...req.body, actorId: req.user.userId })
 
     res.status(201).json({
       user: {
@@ -341,20 +366,33 @@ router.put("/users/:id", async (req, res) => {
       });
 
       if (existingSubscription) {
-        subscription = await prisma.subscription.update({
-          where: { id: existingSubscription.id },
-          data: {
-            startDate:
-              validated.startDate ?? existingSubscription.startDate,
-            endDate:
-              validated.endDate ?? existingSubscription.endDate,
-            amount:
-              validated.amount ?? existingSubscription.amount,
-            ingressi:
-              validated.ingressi ?? existingSubscription.ingressi,
-            currency:
-              validated.currency ?? existingSubscription.currency,
-          },
+        subscription = await prisma.$transaction(async (tx) => {
+          await tx.subscription.update({
+            where: { id: existingSubscription.id },
+            data: {
+              startDate:
+                validated.startDate ?? existingSubscription.startDate,
+              endDate:
+                validated.endDate ?? existingSubscription.endDate,
+              amount:
+                validated.amount ?? existingSubscription.amount,
+              currency:
+                validated.currency ?? existingSubscription.currency,
+            },
+          });
+
+          // Gli ingressi cambiano solo tramite il ledger
+          if (validated.ingressi !== undefined) {
+            await setIngressiBalance(tx, {
+              subscriptionId: existingSubscription.id,
+              balance: validated.ingressi,
+              reason: IngressiReason.ADMIN_ADJUSTMENT,
+              actorId: req.user.userId,
+              note: 'Modifica da anagrafica utente'
+            });
+          }
+
+          return tx.subscription.findUnique({ where: { id: existingSubscription.id } });
         });
       }
     }
@@ -461,6 +499,9 @@ router.put("/users/:id", async (req, res) => {
  *                     format: date
  *                   status:
  *                     type: string
+ *                   noShows:
+ *                     type: number
+ *                     description: Assenze registrate (ABSENT e, se previsto, LATE_CANCEL)
  *                   subscriptions:
  *                     type: array
  *                     items:
@@ -516,6 +557,8 @@ router.get('/users', async (req, res) => {
       }
     });
 
+    const noShowCounts = await getNoShowCounts(users.map(user => user.id));
+
     const formattedUsers = users.map(user => ({
       id: user.id,
       email: user.email,
@@ -524,6 +567,10 @@ router.get('/users', async (req, res) => {
       role: user.role,
       status: user.status,
       medicalCertificateExpiryDate: user.medicalCertificateExpiryDate,
+      emailVerifiedAt: user.emailVerifiedAt,
+      lockedUntil: user.lockedUntil,
+      twoFactorEnabled: !!user.twoFactorEnabledAt,
+      noShows: noShowCounts.get(user.id) ?? 0,
       subscriptions: user.subscriptions.map(sub => ({
         id: sub.id,
         status: sub.status,
@@ -587,11 +634,32 @@ router.delete('/users/:id', async (req, res) => {
       data: { status: UserStatus.CANCELLED }
     });
 
-    // Rimuove l’utente da TUTTI gli eventi
+    // Eventi da cui l'utente viene rimosso (per la lista d'attesa)
+    const signups = await prisma.eventSignup.findMany({
+      where: { userId },
+      select: { eventId: true }
+    });
+
+    // Rimuove l’utente da TUTTI gli eventi e dalle liste d'attesa
     await prisma.eventSignup.deleteMany({
       where: { userId }
     });
 
+    await prisma.eventWaitlistEntry.deleteMany({
+      where: { userId }
+    });
+
+    await revokeUserSessions(userId, 'USER_CANCELLED');
+
+    // L'utente è già disabilitato: un errore di promozione non deve bloccare gli altri eventi
+    for (const { eventId } of signups) {
+      try {
+        await promoteFromWaitlist(eventId);
+      } catch (err) {
+        console.error(`Errore promozione lista d'attesa (evento ${eventId}):`, err);
+      }
+    }
+
     res.json({
       message: 'Utente disabilitato e rimosso da tutti i turni'
     });
@@ -668,6 +736,190 @@ router.delete('/users/:id/force', async (req, res) => {
   }
 });
 
+/* ================================
+   FORCE LOGOUT USER
+================================ */
+/**
+ * @swagger
+ * /admin/users/{id}/logout:
+ *   post:
+ *     summary: Forza il logout di un utente
+ *     description: Revoca tutte le sessioni attive dell'utente su ogni dispositivo
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessioni revocate
+ *       404:
+ *         description: Utente non trovato
+ */
+router.post('/users/:id/logout', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+
+    if (!user) {
+      return res.status(404).json({ message: 'Utente non trovato' });
+    }
+
+    const revoked = await revokeUserSessions(user.id, 'ADMIN_FORCE_LOGOUT');
+
+    res.json({ message: 'Logout forzato completato', revoked });
+  } catch (err) {
+    console.error('Admin force logout error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   UNLOCK USER ACCOUNT
+================================ */
+/**
+ * @swagger
+ * /admin/users/{id}/unlock:
+ *   post:
+ *     summary: Sblocca un account bloccato per troppi tentativi di login
+ *     description: Azzera tentativi falliti, ritardo progressivo e blocco temporaneo
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account sbloccato
+ *       404:
+ *         description: Utente non trovato
+ */
+router.post('/users/:id/unlock', async (req, res) => {
+  try {
+    await unlockAccount(req.params.id);
+
+    res.json({ message: 'Account sbloccato' });
+  } catch (err) {
+    console.error('Admin unlock user error:', err);
+
+    if (err.code === 'P2025') {
+      return res.status(404).json({ message: 'Utente non trovato' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET LOGIN ATTEMPTS (AUDIT)
+================================ */
+/**
+ * @swagger
+ * /admin/login-attempts:
+ *   get:
+ *     summary: Consulta l'audit dei tentativi di login
+ *     description: Per default restituisce solo i tentativi falliti, dal più recente
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [failed, success, all]
+ *           default: failed
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Tentativi di login paginati
+ *       400:
+ *         description: Parametri non validi
+ */
+router.get('/login-attempts', async (req, res) => {
+  try {
+    const { email, userId, ip, outcome = 'failed', from, to } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 50, 1), 200);
+
+    if (!['failed', 'success', 'all'].includes(outcome)) {
+      return res.status(400).json({ message: 'outcome non valido' });
+    }
+
+    const createdAt = {};
+    if (from) createdAt.gte = new Date(from);
+    if (to) createdAt.lte = new Date(to);
+
+    if (Object.values(createdAt).some(date => isNaN(date))) {
+      return res.status(400).json({ message: 'Intervallo date non valido' });
+    }
+
+    const where = {
+      ...(email ? { email } : {}),
+      ...(userId ? { userId } : {}),
+      ...(ip ? { ip } : {}),
+      ...(outcome !== 'all' ? { success: outcome === 'success' } : {}),
+      ...(from || to ? { createdAt } : {})
+    };
+
+    const [items, total] = await prisma.$transaction([
+      prisma.loginAttempt.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      }),
+      prisma.loginAttempt.count({ where })
+    ]);
+
+    res.json({ items, total, page, pageSize });
+  } catch (err) {
+    console.error('Admin get login attempts error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
 /* ================================
    GET USER STATUSES (ADMIN)
 ================================ */
@@ -737,6 +989,11 @@ router.get('/users/statuses', (req, res) => {
  *         schema:
  *           type: integer
  *           example: 5
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *         description: Solo gli eventi del luogo indicato
  *     responses:
  *       200:
  *         description: Lista eventi del mese
@@ -744,16 +1001,22 @@ router.get('/users/statuses', (req, res) => {
  *         description: Non autenticato
  */
 router.get('/all-events/month', async (req, res) => {
-  const { year, month, userEmail } = req.query;
+  const { year, month, userEmail, locationId } = req.query;
+
+  if (locationId !== undefined && !Number.isInteger(Number(locationId))) {
+    return res.status(400).json({ message: 'locationId non valido' });
+  }
 
   const events = await prisma.event.findMany({
     where: {
       date: {
         gte: new Date(year, month - 1, 1),
         lt: new Date(year, month, 1),
-      }
+      },
+      ...locationFilter(locationId)
     },
     include: {
+      venue: { select: venueSelect },
       signups: {
         select: {
           user: { select: { email: true } }
@@ -802,6 +1065,11 @@ router.get('/all-events/month', async (req, res) => {
  *         schema:
  *           type: integer
  *           example: 12
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *         description: Solo gli eventi del luogo indicato
  *     responses:
  *       200:
  *         description: Lista eventi del giorno
@@ -809,16 +1077,23 @@ router.get('/all-events/month', async (req, res) => {
  *         description: Non autenticato
  */
 router.get('/all-events/day', async (req, res) => {
-  const { year, month, day } = req.query;
+  const { year, month, day, locationId } = req.query;
+
+  if (locationId !== undefined && !Number.isInteger(Number(locationId))) {
+    return res.status(400).json({ message: 'locationId non valido' });
+  }
 
   const events = await prisma.event.findMany({
     where: {
       date: {
         gte: new Date(year, month - 1, day),
         lt: new Date(year, month - 1, Number(day) + 1)
-      }
+      },
+      ...locationFilter(locationId)
     },
     include: {
+      venue: { select: venueSelect },
+      resources: { include: { resource: { select: resourceSelect } } },
       signups: {
         select: {
           user: {
@@ -834,6 +1109,7 @@ router.get('/all-events/day', async (req, res) => {
   // Trasforma per il FE
   const formattedEvents = events.map(ev => ({
     ...ev,
+    resources: ev.resources.map(r => r.resource),
     partecipanti: ev.signups.map(s => s.user.email)
   }));
 
@@ -875,6 +1151,18 @@ router.get('/all-events/day', async (req, res) => {
  *                 type: string
  *               location:
  *                 type: string
+ *                 description: Testo libero, obbligatorio se manca locationId
+ *               locationId:
+ *                 type: number
+ *                 description: Luogo gestito (/admin/locations)
+ *               resourceIds:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: Risorse riservate (/admin/resources)
+ *               force:
+ *                 type: boolean
+ *                 description: Crea comunque anche se si sovrappone ad altri eventi
  *               date:
  *                 type: string
  *                 format: date
@@ -884,25 +1172,47 @@ router.get('/all-events/day', async (req, res) => {
  *                 type: string
  *               maxSlots:
  *                 type: number
+ *                 description: Se omesso, capienza di default del luogo (altrimenti 10)
  *               categoryId:
  *                 type: number
  *     responses:
  *       201:
- *         description: Evento creato
+ *         description: Evento creato (conflicts = sovrapposizioni ignorate con force)
+ *       409:
+ *         description: >
+ *           Sovrapposizione con altri eventi in programma: stessa risorsa o stesso luogo
+ *           occupato per intero (conflicts con motivo RESOURCE o VENUE)
  */
 router.post("/events", async (req, res) => {
 
   try {
-    const validatedBody = validateEventBody(req.body);
+    const { resourceIds = [], ...validatedBody } = await applyLocationDefaults(validateEventBody(req.body));
+    const force = req.body.force === true;
+
+    await assertReservableResources(resourceIds, validatedBody.locationId);
+
+    // Sovrapposizioni con altri eventi: bloccano la creazione salvo force
+    const conflicts = (validatedBody.status ?? EventStatus.SCHEDULED) === EventStatus.SCHEDULED
+      ? await findEventConflicts({ ...validatedBody, resourceIds })
+      : [];
+
+    if (conflicts.length && !force) {
+      return res.status(409).json({
+        error: true,
+        message: 'L\'evento si sovrappone ad altri eventi',
+        conflicts
+      });
+    }
 
     const event = await prisma.event.create({
       data: {
         ...validatedBody,
         creatorId: req.user.userId,
+        resources: { create: resourceIds.map(resourceId => ({ resourceId })) }
       },
     });
 
-    res.status(201).json(event);
+    res.status(201).json({ ...event, conflicts });
   } catch (error) {
     console.error("Admin create event error:", error);
 
@@ -914,6 +1224,10 @@ router.post("/events", async (req, res) => {
       });
     }
 
+    if (error.message === 'Luogo non trovato' || error.message.startsWith('Risorse ')) {
+      return res.status(400).json({ error: true, message: error.message });
+    }
+
     res.status(500).json({ error: true, message: "Errore interno" });
   }
 });
@@ -955,6 +1269,18 @@ router.post("/events", async (req, res) => {
  *                 type: string
  *               location:
  *                 type: string
+ *                 description: Testo libero, obbligatorio se manca locationId
+ *               locationId:
+ *                 type: number
+ *                 description: Luogo gestito (/admin/locations)
+ *               resourceIds:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: Risorse riservate (/admin/resources)
+ *               force:
+ *                 type: boolean
+ *                 description: Crea comunque anche se si sovrappone ad altri eventi
  *               date:
  *                 type: string
  *                 format: date
@@ -964,6 +1290,7 @@ router.post("/events", async (req, res) => {
  *                 type: string
  *               maxSlots:
  *                 type: number
+ *                 description: Se omesso, capienza di default del luogo (altrimenti 10)
  *               categoryId:
  *                 type: number
  *               weekday:
@@ -980,12 +1307,14 @@ router.post("/events", async (req, res) => {
  *     responses:
  *       201:
  *         description: Eventi creati e partecipanti assegnati
+ *       409:
+ *         description: Alcune occorrenze si sovrappongono ad altri eventi (conflicts)
  */
 router.post("/events/recurring", async (req, res) => {
   try {
-    const { weekday, months, userIds = [], ...eventBody } = req.body;
+    const { weekday, months, userIds = [], force, ...eventBody } = req.body;
 
-    const validatedBody = validateEventBody(eventBody);
+    const { resourceIds = [], ...validatedBody } = await applyLocationDefaults(validateEventBody(eventBody));
 
     if (!WEEKDAYS.includes(weekday)) {
       return res.status(400).json({ error: true, message: "weekday non valido" });
@@ -1000,48 +1329,43 @@ router.post("/events/recurring", async (req, res) => {
       return res.status(400).json({ error: true, message: "userIds non valido" });
     }
 
-    const startDate = new Date(validatedBody.date);
-    const endDate = new Date(startDate);
-    endDate.setMonth(endDate.getMonth() + monthsInt);
-
-    const targetDay = WEEKDAY_MAP[weekday];
-    const eventsData = [];
-
-    let current = new Date(startDate);
-
-    // porta la data al primo weekday valido
-    while (current.getDay() !== targetDay) {
-      current.setDate(current.getDate() + 1);
-    }
+    // La ricorrenza diventa una serie settimanale fino a months mesi dalla data indicata
+    const { date, status, ...template } = validatedBody;
+    const startDate = toUtcDate(date);
+    const untilDate = new Date(startDate);
+    untilDate.setUTCMonth(untilDate.getUTCMonth() + monthsInt);
+
+    const { series, events: createdEvents, conflicts } = await createEventSeries({
+      ...template,
+      resourceIds,
+      frequency: SeriesFrequency.WEEKLY,
+      weekdays: [weekday],
+      startDate,
+      untilDate
+    }, {
+      creatorId: req.user.userId,
+      force: force === true
+    });
 
-    while (current <= endDate) {
-      eventsData.push({
-        ...validatedBody,
-        date: new Date(current),
-        creatorId: req.user.userId,
+    if (!series) {
+      return res.status(409).json({
+        error: true,
+        message: 'Alcune occorrenze si sovrappongono ad altri eventi',
+        conflicts
       });
-
-      current.setDate(current.getDate() + 7);
     }
 
-    // TRANSAZIONE: creo eventi + iscrizioni
-    const createdEvents = await prisma.$transaction(
-      eventsData.map(event =>
-        prisma.event.create({
-          data: event,
-        })
-      )
-    );
-
     // preparo iscrizioni
     if (userIds.length > 0) {
       const signups = [];
 
       for (const event of createdEvents) {
         for (const userId of userIds) {
+          // Iscrizione d'ufficio: nessun ingresso addebitato
           signups.push({
             eventId: event.id,
             userId,
+            ingressiCharged: 0,
           });
         }
       }
@@ -1053,8 +1377,10 @@ router.post("/events/recurring", async (req, res) => {
     }
 
     res.status(201).json({
+      seriesId: series.id,
       createdEvents: createdEvents.length,
       participantsAdded: userIds.length,
+      conflicts,
     });
 
   } catch (error) {
@@ -1068,48 +1394,366 @@ router.post("/events/recurring", async (req, res) => {
       });
     }
 
+    if (
+      error.message === 'Luogo non trovato' ||
+      error.message.startsWith('Risorse ') ||
+      error.message.startsWith('La serie supera')
+    ) {
+      return res.status(400).json({ error: true, message: error.message });
+    }
+
     res.status(500).json({ error: true, message: "Errore interno" });
   }
 });
 
 /* ================================
-   UPDATE EVENT
+   CREATE EVENT SERIES
 ================================ */
 /**
  * @swagger
- * /admin/events/{id}:
- *   patch:
- *     summary: Modifica un evento
+ * /admin/event-series:
+ *   post:
+ *     summary: Crea una serie di eventi ricorrenti
+ *     description: >
+ *       Crea la serie (modello evento + regola) e tutte le occorrenze, collegate alla serie.
+ *       La regola ripete l'evento nei giorni indicati ogni settimana (WEEKLY) o a settimane alterne (BIWEEKLY)
+ *       da startDate fino a untilDate oppure per count occorrenze; i giorni in exceptionDates vengono saltati.
+ *       Massimo 200 occorrenze. Le sovrapposizioni con altri eventi bloccano la creazione salvo force.
  *     tags:
  *       - Admin
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: number
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - title
+ *               - startTime
+ *               - endTime
+ *               - categoryId
+ *               - frequency
+ *               - weekdays
+ *               - startDate
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               equipment:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               locationId:
+ *                 type: number
+ *               resourceIds:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *               startTime:
+ *                 type: string
+ *               endTime:
+ *                 type: string
+ *               maxSlots:
+ *                 type: number
+ *               categoryId:
+ *                 type: number
+ *               frequency:
+ *                 type: string
+ *                 enum: [WEEKLY, BIWEEKLY]
+ *               weekdays:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [LUNEDI, MARTEDI, MERCOLEDI, GIOVEDI, VENERDI, SABATO, DOMENICA]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               untilDate:
+ *                 type: string
+ *                 format: date
+ *               count:
+ *                 type: integer
+ *               exceptionDates:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: date
+ *               force:
+ *                 type: boolean
  *     responses:
- *       200:
- *         description: Evento aggiornato
+ *       201:
+ *         description: Serie e occorrenze create
+ *       400:
+ *         description: Dati non validi o regola senza occorrenze
+ *       409:
+ *         description: Alcune occorrenze si sovrappongono ad altri eventi (conflicts)
  */
-router.patch("/events/:id", async (req, res) => {
+router.post('/event-series', async (req, res) => {
   try {
-    const validatedBody = validateEventPatchBody(req.body);
+    const validated = await applyLocationDefaults(validateEventSeriesBody(req.body));
 
-    const event = await prisma.event.update({
-      where: { id: Number(req.params.id) },
-      data: validatedBody,
+    const { series, events, conflicts } = await createEventSeries(validated, {
+      creatorId: req.user.userId,
+      force: req.body.force === true
     });
 
-    res.json(event);
-  } catch (error) {
+    if (!series) {
+      return res.status(409).json({
+        error: true,
+        message: 'Alcune occorrenze si sovrappongono ad altri eventi',
+        conflicts
+      });
+    }
+
+    res.status(201).json({ series, createdEvents: events.length, conflicts });
+  } catch (error) {
+    console.error('Admin create event series error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (
+      error.message === 'Luogo non trovato' ||
+      error.message.startsWith('Risorse ') ||
+      error.message.startsWith('La serie supera') ||
+      error.message === 'La regola non genera nessuna occorrenza'
+    ) {
+      return res.status(400).json({ error: true, message: error.message });
+    }
+
+    res.status(500).json({ error: true, message: "Errore interno" });
+  }
+});
+
+/* ================================
+   LIST EVENT SERIES
+================================ */
+/**
+ * @swagger
+ * /admin/event-series:
+ *   get:
+ *     summary: Elenca le serie di eventi
+ *     description: Serie con regola, numero di occorrenze e prossima occorrenza in programma
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista serie
+ */
+router.get('/event-series', async (req, res) => {
+  try {
+    const now = getNowItaly();
+    const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+
+    const series = await prisma.eventSeries.findMany({
+      include: {
+        category: true,
+        venue: { select: { id: true, name: true } },
+        _count: { select: { events: true } },
+        events: {
+          where: { status: EventStatus.SCHEDULED, date: { gte: today } },
+          select: { id: true, date: true },
+          orderBy: { date: 'asc' },
+          take: 1
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(series.map(({ _count, events, ...item }) => ({
+      ...item,
+      eventsCount: _count.events,
+      nextEvent: events[0] ?? null
+    })));
+  } catch (err) {
+    console.error('Admin list event series error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET EVENT SERIES
+================================ */
+/**
+ * @swagger
+ * /admin/event-series/{id}:
+ *   get:
+ *     summary: Dettaglio di una serie con tutte le occorrenze
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Serie e occorrenze
+ *       404:
+ *         description: Serie non trovata
+ */
+router.get('/event-series/:id', async (req, res) => {
+  try {
+    const series = await getEventSeries(Number(req.params.id));
+
+    if (!series) {
+      return res.status(404).json({ message: 'Serie non trovata' });
+    }
+
+    res.json(series);
+  } catch (err) {
+    console.error('Admin get event series error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   UPDATE EVENT
+================================ */
+/**
+ * @swagger
+ * /admin/events/{id}:
+ *   patch:
+ *     summary: Modifica un evento
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: number
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: >
+ *               Campi dell'evento da modificare. resourceIds sostituisce le risorse riservate;
+ *               force salva anche in caso di sovrapposizioni.
+ *               Per gli eventi di una serie scope indica cosa modificare: occurrence (default, solo questo evento),
+ *               following (questo e i successivi, la serie viene divisa) o series (tutte le occorrenze da oggi);
+ *               con following e series data e stato non sono modificabili.
+ *     responses:
+ *       200:
+ *         description: Evento aggiornato
+ *       404:
+ *         description: Evento non trovato
+ *       409:
+ *         description: Sovrapposizione con altri eventi in programma (conflicts)
+ */
+router.patch("/events/:id", async (req, res) => {
+  try {
+    const scope = req.body.scope ?? SERIES_SCOPE_OCCURRENCE;
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: true, message: 'scope non valido' });
+    }
+
+    const { resourceIds, ...validatedBody } = validateEventPatchBody(req.body);
+    const force = req.body.force === true;
+
+    // Questa e le successive / intera serie
+    if (scope !== SERIES_SCOPE_OCCURRENCE) {
+      const result = await updateSeriesOccurrences(Number(req.params.id), { ...validatedBody, resourceIds }, scope, { force });
+
+      if (!result) {
+        return res.status(404).json({ error: true, message: 'Evento non trovato' });
+      }
+
+      if (result.conflicts.length && !force) {
+        return res.status(409).json({
+          error: true,
+          message: 'Alcune occorrenze si sovrappongono ad altri eventi',
+          conflicts: result.conflicts
+        });
+      }
+
+      return res.json(result);
+    }
+
+    const current = await prisma.event.findUnique({
+      where: { id: Number(req.params.id) },
+      include: { resources: { select: { resourceId: true } } }
+    });
+
+    if (!current) {
+      return res.status(404).json({ error: true, message: 'Evento non trovato' });
+    }
+
+    // Annullamento e ripristino gestiscono rimborsi e notifiche: niente cambi di stato da qui
+    if (validatedBody.status !== undefined && current.status !== validatedBody.status) {
+      return res.status(400).json({
+        error: true,
+        message: "Per cambiare lo stato usa DELETE /admin/events/:id o PATCH /admin/events/:id/restore"
+      });
+    }
+
+    // Slot risultante dalla modifica: si ricontrollano i conflitti solo se cambia data, orario, luogo o risorse
+    const slot = {
+      date: validatedBody.date ?? current.date,
+      startTime: validatedBody.startTime ?? current.startTime,
+      endTime: validatedBody.endTime ?? current.endTime,
+      locationId: validatedBody.locationId !== undefined ? validatedBody.locationId : current.locationId,
+      resourceIds: resourceIds ?? current.resources.map(r => r.resourceId)
+    };
+
+    const slotChanged = ['date', 'startTime', 'endTime', 'locationId'].some(key => validatedBody[key] !== undefined) ||
+      resourceIds !== undefined;
+
+    let conflicts = [];
+    if (slotChanged) {
+      await assertReservableResources(slot.resourceIds, slot.locationId);
+
+      if (current.status === EventStatus.SCHEDULED) {
+        conflicts = await findEventConflicts(slot, { excludeEventId: current.id });
+      }
+
+      if (conflicts.length && !force) {
+        return res.status(409).json({
+          error: true,
+          message: 'L\'evento si sovrappone ad altri eventi',
+          conflicts
+        });
+      }
+    }
+
+    const event = await prisma.event.update({
+      where: { id: current.id },
+      data: {
+        ...validatedBody,
+        ...(resourceIds && {
+          resources: {
+            deleteMany: {},
+            create: resourceIds.map(resourceId => ({ resourceId }))
+          }
+        })
+      },
+    });
+
+    // Più posti disponibili: scorre la lista d'attesa
+    if (validatedBody.maxSlots !== undefined) {
+      await promoteFromWaitlist(event.id);
+    }
+
+    res.json({ ...event, conflicts });
+  } catch (error) {
     console.error("error admin events/:id :", error)
     if (error instanceof ZodError) {
       return res.status(400).json({
@@ -1119,6 +1763,20 @@ router.patch("/events/:id", async (req, res) => {
       });
     }
 
+    if (
+      error.message.startsWith('Risorse ') ||
+      error.message === 'L\'evento non fa parte di una serie' ||
+      error.message.startsWith('Data e stato si modificano') ||
+      error.message.startsWith('L\'orario di inizio')
+    ) {
+      return res.status(400).json({ error: true, message: error.message });
+    }
+
+    // locationId di un luogo inesistente
+    if (error.code === 'P2003') {
+      return res.status(400).json({ error: true, message: 'Luogo non trovato' });
+    }
+
     res.status(500).json({ error: true, message: "Errore interno" });
   }
 });
@@ -1130,8 +1788,13 @@ router.patch("/events/:id", async (req, res) => {
  * @swagger
  * /admin/events/{id}:
  *   delete:
- *     summary: Cancella un evento
- *     description: Imposta lo status dell'evento a CANCELLED
+ *     summary: Annulla un evento
+ *     description: >
+ *       Imposta lo status dell'evento a CANCELLED salvando il motivo.
+ *       Ai partecipanti viene restituito l'ingresso e inviata un'email;
+ *       le prenotazioni restano collegate per un eventuale ripristino.
+ *       Per gli eventi di una serie scope following annulla anche le occorrenze successive
+ *       e series tutte quelle in programma; la serie non genera più occorrenze dopo l'annullamento.
  *     tags:
  *       - Admin
  *     security:
@@ -1142,19 +1805,67 @@ router.patch("/events/:id", async (req, res) => {
  *         required: true
  *         schema:
  *           type: number
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Piscina chiusa per manutenzione
+ *               scope:
+ *                 type: string
+ *                 enum: [occurrence, following, series]
+ *                 default: occurrence
  *     responses:
  *       200:
- *         description: Evento cancellato
+ *         description: Evento annullato (refunded, notified; cancelled per le serie)
+ *       400:
+ *         description: Motivo mancante, evento già cancellato o non in una serie
+ *       404:
+ *         description: Evento non trovato
  */
 router.delete('/events/:id', async (req, res) => {
   try {
-    await prisma.event.update({
-      where: { id: Number(req.params.id) },
-      data: { status: EventStatus.CANCELLED }
-    });
+    const { reason } = validateEventCancelBody(req.body);
+    const scope = req.body.scope ?? SERIES_SCOPE_OCCURRENCE;
+
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: true, message: 'scope non valido' });
+    }
+
+    const result = scope === SERIES_SCOPE_OCCURRENCE
+      ? await cancelEvent(Number(req.params.id), { reason, actorId: req.user.userId })
+      : await cancelSeriesOccurrences(Number(req.params.id), scope, { reason, actorId: req.user.userId });
+
+    if (!result) {
+      return res.status(404).json({ error: true, message: 'Evento non trovato' });
+    }
 
-    res.json({ message: 'Evento cancellato' });
+    res.json({
+      message: 'Evento cancellato',
+      ...(result.cancelled !== undefined && { cancelled: result.cancelled }),
+      refunded: result.refunded,
+      notified: result.notified
+    });
   } catch (error) {
+    console.error('Admin cancel event error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.message === 'Evento già cancellato' || error.message === 'L\'evento non fa parte di una serie') {
+      return res.status(400).json({ error: true, message: error.message });
+    }
 
     res.status(500).json({
       error: true,
@@ -1227,7 +1938,10 @@ router.delete('/events/:id/hard', async (req, res) => {
  *     summary: Ripristina un evento cancellato
  *     description: >
  *       Riporta un evento dallo stato CANCELLED a SCHEDULED.
- *       Non modifica altri campi dell'evento.
+ *       I partecipanti rimborsati all'annullamento vengono riverificati e
+ *       riaddebitati; chi non è più idoneo (es. ingressi esauriti) viene
+ *       rimosso e i posti passano alla lista d'attesa. Tutti ricevono un'email.
+ *       Le sovrapposizioni con altri eventi bloccano il ripristino salvo force.
  *     tags:
  *       - Admin
  *     security:
@@ -1239,23 +1953,50 @@ router.delete('/events/:id/hard', async (req, res) => {
  *         schema:
  *           type: number
  *           example: 10
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               force:
+ *                 type: boolean
+ *                 description: Ripristina anche in caso di sovrapposizioni
  *     responses:
  *       200:
- *         description: Evento ripristinato
+ *         description: Evento ripristinato (event, recharged, dropped, conflicts = sovrapposizioni ignorate con force)
+ *       400:
+ *         description: Evento non cancellato
  *       404:
  *         description: Evento non trovato
+ *       409:
+ *         description: L'evento si sovrappone ad altri eventi (conflicts)
  */
 router.patch("/events/:id/restore", async (req, res) => {
   try {
-    const event = await prisma.event.update({
-      where: { id: Number(req.params.id) },
-      data: {
-        status: EventStatus.SCHEDULED
-      }
-    });
+    const force = req.body?.force === true;
+    const result = await restoreEvent(Number(req.params.id), { force });
+
+    if (!result) {
+      return res.status(404).json({ error: true, message: 'Evento non trovato' });
+    }
+
+    if (result.conflicts.length && !force) {
+      return res.status(409).json({
+        error: true,
+        message: 'L\'evento si sovrappone ad altri eventi',
+        conflicts: result.conflicts
+      });
+    }
 
-    res.json(event);
+    res.json(result);
   } catch (error) {
+    console.error('Admin restore event error:', error);
+
+    if (error.message === 'Evento non cancellato') {
+      return res.status(400).json({ error: true, message: error.message });
+    }
 
     res.status(500).json({
       error: true,
@@ -1275,6 +2016,7 @@ router.patch("/events/:id/restore", async (req, res) => {
  * /admin/events/{eventId}/participants:
  *   post:
  *     summary: Aggiunge uno o più partecipanti a un evento
+ *     description: Iscrizione d'ufficio, non scala ingressi
  *     tags:
  *       - Admin
  *     security:
@@ -1311,10 +2053,12 @@ router.post('/events/:eventId/participants', async (req, res) => {
     return res.status(400).json({ message: 'userIds non valido' });
   }
 
+  // Iscrizione d'ufficio: nessun ingresso addebitato
   await prisma.eventSignup.createMany({
     data: userIds.map(userId => ({
       userId,
-      eventId
+      eventId,
+      ingressiCharged: 0
     })),
     skipDuplicates: true // evita errori se già iscritti
   });
@@ -1331,6 +2075,9 @@ router.post('/events/:eventId/participants', async (req, res) => {
  * /admin/events/{eventId}/participants:
  *   delete:
  *     summary: Rimuove uno o più partecipanti da un evento
+ *     description: >
+ *       Gli ingressi addebitati vengono restituiti e i posti liberati
+ *       vengono assegnati alla lista d'attesa dell'evento
  *     tags:
  *       - Admin
  *     security:
@@ -1358,95 +2105,125 @@ router.post('/events/:eventId/participants', async (req, res) => {
  *     responses:
  *       200:
  *         description: Partecipanti rimossi
+ *       400:
+ *         description: eventId o userIds non validi
+ *       500:
+ *         description: Errore server
  */
 router.delete('/events/:eventId/participants', async (req, res) => {
   const eventId = Number(req.params.eventId);
-  const { userIds } = req.body;
+  const { userIds } = req.body ?? {};
+
+  if (!Number.isInteger(eventId)) {
+    return res.status(400).json({ message: 'eventId non valido' });
+  }
 
   if (!Array.isArray(userIds) || userIds.length === 0) {
     return res.status(400).json({ message: 'userIds non valido' });
   }
 
-  await prisma.eventSignup.deleteMany({
-    where: {
-      eventId,
-      userId: { in: userIds }
+  try {
+    const notifyBuddies = await prisma.$transaction(async (tx) => {
+      const signups = await tx.eventSignup.findMany({
+        where: { eventId, userId: { in: userIds } }
+      });
+
+      // I compagni rimasti soli vengono riabbinati se possibile
+      const notify = await releaseBuddiesInTransaction(tx, signups);
+
+      await tx.eventSignup.deleteMany({
+        where: { id: { in: signups.map(signup => signup.id) } }
+      });
+
+      // Restituisce gli ingressi addebitati ai partecipanti rimossi
+      for (const signup of signups) {
+        await refundBooking(tx, signup, { actorId: req.user.userId, note: 'Rimosso dall\'evento da un admin' });
+      }
+
+      return notify;
+    });
+
+    // Rimozione già salvata: notifiche e lista d'attesa non devono far fallire la risposta
+    try {
+      await notifyBuddies();
+    } catch (err) {
+      console.error('Errore notifica compagni:', err);
+    }
+
+    try {
+      await promoteFromWaitlist(eventId);
+    } catch (err) {
+      console.error('Errore promozione lista d\'attesa:', err);
     }
-  });
 
-  res.json({ message: 'Partecipanti rimossi correttamente' });
+    res.json({ message: 'Partecipanti rimossi correttamente' });
+  } catch (err) {
+    console.error('Admin remove participants error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
 });
 
 
 /* ================================
-   GET ALL GROUPS
+   GET EVENT ATTENDANCE
 ================================ */
 /**
  * @swagger
- * /admin/groups:
+ * /admin/events/{id}/attendance:
  *   get:
- *     summary: Recupera tutti i gruppi
- *     description: >
- *       Recupera la lista di tutti i gruppi disponibili.
- *       Accessibile solo agli amministratori.
+ *     summary: Elenco iscritti dell'evento con le presenze
  *     tags:
  *       - Admin
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Lista gruppi recuperata con successo
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: number
- *                   name:
- *                     type: string
- *                   level:
- *                     type: string
- *                   description:
- *                     type: string
- *                     nullable: true
- *                   users:
- *                     type: array
- *                     items:
- *       403:
- *         description: Accesso negato
- *       500:
- *         description: Errore server
+ *         description: Evento e iscritti (attendanceStatus null = non ancora segnata)
+ *       404:
+ *         description: Evento non trovato
  */
-router.get('/groups', async (req, res) => {
+router.get('/events/:id/attendance', async (req, res) => {
   try {
-    const groups = await prisma.group.findMany({
-      orderBy: {
-        name: 'desc'
-      }
-    });
+    const result = await getEventRoster(Number(req.params.id));
 
-    res.status(200).json(groups);
-  } catch (error) {
-    console.error('Admin get groups error:', error);
-    res.status(500).json({ message: 'Errore nel recupero dei gruppi' });
+    if (!result) {
+      return res.status(404).json({ message: 'Evento non trovato' });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error('Admin event attendance error:', err);
+    res.status(500).json({ message: 'Errore server' });
   }
 });
 
 /* ================================
-   CREATE GROUP
+   MARK EVENT ATTENDANCE
 ================================ */
 /**
  * @swagger
- * /admin/groups:
- *   post:
- *     summary: Crea un gruppo
+ * /admin/events/{id}/attendance:
+ *   put:
+ *     summary: Registra le presenze dell'evento in blocco
+ *     description: >
+ *       Possibile da inizio evento in poi. Tutti gli utenti devono essere iscritti,
+ *       altrimenti nessuna presenza viene salvata. status null cancella la presenza registrata.
  *     tags:
  *       - Admin
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
  *     requestBody:
  *       required: true
  *       content:
@@ -1454,155 +2231,140 @@ router.get('/groups', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - name
- *               - level
+ *               - entries
  *             properties:
- *               name:
- *                 type: string
- *               level:
- *                 type: string
- *                 enum: [ALL, OPEN, ADVANCED, DEEP]
- *                 example: OPEN
- *               description:
- *                 type: string
+ *               entries:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       nullable: true
+ *                       enum: [PRESENT, ABSENT, LATE_CANCEL]
  *     responses:
- *       201:
- *         description: Gruppo creato
- *       409:
- *         description: Nome gruppo già esistente
- *       500:
- *         description: Errore server
+ *       200:
+ *         description: Elenco iscritti aggiornato
+ *       400:
+ *         description: Dati non validi, evento annullato o non ancora iniziato
+ *       404:
+ *         description: Evento non trovato
  */
-router.post('/groups', async (req, res) => {
-  const { name, level, description } = req.body;
-
-  if(!name || name.trim() === '') {
-    return res.status(400).json({
-      message: 'Il nome del gruppo è obbligatorio',
-      field: 'name',
-    });
-  }
+router.put('/events/:id/attendance', async (req, res) => {
+  try {
+    const { entries } = validateAttendanceBody(req.body);
 
-  if(!level || level.trim() === '') {
-    return res.status(400).json({
-      message: 'Il livello del gruppo è obbligatorio',
-      field: 'name',
+    const result = await markAttendance(Number(req.params.id), entries, {
+      actorId: req.user.userId
     });
-  }
 
-  try {
-    const group = await prisma.group.create({
-      data: {
-        name,
-        level,
-        description,
-      },
-    });
+    if (!result) {
+      return res.status(404).json({ message: 'Evento non trovato' });
+    }
 
-    res.status(201).json(group);
+    res.json(result);
   } catch (error) {
+    console.error('Admin mark attendance error:', error);
 
-    // UNIQUE constraint (name)
-    if (error.code === 'P2002') {
-      return res.status(409).json({
-        message: `Il gruppo "${name}" esiste già`,
-        field: 'name',
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
       });
     }
 
-    res.status(500).json({
-      message: 'Errore durante la creazione del gruppo',
-    });
+    if (
+      error.message === 'Evento annullato' ||
+      error.message.startsWith('Le presenze si registrano') ||
+      error.message.startsWith('Utenti non iscritti')
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
   }
 });
 
-
 /* ================================
-   UPDATE GROUP
+   EVENT CHECK-IN (QR)
 ================================ */
 /**
  * @swagger
- * /admin/groups/{id}:
- *   put:
- *     summary: Aggiorna un gruppo
+ * /admin/events/{eventId}/checkin:
+ *   post:
+ *     summary: Registra l'ingresso di un partecipante scansionando il suo QR
  *     description: >
- *       Aggiorna il nome e/o la descrizione di un gruppo esistente.
- *       Accessibile solo agli amministratori.
+ *       Valida il token contro la prenotazione e la finestra di check-in dell'evento
+ *       (da checkIn.opensMinutesBefore minuti prima dell'inizio fino a fine evento),
+ *       salva l'orario di ingresso e segna il partecipante come presente.
+ *       In caso di rifiuto code indica il motivo (CHECK_IN_INVALID_TOKEN, CHECK_IN_WRONG_EVENT,
+ *       CHECK_IN_BOOKING_NOT_FOUND, CHECK_IN_EVENT_CANCELLED, CHECK_IN_CLOSED, CHECK_IN_ALREADY_DONE).
  *     tags:
  *       - Admin
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: eventId
  *         required: true
  *         schema:
- *           type: number
- *         description: ID del gruppo
+ *           type: integer
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - token
  *             properties:
- *               name:
- *                 type: string
- *               level:
- *                 type: string
- *               description:
+ *               token:
  *                 type: string
  *     responses:
  *       200:
- *         description: Gruppo aggiornato con successo
+ *         description: Ingresso registrato (partecipante e orario)
+ *       400:
+ *         description: QR non valido, scaduto, di un altro evento o fuori orario
  *       404:
- *         description: Gruppo non trovato
- *       500:
- *         description: Errore server
+ *         description: Prenotazione non trovata
+ *       409:
+ *         description: Check-in già effettuato
  */
-router.put('/groups/:id', async (req, res) => {
-  const groupId = Number(req.params.id);
-
-  if(!req.body.name || req.body.name.trim() === '') {
-    return res.status(400).json({
-      message: 'Il nome del gruppo è obbligatorio',
-      field: 'name',
-    });
-  }
+router.post('/events/:eventId/checkin', async (req, res) => {
+  const { token } = req.body ?? {};
 
-  if(!req.body.level || req.body.level.trim() === '') {
-    return res.status(400).json({
-      message: 'Il livello del gruppo è obbligatorio',
-      field: 'level',
-    });
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ code: CHECK_IN_INVALID_TOKEN, message: 'Token mancante' });
   }
 
   try {
-    const group = await prisma.group.update({
-      where: { id: groupId },
-      data: req.body,
+    const result = await checkInWithToken(Number(req.params.eventId), token, {
+      actorId: req.user.userId
     });
 
-    res.status(200).json(group);
-  } catch (error) {
-    console.error('Admin update group error:', error);
-
-    if (error.code === 'P2025') {
-      return res.status(404).json({ message: 'Gruppo non trovato' });
+    if (!result.checkedIn) {
+      return res.status(CHECK_IN_ERROR_STATUS[result.code] ?? 400).json(result);
     }
 
-    res.status(500).json({ message: 'Errore durante aggiornamento gruppo' });
+    res.json(result);
+  } catch (err) {
+    console.error('Admin check-in error:', err);
+    res.status(500).json({ message: 'Errore server' });
   }
 });
 
 /* ================================
-   DELETE GROUP (CHECK ASSOCIATIONS)
+   EVENT BUDDY PAIRS
 ================================ */
 /**
  * @swagger
- * /admin/groups/{id}:
- *   delete:
- *     summary: Elimina un gruppo (con controllo utenti associati)
+ * /admin/events/{id}/buddies:
+ *   get:
+ *     summary: Coppie di compagni dell'evento
+ *     description: Coppie (richieste dai membri o automatiche) e partecipanti ancora senza compagno, con il livello
  *     tags:
  *       - Admin
  *     security:
@@ -1612,196 +2374,3248 @@ router.put('/groups/:id', async (req, res) => {
  *         name: id
  *         required: true
  *         schema:
- *           type: number
+ *           type: integer
  *     responses:
- *       204:
- *         description: Gruppo eliminato
- *       409:
- *         description: Gruppo con utenti associati
+ *       200:
+ *         description: pairs e unpaired
  *       404:
- *         description: Gruppo non trovato
+ *         description: Evento non trovato
  */
-router.delete('/groups/:id', async (req, res) => {
-  const groupId = Number(req.params.id);
-
+router.get('/events/:id/buddies', async (req, res) => {
   try {
-    const assignments = await prisma.userGroup.findMany({
-      where: { groupId },
-      include: {
-        user: {
-          select: {
-            id: true,
-            email: true,
-            firstName: true,
-            lastName: true,
-          },
-        },
-      },
-    });
-
-    if (assignments.length > 0) {
-      return res.status(409).json({
-        message: 'Il gruppo ha utenti associati',
-        users: assignments.map(a => a.user),
-        total: assignments.length,
-      });
-    }
+    const roster = await getBuddyRoster(Number(req.params.id));
 
-    await prisma.group.delete({
-      where: { id: groupId },
-    });
-
-    res.status(204).send();
-  } catch (error) {
-    console.error('Admin delete group error:', error);
-
-    if (error.code === 'P2025') {
-      return res.status(404).json({ message: 'Gruppo non trovato' });
+    if (!roster) {
+      return res.status(404).json({ message: 'Evento non trovato' });
     }
 
-    res.status(500).json({ message: 'Errore eliminazione gruppo' });
+    res.json(roster);
+  } catch (err) {
+    console.error('Admin buddy roster error:', err);
+    res.status(500).json({ message: 'Errore server' });
   }
 });
 
 /* ================================
-   FORCE DELETE GROUP
+   AUTO-PAIR EVENT BUDDIES
 ================================ */
 /**
  * @swagger
- * /admin/groups/{id}/force:
- *   delete:
- *     summary: Elimina un gruppo e tutte le associazioni utenti
+ * /admin/events/{id}/buddies/auto-pair:
+ *   post:
+ *     summary: Abbina automaticamente i partecipanti senza compagno
  *     description: >
- *       Elimina il gruppo e rimuove tutte le associazioni
- *       utenti-gruppo collegate.
+ *       Le coppie esistenti restano invariate. I partecipanti liberi vengono ordinati per livello
+ *       (gruppo attivo più alto) e abbinati a due a due; con un numero dispari uno resta senza compagno.
  *     tags:
  *       - Admin
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Coppie create e roster aggiornato
+ *       400:
+ *         description: Evento non disponibile
+ *       404:
+ *         description: Evento non trovato
  */
-router.delete('/groups/:id/force', async (req, res) => {
-  const groupId = Number(req.params.id);
-
+router.post('/events/:id/buddies/auto-pair', async (req, res) => {
   try {
-    await prisma.$transaction([
-      prisma.userGroup.deleteMany({
-        where: { groupId },
-      }),
-      prisma.group.delete({
-        where: { id: groupId },
-      }),
-    ]);
+    const result = await autoPairEvent(Number(req.params.id));
 
-    res.status(204).send();
-  } catch (error) {
-    console.error('Admin force delete group error:', error);
+    if (!result) {
+      return res.status(404).json({ message: 'Evento non trovato' });
+    }
 
-    if (error.code === 'P2025') {
-      return res.status(404).json({ message: 'Gruppo non trovato' });
+    res.json(result);
+  } catch (err) {
+    console.error('Admin auto-pair error:', err);
+
+    if (err.message === 'Evento non disponibile') {
+      return res.status(400).json({ message: err.message });
     }
 
-    res.status(500).json({ message: 'Errore eliminazione forzata gruppo' });
+    res.status(500).json({ message: 'Errore server' });
   }
 });
 
 /* ================================
-   CREATE SUBSCRIPTION (ADMIN)
+   GET EVENT INSTRUCTORS
 ================================ */
 /**
  * @swagger
- * /admin/subscriptions:
- *   post:
- *     summary: Crea una subscription per un utente
- *     description: >
- *       Crea una subscription e assegna l'utente a uno o più gruppi
- *       per un determinato periodo di validità.
+ * /admin/events/{id}/instructors:
+ *   get:
+ *     summary: Istruttori assegnati all'evento
+ *     description: Istruttori assegnati e posti prenotabili risultanti dal rapporto partecipanti/istruttore
  *     tags:
  *       - Admin
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: instructors e capacity
+ *       404:
+ *         description: Evento non trovato
+ */
+router.get('/events/:id/instructors', async (req, res) => {
+  try {
+    const event = await prisma.event.findUnique({
+      where: { id: Number(req.params.id) },
+      include: { category: true }
+    });
+
+    if (!event) {
+      return res.status(404).json({ message: 'Evento non trovato' });
+    }
+
+    res.json({
+      instructors: await listEventInstructors(event.id),
+      capacity: await getEventCapacity(event)
+    });
+  } catch (err) {
+    console.error('Admin event instructors error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   SET EVENT INSTRUCTORS
+================================ */
+/**
+ * @swagger
+ * /admin/events/{id}/instructors:
+ *   put:
+ *     summary: Assegna gli istruttori all'evento
+ *     description: >
+ *       Sostituisce l'elenco degli istruttori (lista vuota = nessun istruttore).
+ *       Possono essere assegnati utenti con ruolo INSTRUCTOR, ADMIN o SUPERADMIN.
+ *       Se i posti prenotabili aumentano viene promossa la lista d'attesa.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
  *           schema:
  *             type: object
  *             required:
- *               - userId
- *               - startDate
- *               - endDate
- *               - amount
- *               - groups
+ *               - userIds
  *             properties:
- *               userId:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Istruttori assegnati, posti e utenti promossi dalla lista d'attesa
+ *       400:
+ *         description: Dati non validi o utenti non abilitati come istruttori
+ *       404:
+ *         description: Evento non trovato
+ */
+router.put('/events/:id/instructors', async (req, res) => {
+  try {
+    const { userIds } = validateEventInstructorsBody(req.body);
+    const eventId = Number(req.params.id);
+
+    const instructors = await setEventInstructors(eventId, userIds, {
+      actorId: req.user.userId
+    });
+
+    if (!instructors) {
+      return res.status(404).json({ message: 'Evento non trovato' });
+    }
+
+    const promoted = await promoteFromWaitlist(eventId);
+    const event = await prisma.event.findUnique({
+      where: { id: eventId },
+      include: { category: true }
+    });
+
+    res.json({
+      instructors,
+      capacity: await getEventCapacity(event),
+      promoted: promoted.length
+    });
+  } catch (error) {
+    console.error('Admin set event instructors error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.message.startsWith('Utenti non abilitati come istruttori')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST LOCATIONS
+================================ */
+/**
+ * @swagger
+ * /admin/locations:
+ *   get:
+ *     summary: Elenca i luoghi gestiti
+ *     description: Luoghi (piscine, mare, Y-40) con il numero di eventi collegati
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [POOL, SEA, Y40]
+ *     responses:
+ *       200:
+ *         description: Lista luoghi
+ */
+router.get('/locations', async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    if (type && !Object.values(LocationType).includes(type)) {
+      return res.status(400).json({ message: 'type non valido' });
+    }
+
+    const locations = await prisma.location.findMany({
+      where: type ? { type } : {},
+      include: { _count: { select: { events: true } } },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(locations.map(({ _count, ...location }) => ({
+      ...location,
+      eventsCount: _count.events
+    })));
+  } catch (err) {
+    console.error('Admin list locations error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET LOCATION
+================================ */
+/**
+ * @swagger
+ * /admin/locations/{id}:
+ *   get:
+ *     summary: Dettaglio di un luogo
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Luogo
+ *       404:
+ *         description: Luogo non trovato
+ */
+router.get('/locations/:id', async (req, res) => {
+  try {
+    const location = await prisma.location.findUnique({
+      where: { id: Number(req.params.id) },
+      include: { _count: { select: { events: true } } }
+    });
+
+    if (!location) {
+      return res.status(404).json({ message: 'Luogo non trovato' });
+    }
+
+    const { _count, ...data } = location;
+    res.json({ ...data, eventsCount: _count.events });
+  } catch (err) {
+    console.error('Admin get location error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   CREATE LOCATION
+================================ */
+/**
+ * @swagger
+ * /admin/locations:
+ *   post:
+ *     summary: Crea un luogo
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - type
+ *             properties:
+ *               name:
  *                 type: string
- *               startDate:
+ *                 example: Piscina Comunale
+ *               type:
  *                 type: string
- *                 format: date
- *               endDate:
+ *                 enum: [POOL, SEA, Y40]
+ *               address:
  *                 type: string
- *                 format: date
- *               amount:
+ *               latitude:
  *                 type: number
- *                 example: 120
- *               groups:
- *                 type: array
- *                 items:
- *                   type: number
+ *               longitude:
+ *                 type: number
+ *               defaultCapacity:
+ *                 type: integer
+ *                 description: Posti proposti per i nuovi eventi in questo luogo
+ *               lanes:
+ *                 type: integer
+ *               notes:
+ *                 type: string
  *     responses:
  *       201:
- *         description: Subscription creata
+ *         description: Luogo creato
+ *       400:
+ *         description: Dati non validi
+ *       409:
+ *         description: Nome già usato
  */
-router.post('/subscriptions', async (req, res) => {
-  const { userId, startDate, endDate, amount, groups } = req.body;
+router.post('/locations', async (req, res) => {
+  try {
+    const validated = validateLocationBody(req.body);
+
+    const location = await prisma.location.create({ data: validated });
+
+    res.status(201).json(location);
+  } catch (error) {
+    console.error('Admin create location error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
 
-  // Uso dell'utility centralizzata per creare subscription e assegnare gruppi
-  const subscription = await createSubscriptionWithGroups({ userId, startDate, endDate, amount, groups });
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Esiste già un luogo con questo nome', field: 'name' });
+    }
 
-  res.status(201).json(subscription);
+    res.status(500).json({ message: 'Errore server' });
+  }
 });
 
 /* ================================
-   GET ALL EVENT CATEGORIES
+   UPDATE LOCATION
 ================================ */
 /**
  * @swagger
- * /admin/event-categories:
- *   get:
- *     summary: Recupera tutte le categorie di eventi
+ * /admin/locations/{id}:
+ *   put:
+ *     summary: Aggiorna un luogo
+ *     description: Solo i campi inviati vengono modificati (null cancella i campi facoltativi)
  *     tags:
  *       - Admin
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
  *     responses:
  *       200:
- *         description: Lista delle categorie
- *         content:
- *           application/json:
- *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 1
- *                   code:
- *                     type: string
- *                     example: 'COURSE_OPEN'
- *                   label:
- *                     type: string
- *                     example: 'Corso Open'
- *       500:
- *         description: Errore server
+ *         description: Luogo aggiornato
+ *       400:
+ *         description: Dati non validi
+ *       404:
+ *         description: Luogo non trovato
+ *       409:
+ *         description: Nome già usato
  */
-router.get('/event-categories', async (req, res) => {
+router.put('/locations/:id', async (req, res) => {
   try {
-    const categories = await prisma.eventCategory.findMany({
-      orderBy: { id: 'asc' }  // opzionale, ordina per id
+    const validated = validateLocationPutBody(req.body);
+
+    const location = await prisma.location.update({
+      where: { id: Number(req.params.id) },
+      data: validated
     });
-    res.json(categories);
-  } catch (err) {
-    console.error('Errore recupero EventCategory:', err);
+
+    res.json(location);
+  } catch (error) {
+    console.error('Admin update location error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Esiste già un luogo con questo nome', field: 'name' });
+    }
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Luogo non trovato' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   DELETE LOCATION
+================================ */
+/**
+ * @swagger
+ * /admin/locations/{id}:
+ *   delete:
+ *     summary: Elimina un luogo
+ *     description: Possibile solo se nessun evento è collegato al luogo
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Luogo eliminato
+ *       404:
+ *         description: Luogo non trovato
+ *       409:
+ *         description: Luogo collegato a eventi
+ */
+router.delete('/locations/:id', async (req, res) => {
+  const locationId = Number(req.params.id);
+
+  try {
+    const [eventsCount, seriesCount] = await Promise.all([
+      prisma.event.count({ where: { locationId } }),
+      prisma.eventSeries.count({ where: { locationId } })
+    ]);
+
+    if (eventsCount + seriesCount > 0) {
+      return res.status(409).json({
+        message: 'Il luogo è collegato a degli eventi',
+        total: eventsCount,
+        series: seriesCount
+      });
+    }
+
+    await prisma.location.delete({ where: { id: locationId } });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Admin delete location error:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Luogo non trovato' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST RESOURCES
+================================ */
+/**
+ * @swagger
+ * /admin/resources:
+ *   get:
+ *     summary: Elenca le risorse prenotabili
+ *     description: Corsie, barche e postazioni, con il luogo di appartenenza
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [LANE, BOAT, DEEP_STATION]
+ *     responses:
+ *       200:
+ *         description: Lista risorse
+ */
+router.get('/resources', async (req, res) => {
+  try {
+    const { locationId, type } = req.query;
+
+    if (locationId !== undefined && !Number.isInteger(Number(locationId))) {
+      return res.status(400).json({ message: 'locationId non valido' });
+    }
+
+    if (type && !Object.values(ResourceType).includes(type)) {
+      return res.status(400).json({ message: 'type non valido' });
+    }
+
+    const resources = await prisma.resource.findMany({
+      where: {
+        ...locationFilter(locationId),
+        ...(type && { type })
+      },
+      include: { location: { select: { id: true, name: true } } },
+      orderBy: [{ locationId: 'asc' }, { name: 'asc' }]
+    });
+
+    res.json(resources);
+  } catch (err) {
+    console.error('Admin list resources error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   CREATE RESOURCE
+================================ */
+/**
+ * @swagger
+ * /admin/resources:
+ *   post:
+ *     summary: Crea una risorsa prenotabile
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - type
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Corsia 3
+ *               type:
+ *                 type: string
+ *                 enum: [LANE, BOAT, DEEP_STATION]
+ *               locationId:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Risorsa creata
+ *       400:
+ *         description: Dati non validi o luogo non trovato
+ *       409:
+ *         description: Nome già usato nello stesso luogo
+ */
+router.post('/resources', async (req, res) => {
+  try {
+    const validated = validateResourceBody(req.body);
+
+    const resource = await prisma.resource.create({ data: validated });
+
+    res.status(201).json(resource);
+  } catch (error) {
+    console.error('Admin create resource error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Esiste già una risorsa con questo nome nel luogo', field: 'name' });
+    }
+
+    if (error.code === 'P2003') {
+      return res.status(400).json({ message: 'Luogo non trovato' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   UPDATE RESOURCE
+================================ */
+/**
+ * @swagger
+ * /admin/resources/{id}:
+ *   put:
+ *     summary: Aggiorna una risorsa
+ *     description: Solo i campi inviati vengono modificati. isActive false impedisce nuove prenotazioni della risorsa.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Risorsa aggiornata
+ *       400:
+ *         description: Dati non validi o luogo non trovato
+ *       404:
+ *         description: Risorsa non trovata
+ *       409:
+ *         description: Nome già usato nello stesso luogo
+ */
+router.put('/resources/:id', async (req, res) => {
+  try {
+    const validated = validateResourcePutBody(req.body);
+
+    const resource = await prisma.resource.update({
+      where: { id: Number(req.params.id) },
+      data: validated
+    });
+
+    res.json(resource);
+  } catch (error) {
+    console.error('Admin update resource error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Esiste già una risorsa con questo nome nel luogo', field: 'name' });
+    }
+
+    if (error.code === 'P2003') {
+      return res.status(400).json({ message: 'Luogo non trovato' });
+    }
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Risorsa non trovata' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   DELETE RESOURCE
+================================ */
+/**
+ * @swagger
+ * /admin/resources/{id}:
+ *   delete:
+ *     summary: Elimina una risorsa
+ *     description: Possibile solo se nessun evento l'ha mai riservata (altrimenti disattivarla con isActive false)
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Risorsa eliminata
+ *       404:
+ *         description: Risorsa non trovata
+ *       409:
+ *         description: Risorsa riservata da eventi
+ */
+router.delete('/resources/:id', async (req, res) => {
+  const resourceId = Number(req.params.id);
+
+  try {
+    const eventsCount = await prisma.eventResource.count({ where: { resourceId } });
+
+    if (eventsCount > 0) {
+      return res.status(409).json({
+        message: 'La risorsa è riservata da degli eventi',
+        total: eventsCount
+      });
+    }
+
+    await prisma.resource.delete({ where: { id: resourceId } });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Admin delete resource error:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Risorsa non trovata' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   RESOURCE SCHEDULE
+================================ */
+/**
+ * @swagger
+ * /admin/resources/{id}/schedule:
+ *   get:
+ *     summary: Eventi in programma che riservano la risorsa
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: year
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 2025
+ *       - in: query
+ *         name: month
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 5
+ *     responses:
+ *       200:
+ *         description: Eventi del mese che riservano la risorsa
+ *       404:
+ *         description: Risorsa non trovata
+ */
+router.get('/resources/:id/schedule', async (req, res) => {
+  try {
+    const year = Number(req.query.year);
+    const month = Number(req.query.month);
+
+    if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+      return res.status(400).json({ message: 'year e month non validi' });
+    }
+
+    const events = await getResourceSchedule(Number(req.params.id), {
+      from: new Date(year, month - 1, 1),
+      to: new Date(year, month, 1)
+    });
+
+    if (!events) {
+      return res.status(404).json({ message: 'Risorsa non trovata' });
+    }
+
+    res.json({ events });
+  } catch (err) {
+    console.error('Admin resource schedule error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET ALL GROUPS
+================================ */
+/**
+ * @swagger
+ * /admin/groups:
+ *   get:
+ *     summary: Recupera tutti i gruppi
+ *     description: >
+ *       Recupera la lista di tutti i gruppi disponibili.
+ *       Accessibile solo agli amministratori.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista gruppi recuperata con successo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: number
+ *                   name:
+ *                     type: string
+ *                   level:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                     nullable: true
+ *                   users:
+ *                     type: array
+ *                     items:
+ *       403:
+ *         description: Accesso negato
+ *       500:
+ *         description: Errore server
+ */
+router.get('/groups', async (req, res) => {
+  try {
+    const groups = await prisma.group.findMany({
+      orderBy: {
+        name: 'desc'
+      }
+    });
+
+    res.status(200).json(groups);
+  } catch (error) {
+    console.error('Admin get groups error:', error);
+    res.status(500).json({ message: 'Errore nel recupero dei gruppi' });
+  }
+});
+
+/* ================================
+   CREATE GROUP
+================================ */
+/**
+ * @swagger
+ * /admin/groups:
+ *   post:
+ *     summary: Crea un gruppo
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - level
+ *             properties:
+ *               name:
+ *                 type: string
+ *               level:
+ *                 type: string
+ *                 enum: [ALL, OPEN, ADVANCED, DEEP]
+ *                 example: OPEN
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Gruppo creato
+ *       409:
+ *         description: Nome gruppo già esistente
+ *       500:
+ *         description: Errore server
+ */
+router.post('/groups', async (req, res) => {
+  const { name, level, description } = req.body;
+
+  if(!name || name.trim() === '') {
+    return res.status(400).json({
+      message: 'Il nome del gruppo è obbligatorio',
+      field: 'name',
+    });
+  }
+
+  if(!level || level.trim() === '') {
+    return res.status(400).json({
+      message: 'Il livello del gruppo è obbligatorio',
+      field: 'name',
+    });
+  }
+
+  try {
+    const group = await prisma.group.create({
+      data: {
+        name,
+        level,
+        description,
+      },
+    });
+
+    res.status(201).json(group);
+  } catch (error) {
+
+    // UNIQUE constraint (name)
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        message: `Il gruppo "${name}" esiste già`,
+        field: 'name',
+      });
+    }
+
+    res.status(500).json({
+      message: 'Errore durante la creazione del gruppo',
+    });
+  }
+});
+
+
+/* ================================
+   UPDATE GROUP
+================================ */
+/**
+ * @swagger
+ * /admin/groups/{id}:
+ *   put:
+ *     summary: Aggiorna un gruppo
+ *     description: >
+ *       Aggiorna il nome e/o la descrizione di un gruppo esistente.
+ *       Accessibile solo agli amministratori.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: ID del gruppo
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               level:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Gruppo aggiornato con successo
+ *       404:
+ *         description: Gruppo non trovato
+ *       500:
+ *         description: Errore server
+ */
+router.put('/groups/:id', async (req, res) => {
+  const groupId = Number(req.params.id);
+
+  if(!req.body.name || req.body.name.trim() === '') {
+    return res.status(400).json({
+      message: 'Il nome del gruppo è obbligatorio',
+      field: 'name',
+    });
+  }
+
+  if(!req.body.level || req.body.level.trim() === '') {
+    return res.status(400).json({
+      message: 'Il livello del gruppo è obbligatorio',
+      field: 'level',
+    });
+  }
+
+  try {
+    const group = await prisma.group.update({
+      where: { id: groupId },
+      data: req.body,
+    });
+
+    res.status(200).json(group);
+  } catch (error) {
+    console.error('Admin update group error:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Gruppo non trovato' });
+    }
+
+    res.status(500).json({ message: 'Errore durante aggiornamento gruppo' });
+  }
+});
+
+/* ================================
+   DELETE GROUP (CHECK ASSOCIATIONS)
+================================ */
+/**
+ * @swagger
+ * /admin/groups/{id}:
+ *   delete:
+ *     summary: Elimina un gruppo (con controllo utenti associati)
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: number
+ *     responses:
+ *       204:
+ *         description: Gruppo eliminato
+ *       409:
+ *         description: Gruppo con utenti associati
+ *       404:
+ *         description: Gruppo non trovato
+ */
+router.delete('/groups/:id', async (req, res) => {
+  const groupId = Number(req.params.id);
+
+  try {
+    const assignments = await prisma.userGroup.findMany({
+      where: { groupId },
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+            firstName: true,
+            lastName: true,
+          },
+        },
+      },
+    });
+
+    if (assignments.length > 0) {
+      return res.status(409).json({
+        message: 'Il gruppo ha utenti associati',
+        users: assignments.map(a => a.user),
+        total: assignments.length,
+      });
+    }
+
+    await prisma.group.delete({
+      where: { id: groupId },
+    });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Admin delete group error:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Gruppo non trovato' });
+    }
+
+    res.status(500).json({ message: 'Errore eliminazione gruppo' });
+  }
+});
+
+/* ================================
+   FORCE DELETE GROUP
+================================ */
+/**
+ * @swagger
+ * /admin/groups/{id}/force:
+ *   delete:
+ *     summary: Elimina un gruppo e tutte le associazioni utenti
+ *     description: >
+ *       Elimina il gruppo e rimuove tutte le associazioni
+ *       utenti-gruppo collegate.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/groups/:id/force', async (req, res) => {
+  const groupId = Number(req.params.id);
+
+  try {
+    await prisma.$transaction([
+      prisma.userGroup.deleteMany({
+        where: { groupId },
+      }),
+      prisma.group.delete({
+        where: { id: groupId },
+      }),
+    ]);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Admin force delete group error:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Gruppo non trovato' });
+    }
+
+    res.status(500).json({ message: 'Errore eliminazione forzata gruppo' });
+  }
+});
+
+/* ================================
+   CREATE SUBSCRIPTION (ADMIN)
+================================ */
+/**
+ * @swagger
+ * /admin/subscriptions:
+ *   post:
+ *     summary: Crea una subscription per un utente
+ *     description: >
+ *       Crea una subscription e assegna l'utente a uno o più gruppi
+ *       per un determinato periodo di validità.
+ *       Con planId i campi non inviati vengono presi dal piano (fine = inizio + durata,
+ *       gruppi = quelli dei livelli inclusi); i campi inviati hanno la precedenza.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               planId:
+ *                 type: integer
+ *                 description: Piano del catalogo (se assente startDate, endDate, amount e groups sono obbligatori)
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               amount:
+ *                 type: number
+ *                 example: 120
+ *               ingressi:
+ *                 type: integer
+ *                 example: 32
+ *               groups:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *     responses:
+ *       201:
+ *         description: Subscription creata
+ *       400:
+ *         description: Dati non validi
+ *       404:
+ *         description: Piano non trovato
+ */
+router.post('/subscriptions', async (req, res) => {
+  const { userId, planId, startDate, endDate, amount, ingressi, groups } = req.body;
+
+  try {
+    // Uso dell'utility centralizzata per creare subscription e assegnare gruppi
+    const subscription = await createSubscriptionWithGroups({ userId, planId, startDate, endDate, amount, ingressi, groups, actorId: req.user.userId });
+
+    res.status(201).json(subscription);
+  } catch (error) {
+    console.error('Admin create subscription error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.message === 'Piano non trovato') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST SUBSCRIPTION FREEZES (ADMIN)
+================================ */
+/**
+ * @swagger
+ * /admin/subscriptions/{id}/freezes:
+ *   get:
+ *     summary: Sospensioni di una subscription
+ *     description: Storico delle sospensioni con limiti del piano e giorni già usati
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: maxFreezes, maxFreezeDays, usedFreezes, usedDays e freezes
+ *       404:
+ *         description: Subscription non trovata
+ */
+router.get('/subscriptions/:id/freezes', async (req, res) => {
+  try {
+    const result = await listSubscriptionFreezes(Number(req.params.id));
+
+    if (!result) {
+      return res.status(404).json({ message: 'Subscription non trovata' });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error('Admin list subscription freezes error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   FREEZE SUBSCRIPTION (ADMIN)
+================================ */
+/**
+ * @swagger
+ * /admin/subscriptions/{id}/freezes:
+ *   post:
+ *     summary: Sospende una subscription (infortunio, vacanza)
+ *     description: >
+ *       Nel periodo (date incluse) il membro non può prenotare; la scadenza della subscription
+ *       e la validità dei suoi gruppi slittano dei giorni sospesi. Numero di sospensioni e giorni
+ *       totali sono limitati dal piano (o dai default globali). Le prenotazioni nel periodo
+ *       vanno disdette prima di sospendere.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *               - reason
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2026-11-02
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2026-11-22
+ *               reason:
+ *                 type: string
+ *                 example: Otite, stop di tre settimane
+ *     responses:
+ *       201:
+ *         description: Sospensione registrata (freeze, subscription con la nuova scadenza)
+ *       400:
+ *         description: Dati non validi, subscription non attiva o limiti del piano superati
+ *       404:
+ *         description: Subscription non trovata
+ *       409:
+ *         description: Prenotazioni nel periodo di sospensione (bookings)
+ */
+router.post('/subscriptions/:id/freezes', async (req, res) => {
+  try {
+    const validated = validateSubscriptionFreezeBody(req.body);
+
+    const result = await freezeSubscription(Number(req.params.id), validated, {
+      actorId: req.user.userId
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: 'Subscription non trovata' });
+    }
+
+    if (!result.freeze) {
+      return res.status(409).json({
+        error: true,
+        message: 'Il membro ha prenotazioni nel periodo di sospensione',
+        bookings: result.bookings
+      });
+    }
+
+    res.status(201).json({ freeze: result.freeze, subscription: result.subscription });
+  } catch (error) {
+    console.error('Admin freeze subscription error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (
+      error.message === 'Solo le subscription attive possono essere sospese' ||
+      error.message === 'La sospensione deve iniziare entro la validità della subscription' ||
+      error.message === 'Il periodo si sovrappone a una sospensione esistente' ||
+      error.message.startsWith('Numero massimo di sospensioni') ||
+      error.message.startsWith('Giorni di sospensione oltre')
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST SUBSCRIPTION PLANS
+================================ */
+/**
+ * @swagger
+ * /admin/plans:
+ *   get:
+ *     summary: Elenca i piani di abbonamento
+ *     description: Catalogo completo (anche i piani disattivati) con il numero di subscription create
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista piani
+ */
+router.get('/plans', async (req, res) => {
+  try {
+    const plans = await prisma.subscriptionPlan.findMany({
+      include: { _count: { select: { subscriptions: true } } },
+      orderBy: [{ isActive: 'desc' }, { price: 'asc' }]
+    });
+
+    res.json(plans.map(({ _count, ...plan }) => ({
+      ...plan,
+      subscriptionsCount: _count.subscriptions
+    })));
+  } catch (err) {
+    console.error('Admin list plans error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   CREATE SUBSCRIPTION PLAN
+================================ */
+/**
+ * @swagger
+ * /admin/plans:
+ *   post:
+ *     summary: Crea un piano di abbonamento
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - price
+ *               - durationDays
+ *               - ingressi
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Mensile Open
+ *               description:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *                 example: 50
+ *               currency:
+ *                 type: string
+ *                 enum: [EUR, USD, GBP, CHF]
+ *                 default: EUR
+ *               durationDays:
+ *                 type: integer
+ *                 example: 30
+ *               ingressi:
+ *                 type: integer
+ *                 example: 8
+ *               groupLevels:
+ *                 type: array
+ *                 description: Livelli dei gruppi assegnati con la subscription
+ *                 items:
+ *                   type: string
+ *                   enum: [ALL, OPEN, ADVANCED, DEEP]
+ *               maxFreezes:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Sospensioni per subscription (null = default globale, 0 = nessuna)
+ *               maxFreezeDays:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Giorni totali di sospensione per subscription (null = default globale)
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Piano creato
+ *       400:
+ *         description: Dati non validi
+ *       409:
+ *         description: Nome già usato
+ */
+router.post('/plans', async (req, res) => {
+  try {
+    const validated = validatePlanBody(req.body);
+
+    const plan = await prisma.subscriptionPlan.create({ data: validated });
+
+    res.status(201).json(plan);
+  } catch (error) {
+    console.error('Admin create plan error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Esiste già un piano con questo nome', field: 'name' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   UPDATE SUBSCRIPTION PLAN
+================================ */
+/**
+ * @swagger
+ * /admin/plans/{id}:
+ *   put:
+ *     summary: Aggiorna un piano di abbonamento
+ *     description: >
+ *       Solo i campi inviati vengono modificati. Le subscription già create non cambiano;
+ *       isActive false toglie il piano dalla registrazione.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Piano aggiornato
+ *       400:
+ *         description: Dati non validi
+ *       404:
+ *         description: Piano non trovato
+ *       409:
+ *         description: Nome già usato
+ */
+router.put('/plans/:id', async (req, res) => {
+  try {
+    const validated = validatePlanPutBody(req.body);
+
+    const plan = await prisma.subscriptionPlan.update({
+      where: { id: Number(req.params.id) },
+      data: validated
+    });
+
+    res.json(plan);
+  } catch (error) {
+    console.error('Admin update plan error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Esiste già un piano con questo nome', field: 'name' });
+    }
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Piano non trovato' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   DELETE SUBSCRIPTION PLAN
+================================ */
+/**
+ * @swagger
+ * /admin/plans/{id}:
+ *   delete:
+ *     summary: Elimina un piano di abbonamento
+ *     description: Possibile solo se nessuna subscription è stata creata dal piano (altrimenti disattivarlo)
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Piano eliminato
+ *       404:
+ *         description: Piano non trovato
+ *       409:
+ *         description: Piano usato da delle subscription
+ */
+router.delete('/plans/:id', async (req, res) => {
+  const planId = Number(req.params.id);
+
+  try {
+    const subscriptionsCount = await prisma.subscription.count({ where: { planId } });
+
+    if (subscriptionsCount > 0) {
+      return res.status(409).json({
+        message: 'Il piano è usato da delle subscription: disattivalo invece di eliminarlo',
+        total: subscriptionsCount
+      });
+    }
+
+    await prisma.subscriptionPlan.delete({ where: { id: planId } });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Admin delete plan error:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Piano non trovato' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST TOP-UP PACKS
+================================ */
+/**
+ * @swagger
+ * /admin/top-up-packs:
+ *   get:
+ *     summary: Elenca i pacchetti di ingressi
+ *     description: Catalogo completo (anche i pacchetti disattivati) con il numero di acquisti
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista pacchetti
+ */
+router.get('/top-up-packs', async (req, res) => {
+  try {
+    const packs = await prisma.topUpPack.findMany({
+      include: { _count: { select: { purchases: true } } },
+      orderBy: [{ isActive: 'desc' }, { ingressi: 'asc' }]
+    });
+
+    res.json(packs.map(({ _count, ...pack }) => ({
+      ...pack,
+      purchasesCount: _count.purchases
+    })));
+  } catch (err) {
+    console.error('Admin list top-up packs error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   CREATE TOP-UP PACK
+================================ */
+/**
+ * @swagger
+ * /admin/top-up-packs:
+ *   post:
+ *     summary: Crea un pacchetto di ingressi
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - ingressi
+ *               - price
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Pacchetto 5 ingressi
+ *               ingressi:
+ *                 type: integer
+ *                 example: 5
+ *               price:
+ *                 type: number
+ *                 example: 40
+ *               currency:
+ *                 type: string
+ *                 enum: [EUR, USD, GBP, CHF]
+ *                 default: EUR
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Pacchetto creato
+ *       400:
+ *         description: Dati non validi
+ *       409:
+ *         description: Nome già usato
+ */
+router.post('/top-up-packs', async (req, res) => {
+  try {
+    const validated = validateTopUpPackBody(req.body);
+
+    const pack = await prisma.topUpPack.create({ data: validated });
+
+    res.status(201).json(pack);
+  } catch (error) {
+    console.error('Admin create top-up pack error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Esiste già un pacchetto con questo nome', field: 'name' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   UPDATE TOP-UP PACK
+================================ */
+/**
+ * @swagger
+ * /admin/top-up-packs/{id}:
+ *   put:
+ *     summary: Aggiorna un pacchetto di ingressi
+ *     description: >
+ *       Solo i campi inviati vengono modificati. Gli acquisti già avviati mantengono
+ *       prezzo e ingressi originali; isActive false toglie il pacchetto dalla vendita.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Pacchetto aggiornato
+ *       400:
+ *         description: Dati non validi
+ *       404:
+ *         description: Pacchetto non trovato
+ *       409:
+ *         description: Nome già usato
+ */
+router.put('/top-up-packs/:id', async (req, res) => {
+  try {
+    const validated = validateTopUpPackPutBody(req.body);
+
+    const pack = await prisma.topUpPack.update({
+      where: { id: Number(req.params.id) },
+      data: validated
+    });
+
+    res.json(pack);
+  } catch (error) {
+    console.error('Admin update top-up pack error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Esiste già un pacchetto con questo nome', field: 'name' });
+    }
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Pacchetto non trovato' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   DELETE TOP-UP PACK
+================================ */
+/**
+ * @swagger
+ * /admin/top-up-packs/{id}:
+ *   delete:
+ *     summary: Elimina un pacchetto di ingressi
+ *     description: Possibile solo se il pacchetto non è mai stato acquistato (altrimenti disattivarlo)
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Pacchetto eliminato
+ *       404:
+ *         description: Pacchetto non trovato
+ *       409:
+ *         description: Pacchetto già acquistato
+ */
+router.delete('/top-up-packs/:id', async (req, res) => {
+  const packId = Number(req.params.id);
+
+  try {
+    const purchasesCount = await prisma.topUpPurchase.count({ where: { packId } });
+
+    if (purchasesCount > 0) {
+      return res.status(409).json({
+        message: 'Il pacchetto è già stato acquistato: disattivalo invece di eliminarlo',
+        total: purchasesCount
+      });
+    }
+
+    await prisma.topUpPack.delete({ where: { id: packId } });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Admin delete top-up pack error:', error);
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Pacchetto non trovato' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST TOP-UP PURCHASES
+================================ */
+/**
+ * @swagger
+ * /admin/top-ups:
+ *   get:
+ *     summary: Elenca gli acquisti di pacchetti di ingressi
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, PAID, CANCELLED]
+ *     responses:
+ *       200:
+ *         description: Lista acquisti, dal più recente
+ *       400:
+ *         description: Stato non valido
+ */
+router.get('/top-ups', async (req, res) => {
+  try {
+    const { userId, status } = req.query;
+
+    if (status && !Object.values(TopUpStatus).includes(status)) {
+      return res.status(400).json({ message: 'Stato non valido' });
+    }
+
+    const purchases = await listTopUpPurchases({ userId, status });
+
+    res.json(purchases);
+  } catch (err) {
+    console.error('Admin list top-ups error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST PAYMENTS
+================================ */
+/**
+ * @swagger
+ * /admin/payments:
+ *   get:
+ *     summary: Elenca i pagamenti
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, SUCCEEDED, FAILED, CANCELLED, REFUNDED]
+ *       - in: query
+ *         name: purpose
+ *         schema:
+ *           type: string
+ *           enum: [SUBSCRIPTION, TOP_UP]
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Pagamenti paginati, dal più recente
+ *       400:
+ *         description: Parametri non validi
+ */
+router.get('/payments', async (req, res) => {
+  try {
+    const { status, purpose, provider, userId } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 50, 1), 200);
+
+    if (status && !Object.values(PaymentStatus).includes(status)) {
+      return res.status(400).json({ message: 'Stato non valido' });
+    }
+
+    if (purpose && !Object.values(PaymentPurpose).includes(purpose)) {
+      return res.status(400).json({ message: 'Causale non valida' });
+    }
+
+    const where = {
+      ...(status ? { status } : {}),
+      ...(purpose ? { purpose } : {}),
+      ...(provider ? { provider } : {}),
+      ...(userId ? { userId } : {})
+    };
+
+    const [items, total] = await prisma.$transaction([
+      prisma.payment.findMany({
+        where,
+        include: { user: { select: { id: true, email: true, firstName: true, lastName: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      }),
+      prisma.payment.count({ where })
+    ]);
+
+    res.json({ items, total, page, pageSize });
+  } catch (err) {
+    console.error('Admin list payments error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET PAYMENT
+================================ */
+/**
+ * @swagger
+ * /admin/payments/{id}:
+ *   get:
+ *     summary: Dettaglio di un pagamento
+ *     description: Storico degli stati e webhook ricevuti dal provider
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Pagamento con statusHistory e webhookEvents
+ *       404:
+ *         description: Pagamento non trovato
+ */
+router.get('/payments/:id', async (req, res) => {
+  try {
+    const payment = await prisma.payment.findUnique({
+      where: { id: Number(req.params.id) || 0 },
+      include: {
+        user: { select: { id: true, email: true, firstName: true, lastName: true } },
+        topUpPurchase: { include: { pack: { select: { id: true, name: true } } } },
+        statusHistory: {
+          include: { actor: { select: { id: true, email: true } } },
+          orderBy: { createdAt: 'asc' }
+        },
+        webhookEvents: {
+          select: { id: true, eventId: true, type: true, processedAt: true, error: true, receivedAt: true },
+          orderBy: { receivedAt: 'asc' }
+        }
+      }
+    });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Pagamento non trovato' });
+    }
+
+    res.json(payment);
+  } catch (err) {
+    console.error('Admin get payment error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   REFUND PAYMENT
+================================ */
+/**
+ * @swagger
+ * /admin/payments/{id}/refund:
+ *   post:
+ *     summary: Rimborsa un pagamento
+ *     description: >
+ *       Rimborso completo presso il provider. Una subscription rimborsata viene annullata
+ *       (ingressi azzerati, gruppi disattivati); gli ingressi di un pacchetto vengono stornati
+ *       (rifiutato se già utilizzati).
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Pagamento rimborsato
+ *       400:
+ *         description: Dati non validi o provider non configurato
+ *       404:
+ *         description: Pagamento non trovato
+ *       409:
+ *         description: Pagamento non rimborsabile o ingressi del pacchetto già utilizzati
+ *       502:
+ *         description: Rimborso rifiutato dal provider
+ */
+router.post('/payments/:id/refund', async (req, res) => {
+  try {
+    const { note } = validatePaymentRefundBody(req.body);
+
+    const payment = await refundPayment(Number(req.params.id) || 0, { actorId: req.user.userId, note });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Pagamento non trovato' });
+    }
+
+    res.json(payment);
+  } catch (error) {
+    console.error('Admin refund payment error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.message.startsWith('Provider ')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (
+      error.message === 'Solo i pagamenti riusciti possono essere rimborsati' ||
+      error.message === 'Ingressi del pacchetto già utilizzati'
+    ) {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Stripe:') || error.message.startsWith('PayPal:')) {
+      return res.status(502).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   SYNC PAYMENT
+================================ */
+/**
+ * @swagger
+ * /admin/payments/{id}/sync:
+ *   post:
+ *     summary: Verifica lo stato di un pagamento presso il provider
+ *     description: Applica lo stato del provider se i webhook non sono arrivati (changed false se invariato)
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Pagamento e flag changed
+ *       400:
+ *         description: Pagamento senza checkout o provider non configurato
+ *       404:
+ *         description: Pagamento non trovato
+ *       502:
+ *         description: Provider non raggiungibile
+ */
+router.post('/payments/:id/sync', async (req, res) => {
+  try {
+    const result = await syncPayment(Number(req.params.id) || 0, { actorId: req.user.userId });
+
+    if (!result) {
+      return res.status(404).json({ message: 'Pagamento non trovato' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Admin sync payment error:', error);
+
+    if (error.message.startsWith('Provider ') || error.message === 'Pagamento senza checkout presso il provider') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.message.startsWith('Stripe:') || error.message.startsWith('PayPal:')) {
+      return res.status(502).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET ALL EVENT CATEGORIES
+================================ */
+/**
+ * @swagger
+ * /admin/event-categories:
+ *   get:
+ *     summary: Recupera tutte le categorie di eventi
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista delle categorie
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     example: 1
+ *                   code:
+ *                     type: string
+ *                     example: 'COURSE_OPEN'
+ *                   label:
+ *                     type: string
+ *                     example: 'Corso Open'
+ *       500:
+ *         description: Errore server
+ */
+router.get('/event-categories', async (req, res) => {
+  try {
+    const categories = await prisma.eventCategory.findMany({
+      orderBy: { id: 'asc' }  // opzionale, ordina per id
+    });
+    res.json(categories);
+  } catch (err) {
+    console.error('Errore recupero EventCategory:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET BOOKING RULES (CUTOFF)
+================================ */
+/**
+ * @swagger
+ * /admin/booking-rules:
+ *   get:
+ *     summary: Recupera le regole di chiusura prenotazioni/disdette
+ *     description: >
+ *       Restituisce il default globale e, per ogni categoria evento,
+ *       i valori impostati (null = default) e quelli effettivamente applicati.
+ *       I valori sono in minuti prima dell'inizio evento (data + startTime).
+ *       maxParticipantsPerInstructor limita i posti prenotabili in base agli istruttori assegnati (0 = nessun limite).
+ *       requiresMedicalCertificate indica se la categoria richiede un certificato medico valido.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Regole di chiusura
+ *       500:
+ *         description: Errore server
+ */
+router.get('/booking-rules', async (req, res) => {
+  try {
+    const defaults = {
+      ...await getEventCutoffs(null),
+      maxParticipantsPerInstructor: await getInstructorRatio(null)
+    };
+
+    const categories = await prisma.eventCategory.findMany({
+      orderBy: { id: 'asc' }
+    });
+
+    const formattedCategories = await Promise.all(
+      categories.map(async (category) => ({
+        id: category.id,
+        code: category.code,
+        label: category.label,
+        bookCutoffMinutes: category.bookCutoffMinutes,
+        cancelCutoffMinutes: category.cancelCutoffMinutes,
+        maxParticipantsPerInstructor: category.maxParticipantsPerInstructor,
+        requiresMedicalCertificate: category.requiresMedicalCertificate,
+        effective: {
+          ...await getEventCutoffs(category),
+          maxParticipantsPerInstructor: await getInstructorRatio(category)
+        }
+      }))
+    );
+
+    res.json({ default: defaults, categories: formattedCategories });
+  } catch (err) {
+    console.error('Errore recupero regole di chiusura:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   UPDATE DEFAULT BOOKING RULES
+================================ */
+/**
+ * @swagger
+ * /admin/booking-rules/default:
+ *   put:
+ *     summary: Aggiorna le chiusure prenotazioni/disdette di default
+ *     description: Valori applicati alle categorie che non ne definiscono di proprie
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               bookCutoffMinutes:
+ *                 type: integer
+ *                 example: 120
+ *               cancelCutoffMinutes:
+ *                 type: integer
+ *                 example: 120
+ *               maxParticipantsPerInstructor:
+ *                 type: integer
+ *                 description: Partecipanti ammessi per istruttore assegnato (0 = nessun limite)
+ *                 example: 4
+ *     responses:
+ *       200:
+ *         description: Default aggiornato
+ *       400:
+ *         description: Dati non validi
+ */
+router.put('/booking-rules/default', async (req, res) => {
+  try {
+    const validated = validateBookingRulesDefaultBody(req.body);
+
+    if (validated.bookCutoffMinutes !== undefined) {
+      await setSetting('booking.bookCutoffMinutes', validated.bookCutoffMinutes);
+    }
+
+    if (validated.cancelCutoffMinutes !== undefined) {
+      await setSetting('booking.cancelCutoffMinutes', validated.cancelCutoffMinutes);
+    }
+
+    if (validated.maxParticipantsPerInstructor !== undefined) {
+      await setSetting('instructor.maxParticipantsPerInstructor', validated.maxParticipantsPerInstructor);
+    }
+
+    res.json({
+      ...await getEventCutoffs(null),
+      maxParticipantsPerInstructor: await getInstructorRatio(null)
+    });
+  } catch (error) {
+    console.error('Admin update default booking rules error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   UPDATE CATEGORY BOOKING RULES
+================================ */
+/**
+ * @swagger
+ * /admin/event-categories/{id}/booking-rules:
+ *   put:
+ *     summary: Aggiorna le regole di prenotazione di una categoria
+ *     description: >
+ *       Chiusure prenotazioni/disdette e partecipanti per istruttore: passare null per tornare al default globale.
+ *       requiresMedicalCertificate false rende la categoria prenotabile senza certificato medico.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               bookCutoffMinutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 2880
+ *               cancelCutoffMinutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 2880
+ *               maxParticipantsPerInstructor:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 4
+ *               requiresMedicalCertificate:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Categoria aggiornata
+ *       400:
+ *         description: Dati non validi
+ *       404:
+ *         description: Categoria non trovata
+ */
+router.put('/event-categories/:id/booking-rules', async (req, res) => {
+  try {
+    const validated = validateCategoryBookingRulesBody(req.body);
+
+    const category = await prisma.eventCategory.update({
+      where: { id: Number(req.params.id) },
+      data: validated
+    });
+
+    res.json({
+      ...category,
+      effective: {
+        ...await getEventCutoffs(category),
+        maxParticipantsPerInstructor: await getInstructorRatio(category)
+      }
+    });
+  } catch (error) {
+    console.error('Admin update category booking rules error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Categoria non trovata' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET USER INGRESSI LEDGER
+================================ */
+/**
+ * @swagger
+ * /admin/users/{id}/ingressi:
+ *   get:
+ *     summary: Registro movimenti ingressi di un utente
+ *     description: >
+ *       Subscription dell'utente con contatore e saldo ricavato dal ledger,
+ *       più i movimenti paginati (dal più recente).
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subscriptionId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Subscription e movimenti
+ *       404:
+ *         description: Utente non trovato
+ */
+router.get('/users/:id/ingressi', async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const subscriptionId = req.query.subscriptionId ? Number(req.query.subscriptionId) : undefined;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 50, 1), 200);
+
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) return res.status(404).json({ message: 'Utente non trovato' });
+
+    const subscriptions = await prisma.subscription.findMany({
+      where: { userId },
+      orderBy: { startDate: 'desc' }
+    });
+    const balances = await getLedgerBalances(subscriptions.map(sub => sub.id));
+
+    const where = { userId, ...(subscriptionId ? { subscriptionId } : {}) };
+
+    const [entries, total] = await prisma.$transaction([
+      prisma.ingressiLedgerEntry.findMany({
+        where,
+        include: { actor: { select: { id: true, email: true, firstName: true, lastName: true } } },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      }),
+      prisma.ingressiLedgerEntry.count({ where })
+    ]);
+
+    res.json({
+      subscriptions: subscriptions.map(sub => ({
+        id: sub.id,
+        status: sub.status,
+        startDate: sub.startDate,
+        endDate: sub.endDate,
+        ingressi: sub.ingressi,
+        ledgerBalance: balances.get(sub.id) ?? 0
+      })),
+      entries,
+      total,
+      page,
+      pageSize
+    });
+  } catch (err) {
+    console.error('Admin get ingressi ledger error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   ADJUST USER INGRESSI
+================================ */
+/**
+ * @swagger
+ * /admin/users/{id}/ingressi/adjustments:
+ *   post:
+ *     summary: Rettifica manuale degli ingressi
+ *     description: >
+ *       Registra un movimento ADMIN_ADJUSTMENT con motivo obbligatorio.
+ *       Senza subscriptionId viene usata la subscription attiva dell'utente.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - delta
+ *               - reason
+ *             properties:
+ *               delta:
+ *                 type: integer
+ *                 example: 2
+ *               reason:
+ *                 type: string
+ *                 example: Ingressi omaggio per evento annullato
+ *               subscriptionId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Movimento registrato
+ *       400:
+ *         description: Dati non validi o saldo negativo
+ *       404:
+ *         description: Subscription non trovata
+ */
+router.post('/users/:id/ingressi/adjustments', async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { delta, reason, subscriptionId } = validateIngressiAdjustmentBody(req.body);
+
+    const subscription = await prisma.subscription.findFirst({
+      where: subscriptionId
+        ? { id: subscriptionId, userId }
+        : { userId, status: SubscriptionStatus.ACTIVE },
+      orderBy: { endDate: 'desc' }
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ message: 'Subscription non trovata' });
+    }
+
+    const entry = await prisma.$transaction(tx =>
+      applyIngressiChange(tx, {
+        subscriptionId: subscription.id,
+        delta,
+        reason: IngressiReason.ADMIN_ADJUSTMENT,
+        actorId: req.user.userId,
+        note: reason
+      })
+    );
+
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Admin adjust ingressi error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.message === 'Ingressi insufficienti') {
+      return res.status(400).json({ message: 'Il saldo ingressi non può diventare negativo' });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   INGRESSI CONSISTENCY CHECK
+================================ */
+/**
+ * @swagger
+ * /admin/ingressi/consistency:
+ *   get:
+ *     summary: Subscription con contatore ingressi diverso dal ledger
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Elenco discrepanze (counter, ledgerBalance, difference)
+ */
+router.get('/ingressi/consistency', async (req, res) => {
+  try {
+    const mismatches = await findIngressiMismatches({ userId: req.query.userId });
+    res.json({ count: mismatches.length, mismatches });
+  } catch (err) {
+    console.error('Admin ingressi consistency error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   INGRESSI RECONCILE
+================================ */
+/**
+ * @swagger
+ * /admin/ingressi/reconcile:
+ *   post:
+ *     summary: Riallinea i contatori ingressi al ledger
+ *     description: >
+ *       Il ledger fa fede: il contatore delle subscription indicate
+ *       (o di tutte quelle discrepanti) viene impostato al saldo del ledger.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subscriptionIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Subscription riallineate
+ */
+router.post('/ingressi/reconcile', async (req, res) => {
+  try {
+    const { subscriptionIds } = req.body ?? {};
+
+    if (subscriptionIds !== undefined && (!Array.isArray(subscriptionIds) || subscriptionIds.some(id => !Number.isInteger(id)))) {
+      return res.status(400).json({ message: 'subscriptionIds non valido' });
+    }
+
+    const ids = subscriptionIds ?? (await findIngressiMismatches()).map(row => row.subscriptionId);
+
+    const reconciled = [];
+    for (const id of ids) {
+      const result = await reconcileSubscription(id);
+      if (result && result.previous !== result.ingressi) reconciled.push(result);
+    }
+
+    res.json({ count: reconciled.length, reconciled });
+  } catch (err) {
+    console.error('Admin ingressi reconcile error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   EXPIRING MEDICAL CERTIFICATES
+================================ */
+/**
+ * @swagger
+ * /admin/medical-certificates/expiring:
+ *   get:
+ *     summary: Membri con certificato medico in scadenza
+ *     description: >
+ *       Membri attivi (ruolo USER) il cui certificato scade entro N giorni.
+ *       Per default include anche i certificati già scaduti.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: includeExpired
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *       - in: query
+ *         name: includeMissing
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Elenco membri (daysLeft, status EXPIRING | EXPIRED | MISSING)
+ *       400:
+ *         description: days non valido
+ */
+router.get('/medical-certificates/expiring', async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      return res.status(400).json({ message: 'days non valido' });
+    }
+
+    const [users, gracePeriodDays] = await Promise.all([
+      findExpiringCertificates({
+        days,
+        includeExpired: req.query.includeExpired !== 'false',
+        includeMissing: req.query.includeMissing === 'true'
+      }),
+      getSetting('medical.gracePeriodDays')
+    ]);
+
+    res.json({ days, gracePeriodDays, count: users.length, users });
+  } catch (err) {
+    console.error('Admin expiring certificates error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   MEDICAL CERTIFICATE SETTINGS
+================================ */
+/**
+ * @swagger
+ * /admin/medical-certificates/settings:
+ *   put:
+ *     summary: Imposta i giorni di tolleranza dopo la scadenza del certificato
+ *     description: Per questi giorni dopo la scadenza le prenotazioni sono ancora accettate
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - gracePeriodDays
+ *             properties:
+ *               gracePeriodDays:
+ *                 type: integer
+ *                 example: 7
+ *     responses:
+ *       200:
+ *         description: Impostazione aggiornata
+ *       400:
+ *         description: Dati non validi
+ */
+router.put('/medical-certificates/settings', async (req, res) => {
+  try {
+    const { gracePeriodDays } = validateMedicalCertificateSettingsBody(req.body);
+
+    await setSetting('medical.gracePeriodDays', gracePeriodDays);
+
+    res.json({ gracePeriodDays });
+  } catch (error) {
+    console.error('Admin medical certificate settings error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   MEDICAL CERTIFICATES REVIEW QUEUE
+================================ */
+/**
+ * @swagger
+ * /admin/medical-certificates:
+ *   get:
+ *     summary: Coda di revisione dei certificati medici caricati
+ *     description: >
+ *       Per default i certificati in attesa, dal più vecchio.
+ *       Con status APPROVED o REJECTED restituisce quelli revisionati, dal più recente.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, APPROVED, REJECTED]
+ *           default: PENDING
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Certificati paginati
+ *       400:
+ *         description: status non valido
+ */
+router.get('/medical-certificates', async (req, res) => {
+  try {
+    const { status = MedicalCertificateStatus.PENDING } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 20, 1), 100);
+
+    if (!Object.values(MedicalCertificateStatus).includes(status)) {
+      return res.status(400).json({ message: 'status non valido' });
+    }
+
+    const { items, total } = await listCertificatesForReview({ status, page, pageSize });
+
+    res.json({ items, total, page, pageSize });
+  } catch (err) {
+    console.error('Admin medical certificates error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   DOWNLOAD MEDICAL CERTIFICATE
+================================ */
+/**
+ * @swagger
+ * /admin/medical-certificates/{id}/file:
+ *   get:
+ *     summary: Scarica il file di un certificato medico
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: File del certificato
+ *       404:
+ *         description: Certificato non trovato
+ */
+router.get('/medical-certificates/:id/file', async (req, res) => {
+  try {
+    const result = await getCertificateFile(Number(req.params.id));
+
+    if (!result) {
+      return res.status(404).json({ message: 'Certificato non trovato' });
+    }
+
+    res.set('Content-Type', result.certificate.mimeType);
+    res.attachment(result.certificate.fileName);
+    res.send(result.buffer);
+  } catch (err) {
+    console.error('Admin medical certificate download error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   APPROVE MEDICAL CERTIFICATE
+================================ */
+/**
+ * @swagger
+ * /admin/medical-certificates/{id}/approve:
+ *   post:
+ *     summary: Approva un certificato medico in attesa
+ *     description: >
+ *       Aggiorna la scadenza del certificato dell'utente.
+ *       Senza expiryDate viene usata la scadenza dichiarata dal membro al caricamento.
+ *       Il membro riceve una email con l'esito.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *                 example: '2027-10-18'
+ *     responses:
+ *       200:
+ *         description: Certificato approvato
+ *       400:
+ *         description: Scadenza mancante o non valida
+ *       404:
+ *         description: Certificato non trovato
+ *       409:
+ *         description: Certificato già revisionato
+ */
+router.post('/medical-certificates/:id/approve', async (req, res) => {
+  try {
+    const { expiryDate } = validateMedicalCertificateApproveBody(req.body);
+
+    const certificate = await approveMedicalCertificate(Number(req.params.id), {
+      expiryDate: expiryDate ?? null,
+      reviewerId: req.user.userId
+    });
+
+    if (!certificate) {
+      return res.status(404).json({ message: 'Certificato non trovato' });
+    }
+
+    res.json(certificate);
+  } catch (error) {
+    console.error('Admin approve medical certificate error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.message === 'Certificato già revisionato') {
+      return res.status(409).json({ message: error.message });
+    }
+
+    if (['Indica la data di scadenza del certificato', 'Il certificato medico è scaduto'].includes(error.message)) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   REJECT MEDICAL CERTIFICATE
+================================ */
+/**
+ * @swagger
+ * /admin/medical-certificates/{id}/reject:
+ *   post:
+ *     summary: Rifiuta un certificato medico in attesa
+ *     description: La scadenza dell'utente resta invariata; il membro riceve il motivo via email
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: 'Documento illeggibile'
+ *     responses:
+ *       200:
+ *         description: Certificato rifiutato
+ *       400:
+ *         description: Motivo mancante
+ *       404:
+ *         description: Certificato non trovato
+ *       409:
+ *         description: Certificato già revisionato
+ */
+router.post('/medical-certificates/:id/reject', async (req, res) => {
+  try {
+    const { reason } = validateMedicalCertificateRejectBody(req.body);
+
+    const certificate = await rejectMedicalCertificate(Number(req.params.id), {
+      reason,
+      reviewerId: req.user.userId
+    });
+
+    if (!certificate) {
+      return res.status(404).json({ message: 'Certificato non trovato' });
+    }
+
+    res.json(certificate);
+  } catch (error) {
+    console.error('Admin reject medical certificate error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.message === 'Certificato già revisionato') {
+      return res.status(409).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   USER MEDICAL CERTIFICATES HISTORY
+================================ */
+/**
+ * @swagger
+ * /admin/users/{id}/medical-certificates:
+ *   get:
+ *     summary: Storico dei certificati medici di un utente
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scadenza corrente e storico certificati
+ *       404:
+ *         description: Utente non trovato
+ */
+router.get('/users/:id/medical-certificates', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, email: true, firstName: true, lastName: true, medicalCertificateExpiryDate: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'Utente non trovato' });
+    }
+
+    const certificates = await listUserCertificates(user.id);
+
+    res.json({ user, certificates });
+  } catch (err) {
+    console.error('Admin user medical certificates error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   USER ATTENDANCE SUMMARY
+================================ */
+/**
+ * @swagger
+ * /admin/users/{id}/attendance:
+ *   get:
+ *     summary: Presenze e assenze di un utente
+ *     description: >
+ *       Contatori per stato, assenze nella finestra del blocco, stato del blocco
+ *       e ultime presenze registrate.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Riepilogo presenze
+ *       404:
+ *         description: Utente non trovato
+ */
+router.get('/users/:id/attendance', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, email: true, firstName: true, lastName: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'Utente non trovato' });
+    }
+
+    const [summary, history] = await Promise.all([
+      getAttendanceSummary(user.id),
+      prisma.eventSignup.findMany({
+        where: { userId: user.id, attendanceStatus: { not: null } },
+        include: { event: { select: { id: true, title: true, date: true, startTime: true } } },
+        orderBy: { event: { date: 'desc' } },
+        take: 50
+      })
+    ]);
+
+    res.json({
+      user,
+      ...summary,
+      history: history.map(signup => ({
+        event: signup.event,
+        attendanceStatus: signup.attendanceStatus,
+        attendanceMarkedAt: signup.attendanceMarkedAt
+      }))
+    });
+  } catch (err) {
+    console.error('Admin user attendance error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   NO-SHOW POLICY SETTINGS
+================================ */
+/**
+ * @swagger
+ * /admin/attendance/settings:
+ *   get:
+ *     summary: Regole di blocco prenotazioni per assenze ripetute
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Regole correnti (noShowThreshold 0 = blocco disattivato)
+ */
+router.get('/attendance/settings', async (req, res) => {
+  try {
+    res.json(await getNoShowPolicy());
+  } catch (err) {
+    console.error('Admin attendance settings error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/attendance/settings:
+ *   put:
+ *     summary: Aggiorna le regole di blocco per assenze ripetute
+ *     description: >
+ *       Con almeno noShowThreshold assenze negli ultimi noShowWindowDays giorni
+ *       le prenotazioni sono bloccate per noShowBlockDays giorni dall'ultima assenza.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               noShowThreshold:
+ *                 type: integer
+ *                 example: 3
+ *               noShowWindowDays:
+ *                 type: integer
+ *                 example: 60
+ *               noShowBlockDays:
+ *                 type: integer
+ *                 example: 14
+ *               countLateCancel:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Regole aggiornate
+ *       400:
+ *         description: Dati non validi
+ */
+router.put('/attendance/settings', async (req, res) => {
+  try {
+    const data = validateAttendanceSettingsBody(req.body);
+
+    for (const [key, value] of Object.entries(data)) {
+      await setSetting(`attendance.${key}`, value);
+    }
+
+    res.json(await getNoShowPolicy());
+  } catch (error) {
+    console.error('Admin attendance settings error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
     res.status(500).json({ message: 'Errore server' });
   }
 });
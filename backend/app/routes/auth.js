@@ -1,14 +1,66 @@
 require('dotenv').config();
 const express = require('express');
 const prisma = require('../prisma');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
-const { comparePassword } = require('../utils/password');
-const { generateAccessToken, generateRefreshToken } = require('../utils/token');
-const { createPayment, confirmPayment } = require('../utils/payment');
+const { ZodError } = require('zod');
+const { comparePassword, hashPassword } = require('../utils/password');
+const { generateAccessToken, generateChallengeToken, verifyChallengeToken, generateOpaqueToken, hashToken } = require('../utils/token');
+const { createSession, rotateSession, revokeSession, revokeSessionByToken, revokeUserSessions, setRefreshCookie, clearRefreshCookie } = require('../utils/session');
+const { createSubscriptionPayment } = require('../utils/payment');
+const { listEnabledProviders } = require('../utils/paymentProviders');
+const { validatePasswordResetBody } = require('../utils/zodValidate');
+const { sendPasswordResetEmail } = require('../utils/notifications');
+const { checkIpThrottle, getAccountThrottle, getEmailThrottle, registerLoginFailure, registerLoginSuccess, recordLoginAttempt } = require('../utils/loginGuard');
+const { issueEmailVerification, canResendEmailVerification, consumeEmailVerification } = require('../utils/emailVerification');
+const { TWO_FACTOR_ROLES, isTwoFactorRequired, startTwoFactorSetup, verifyTotpCode, generateRecoveryCodes, consumeRecoveryCode, countRemainingRecoveryCodes, disableTwoFactor } = require('../utils/twoFactor');
+const { verifyToken } = require('../core/middleware');
+const { createSubscriptionWithGroupsInTransaction } = require('../utils/subscription');
+const { publicPlanSelect, listPlans } = require('../utils/plans');
 
 const router = express.Router();
-const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || "";
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+
+// Hash di confronto per email inesistenti (tempi di risposta uniformi)
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('bluedream-dummy-password', 10);
+
+/**
+ * Chiude un login riuscito: azzera i tentativi falliti, registra l'accesso,
+ * apre la sessione del dispositivo e risponde con access token e cookie di refresh
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} user
+ * @param {Object} [extra] - campi aggiuntivi della risposta
+ */
+const completeLogin = async (req, res, user, extra = {}) => {
+  await registerLoginSuccess(user);
+  await recordLoginAttempt(req, { email: user.email, userId: user.id, success: true });
+
+  const { session, refreshToken } = await createSession(user, req);
+  const token = generateAccessToken(user, session.id);
+  setRefreshCookie(res, refreshToken);
+
+  res.json({
+    token,
+    user: { id: user.id, email: user.email, firstName: user.firstName, lastName: user.lastName, role: user.role, medicalCertificateExpiryDate: user.medicalCertificateExpiryDate, emailVerifiedAt: user.emailVerifiedAt, twoFactorEnabled: !!user.twoFactorEnabledAt },
+    ...extra
+  });
+};
+
+/**
+ * Autenticazione per l'attivazione 2FA: challengeToken di tipo setup
+ * (2FA obbligatoria al login) oppure access token Bearer
+ */
+const authenticateTwoFactorSetup = (req, res, next) => {
+  const { challengeToken } = req.body ?? {};
+  if (!challengeToken) return verifyToken(req, res, next);
+
+  const payload = verifyChallengeToken(challengeToken, 'setup');
+  if (!payload) return res.status(401).json({ message: 'Challenge non valida o scaduta' });
+
+  req.user = { userId: payload.userId };
+  req.viaChallenge = true;
+  next();
+};
 
 /* ================================
    AUTH: Login
@@ -38,44 +90,124 @@ const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || "";
  *                 type: string
  *                 description: Password dell'utente
  *                 example: test123
+ *     description: >
+ *       Se l'utente ha la 2FA attiva la risposta contiene twoFactorRequired e un
+ *       challengeToken (valido 5 minuti) da completare con /auth/2fa/verify.
+ *       Se la 2FA è obbligatoria per il ruolo ma non è attiva la risposta contiene
+ *       twoFactorSetupRequired e un challengeToken da usare con /auth/2fa/setup e /auth/2fa/confirm.
  *     responses:
  *       200:
- *         description: Login riuscito
+ *         description: Login riuscito, oppure challenge 2FA da completare
+ *       400:
+ *         description: Email o password mancanti
  *       401:
- *         description: Credenziali errate
- *       403:
- *         description: Utente cancellato
+ *         description: Credenziali errate (stessa risposta per email inesistente, utente cancellato o password errata)
+ *       423:
+ *         description: >
+ *           Account temporaneamente bloccato (code ACCOUNT_LOCKED, header Retry-After).
+ *           Applicato allo stesso modo alle email non registrate, per non rivelare quali esistono
+ *       429:
+ *         description: Troppi tentativi dall'email o dall'IP (code TOO_MANY_ATTEMPTS, header Retry-After)
  *       500:
  *         description: Errore server
  */
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
+    if (!email || !password) return res.status(400).json({ message: 'Email e password sono obbligatori' });
+
+    const ipThrottle = await checkIpThrottle(req.ip);
+    if (!ipThrottle.allowed) {
+      await recordLoginAttempt(req, { email, success: false, reason: 'IP_BLOCKED' });
+      res.set('Retry-After', String(ipThrottle.retryAfter));
+      return res.status(429).json({ code: 'TOO_MANY_ATTEMPTS', message: 'Troppi tentativi, riprova più tardi', retryAfter: ipThrottle.retryAfter });
+    }
+
     const user = await prisma.user.findUnique({ where: { email } });
-    if (!user || user.status === 'CANCELLED') {
-      return res.status(403).json({ message: 'Utente cancellato' });
+
+    // Stesso blocco/ritardo anche per email inesistenti o cancellate, per non rivelare quali account esistono
+    const hasAccount = user && user.status !== 'CANCELLED';
+    const throttle = hasAccount ? getAccountThrottle(user) : await getEmailThrottle(email);
+    if (!throttle.allowed) {
+      await recordLoginAttempt(req, { email, userId: user?.id, success: false, reason: throttle.locked ? 'ACCOUNT_LOCKED' : 'THROTTLED' });
+      res.set('Retry-After', String(throttle.retryAfter));
+      return throttle.locked
+        ? res.status(423).json({ code: 'ACCOUNT_LOCKED', message: 'Account temporaneamente bloccato per troppi tentativi falliti', retryAfter: throttle.retryAfter })
+        : res.status(429).json({ code: 'TOO_MANY_ATTEMPTS', message: 'Troppi tentativi, riprova più tardi', retryAfter: throttle.retryAfter });
+    }
+
+    // Confronto sempre eseguito, anche senza utente, per non rivelare dai tempi se l'email esiste
+    const valid = await comparePassword(password, user?.password ?? DUMMY_PASSWORD_HASH);
+
+    if (!user || user.status === 'CANCELLED' || !valid) {
+      const reason = !user ? 'UNKNOWN_EMAIL' : user.status === 'CANCELLED' ? 'USER_CANCELLED' : 'WRONG_PASSWORD';
+      if (reason === 'WRONG_PASSWORD') await registerLoginFailure(user);
+      await recordLoginAttempt(req, { email, userId: user?.id, success: false, reason });
+      return res.status(401).json({ message: 'Credenziali errate' });
+    }
+
+    // 2FA attiva: i token vengono emessi solo dopo /auth/2fa/verify
+    if (user.twoFactorEnabledAt) {
+      return res.json({ twoFactorRequired: true, challengeToken: generateChallengeToken(user, 'login') });
+    }
+
+    // 2FA obbligatoria per il ruolo ma non ancora attivata: va configurata prima di accedere
+    if (await isTwoFactorRequired(user.role)) {
+      return res.json({ twoFactorSetupRequired: true, challengeToken: generateChallengeToken(user, 'setup') });
     }
-    const valid = await comparePassword(password, user.password);
-    if (!valid) return res.status(401).json({ message: 'Credenziali errate' });
-
-    const token = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
-    await prisma.user.update({ where: { id: user.id }, data: { refreshToken } });
-
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'None' : 'Lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000
-    });
 
-    res.json({ token, user: { id: user.id, email: user.email, firstName: user.firstName, lastName: user.lastName, role: user.role, medicalCertificateExpiryDate: user.medicalCertificateExpiryDate } });
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Errore durante il login' });
   }
 });
 
+/* ================================
+   AUTH: Subscription plans
+================================ */
+/**
+ * @swagger
+ * /auth/plans:
+ *   get:
+ *     summary: Piani di abbonamento disponibili
+ *     description: Piani attivi da mostrare nella schermata di registrazione
+ *     tags:
+ *       - Auth
+ *     responses:
+ *       200:
+ *         description: Lista piani (id, name, description, price, currency, durationDays, ingressi, groupLevels)
+ */
+router.get('/plans', async (req, res) => {
+  try {
+    const plans = await listPlans({ activeOnly: true, select: publicPlanSelect });
+
+    res.json(plans);
+  } catch (error) {
+    console.error('List plans error:', error);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   AUTH: Payment providers
+================================ */
+/**
+ * @swagger
+ * /auth/payment-providers:
+ *   get:
+ *     summary: Provider di pagamento disponibili
+ *     description: Provider configurati sul server, da proporre nella registrazione e negli acquisti
+ *     tags:
+ *       - Auth
+ *     responses:
+ *       200:
+ *         description: Lista nomi provider (es. ["stripe", "paypal"])
+ */
+router.get('/payment-providers', (req, res) => {
+  res.json(listEnabledProviders());
+});
+
 /* ================================
    AUTH: Register
 ================================ */
@@ -84,7 +216,14 @@ router.post('/login', async (req, res) => {
  * /auth/register:
  *   post:
  *     summary: Registrazione utente
- *     description: Registra un nuovo utente e crea una subscription PENDING
+ *     description: >
+ *       Registra un nuovo utente e crea una subscription PENDING dal piano scelto
+ *       (prezzo, durata, ingressi e gruppi del piano) e, se paymentProvider è indicato e configurato,
+ *       il checkout presso quel provider; altrimenti il checkout si avvia dopo con
+ *       POST /user/me/subscription/checkout.
+ *       La subscription diventa ACTIVE solo quando il webhook del provider conferma il pagamento.
+ *       Viene inviata un'email di verifica: finché l'indirizzo non è verificato
+ *       le prenotazioni vengono rifiutate con code EMAIL_NOT_VERIFIED.
  *     tags:
  *       - Auth
  *     requestBody:
@@ -96,6 +235,7 @@ router.post('/login', async (req, res) => {
  *             required:
  *               - email
  *               - password
+ *               - planId
  *             properties:
  *               email:
  *                 type: string
@@ -109,15 +249,19 @@ router.post('/login', async (req, res) => {
  *               lastName:
  *                 type: string
  *                 example: Rossi
+ *               planId:
+ *                 type: integer
+ *                 description: Piano scelto (vedi /auth/plans)
+ *                 example: 1
  *               paymentProvider:
  *                 type: string
- *                 description: Provider pagamento (es. paypal, stripe)
- *                 example: paypal
+ *                 description: Provider pagamento opzionale (vedi /auth/payment-providers)
+ *                 example: stripe
  *     responses:
  *       201:
- *         description: Utente registrato con subscription PENDING
+ *         description: Utente registrato con subscription PENDING e payment (checkoutUrl; null se il checkout non è partito)
  *       400:
- *         description: Dati non validi
+ *         description: Dati non validi o piano non disponibile
  *       409:
  *         description: Utente già registrato
  *       500:
@@ -125,56 +269,74 @@ router.post('/login', async (req, res) => {
  */
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, firstName, lastName, paymentProvider } = req.body;
+    const { email, password, firstName, lastName, planId, paymentProvider } = req.body;
     if (!email || !password) return res.status(400).json({ message: 'Email e password sono obbligatori' });
+    if (!planId) return res.status(400).json({ message: 'Piano obbligatorio' });
+
+    const plan = await prisma.subscriptionPlan.findFirst({ where: { id: Number(planId) || 0, isActive: true } });
+    if (!plan) return res.status(400).json({ message: 'Piano non disponibile' });
 
     const hashedPassword = await bcrypt.hash(password, 10);
     let user;
+    let subscription;
     try {
-      user = await prisma.user.create({
-        data: {
-          email,
-          password: hashedPassword,
-          firstName: firstName || null,
-          lastName: lastName || null,
-          role: 'USER',
-          status: 'SUBSCRIBED'
-        }
-      });
+      // Utente e subscription insieme: se la subscription fallisce l'account non resta a metà
+      ({ user, subscription } = await prisma.$transaction(async (tx) => {
+        const created = await tx.user.create({
+          data: {
+            email,
+            password: hashedPassword,
+            firstName: firstName || null,
+            lastName: lastName || null,
+            role: 'USER',
+            status: 'SUBSCRIBED'
+          }
+        });
+
+        // Subscription dal piano: diventa ACTIVE alla conferma del pagamento
+        const pending = await createSubscriptionWithGroupsInTransaction(tx, {
+          userId: created.id,
+          planId: plan.id,
+          status: 'PENDING',
+          activePlanOnly: true
+        });
+
+        return { user: created, subscription: pending };
+      }));
     } catch (err) {
       if (err.code === 'P2002') return res.status(409).json({ message: 'Utente già registrato' });
+      if (err.message === 'Piano non disponibile' || err.message === 'Piano non trovato') {
+        return res.status(400).json({ message: 'Piano non disponibile' });
+      }
       throw err;
     }
 
-    const subscription = await prisma.subscription.create({
-      data: {
-        userId: user.id,
-        startDate: new Date(),
-        endDate: new Date(Date.now() + 30*24*60*60*1000),
-        amount: 0,
-        ingressi: 32,
-        currency: 'EUR',
-        status: 'PENDING'
+    // Checkout solo con un provider configurato: altrimenti (o se non parte)
+    // l'utente lo avvia dopo con POST /user/me/subscription/checkout
+    let payment = null;
+    if (paymentProvider && listEnabledProviders().includes(paymentProvider)) {
+      try {
+        payment = await createSubscriptionPayment(subscription, paymentProvider);
+      } catch (paymentError) {
+        console.error('Register checkout error:', paymentError.message);
       }
-    });
-
-    await createPayment({ provider: paymentProvider, subscription });
+    }
 
-    const token = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
-    await prisma.user.update({ where: { id: user.id }, data: { refreshToken } });
+    try {
+      await issueEmailVerification(user);
+    } catch (mailError) {
+      console.error('Email verification mail error:', mailError);
+    }
 
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'None' : 'Lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000
-    });
+    const { session, refreshToken } = await createSession(user, req);
+    const token = generateAccessToken(user, session.id);
+    setRefreshCookie(res, refreshToken);
 
     res.status(201).json({
       token,
-      user: { id: user.id, email: user.email, firstName: user.firstName, lastName: user.lastName, role: user.role, medicalCertificateExpiryDate: user.medicalCertificateExpiryDate },
-      subscription: { id: subscription.id, status: subscription.status }
+      user: { id: user.id, email: user.email, firstName: user.firstName, lastName: user.lastName, role: user.role, medicalCertificateExpiryDate: user.medicalCertificateExpiryDate, emailVerifiedAt: user.emailVerifiedAt },
+      subscription: { id: subscription.id, status: subscription.status, planId: subscription.planId, amount: subscription.amount, currency: subscription.currency },
+      payment: payment && { id: payment.id, provider: payment.provider, status: payment.status, checkoutUrl: payment.checkoutUrl }
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -190,7 +352,12 @@ router.post('/register', async (req, res) => {
  * /auth/refresh:
  *   post:
  *     summary: Rinnova access token
- *     description: Genera un nuovo access token usando il refresh token salvato come cookie
+ *     description: >
+ *       Genera un nuovo access token usando il refresh token salvato come cookie.
+ *       Il refresh token viene ruotato: riusare un token già ruotato revoca
+ *       l'intera sessione del dispositivo.
+ *       Se la 2FA è diventata obbligatoria per il ruolo e l'utente non l'ha attivata la sessione
+ *       viene revocata: bisogna rifare il login e completare la configurazione.
  *     tags:
  *       - Auth
  *     responses:
@@ -199,33 +366,36 @@ router.post('/register', async (req, res) => {
  *       401:
  *         description: Refresh token mancante
  *       403:
- *         description: Refresh token non valido o scaduto
+ *         description: >
+ *           Refresh token non valido, scaduto, già utilizzato o sessione revocata;
+ *           code TWO_FACTOR_SETUP_REQUIRED se la 2FA obbligatoria non è attiva
  */
 router.post("/refresh", async (req, res) => {
   try {
     const refreshToken = req.cookies?.refreshToken;
     if (!refreshToken) return res.status(401).json({ message: "Refresh token mancante" });
 
-    const user = await prisma.user.findFirst({ where: { refreshToken } });
-    if (!user) return res.status(403).json({ message: "Refresh token non valido" });
+    const rotation = await rotateSession(refreshToken, req);
+    if (!rotation.valid) {
+      clearRefreshCookie(res);
+      return res.status(403).json({ message: rotation.message });
+    }
 
-    try { jwt.verify(refreshToken, JWT_REFRESH_SECRET); }
-    catch { return res.status(403).json({ message: "Refresh token non valido o scaduto" }); }
+    const { user, session } = rotation;
 
-    const newAccessToken = generateAccessToken(user);
-    const newRefreshToken = generateRefreshToken(user);
-    await prisma.user.update({ where: { id: user.id }, data: { refreshToken: newRefreshToken } });
+    // 2FA resa obbligatoria dopo il login: la sessione non può più essere rinnovata senza configurarla
+    if (!user.twoFactorEnabledAt && await isTwoFactorRequired(user.role)) {
+      await revokeSession(session.id, 'TWO_FACTOR_REQUIRED');
+      clearRefreshCookie(res);
+      return res.status(403).json({ code: 'TWO_FACTOR_SETUP_REQUIRED', message: 'Autenticazione a due fattori obbligatoria: effettua di nuovo il login per configurarla' });
+    }
 
-    res.cookie('refreshToken', newRefreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'None' : 'Lax',
-      maxAge: 30 * 24 * 60 * 60 * 1000
-    });
+    const newAccessToken = generateAccessToken(user, session.id);
+    setRefreshCookie(res, rotation.refreshToken);
 
     res.json({
       token: newAccessToken,
-      user: { id: user.id, email: user.email, firstName: user.firstName, lastName: user.lastName, role: user.role, medicalCertificateExpiryDate: user.medicalCertificateExpiryDate }
+      user: { id: user.id, email: user.email, firstName: user.firstName, lastName: user.lastName, role: user.role, medicalCertificateExpiryDate: user.medicalCertificateExpiryDate, emailVerifiedAt: user.emailVerifiedAt }
     });
   } catch (error) {
     console.error("Refresh error:", error);
@@ -234,14 +404,83 @@ router.post("/refresh", async (req, res) => {
 });
 
 /* ================================
-   AUTH: Confirm Payment
+   AUTH: Logout
 ================================ */
 /**
  * @swagger
- * /auth/payment/confirm:
+ * /auth/logout:
  *   post:
- *     summary: Conferma pagamento
- *     description: Aggiorna lo stato della subscription da PENDING a ACTIVE
+ *     summary: Logout utente
+ *     description: Revoca la sessione del dispositivo e cancella il cookie
+ *     tags:
+ *       - Auth
+ *     responses:
+ *       200:
+ *         description: Logout completato
+ *       500:
+ *         description: Errore server
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.refreshToken;
+    if (refreshToken) {
+      await revokeSessionByToken(refreshToken);
+    }
+
+    clearRefreshCookie(res);
+
+    res.json({ message: "Logout completato" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "Errore durante il logout" });
+  }
+});
+
+/* ================================
+   AUTH: Verify email
+================================ */
+const verifyEmailHandler = async (req, res) => {
+  try {
+    const token = req.query.token || req.body?.token;
+    if (!token) return res.status(400).json({ message: 'Token obbligatorio' });
+
+    const user = await consumeEmailVerification(token);
+    if (!user) return res.status(400).json({ message: 'Token non valido o scaduto' });
+
+    res.json({ message: 'Email verificata', emailVerifiedAt: user.emailVerifiedAt });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Email già utilizzata da un altro utente' });
+    }
+    res.status(500).json({ message: 'Errore nella verifica dell\'email' });
+  }
+};
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   get:
+ *     summary: Verifica l'indirizzo email
+ *     description: Consuma il token ricevuto via email e marca l'indirizzo come verificato
+ *     tags:
+ *       - Auth
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verificata
+ *       400:
+ *         description: Token mancante, non valido o scaduto
+ *       409:
+ *         description: Email già utilizzata da un altro utente
+ *   post:
+ *     summary: Verifica l'indirizzo email
+ *     description: Come la GET, con il token nel body
  *     tags:
  *       - Auth
  *     requestBody:
@@ -251,87 +490,618 @@ router.post("/refresh", async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - provider
- *               - paymentId
- *               - subscriptionId
+ *               - token
  *             properties:
- *               provider:
+ *               token:
  *                 type: string
- *                 example: paypal
- *               paymentId:
+ *     responses:
+ *       200:
+ *         description: Email verificata
+ *       400:
+ *         description: Token mancante, non valido o scaduto
+ *       409:
+ *         description: Email già utilizzata da un altro utente
+ */
+router.get('/verify-email', verifyEmailHandler);
+router.post('/verify-email', verifyEmailHandler);
+
+/* ================================
+   AUTH: Resend verification email
+================================ */
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Reinvia l'email di verifica
+ *     description: >
+ *       Reinvia il link di verifica. Sono consentiti al massimo 5 invii l'ora,
+ *       a distanza di almeno 60 secondi l'uno dall'altro.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
  *                 type: string
- *                 example: PP123456
- *               subscriptionId:
- *                 type: integer
- *                 example: 1
+ *                 example: user@test.com
  *     responses:
  *       200:
- *         description: Pagamento confermato
+ *         description: Richiesta presa in carico
  *       400:
- *         description: Subscription già attiva o pagamento non confermato
+ *         description: Email mancante
+ *       429:
+ *         description: Troppe richieste, riprovare più tardi (header Retry-After)
  *       500:
  *         description: Errore server
  */
-router.post('/payment/confirm', async (req, res) => {
+router.post('/verify-email/resend', async (req, res) => {
   try {
-    const { provider, paymentId, subscriptionId } = req.body;
-    const success = await confirmPayment({ provider, paymentId });
-    if (!success) return res.status(400).json({ message: 'Pagamento non confermato' });
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: 'Email obbligatoria' });
 
-    const updated = await prisma.subscription.updateMany({
-      where: { id: subscriptionId, status: 'PENDING' },
-      data: { status: 'ACTIVE' }
-    });
+    const user = await prisma.user.findUnique({ where: { email } });
 
-    if (updated.count === 0) {
-      return res.status(400).json({ message: 'Subscription già attiva o non trovata' });
+    if (user && user.status !== 'CANCELLED' && !user.emailVerifiedAt) {
+      const throttle = await canResendEmailVerification(user.id);
+      if (!throttle.allowed) {
+        res.set('Retry-After', String(throttle.retryAfter));
+        return res.status(429).json({
+          message: 'Troppe richieste, riprova più tardi',
+          retryAfter: throttle.retryAfter
+        });
+      }
+
+      await issueEmailVerification(user);
     }
 
-    res.json({ success: true });
-  } catch (err) {
-    console.error('Payment confirmation error:', err);
-    res.status(500).json({ message: 'Errore conferma pagamento' });
+    res.json({ message: 'Se l\'email è registrata e non ancora verificata riceverai un nuovo link' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Errore nell\'invio dell\'email di verifica' });
   }
 });
 
 /* ================================
-   AUTH: Logout
+   AUTH: Forgot password
 ================================ */
 /**
  * @swagger
- * /auth/logout:
+ * /auth/password/forgot:
  *   post:
- *     summary: Logout utente
- *     description: Invalida il refresh token e cancella il cookie
+ *     summary: Richiesta reset password
+ *     description: >
+ *       Invia all'email indicata un link con token monouso per reimpostare la password.
+ *       La risposta è sempre la stessa, che l'email sia registrata o meno.
  *     tags:
  *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: user@test.com
  *     responses:
  *       200:
- *         description: Logout completato
+ *         description: Richiesta presa in carico
+ *       400:
+ *         description: Email mancante
  *       500:
  *         description: Errore server
  */
-router.post("/logout", async (req, res) => {
+router.post('/password/forgot', async (req, res) => {
   try {
-    const refreshToken = req.cookies?.refreshToken;
-    if (refreshToken) {
-      await prisma.user.updateMany({
-        where: { refreshToken },
-        data: { refreshToken: null },
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: 'Email obbligatoria' });
+
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    if (user && user.status !== 'CANCELLED') {
+      const token = generateOpaqueToken();
+
+      await prisma.$transaction([
+        // Un solo link valido alla volta
+        prisma.passwordResetToken.updateMany({
+          where: { userId: user.id, usedAt: null },
+          data: { usedAt: new Date() }
+        }),
+        prisma.passwordResetToken.create({
+          data: {
+            userId: user.id,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+          }
+        })
+      ]);
+
+      try {
+        await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+      } catch (mailError) {
+        console.error('Password reset mail error:', mailError);
+      }
+    }
+
+    res.json({ message: 'Se l\'email è registrata riceverai le istruzioni per reimpostare la password' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Errore nella richiesta di reset password' });
+  }
+});
+
+/* ================================
+   AUTH: Reset password
+================================ */
+/**
+ * @swagger
+ * /auth/password/reset:
+ *   post:
+ *     summary: Reimposta la password
+ *     description: >
+ *       Imposta una nuova password usando il token ricevuto via email.
+ *       Il token è monouso e scade; tutte le sessioni dell'utente vengono revocate.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 example: nuovaPassword123
+ *     responses:
+ *       200:
+ *         description: Password aggiornata
+ *       400:
+ *         description: Dati non validi o token non valido/scaduto
+ *       500:
+ *         description: Errore server
+ */
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { token, password } = validatePasswordResetBody(req.body);
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: true }
+    });
+
+    if (
+      !resetToken ||
+      resetToken.usedAt ||
+      resetToken.expiresAt < new Date() ||
+      resetToken.user.status === 'CANCELLED'
+    ) {
+      return res.status(400).json({ message: 'Token non valido o scaduto' });
+    }
+
+    const hashedPassword = await hashPassword(password);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // Consuma il token solo se nessun'altra richiesta l'ha già usato
+      const consumed = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() }
+      });
+
+      if (consumed.count === 0) return false;
+
+      await tx.passwordResetToken.updateMany({
+        where: { userId: resetToken.userId, usedAt: null },
+        data: { usedAt: new Date() }
+      });
+
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: { password: hashedPassword, failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null }
+      });
+
+      // Logout da tutti i dispositivi
+      await tx.session.updateMany({
+        where: { userId: resetToken.userId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: 'PASSWORD_RESET' }
+      });
+
+      return true;
+    });
+
+    if (!updated) {
+      return res.status(400).json({ message: 'Token non valido o scaduto' });
+    }
+
+    res.json({ message: 'Password aggiornata' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
       });
     }
 
-    res.clearCookie('refreshToken', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: process.env.NODE_ENV === 'production' ? 'None' : 'Lax',
-      path: '/',
+    res.status(500).json({ message: 'Errore nel reset della password' });
+  }
+});
+
+/* ================================
+   AUTH: 2FA status
+================================ */
+/**
+ * @swagger
+ * /auth/2fa/status:
+ *   get:
+ *     summary: Stato della 2FA dell'utente autenticato
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stato 2FA (enabled, enabledAt, required, recoveryCodesRemaining)
+ *       401:
+ *         description: Token mancante o non valido
+ */
+router.get('/2fa/status', verifyToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
+    if (!user) return res.status(404).json({ message: 'Utente non trovato' });
+
+    res.json({
+      enabled: !!user.twoFactorEnabledAt,
+      enabledAt: user.twoFactorEnabledAt,
+      required: await isTwoFactorRequired(user.role),
+      recoveryCodesRemaining: user.twoFactorEnabledAt ? await countRemainingRecoveryCodes(user.id) : 0
     });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
 
-    res.json({ message: "Logout completato" });
+/* ================================
+   AUTH: 2FA setup
+================================ */
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Avvia l'attivazione della 2FA (solo ADMIN e SUPERADMIN)
+ *     description: >
+ *       Genera un nuovo secret TOTP e restituisce l'URI otpauth e il QR code da
+ *       scansionare con l'app di autenticazione. La 2FA diventa attiva solo dopo
+ *       /auth/2fa/confirm. Autenticazione con access token Bearer oppure con il
+ *       challengeToken ricevuto dal login quando la 2FA è obbligatoria.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret, otpauthUri e qrCode (data URL PNG)
+ *       401:
+ *         description: Token o challenge non validi
+ *       403:
+ *         description: Ruolo non abilitato alla 2FA
+ *       409:
+ *         description: 2FA già attiva
+ */
+router.post('/2fa/setup', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
+
+    if (!user || user.status === 'CANCELLED') return res.status(401).json({ message: 'Utente non valido' });
+    if (!TWO_FACTOR_ROLES.includes(user.role)) {
+      return res.status(403).json({ message: 'La 2FA è disponibile solo per gli amministratori' });
+    }
+    if (user.twoFactorEnabledAt) return res.status(409).json({ message: 'La 2FA è già attiva' });
+
+    res.json(await startTwoFactorSetup(user));
   } catch (error) {
-    console.error("Logout error:", error);
-    res.status(500).json({ message: "Errore durante il logout" });
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Errore nella configurazione della 2FA' });
+  }
+});
+
+/* ================================
+   AUTH: 2FA confirm
+================================ */
+/**
+ * @swagger
+ * /auth/2fa/confirm:
+ *   post:
+ *     summary: Conferma l'attivazione della 2FA
+ *     description: >
+ *       Verifica il primo codice generato dall'app e attiva la 2FA. Restituisce i
+ *       codici di recupero (mostrati una sola volta). Le altre sessioni dell'utente
+ *       vengono chiuse. Se l'attivazione avviene con il challengeToken del login,
+ *       la risposta contiene anche access token e cookie di refresh.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA attivata, recoveryCodes restituiti
+ *       400:
+ *         description: Nessuna attivazione in corso o codice non valido
+ *       401:
+ *         description: Token o challenge non validi
+ */
+router.post('/2fa/confirm', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ message: 'Codice obbligatorio' });
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
+
+    if (!user || user.status === 'CANCELLED') return res.status(401).json({ message: 'Utente non valido' });
+    if (!user.twoFactorSecret || user.twoFactorEnabledAt) {
+      return res.status(400).json({ message: 'Nessuna attivazione 2FA in corso' });
+    }
+
+    if (!(await verifyTotpCode(user, code))) {
+      return res.status(400).json({ message: 'Codice non valido' });
+    }
+
+    const enabled = await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorEnabledAt: new Date() }
+    });
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    // Le sessioni aperte senza 2FA non restano valide
+    await revokeUserSessions(user.id, 'TWO_FACTOR_ENABLED', { exceptSessionId: req.user.sid });
+
+    if (req.viaChallenge) {
+      return completeLogin(req, res, enabled, { recoveryCodes });
+    }
+
+    res.json({ message: '2FA attivata', recoveryCodes });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ message: "Errore nell'attivazione della 2FA" });
+  }
+});
+
+/* ================================
+   AUTH: 2FA verify (secondo passo del login)
+================================ */
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Completa il login con il codice 2FA
+ *     description: >
+ *       Accetta il codice TOTP dell'app oppure un codice di recupero (monouso).
+ *       I codici errati contano come tentativi di login falliti (ritardo e blocco account).
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *     responses:
+ *       200:
+ *         description: Login riuscito
+ *       400:
+ *         description: Dati mancanti
+ *       401:
+ *         description: Challenge non valida/scaduta o codice errato
+ *       423:
+ *         description: Account temporaneamente bloccato (code ACCOUNT_LOCKED)
+ *       429:
+ *         description: Troppi tentativi (code TOO_MANY_ATTEMPTS)
+ */
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge e codice sono obbligatori' });
+    }
+
+    const payload = verifyChallengeToken(challengeToken, 'login');
+    if (!payload) return res.status(401).json({ message: 'Challenge non valida o scaduta' });
+
+    const user = await prisma.user.findUnique({ where: { id: payload.userId } });
+    if (!user || user.status === 'CANCELLED' || !user.twoFactorEnabledAt) {
+      return res.status(401).json({ message: 'Challenge non valida o scaduta' });
+    }
+
+    const throttle = getAccountThrottle(user);
+    if (!throttle.allowed) {
+      await recordLoginAttempt(req, { email: user.email, userId: user.id, success: false, reason: throttle.locked ? 'ACCOUNT_LOCKED' : 'THROTTLED' });
+      res.set('Retry-After', String(throttle.retryAfter));
+      return throttle.locked
+        ? res.status(423).json({ code: 'ACCOUNT_LOCKED', message: 'Account temporaneamente bloccato per troppi tentativi falliti', retryAfter: throttle.retryAfter })
+        : res.status(429).json({ code: 'TOO_MANY_ATTEMPTS', message: 'Troppi tentativi, riprova più tardi', retryAfter: throttle.retryAfter });
+    }
+
+    const valid = code
+      ? await verifyTotpCode(user, code)
+      : await consumeRecoveryCode(user.id, recoveryCode);
+
+    if (!valid) {
+      await registerLoginFailure(user);
+      await recordLoginAttempt(req, { email: user.email, userId: user.id, success: false, reason: code ? 'WRONG_2FA_CODE' : 'WRONG_RECOVERY_CODE' });
+      return res.status(401).json({ message: 'Codice non valido' });
+    }
+
+    const extra = code ? {} : { recoveryCodesRemaining: await countRemainingRecoveryCodes(user.id) };
+    await completeLogin(req, res, user, extra);
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ message: 'Errore durante il login' });
+  }
+});
+
+/* ================================
+   AUTH: 2FA recovery codes
+================================ */
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Rigenera i codici di recupero 2FA
+ *     description: I codici precedenti vengono invalidati
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Nuovi recoveryCodes
+ *       400:
+ *         description: 2FA non attiva o codice non valido
+ */
+router.post('/2fa/recovery-codes', verifyToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
+    if (!user?.twoFactorEnabledAt) return res.status(400).json({ message: 'La 2FA non è attiva' });
+
+    if (!(await verifyTotpCode(user, req.body.code))) {
+      return res.status(400).json({ message: 'Codice non valido' });
+    }
+
+    res.json({ recoveryCodes: await generateRecoveryCodes(user.id) });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   AUTH: 2FA disable
+================================ */
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disattiva la 2FA
+ *     description: >
+ *       Richiede password e codice TOTP (o codice di recupero).
+ *       Non consentito se la 2FA è obbligatoria per il ruolo dell'utente.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disattivata
+ *       400:
+ *         description: 2FA non attiva
+ *       401:
+ *         description: Password o codice non validi
+ *       403:
+ *         description: 2FA obbligatoria per il ruolo
+ */
+router.post('/2fa/disable', verifyToken, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
+    if (!user?.twoFactorEnabledAt) return res.status(400).json({ message: 'La 2FA non è attiva' });
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ message: 'La 2FA è obbligatoria per il tuo ruolo' });
+    }
+
+    const validPassword = !!password && await comparePassword(password, user.password);
+    const validCode = validPassword && (code
+      ? await verifyTotpCode(user, code)
+      : await consumeRecoveryCode(user.id, recoveryCode));
+
+    if (!validCode) return res.status(401).json({ message: 'Password o codice non validi' });
+
+    await disableTwoFactor(user.id);
+
+    res.json({ message: '2FA disattivata' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Errore server' });
   }
 });
 
@@ -0,0 +1,274 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { getNowItaly } = require('../utils/dateRules');
+const { getEventRoster, markAttendance } = require('../utils/attendance');
+const { getBuddyRoster } = require('../utils/buddy');
+const { isEventInstructor, listEventInstructors, getEventCapacity } = require('../utils/instructors');
+const { venueSelect } = require('../utils/locations');
+const { validateAttendanceBody } = require('../utils/zodValidate');
+const { ZodError } = require('zod');
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Instructor
+ *     description: Eventi assegnati all'istruttore, elenco iscritti e presenze
+ */
+
+/* ================================
+   LIST MY EVENTS (INSTRUCTOR)
+================================ */
+/**
+ * @swagger
+ * /instructor/events:
+ *   get:
+ *     summary: Elenca gli eventi assegnati all'istruttore
+ *     description: >
+ *       upcoming = eventi da oggi in poi (ordine cronologico),
+ *       past = eventi dei giorni precedenti (dal più recente).
+ *     tags:
+ *       - Instructor
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, past]
+ *           default: upcoming
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Eventi paginati (items, total, page, pageSize)
+ *       400:
+ *         description: scope non valido
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const { scope = 'upcoming' } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 20, 1), 100);
+
+    if (!['upcoming', 'past'].includes(scope)) {
+      return res.status(400).json({ message: 'scope non valido' });
+    }
+
+    // Le date evento sono salvate senza orario: confronto sul giorno corrente
+    const now = getNowItaly();
+    const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+    const upcoming = scope === 'upcoming';
+    const direction = upcoming ? 'asc' : 'desc';
+
+    const where = {
+      instructors: { some: { userId: req.user.userId } },
+      date: upcoming ? { gte: today } : { lt: today }
+    };
+
+    const [events, total] = await prisma.$transaction([
+      prisma.event.findMany({
+        where,
+        include: {
+          category: true,
+          venue: { select: venueSelect },
+          _count: { select: { signups: true, waitlist: true, instructors: true } }
+        },
+        orderBy: [{ date: direction }, { startTime: direction }],
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      }),
+      prisma.event.count({ where })
+    ]);
+
+    const items = await Promise.all(events.map(async ({ _count, ...event }) => ({
+      id: event.id,
+      title: event.title,
+      description: event.description,
+      equipment: event.equipment,
+      note: event.note,
+      location: event.venue?.name ?? event.location,
+      venue: event.venue,
+      date: event.date,
+      startTime: event.startTime,
+      endTime: event.endTime,
+      status: event.status,
+      cancellationReason: event.cancellationReason,
+      category: {
+        id: event.category.id,
+        code: event.category.code,
+        label: event.category.label
+      },
+      maxSlots: event.maxSlots,
+      capacity: (await getEventCapacity(event)).capacity,
+      signedUpCount: _count.signups,
+      waitlistCount: _count.waitlist,
+      instructorsCount: _count.instructors
+    })));
+
+    res.json({ items, total, page, pageSize });
+  } catch (err) {
+    console.error('Errore recupero eventi istruttore:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET EVENT ROSTER (INSTRUCTOR)
+================================ */
+/**
+ * @swagger
+ * /instructor/events/{id}/roster:
+ *   get:
+ *     summary: Elenco iscritti di un evento assegnato
+ *     description: Iscritti con check-in e presenza, istruttori assegnati e coppie di compagni
+ *     tags:
+ *       - Instructor
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: event, roster, instructors, pairs e unpaired
+ *       404:
+ *         description: Evento non trovato o non assegnato
+ */
+router.get('/events/:id/roster', async (req, res) => {
+  try {
+    const eventId = Number(req.params.id);
+
+    if (!await isEventInstructor(req.user.userId, eventId)) {
+      return res.status(404).json({ message: 'Evento non trovato' });
+    }
+
+    const [result, buddies, instructors] = await Promise.all([
+      getEventRoster(eventId),
+      getBuddyRoster(eventId),
+      listEventInstructors(eventId)
+    ]);
+
+    if (!result) {
+      return res.status(404).json({ message: 'Evento non trovato' });
+    }
+
+    res.json({
+      ...result,
+      instructors,
+      pairs: buddies.pairs,
+      unpaired: buddies.unpaired
+    });
+  } catch (err) {
+    console.error('Instructor event roster error:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   MARK EVENT ATTENDANCE (INSTRUCTOR)
+================================ */
+/**
+ * @swagger
+ * /instructor/events/{id}/attendance:
+ *   put:
+ *     summary: Registra le presenze di un evento assegnato
+ *     description: >
+ *       Stesse regole di /admin/events/{id}/attendance: da inizio evento in poi,
+ *       tutti gli utenti devono essere iscritti, status null cancella la presenza registrata.
+ *     tags:
+ *       - Instructor
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - entries
+ *             properties:
+ *               entries:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       nullable: true
+ *                       enum: [PRESENT, ABSENT, LATE_CANCEL]
+ *     responses:
+ *       200:
+ *         description: Elenco iscritti aggiornato
+ *       400:
+ *         description: Dati non validi, evento annullato o non ancora iniziato
+ *       404:
+ *         description: Evento non trovato o non assegnato
+ */
+router.put('/events/:id/attendance', async (req, res) => {
+  try {
+    const eventId = Number(req.params.id);
+
+    if (!await isEventInstructor(req.user.userId, eventId)) {
+      return res.status(404).json({ message: 'Evento non trovato' });
+    }
+
+    const { entries } = validateAttendanceBody(req.body);
+
+    const result = await markAttendance(eventId, entries, {
+      actorId: req.user.userId
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: 'Evento non trovato' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Instructor mark attendance error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (
+      error.message === 'Evento annullato' ||
+      error.message.startsWith('Le presenze si registrano') ||
+      error.message.startsWith('Utenti non iscritti')
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+module.exports = router;
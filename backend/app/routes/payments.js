@@ -0,0 +1,173 @@
+const express = require('express');
+const { handleWebhook } = require('../utils/payment');
+const { INVALID_SIGNATURE, getProvider, getMockCheckout, completeMockCheckout } = require('../utils/paymentProviders');
+const { validateMockCheckoutCompleteBody } = require('../utils/zodValidate');
+const { ZodError } = require('zod');
+
+const router = express.Router();
+
+/* ================================
+   PAYMENT WEBHOOK
+================================ */
+/**
+ * @swagger
+ * /payments/webhooks/{provider}:
+ *   post:
+ *     summary: Webhook firmato di un provider di pagamento
+ *     description: >
+ *       Unico punto in cui un pagamento diventa SUCCEEDED (e la subscription ACTIVE o il pacchetto
+ *       accreditato). La firma viene verificata sul body grezzo; i reinvii dello stesso evento
+ *       vengono riconosciuti e ignorati.
+ *     tags:
+ *       - Payments
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [stripe, paypal, mock]
+ *     responses:
+ *       200:
+ *         description: Evento ricevuto (duplicate true se già elaborato)
+ *       400:
+ *         description: Firma non valida
+ *       404:
+ *         description: Provider non configurato
+ *       500:
+ *         description: Errore di elaborazione (il provider ritenterà)
+ */
+router.post('/webhooks/:provider', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    const result = await handleWebhook(req.params.provider, rawBody, req.headers);
+
+    res.json({ received: true, ...result });
+  } catch (err) {
+    if (err.message.startsWith('Provider ')) {
+      return res.status(404).json({ message: err.message });
+    }
+
+    if (err.message === INVALID_SIGNATURE || err.message === 'Webhook non valido') {
+      return res.status(400).json({ message: err.message });
+    }
+
+    console.error(`Webhook ${req.params.provider} error:`, err);
+    res.status(500).json({ message: 'Errore elaborazione webhook' });
+  }
+});
+
+/* ================================
+   MOCK GATEWAY
+================================ */
+// Gateway locale: attivo solo con PAYMENT_MOCK_ENABLED=true
+const requireMockProvider = (req, res, next) => {
+  try {
+    getProvider('mock');
+    next();
+  } catch {
+    res.status(404).json({ message: 'Gateway mock non attivo' });
+  }
+};
+
+/**
+ * @swagger
+ * /payments/mock/checkout/{id}:
+ *   get:
+ *     summary: Checkout del gateway mock
+ *     description: Pagina di checkout simulata (checkoutUrl dei pagamenti con provider mock)
+ *     tags:
+ *       - Payments
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Checkout (importo, valuta, stato, returnUrl)
+ *       404:
+ *         description: Checkout non trovato o gateway mock non attivo
+ */
+router.get('/mock/checkout/:id', requireMockProvider, (req, res) => {
+  const checkout = getMockCheckout(req.params.id);
+
+  if (!checkout) {
+    return res.status(404).json({ message: 'Checkout non trovato' });
+  }
+
+  res.json(checkout);
+});
+
+/**
+ * @swagger
+ * /payments/mock/checkout/{id}/complete:
+ *   post:
+ *     summary: Conclude un checkout del gateway mock
+ *     description: >
+ *       Simula l'esito del pagamento e consegna il webhook firmato come farebbe il provider.
+ *       La risposta contiene il webhook (headers e body) per reinviarlo a
+ *       /payments/webhooks/mock e provarne l'idempotenza.
+ *     tags:
+ *       - Payments
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [succeeded, failed, cancelled]
+ *     responses:
+ *       200:
+ *         description: Webhook consegnato
+ *       400:
+ *         description: Esito non valido
+ *       404:
+ *         description: Checkout non trovato o gateway mock non attivo
+ */
+router.post('/mock/checkout/:id/complete', requireMockProvider, express.json(), async (req, res) => {
+  try {
+    const { outcome } = validateMockCheckoutCompleteBody(req.body);
+
+    const webhook = completeMockCheckout(req.params.id, outcome);
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Checkout non trovato' });
+    }
+
+    const result = await handleWebhook('mock', webhook.rawBody, webhook.headers);
+
+    res.json({
+      ...result,
+      returnUrl: getMockCheckout(req.params.id).returnUrl,
+      webhook: { headers: webhook.headers, body: webhook.rawBody.toString('utf8') }
+    });
+  } catch (err) {
+    console.error('Mock checkout error:', err);
+
+    if (err instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: err.issues.map((e) => e.message).join(", "),
+        errors: err.issues,
+      });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+module.exports = router;
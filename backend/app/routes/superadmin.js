@@ -4,14 +4,23 @@ const {
   SubscriptionStatus,
   UserStatus,
   EventStatus,
-  Role
+  Role,
+  IngressiReason,
+  JobRunStatus,
+  JobTrigger
 } = require('@prisma/client');
 
 const ExcelJS = require('exceljs');
 const multer = require('multer');
 const { hashPassword } = require('../utils/password');
 const { writeObjRow, fileNameWithDate, rowToObject } = require('../utils/excel');
-const { validateUserExcelBody, validateUpsertUserExcelBody, validateUpsertSubscriptionExcelBody, validateSubscriptionExcelBody, GroupExcelSchema, UserGroupExcelSchema, EventExcelSchema } = require('../utils/zodValidate');
+const { getSetting, setSetting } = require('../utils/settings');
+const { disableTwoFactor } = require('../utils/twoFactor');
+const { revokeUserSessions } = require('../utils/session');
+const { recordInitialIngressi, setIngressiBalance } = require('../utils/ingressi');
+const { JOBS, runJob, listJobs } = require('../utils/scheduler');
+const { ZodError } = require('zod');
+const { validateTwoFactorSettingsBody, validateSubscriptionReminderSettingsBody, validateUserExcelBody, validateUpsertUserExcelBody, validateUpsertSubscriptionExcelBody, validateSubscriptionExcelBody, GroupExcelSchema, UserGroupExcelSchema, EventExcelSchema } = require('../utils/zodValidate');
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -253,7 +262,8 @@ router.post(
                     lastName: validatedUser.lastName,
                     role: validatedUser.role,
                     status: validatedUser.status,
-                    password: validatedUser.password
+                    password: validatedUser.password,
+                    emailVerifiedAt: new Date()
                   }
                 });
                 report.users.created++;
@@ -295,10 +305,22 @@ router.post(
                     )
                 );
               
+                const { ingressi, ...subscriptionData } = updateData;
+
                 await tx.subscription.update({
                   where: { id: existingSubscription.id },
-                  data: updateData
+                  data: subscriptionData
                 });
+
+                if (ingressi !== undefined) {
+                  await setIngressiBalance(tx, {
+                    subscriptionId: existingSubscription.id,
+                    balance: ingressi,
+                    reason: IngressiReason.IMPORT,
+                    actorId: req.user.userId,
+                    note: 'Import Excel'
+                  });
+                }
               
                 report.subscriptions.updated++;
               
@@ -323,7 +345,7 @@ router.post(
                   });
                 }
               
-                await tx.subscription.create({
+                const createdSubscription = await tx.subscription.create({
                   data: {
                     userId: validatedSub.userId,
                     startDate: validatedSub.startDate,
@@ -334,6 +356,12 @@ router.post(
                     status: 'ACTIVE'
                   }
                 });
+
+                await recordInitialIngressi(tx, createdSubscription, {
+                  reason: IngressiReason.IMPORT,
+                  actorId: req.user.userId,
+                  note: 'Import Excel'
+                });
               
                 report.subscriptions.created++;
               }
@@ -627,5 +655,368 @@ router.post('/superadmin/template/events/upload', upload.single('file'), async (
   }
 });
 
+/* ================================
+   GET TWO FACTOR SETTINGS
+================================ */
+/**
+ * @swagger
+ * /superadmin/settings/two-factor:
+ *   get:
+ *     summary: Ruoli per cui la 2FA è obbligatoria
+ *     tags:
+ *       - Superadmin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: requiredRoles
+ */
+router.get('/settings/two-factor', async (req, res) => {
+  try {
+    res.json({ requiredRoles: await getSetting('security.twoFactorRequiredRoles') });
+  } catch (error) {
+    console.error('Get 2FA settings error:', error);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   UPDATE TWO FACTOR SETTINGS
+================================ */
+/**
+ * @swagger
+ * /superadmin/settings/two-factor:
+ *   put:
+ *     summary: Imposta i ruoli per cui la 2FA è obbligatoria
+ *     description: >
+ *       Gli utenti di questi ruoli senza 2FA attiva dovranno configurarla al
+ *       prossimo login prima di ricevere i token.
+ *     tags:
+ *       - Superadmin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requiredRoles
+ *             properties:
+ *               requiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [ADMIN, SUPERADMIN]
+ *     responses:
+ *       200:
+ *         description: Impostazione aggiornata
+ *       400:
+ *         description: Dati non validi
+ */
+router.put('/settings/two-factor', async (req, res) => {
+  try {
+    const { requiredRoles } = validateTwoFactorSettingsBody(req.body);
+
+    await setSetting('security.twoFactorRequiredRoles', requiredRoles);
+
+    res.json({ requiredRoles });
+  } catch (error) {
+    console.error('Update 2FA settings error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET SUBSCRIPTION REMINDER SETTINGS
+================================ */
+/**
+ * @swagger
+ * /superadmin/settings/subscription-reminders:
+ *   get:
+ *     summary: Giorni di anticipo del promemoria di scadenza subscription
+ *     tags:
+ *       - Superadmin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: renewalReminderDays (0 = promemoria disattivato)
+ */
+router.get('/settings/subscription-reminders', async (req, res) => {
+  try {
+    res.json({ renewalReminderDays: await getSetting('subscription.renewalReminderDays') });
+  } catch (error) {
+    console.error('Get subscription reminder settings error:', error);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   UPDATE SUBSCRIPTION REMINDER SETTINGS
+================================ */
+/**
+ * @swagger
+ * /superadmin/settings/subscription-reminders:
+ *   put:
+ *     summary: Imposta i giorni di anticipo del promemoria di scadenza subscription
+ *     tags:
+ *       - Superadmin
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - renewalReminderDays
+ *             properties:
+ *               renewalReminderDays:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 60
+ *                 example: 7
+ *     responses:
+ *       200:
+ *         description: Impostazione aggiornata
+ *       400:
+ *         description: Dati non validi
+ */
+router.put('/settings/subscription-reminders', async (req, res) => {
+  try {
+    const { renewalReminderDays } = validateSubscriptionReminderSettingsBody(req.body);
+
+    await setSetting('subscription.renewalReminderDays', renewalReminderDays);
+
+    res.json({ renewalReminderDays });
+  } catch (error) {
+    console.error('Update subscription reminder settings error:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST SCHEDULED JOBS
+================================ */
+/**
+ * @swagger
+ * /superadmin/jobs:
+ *   get:
+ *     summary: Job pianificati con intervallo e ultima esecuzione
+ *     tags:
+ *       - Superadmin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista job (name, description, intervalMinutes, running, lastRun)
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    res.json(await listJobs());
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST JOB RUNS
+================================ */
+/**
+ * @swagger
+ * /superadmin/jobs/runs:
+ *   get:
+ *     summary: Storico delle esecuzioni dei job
+ *     description: Dalla più recente, con contatori (result) o errore
+ *     tags:
+ *       - Superadmin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: job
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [RUNNING, SUCCEEDED, FAILED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Esecuzioni paginate (items, total, page, pageSize)
+ *       400:
+ *         description: Job o stato non validi
+ */
+router.get('/jobs/runs', async (req, res) => {
+  try {
+    const { job, status } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 20, 1), 100);
+
+    if (job && !JOBS[job]) {
+      return res.status(400).json({ message: 'job non valido' });
+    }
+
+    if (status && !Object.values(JobRunStatus).includes(status)) {
+      return res.status(400).json({ message: 'status non valido' });
+    }
+
+    const where = {
+      ...(job && { job }),
+      ...(status && { status })
+    };
+
+    const [items, total] = await prisma.$transaction([
+      prisma.jobRun.findMany({
+        where,
+        include: { triggeredBy: { select: { id: true, email: true, firstName: true, lastName: true } } },
+        orderBy: { startedAt: 'desc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      }),
+      prisma.jobRun.count({ where })
+    ]);
+
+    res.json({ items, total, page, pageSize });
+  } catch (error) {
+    console.error('List job runs error:', error);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   RUN JOB NOW
+================================ */
+/**
+ * @swagger
+ * /superadmin/jobs/{name}/run:
+ *   post:
+ *     summary: Esegue subito un job
+ *     description: L'esecuzione viene registrata nello storico come MANUAL
+ *     tags:
+ *       - Superadmin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [subscription-expiry, subscription-reminders]
+ *     responses:
+ *       200:
+ *         description: Esecuzione conclusa (status SUCCEEDED o FAILED, result, error)
+ *       404:
+ *         description: Job non trovato
+ *       409:
+ *         description: Job già in esecuzione
+ */
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    const jobRun = await runJob(req.params.name, {
+      trigger: JobTrigger.MANUAL,
+      triggeredById: req.user.userId
+    });
+
+    res.json(jobRun);
+  } catch (error) {
+    console.error('Run job error:', error);
+
+    if (error.message === 'Job non trovato') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (error.message === 'Job già in esecuzione') {
+      return res.status(409).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   RESET USER TWO FACTOR
+================================ */
+/**
+ * @swagger
+ * /superadmin/users/{id}/2fa/reset:
+ *   post:
+ *     summary: Disattiva la 2FA di un utente (es. dispositivo perso)
+ *     description: >
+ *       Elimina secret e codici di recupero e chiude tutte le sessioni dell'utente.
+ *       Se la 2FA è obbligatoria per il ruolo, dovrà riconfigurarla al prossimo login.
+ *     tags:
+ *       - Superadmin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disattivata
+ *       400:
+ *         description: Non puoi resettare la tua 2FA
+ *       404:
+ *         description: Utente non trovato
+ */
+router.post('/users/:id/2fa/reset', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.userId) {
+      return res.status(400).json({ message: 'Non puoi resettare la tua 2FA' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id } });
+    if (!user) return res.status(404).json({ message: 'Utente non trovato' });
+
+    await disableTwoFactor(id);
+    await revokeUserSessions(id, 'TWO_FACTOR_RESET');
+
+    res.json({ message: '2FA disattivata' });
+  } catch (error) {
+    console.error('Reset user 2FA error:', error);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,11 +1,94 @@
 const express = require('express');
+const multer = require('multer');
 const { PrismaClient, SubscriptionStatus, UserStatus, EventStatus, Role, GroupLevel } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { canBookEvent, getEventMinLevel } = require('../utils/subscription');
-const { canBookEventByEventId, canCancelEventByEventId } = require('../utils/dateRules');
+const { getNowItaly, canBookEventByEventId, canCancelEventByEventId, canCancelEvent } = require('../utils/dateRules');
+const { bookEventInTransaction } = require('../utils/booking');
+const { requestBuddyInTransaction, leaveBuddyPair, releaseBuddiesInTransaction } = require('../utils/buddy');
+const { getEventCapacity, checkEventCapacity } = require('../utils/instructors');
+const { venueSelect, locationFilter } = require('../utils/locations');
+const { refundBooking } = require('../utils/ingressi');
+const { requireVerifiedEmail } = require('../core/middleware');
+const { revokeSession, revokeUserSessions } = require('../utils/session');
+const { WAITLIST_ORDER, getWaitlistPosition, promoteFromWaitlist } = require('../utils/waitlist');
+const { comparePassword, hashPassword } = require('../utils/password');
+const { issueEmailVerification, canResendEmailVerification } = require('../utils/emailVerification');
+const { sendEmailChangeRequestedEmail } = require('../utils/notifications');
+const { getAttendanceSummary } = require('../utils/attendance');
+const { issueCheckInToken, renderCheckInQr } = require('../utils/checkIn');
+const { MEDICAL_CERTIFICATE_MAX_SIZE, uploadMedicalCertificate, listUserCertificates, getCertificateFile } = require('../utils/medicalCertificate');
+const { setAutoRenew } = require('../utils/subscriptionLifecycle');
+const { publicPackSelect, listTopUpPacks, createTopUpPurchase, listTopUpPurchases } = require('../utils/topUp');
+const { createSubscriptionPayment } = require('../utils/payment');
+const { validateProfilePatchBody, validateMedicalCertificateUploadBody, validateAutoRenewBody, validateTopUpPurchaseBody, validatePaymentCheckoutBody } = require('../utils/zodValidate');
+const { ZodError } = require('zod');
 
 const router = express.Router();
 
+// Campi del pagamento mostrati all'utente
+const myPaymentSelect = {
+  id: true,
+  provider: true,
+  purpose: true,
+  status: true,
+  amount: true,
+  currency: true,
+  checkoutUrl: true,
+  subscriptionId: true,
+  topUpPurchaseId: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDICAL_CERTIFICATE_MAX_SIZE, files: 1 }
+});
+
+// Upload del certificato con risposta JSON per i file troppo grandi
+const uploadCertificate = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return err.code === 'LIMIT_FILE_SIZE'
+        ? res.status(413).json({ message: 'File troppo grande (massimo 10MB)' })
+        : res.status(400).json({ message: 'Upload non valido' });
+    }
+    next(err);
+  });
+};
+
+/* ================================
+   LIST LOCATIONS (USER)
+================================ */
+/**
+ * @swagger
+ * /user/locations:
+ *   get:
+ *     summary: Elenca i luoghi degli eventi
+ *     description: Luoghi gestiti, da usare come filtro locationId di /user/events/month e /user/events/day
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista luoghi
+ */
+router.get('/locations', async (req, res) => {
+  try {
+    const locations = await prisma.location.findMany({
+      select: venueSelect,
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(locations);
+  } catch (err) {
+    console.error('Errore recupero luoghi:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
 /* ================================
    GET MONTH EVENTS (USER)
 ================================ */
@@ -32,6 +115,11 @@ const router = express.Router();
  *         schema:
  *           type: integer
  *           example: 5
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *         description: Solo gli eventi del luogo indicato
  *     responses:
  *       200:
  *         description: Lista eventi del mese
@@ -39,7 +127,11 @@ const router = express.Router();
  *         description: Non autenticato
  */
 router.get('/events/month', async (req, res) => {
-  const { year, month, userEmail } = req.query;
+  const { year, month, userEmail, locationId } = req.query;
+
+  if (locationId !== undefined && !Number.isInteger(Number(locationId))) {
+    return res.status(400).json({ message: 'locationId non valido' });
+  }
 
   const events = await prisma.event.findMany({
     where: {
@@ -47,9 +139,11 @@ router.get('/events/month', async (req, res) => {
       date: {
         gte: new Date(year, month - 1, 1),
         lt: new Date(year, month, 1),
-      }
+      },
+      ...locationFilter(locationId)
     },
     include: {
+      venue: { select: venueSelect },
       signups: {
         select: {
           user: { select: { email: true } }
@@ -98,6 +192,11 @@ router.get('/events/month', async (req, res) => {
  *         schema:
  *           type: integer
  *           example: 12
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *         description: Solo gli eventi del luogo indicato
  *     responses:
  *       200:
  *         description: Lista eventi del giorno
@@ -106,7 +205,7 @@ router.get('/events/month', async (req, res) => {
  */
 router.get('/events/day', async (req, res) => {
   try {
-    const { year, month, day } = req.query;
+    const { year, month, day, locationId } = req.query;
 
     const userId = req.user.userId;
 
@@ -114,44 +213,60 @@ router.get('/events/day', async (req, res) => {
       return res.status(400).json({ message: "ID utente non valido" });
     }
 
+    if (locationId !== undefined && !Number.isInteger(Number(locationId))) {
+      return res.status(400).json({ message: 'locationId non valido' });
+    }
+
     const events = await prisma.event.findMany({
       where: {
         status: EventStatus.SCHEDULED,
         date: {
           gte: new Date(year, month - 1, day),
           lt: new Date(year, month - 1, Number(day) + 1)
-        }
+        },
+        ...locationFilter(locationId)
       },
       include: {
+        venue: { select: venueSelect },
         signups: {
           select: {
             user: { select: { email: true } }
           }
         },
+        waitlist: {
+          select: { userId: true },
+          orderBy: WAITLIST_ORDER
+        },
         category: true
       }
     });
 
     // Trasforma eventi per FE
     const formattedEvents = await Promise.all(
-      events.map(async (ev) => {
-        const { canBook } = await canBookEvent(userId, ev.id); // se può prenotare
+      events.map(async ({ waitlist, ...ev }) => {
+        const { canBook, code: bookingCode } = await canBookEvent(userId, ev.id); // se può prenotare
         const minLevel = ev.category ? getEventMinLevel(ev.category.code) : 'ALL'; // livello minimo richiesto
+        const waitlistIndex = waitlist.findIndex(entry => entry.userId === userId);
 
         return {
           ...ev,
           id: ev.id,
           title: ev.title,
           description: ev.description,
-          location: ev.location,
+          location: ev.venue?.name ?? ev.location,
+          venue: ev.venue,
           date: ev.date,
           startTime: ev.startTime,
           endTime: ev.endTime,
           maxSlots: ev.maxSlots,
+          capacity: (await getEventCapacity(ev)).capacity,
           signedUpCount: ev.signups.length,
           partecipanti: ev.signups.map(s => s.user.email),
           canBook,
-          minLevel
+          bookingCode: bookingCode ?? null,
+          minLevel,
+          waitlistCount: waitlist.length,
+          waitlistPosition: waitlistIndex === -1 ? null : waitlistIndex + 1
         };
       })
     );
@@ -167,6 +282,7 @@ router.get('/events/day', async (req, res) => {
    BOOK EVENT
    - controllo subscription valida tramite utils
    - controllo slot disponibili
+   - compagno di immersione opzionale (già iscritto all'evento)
 ================================ */
 /**
  * @swagger
@@ -176,6 +292,9 @@ router.get('/events/day', async (req, res) => {
  *     description: >
  *       Prenota un evento se l'utente ha una subscription valida
  *       e se ci sono slot disponibili.
+ *       Con buddyEmail l'utente viene abbinato al compagno indicato, che deve
+ *       essere già iscritto all'evento e senza coppia (altrimenti la prenotazione non viene creata).
+ *       Il compagno riceve un'email e può sciogliere la coppia con /user/events/buddy/leave.
  *     tags:
  *       - User
  *     security:
@@ -192,16 +311,28 @@ router.get('/events/day', async (req, res) => {
  *               eventId:
  *                 type: number
  *                 example: 10
+ *               buddyEmail:
+ *                 type: string
+ *                 example: 'compagno@email.it'
  *     responses:
  *       201:
  *         description: Prenotazione creata
  *       403:
- *         description: Subscription non valida o evento pieno/non disponibile
+ *         description: >
+ *           Subscription non valida o evento pieno/non disponibile.
+ *           Con code EMAIL_NOT_VERIFIED se l'email non è stata verificata,
+ *           MEDICAL_CERTIFICATE_MISSING / MEDICAL_CERTIFICATE_EXPIRED se il
+ *           certificato medico manca o scade prima dell'evento,
+ *           NO_SHOW_BLOCKED se le prenotazioni sono sospese per assenze ripetute.
  */
-router.post('/events/book', async (req, res) => {
-  const { eventId } = req.body;
+router.post('/events/book', requireVerifiedEmail, async (req, res) => {
+  const { eventId, buddyEmail } = req.body;
   const userId = req.user.userId;
 
+  if (buddyEmail !== undefined && (typeof buddyEmail !== 'string' || !buddyEmail.trim())) {
+    return res.status(400).json({ message: 'buddyEmail non valido' });
+  }
+
   try {
     // Controllo temporale (fuori transazione)
     const timeCheck = await canBookEventByEventId(eventId);
@@ -212,52 +343,18 @@ router.post('/events/book', async (req, res) => {
     // Controllo read-only business per frontend (facoltativo)
     const businessCheck = await canBookEvent(userId, eventId);
     if (!businessCheck.canBook) {
-      return res.status(403).json({ message: businessCheck.message });
+      return res.status(403).json({ code: businessCheck.code, message: businessCheck.message });
     }
 
-    // Prenotazione atomica dentro transazione
-    await prisma.$transaction(async (tx) => {
-
-      // Lock evento: prendi signups correnti
-      const event = await tx.event.findUnique({
-        where: { id: eventId },
-        include: { signups: true }
-      });
-
-      if (!event || event.status !== 'SCHEDULED') {
-        throw new Error('Evento non disponibile');
-      }
-
-      if (event.signups.length >= event.maxSlots) {
-        throw new Error('Evento pieno');
-      }
-
-      // Lock subscription attiva dell’utente
-      const subscription = await tx.subscription.findFirst({
-        where: {
-          userId,
-          status: 'ACTIVE',
-          startDate: { lte: new Date() },
-          endDate: { gte: new Date() }
-        }
-      });
-
-      if (!subscription || subscription.ingressi <= 0) {
-        throw new Error('Ingressi insufficienti');
-      }
+    // Prenotazione atomica dentro transazione (con l'eventuale compagno richiesto)
+    const notifyBuddy = await prisma.$transaction(async (tx) => {
+      const signup = await bookEventInTransaction(tx, { userId, eventId });
 
-      // Inserisci prenotazione
-      await tx.eventSignup.create({
-        data: { userId, eventId }
-      });
-
-      // Decrementa ingressi atomico
-      await tx.subscription.update({
-        where: { id: subscription.id },
-        data: { ingressi: { decrement: 1 } }
-      });
+      return buddyEmail ? requestBuddyInTransaction(tx, { signup, buddyEmail }) : null;
     });
 
+    if (notifyBuddy) await notifyBuddy();
+
     res.status(201).json({ success: true });
   } catch (err) {
     console.error('Errore prenotazione:', err);
@@ -310,37 +407,39 @@ router.post('/events/cancel', async (req, res) => {
       return res.status(403).json({ message: cancelCheck.message });
     }
 
-    // Transazione atomica per delete + increment ingressi
-    await prisma.$transaction(async (tx) => {
-
-      // Cancella prenotazione
-      const deleted = await tx.eventSignup.delete({
+    // Transazione atomica per delete + restituzione ingressi
+    const notifyBuddies = await prisma.$transaction(async (tx) => {
+      const signup = await tx.eventSignup.findUnique({
         where: { userId_eventId: { userId, eventId } }
       });
 
-      if (!deleted) {
+      if (!signup) {
         throw new Error('Prenotazione non trovata');
       }
 
-      // Trova subscription attiva
-      const subscription = await tx.subscription.findFirst({
-        where: {
-          userId,
-          status: 'ACTIVE'
-        }
+      // Il compagno rimasto solo viene riabbinato se possibile
+      const notify = await releaseBuddiesInTransaction(tx, [signup]);
+
+      // Cancella prenotazione
+      const deleted = await tx.eventSignup.delete({
+        where: { id: signup.id }
       });
 
-      if (!subscription) {
-        throw new Error('Subscription attiva non trovata');
-      }
+      // Restituisce gli ingressi addebitati (movimento CANCELLATION nel ledger)
+      await refundBooking(tx, deleted);
 
-      // Incrementa ingressi atomico
-      await tx.subscription.update({
-        where: { id: subscription.id },
-        data: { ingressi: { increment: 1 } }
-      });
+      return notify;
     });
 
+    await notifyBuddies();
+
+    // Il posto liberato passa al primo idoneo in lista d'attesa
+    try {
+      await promoteFromWaitlist(eventId);
+    } catch (err) {
+      console.error('Errore promozione lista d\'attesa:', err);
+    }
+
     res.json({ message: 'Prenotazione cancellata' });
   } catch (err) {
     console.error('Errore cancellazione:', err);
@@ -348,6 +447,1283 @@ router.post('/events/cancel', async (req, res) => {
   }
 });
 
+/* ================================
+   JOIN EVENT WAITLIST
+   - solo per eventi pieni
+   - stessi requisiti della prenotazione
+================================ */
+/**
+ * @swagger
+ * /user/events/waitlist/join:
+ *   post:
+ *     summary: Entra nella lista d'attesa di un evento pieno
+ *     description: >
+ *       Inserisce l'utente in coda. Quando si libera un posto il primo
+ *       utente idoneo viene prenotato automaticamente e gli viene scalato un ingresso.
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - eventId
+ *             properties:
+ *               eventId:
+ *                 type: number
+ *                 example: 10
+ *     responses:
+ *       201:
+ *         description: Inserito in lista d'attesa, restituisce la posizione
+ *       403:
+ *         description: Utente non idoneo, prenotazioni chiuse o email non verificata (code EMAIL_NOT_VERIFIED)
+ *       409:
+ *         description: Già prenotato, già in lista o evento con posti liberi
+ */
+router.post('/events/waitlist/join', requireVerifiedEmail, async (req, res) => {
+  const { eventId } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const timeCheck = await canBookEventByEventId(eventId);
+    if (!timeCheck.canBook) {
+      return res.status(403).json({ message: timeCheck.message });
+    }
+
+    const businessCheck = await canBookEvent(userId, eventId, { ignoreCapacity: true });
+    if (!businessCheck.canBook) {
+      return res.status(403).json({ code: businessCheck.code, message: businessCheck.message });
+    }
+
+    const event = await prisma.event.findUnique({
+      where: { id: eventId },
+      include: { signups: { select: { userId: true } } }
+    });
+
+    if (event.signups.some(s => s.userId === userId)) {
+      return res.status(409).json({ message: 'Sei già prenotato' });
+    }
+
+    const capacity = await checkEventCapacity(event, event.signups.length);
+    if (capacity.available) {
+      return res.status(409).json({ message: 'Ci sono ancora posti disponibili, prenota direttamente' });
+    }
+
+    await prisma.eventWaitlistEntry.create({
+      data: { userId, eventId }
+    });
+
+    const position = await getWaitlistPosition(userId, eventId);
+
+    res.status(201).json({ success: true, position });
+  } catch (err) {
+    console.error('Errore lista d\'attesa:', err);
+    if (err.code === 'P2002') {
+      return res.status(409).json({ message: 'Sei già in lista d\'attesa' });
+    }
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LEAVE EVENT WAITLIST
+================================ */
+/**
+ * @swagger
+ * /user/events/waitlist/leave:
+ *   post:
+ *     summary: Esce dalla lista d'attesa di un evento
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - eventId
+ *             properties:
+ *               eventId:
+ *                 type: number
+ *                 example: 10
+ *     responses:
+ *       200:
+ *         description: Rimosso dalla lista d'attesa
+ *       404:
+ *         description: Non presente in lista d'attesa
+ */
+router.post('/events/waitlist/leave', async (req, res) => {
+  const { eventId } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const deleted = await prisma.eventWaitlistEntry.deleteMany({
+      where: { userId, eventId }
+    });
+
+    if (deleted.count === 0) {
+      return res.status(404).json({ message: 'Non sei in lista d\'attesa' });
+    }
+
+    res.json({ message: 'Rimosso dalla lista d\'attesa' });
+  } catch (err) {
+    console.error('Errore uscita lista d\'attesa:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LEAVE BUDDY PAIR
+   - il compagno indicato rifiuta la coppia, o il richiedente ci ripensa
+================================ */
+/**
+ * @swagger
+ * /user/events/buddy/leave:
+ *   post:
+ *     summary: Scioglie la coppia scelta da un membro
+ *     description: >
+ *       Entrambi i membri di una coppia richiesta con buddyEmail possono scioglierla;
+ *       le prenotazioni restano valide e l'altro partecipante riceve un'email.
+ *       Le coppie assegnate automaticamente dallo staff non possono essere sciolte.
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - eventId
+ *             properties:
+ *               eventId:
+ *                 type: number
+ *                 example: 10
+ *     responses:
+ *       200:
+ *         description: Coppia sciolta (formerBuddy)
+ *       404:
+ *         description: Prenotazione non trovata
+ *       409:
+ *         description: Non in coppia, coppia assegnata dallo staff o evento non disponibile
+ */
+router.post('/events/buddy/leave', async (req, res) => {
+  const { eventId } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const formerBuddy = await leaveBuddyPair(userId, eventId);
+
+    if (!formerBuddy) {
+      return res.status(404).json({ message: 'Prenotazione non trovata' });
+    }
+
+    res.json({ message: 'Coppia sciolta', formerBuddy: { id: formerBuddy.id, firstName: formerBuddy.firstName, lastName: formerBuddy.lastName } });
+  } catch (err) {
+    console.error('Errore scioglimento coppia:', err);
+    if (['Evento non disponibile', 'Non sei in coppia per questo evento', 'La coppia è stata assegnata dallo staff'].includes(err.message)) {
+      return res.status(409).json({ message: err.message });
+    }
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+
+/* ================================
+   LIST MY BOOKINGS
+================================ */
+/**
+ * @swagger
+ * /user/bookings:
+ *   get:
+ *     summary: Elenca le prenotazioni dell'utente
+ *     description: >
+ *       upcoming = eventi da oggi in poi (ordine cronologico),
+ *       past = eventi dei giorni precedenti (dal più recente).
+ *       canCancel applica le stesse regole di /user/events/cancel.
+ *       cancelDeadline è un istante ISO 8601 in UTC (ora di inizio in Italia meno la chiusura disdette).
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, past]
+ *           default: upcoming
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Prenotazioni paginate (items, total, page, pageSize)
+ *       400:
+ *         description: scope non valido
+ */
+router.get('/bookings', async (req, res) => {
+  try {
+    const { scope = 'upcoming' } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(req.query.pageSize) || 20, 1), 100);
+
+    if (!['upcoming', 'past'].includes(scope)) {
+      return res.status(400).json({ message: 'scope non valido' });
+    }
+
+    // Le date evento sono salvate senza orario: confronto sul giorno corrente
+    const now = getNowItaly();
+    const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+    const upcoming = scope === 'upcoming';
+    const direction = upcoming ? 'asc' : 'desc';
+
+    const where = {
+      userId: req.user.userId,
+      event: { date: upcoming ? { gte: today } : { lt: today } }
+    };
+
+    const [signups, total] = await prisma.$transaction([
+      prisma.eventSignup.findMany({
+        where,
+        include: {
+          event: { include: { category: true, venue: { select: venueSelect } } },
+          buddySignup: { include: { user: { select: { id: true, firstName: true, lastName: true } } } }
+        },
+        orderBy: [{ event: { date: direction } }, { event: { startTime: direction } }],
+        skip: (page - 1) * pageSize,
+        take: pageSize
+      }),
+      prisma.eventSignup.count({ where })
+    ]);
+
+    const items = await Promise.all(signups.map(async ({ event, buddySignup, ...signup }) => {
+      const cancelRule = event.status === EventStatus.SCHEDULED
+        ? await canCancelEvent(event)
+        : { canCancel: false, message: 'Evento non disponibile' };
+
+      return {
+        id: signup.id,
+        bookedAt: signup.createdAt,
+        ingressiCharged: signup.ingressiCharged,
+        refundedAt: signup.refundedAt,
+        checkedInAt: signup.checkedInAt,
+        attendanceStatus: signup.attendanceStatus,
+        buddy: buddySignup?.user ?? null,
+        buddySource: signup.buddySource,
+        canCancel: cancelRule.canCancel,
+        cancelDeadline: cancelRule.deadline ?? null,
+        cancelMessage: cancelRule.canCancel ? null : cancelRule.message,
+        event: {
+          id: event.id,
+          title: event.title,
+          description: event.description,
+          equipment: event.equipment,
+          note: event.note,
+          location: event.venue?.name ?? event.location,
+          venue: event.venue,
+          date: event.date,
+          startTime: event.startTime,
+          endTime: event.endTime,
+          status: event.status,
+          cancellationReason: event.cancellationReason,
+          category: {
+            id: event.category.id,
+            code: event.category.code,
+            label: event.category.label
+          }
+        }
+      };
+    }));
+
+    res.json({ items, total, page, pageSize });
+  } catch (err) {
+    console.error('Errore recupero prenotazioni:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET BOOKING CHECK-IN QR
+================================ */
+/**
+ * @swagger
+ * /user/bookings/{id}/checkin:
+ *   get:
+ *     summary: Token di check-in della prenotazione (QR da mostrare alla reception)
+ *     description: >
+ *       Il token è firmato, legato alla prenotazione e valido 10 minuti: l'app lo rigenera alla scadenza.
+ *       Con format=png o format=svg restituisce direttamente l'immagine del QR.
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, png, svg]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: token, expiresAt e qrCode (data URL PNG), oppure l'immagine del QR
+ *       400:
+ *         description: Formato non valido, evento annullato o terminato, check-in già effettuato
+ *       404:
+ *         description: Prenotazione non trovata
+ */
+router.get('/bookings/:id/checkin', async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'png', 'svg'].includes(format)) {
+      return res.status(400).json({ message: 'format non valido' });
+    }
+
+    const result = await issueCheckInToken(req.user.userId, Number(req.params.id));
+
+    if (!result) {
+      return res.status(404).json({ message: 'Prenotazione non trovata' });
+    }
+
+    if (!result.token) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    // Il QR cambia a ogni richiesta: niente cache
+    res.set('Cache-Control', 'no-store');
+
+    if (format === 'png' || format === 'svg') {
+      res.type(format === 'png' ? 'image/png' : 'image/svg+xml');
+      return res.send(await renderCheckInQr(result.token, format));
+    }
+
+    res.json({
+      token: result.token,
+      expiresAt: result.expiresAt,
+      qrCode: await renderCheckInQr(result.token, 'dataUrl')
+    });
+  } catch (err) {
+    console.error('Errore generazione QR check-in:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   PROFILE HELPERS
+================================ */
+// Nuovo indirizzo in attesa di conferma (cambio email non ancora verificato)
+const getPendingEmail = async (user) => {
+  const pending = await prisma.emailVerificationToken.findFirst({
+    where: {
+      userId: user.id,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+      email: { not: user.email }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  return pending?.email ?? null;
+};
+
+const formatProfile = (user, pendingEmail) => ({
+  id: user.id,
+  email: user.email,
+  pendingEmail,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  status: user.status,
+  medicalCertificateExpiryDate: user.medicalCertificateExpiryDate,
+  emailVerifiedAt: user.emailVerifiedAt,
+  twoFactorEnabled: !!user.twoFactorEnabledAt,
+  createdAt: user.createdAt
+});
+
+/* ================================
+   GET MY PROFILE
+================================ */
+/**
+ * @swagger
+ * /user/me:
+ *   get:
+ *     summary: Profilo dell'utente autenticato
+ *     description: pendingEmail è valorizzato se è in corso un cambio email non ancora confermato
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profilo utente
+ *       404:
+ *         description: Utente non trovato
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
+    if (!user) return res.status(404).json({ message: 'Utente non trovato' });
+
+    res.json(formatProfile(user, await getPendingEmail(user)));
+  } catch (err) {
+    console.error('Errore recupero profilo:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   UPDATE MY PROFILE
+================================ */
+/**
+ * @swagger
+ * /user/me:
+ *   patch:
+ *     summary: Aggiorna il profilo dell'utente autenticato
+ *     description: >
+ *       Nome e cognome vengono aggiornati subito.
+ *       Il cambio email richiede la password attuale e diventa effettivo solo dopo
+ *       la conferma dal link inviato al nuovo indirizzo (/auth/verify-email);
+ *       il vecchio indirizzo riceve un avviso.
+ *       Il cambio password richiede la password attuale e chiude tutte le altre sessioni.
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Profilo aggiornato
+ *       400:
+ *         description: Dati non validi o password attuale errata
+ *       409:
+ *         description: Email già utilizzata
+ *       429:
+ *         description: Troppe richieste di cambio email (header Retry-After)
+ */
+router.patch('/me', async (req, res) => {
+  try {
+    const data = validateProfilePatchBody(req.body);
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
+    if (!user) return res.status(404).json({ message: 'Utente non trovato' });
+
+    if (data.currentPassword && !(await comparePassword(data.currentPassword, user.password))) {
+      return res.status(400).json({ message: 'Password attuale errata' });
+    }
+
+    const emailChange = data.email !== undefined && data.email !== user.email;
+
+    if (emailChange) {
+      const existing = await prisma.user.findUnique({ where: { email: data.email } });
+      if (existing) return res.status(409).json({ message: 'Email già utilizzata' });
+
+      const throttle = await canResendEmailVerification(user.id);
+      if (!throttle.allowed) {
+        res.set('Retry-After', String(throttle.retryAfter));
+        return res.status(429).json({ message: 'Troppe richieste, riprova più tardi', retryAfter: throttle.retryAfter });
+      }
+    }
+
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        ...(data.firstName !== undefined && { firstName: data.firstName }),
+        ...(data.lastName !== undefined && { lastName: data.lastName }),
+        ...(data.newPassword && { password: await hashPassword(data.newPassword) })
+      }
+    });
+
+    // Le altre sessioni devono rifare il login con la nuova password
+    if (data.newPassword) {
+      await revokeUserSessions(user.id, 'PASSWORD_CHANGED', { exceptSessionId: req.user.sid });
+    }
+
+    if (emailChange) {
+      await issueEmailVerification(updated, data.email);
+
+      try {
+        await sendEmailChangeRequestedEmail(updated, data.email);
+      } catch (mailError) {
+        console.error('Email change notice error:', mailError);
+      }
+    }
+
+    res.json(formatProfile(updated, await getPendingEmail(updated)));
+  } catch (err) {
+    console.error('Errore aggiornamento profilo:', err);
+
+    if (err instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: err.issues.map((e) => e.message).join(", "),
+        errors: err.issues,
+      });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET MY SUBSCRIPTION
+================================ */
+/**
+ * @swagger
+ * /user/me/subscription:
+ *   get:
+ *     summary: Subscription attiva dell'utente autenticato
+ *     description: >
+ *       Ingressi rimanenti, validità, piano con rinnovo automatico, gruppi/livelli assegnati
+ *       e storico delle sospensioni (frozen = sospesa oggi)
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription attiva
+ *       404:
+ *         description: Nessuna subscription attiva
+ */
+router.get('/me/subscription', async (req, res) => {
+  try {
+    const now = new Date();
+
+    const subscription = await prisma.subscription.findFirst({
+      where: {
+        userId: req.user.userId,
+        status: SubscriptionStatus.ACTIVE,
+        startDate: { lte: now },
+        endDate: { gte: now }
+      },
+      orderBy: { endDate: 'desc' },
+      include: {
+        plan: { select: { id: true, name: true, isActive: true } },
+        freezes: { orderBy: { startDate: 'desc' } },
+        userGroups: {
+          where: { isActive: true },
+          include: { group: true }
+        }
+      }
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ message: 'Nessuna subscription attiva' });
+    }
+
+    // Le sospensioni sono salvate senza orario: confronto sul giorno corrente
+    const nowItaly = getNowItaly();
+    const today = new Date(Date.UTC(nowItaly.getFullYear(), nowItaly.getMonth(), nowItaly.getDate()));
+
+    res.json({
+      id: subscription.id,
+      status: subscription.status,
+      startDate: subscription.startDate,
+      endDate: subscription.endDate,
+      ingressi: subscription.ingressi,
+      amount: subscription.amount,
+      currency: subscription.currency,
+      plan: subscription.plan,
+      autoRenew: subscription.autoRenew,
+      frozen: subscription.freezes.some(f => f.startDate <= today && f.endDate >= today),
+      freezes: subscription.freezes.map(f => ({
+        id: f.id,
+        startDate: f.startDate,
+        endDate: f.endDate,
+        days: f.days,
+        reason: f.reason
+      })),
+      groups: subscription.userGroups.map(ug => ({
+        id: ug.group.id,
+        name: ug.group.name,
+        description: ug.group.description,
+        level: ug.group.level,
+        validFrom: ug.validFrom,
+        validTo: ug.validTo
+      }))
+    });
+  } catch (err) {
+    console.error('Errore recupero subscription:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   SET MY SUBSCRIPTION AUTO-RENEW
+================================ */
+/**
+ * @swagger
+ * /user/me/subscription/auto-renew:
+ *   put:
+ *     summary: Attiva o disattiva il rinnovo automatico della subscription attiva
+ *     description: >
+ *       Alla scadenza viene creato il rinnovo dallo stesso piano (prezzo, durata, ingressi e gruppi
+ *       del piano) in stato PENDING, con il link di pagamento inviato via email: si attiva solo a
+ *       pagamento confermato. Disponibile solo per le subscription create da un piano attivo.
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - autoRenew
+ *             properties:
+ *               autoRenew:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Rinnovo automatico aggiornato
+ *       400:
+ *         description: Dati non validi o subscription senza piano attivo
+ *       404:
+ *         description: Nessuna subscription attiva
+ */
+router.put('/me/subscription/auto-renew', async (req, res) => {
+  try {
+    const { autoRenew } = validateAutoRenewBody(req.body);
+
+    const subscription = await setAutoRenew(req.user.userId, autoRenew);
+
+    if (!subscription) {
+      return res.status(404).json({ message: 'Nessuna subscription attiva' });
+    }
+
+    res.json({ id: subscription.id, autoRenew: subscription.autoRenew, endDate: subscription.endDate });
+  } catch (err) {
+    console.error('Errore rinnovo automatico subscription:', err);
+
+    if (err instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: err.issues.map((e) => e.message).join(", "),
+        errors: err.issues,
+      });
+    }
+
+    if (
+      err.message === 'La subscription non è legata a un piano' ||
+      err.message === 'Il piano della subscription non è più disponibile'
+    ) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST TOP-UP PACKS
+================================ */
+/**
+ * @swagger
+ * /user/top-up-packs:
+ *   get:
+ *     summary: Pacchetti di ingressi acquistabili
+ *     description: Pacchetti attivi, acquistabili sulla subscription attiva quando gli ingressi finiscono
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista pacchetti
+ */
+router.get('/top-up-packs', async (req, res) => {
+  try {
+    res.json(await listTopUpPacks({ activeOnly: true, select: publicPackSelect }));
+  } catch (err) {
+    console.error('Errore recupero pacchetti ingressi:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST MY TOP-UPS
+================================ */
+/**
+ * @swagger
+ * /user/me/top-ups:
+ *   get:
+ *     summary: Acquisti di pacchetti dell'utente autenticato
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista acquisti, dal più recente
+ */
+router.get('/me/top-ups', async (req, res) => {
+  try {
+    res.json(await listTopUpPurchases({ userId: req.user.userId }));
+  } catch (err) {
+    console.error('Errore recupero acquisti pacchetti:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   BUY TOP-UP PACK
+================================ */
+/**
+ * @swagger
+ * /user/me/top-ups:
+ *   post:
+ *     summary: Acquista un pacchetto di ingressi
+ *     description: >
+ *       Avvia il pagamento del pacchetto sulla subscription attiva e restituisce il checkoutUrl
+ *       del provider. Gli ingressi vengono accreditati solo quando il webhook del provider
+ *       conferma il pagamento (stato in GET /user/me/payments/{id}).
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - packId
+ *               - paymentProvider
+ *             properties:
+ *               packId:
+ *                 type: integer
+ *               paymentProvider:
+ *                 type: string
+ *                 enum: [stripe, paypal, mock]
+ *     responses:
+ *       201:
+ *         description: Acquisto creato in attesa di pagamento, con il pagamento e il suo checkoutUrl
+ *       400:
+ *         description: Dati non validi, provider o pacchetto non disponibile, nessuna subscription attiva
+ *       502:
+ *         description: Checkout non disponibile presso il provider
+ */
+router.post('/me/top-ups', async (req, res) => {
+  try {
+    const { packId, paymentProvider } = validateTopUpPurchaseBody(req.body);
+
+    const { purchase, payment } = await createTopUpPurchase(req.user.userId, packId, paymentProvider);
+
+    res.status(201).json({ purchase, payment });
+  } catch (err) {
+    console.error('Errore acquisto pacchetto ingressi:', err);
+
+    if (err instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: err.issues.map((e) => e.message).join(", "),
+        errors: err.issues,
+      });
+    }
+
+    if (
+      err.message === 'Nessuna subscription attiva' ||
+      err.message === 'Pacchetto non disponibile' ||
+      err.message.startsWith('Provider ')
+    ) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    if (err.message === 'Checkout non disponibile presso il provider') {
+      return res.status(502).json({ message: err.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   MY SUBSCRIPTION CHECKOUT
+================================ */
+/**
+ * @swagger
+ * /user/me/subscription/checkout:
+ *   post:
+ *     summary: Nuovo checkout per la subscription in attesa di pagamento
+ *     description: >
+ *       Crea un nuovo pagamento per l'ultima subscription PENDING (es. checkout della registrazione
+ *       scaduto o fallito). La subscription diventa ACTIVE solo con il webhook del provider.
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentProvider
+ *             properties:
+ *               paymentProvider:
+ *                 type: string
+ *                 enum: [stripe, paypal, mock]
+ *     responses:
+ *       201:
+ *         description: Pagamento creato, con checkoutUrl
+ *       400:
+ *         description: Dati non validi o provider non disponibile
+ *       404:
+ *         description: Nessuna subscription in attesa di pagamento
+ *       502:
+ *         description: Checkout non disponibile presso il provider
+ */
+router.post('/me/subscription/checkout', async (req, res) => {
+  try {
+    const { paymentProvider } = validatePaymentCheckoutBody(req.body);
+
+    const subscription = await prisma.subscription.findFirst({
+      where: { userId: req.user.userId, status: SubscriptionStatus.PENDING },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ message: 'Nessuna subscription in attesa di pagamento' });
+    }
+
+    const payment = await createSubscriptionPayment(subscription, paymentProvider);
+
+    res.status(201).json(payment);
+  } catch (err) {
+    console.error('Errore checkout subscription:', err);
+
+    if (err instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: err.issues.map((e) => e.message).join(", "),
+        errors: err.issues,
+      });
+    }
+
+    if (err.message.startsWith('Provider ')) {
+      return res.status(400).json({ message: err.message });
+    }
+
+    if (err.message === 'Checkout non disponibile presso il provider') {
+      return res.status(502).json({ message: err.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST MY PAYMENTS
+================================ */
+/**
+ * @swagger
+ * /user/me/payments:
+ *   get:
+ *     summary: Pagamenti dell'utente autenticato
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista pagamenti, dal più recente
+ */
+router.get('/me/payments', async (req, res) => {
+  try {
+    const payments = await prisma.payment.findMany({
+      where: { userId: req.user.userId },
+      select: myPaymentSelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(payments);
+  } catch (err) {
+    console.error('Errore recupero pagamenti:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET MY PAYMENT
+================================ */
+/**
+ * @swagger
+ * /user/me/payments/{id}:
+ *   get:
+ *     summary: Stato di un pagamento dell'utente autenticato
+ *     description: Da interrogare al ritorno dal checkout finché lo stato è PENDING
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Pagamento
+ *       404:
+ *         description: Pagamento non trovato
+ */
+router.get('/me/payments/:id', async (req, res) => {
+  try {
+    const payment = await prisma.payment.findFirst({
+      where: { id: Number(req.params.id) || 0, userId: req.user.userId },
+      select: myPaymentSelect
+    });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Pagamento non trovato' });
+    }
+
+    res.json(payment);
+  } catch (err) {
+    console.error('Errore recupero pagamento:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   GET MY ATTENDANCE
+================================ */
+/**
+ * @swagger
+ * /user/me/attendance:
+ *   get:
+ *     summary: Presenze e assenze dell'utente autenticato
+ *     description: Contatori per stato ed eventuale sospensione delle prenotazioni per assenze ripetute
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Riepilogo presenze
+ */
+router.get('/me/attendance', async (req, res) => {
+  try {
+    res.json(await getAttendanceSummary(req.user.userId));
+  } catch (err) {
+    console.error('Errore recupero presenze:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   UPLOAD MY MEDICAL CERTIFICATE
+================================ */
+/**
+ * @swagger
+ * /user/me/medical-certificate:
+ *   post:
+ *     summary: Carica il certificato medico
+ *     description: >
+ *       Accetta PDF, JPEG o PNG fino a 10MB. Il certificato resta in attesa
+ *       finché un admin non lo approva: solo allora la scadenza dell'utente viene aggiornata.
+ *       Un certificato ancora in attesa viene sostituito dal nuovo caricamento.
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Scadenza riportata sul certificato (YYYY-MM-DD)
+ *     responses:
+ *       201:
+ *         description: Certificato caricato, in attesa di revisione
+ *       400:
+ *         description: File mancante o non valido
+ *       413:
+ *         description: File troppo grande
+ */
+router.post('/me/medical-certificate', uploadCertificate, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'File mancante' });
+  }
+
+  try {
+    const { expiryDate } = validateMedicalCertificateUploadBody(req.body);
+
+    const certificate = await uploadMedicalCertificate(req.user.userId, req.file, {
+      declaredExpiryDate: expiryDate ?? null
+    });
+
+    res.status(201).json(certificate);
+  } catch (error) {
+    console.error('Errore caricamento certificato:', error);
+
+    if (error instanceof ZodError) {
+      return res.status(400).json({
+        error: true,
+        message: error.issues.map((e) => e.message).join(", "),
+        errors: error.issues,
+      });
+    }
+
+    if (error.message.startsWith('Formato non supportato')) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST MY MEDICAL CERTIFICATES
+================================ */
+/**
+ * @swagger
+ * /user/me/medical-certificate:
+ *   get:
+ *     summary: Storico dei certificati medici caricati
+ *     description: Dal più recente, con esito della revisione e scadenza attualmente valida
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scadenza corrente e storico certificati
+ */
+router.get('/me/medical-certificate', async (req, res) => {
+  try {
+    const [user, certificates] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: req.user.userId },
+        select: { medicalCertificateExpiryDate: true }
+      }),
+      listUserCertificates(req.user.userId)
+    ]);
+
+    res.json({
+      medicalCertificateExpiryDate: user?.medicalCertificateExpiryDate ?? null,
+      certificates
+    });
+  } catch (err) {
+    console.error('Errore recupero certificati:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   DOWNLOAD MY MEDICAL CERTIFICATE
+================================ */
+/**
+ * @swagger
+ * /user/me/medical-certificate/{id}/file:
+ *   get:
+ *     summary: Scarica un proprio certificato medico
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: File del certificato
+ *       404:
+ *         description: Certificato non trovato
+ */
+router.get('/me/medical-certificate/:id/file', async (req, res) => {
+  try {
+    const result = await getCertificateFile(Number(req.params.id));
+
+    // Stessa risposta per certificati inesistenti e di altri utenti
+    if (!result || result.certificate.userId !== req.user.userId) {
+      return res.status(404).json({ message: 'Certificato non trovato' });
+    }
+
+    res.set('Content-Type', result.certificate.mimeType);
+    res.attachment(result.certificate.fileName);
+    res.send(result.buffer);
+  } catch (err) {
+    console.error('Errore download certificato:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   LIST MY SESSIONS
+================================ */
+/**
+ * @swagger
+ * /user/sessions:
+ *   get:
+ *     summary: Elenca le sessioni attive dell'utente
+ *     description: Una sessione per dispositivo; current indica quella della richiesta
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista sessioni attive
+ */
+router.get('/sessions', async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    res.json(sessions.map(session => ({
+      id: session.id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.id === req.user.sid
+    })));
+  } catch (err) {
+    console.error('Errore recupero sessioni:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   REVOKE MY SESSION
+================================ */
+/**
+ * @swagger
+ * /user/sessions/{id}:
+ *   delete:
+ *     summary: Revoca una sessione dell'utente
+ *     description: Il dispositivo collegato dovrà rifare il login
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessione revocata
+ *       404:
+ *         description: Sessione non trovata
+ */
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const session = await prisma.session.findFirst({
+      where: { id: req.params.id, userId: req.user.userId, revokedAt: null }
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Sessione non trovata' });
+    }
+
+    await revokeSession(session.id, 'USER_REVOKED');
+
+    res.json({ message: 'Sessione revocata' });
+  } catch (err) {
+    console.error('Errore revoca sessione:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
+
+/* ================================
+   REVOKE MY OTHER SESSIONS
+================================ */
+/**
+ * @swagger
+ * /user/sessions:
+ *   delete:
+ *     summary: Revoca tutte le altre sessioni dell'utente
+ *     description: Mantiene attiva solo la sessione della richiesta corrente
+ *     tags:
+ *       - User
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessioni revocate
+ */
+router.delete('/sessions', async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.userId, 'USER_REVOKED', {
+      exceptSessionId: req.user.sid
+    });
+
+    res.json({ message: 'Sessioni revocate', revoked });
+  } catch (err) {
+    console.error('Errore revoca sessioni:', err);
+    res.status(500).json({ message: 'Errore server' });
+  }
+});
 
 /* ================================
    GET USER LEVELS
@@ -0,0 +1,233 @@
+// utils/attendance.js
+const { AttendanceStatus, EventStatus } = require('@prisma/client');
+const prisma = require('../prisma');
+const { getSettings } = require('./settings');
+const { getNowItaly, getEventStart } = require('./dateRules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Codice di errore restituito all'app per il blocco prenotazioni
+const NO_SHOW_BLOCKED = 'NO_SHOW_BLOCKED';
+
+const POLICY_KEYS = [
+  'attendance.noShowThreshold',
+  'attendance.noShowWindowDays',
+  'attendance.noShowBlockDays',
+  'attendance.countLateCancel'
+];
+
+/**
+ * Giorno corrente (Italia) come data UTC, confrontabile con le date evento (@db.Date)
+ */
+const todayUtc = () => {
+  const now = getNowItaly();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+};
+
+/**
+ * Regole di blocco per assenze ripetute (config/settings.js)
+ * @returns {Promise<{noShowThreshold: number, noShowWindowDays: number, noShowBlockDays: number, countLateCancel: boolean}>}
+ */
+async function getNoShowPolicy() {
+  const settings = await getSettings(POLICY_KEYS);
+
+  return {
+    noShowThreshold: settings['attendance.noShowThreshold'],
+    noShowWindowDays: settings['attendance.noShowWindowDays'],
+    noShowBlockDays: settings['attendance.noShowBlockDays'],
+    countLateCancel: settings['attendance.countLateCancel']
+  };
+}
+
+/**
+ * Stati di presenza che contano come assenza
+ * @param {boolean} countLateCancel
+ * @returns {string[]}
+ */
+const noShowStatuses = (countLateCancel) =>
+  countLateCancel
+    ? [AttendanceStatus.ABSENT, AttendanceStatus.LATE_CANCEL]
+    : [AttendanceStatus.ABSENT];
+
+/**
+ * Verifica se l'utente ha le prenotazioni sospese per assenze ripetute
+ * - assenze contate sugli eventi degli ultimi noShowWindowDays giorni
+ * - il blocco dura noShowBlockDays giorni dall'ultima assenza
+ * @param {string} userId
+ * @param {Object} [policy] - regole già lette (default: impostazioni correnti)
+ * @returns {Promise<{blocked: boolean, noShows: number, blockedUntil?: Date, code?: string, message?: string}>}
+ */
+async function checkNoShowPolicy(userId, policy) {
+  const { noShowThreshold, noShowWindowDays, noShowBlockDays, countLateCancel } = policy ?? await getNoShowPolicy();
+  const today = todayUtc();
+
+  const noShows = await prisma.eventSignup.findMany({
+    where: {
+      userId,
+      attendanceStatus: { in: noShowStatuses(countLateCancel) },
+      event: { date: { gte: new Date(today.getTime() - noShowWindowDays * DAY_MS) } }
+    },
+    select: { event: { select: { date: true } } },
+    orderBy: { event: { date: 'desc' } }
+  });
+
+  if (!noShowThreshold || noShows.length < noShowThreshold) {
+    return { blocked: false, noShows: noShows.length };
+  }
+
+  const blockedUntil = new Date(new Date(noShows[0].event.date).getTime() + noShowBlockDays * DAY_MS);
+  if (today >= blockedUntil) {
+    return { blocked: false, noShows: noShows.length };
+  }
+
+  return {
+    blocked: true,
+    noShows: noShows.length,
+    blockedUntil,
+    code: NO_SHOW_BLOCKED,
+    message: `Prenotazioni sospese fino al ${blockedUntil.toLocaleDateString('it-IT', { timeZone: 'UTC' })} per assenze ripetute`
+  };
+}
+
+/**
+ * Riepilogo presenze di un utente
+ * @param {string} userId
+ * @returns {Promise<Object>} contatori per stato, assenze nella finestra e stato del blocco
+ */
+async function getAttendanceSummary(userId) {
+  const policy = await getNoShowPolicy();
+
+  const [counts, check] = await Promise.all([
+    prisma.eventSignup.groupBy({
+      by: ['attendanceStatus'],
+      where: { userId, attendanceStatus: { not: null } },
+      _count: { _all: true }
+    }),
+    checkNoShowPolicy(userId, policy)
+  ]);
+
+  const countOf = (status) => counts.find(c => c.attendanceStatus === status)?._count._all ?? 0;
+
+  return {
+    present: countOf(AttendanceStatus.PRESENT),
+    absent: countOf(AttendanceStatus.ABSENT),
+    lateCancel: countOf(AttendanceStatus.LATE_CANCEL),
+    noShowsInWindow: check.noShows,
+    blocked: check.blocked,
+    blockedUntil: check.blockedUntil ?? null,
+    policy
+  };
+}
+
+/**
+ * Assenze totali per utente (per gli elenchi admin)
+ * @param {string[]} userIds
+ * @returns {Promise<Map<string, number>>} userId → assenze
+ */
+async function getNoShowCounts(userIds) {
+  const { countLateCancel } = await getNoShowPolicy();
+
+  const rows = await prisma.eventSignup.groupBy({
+    by: ['userId'],
+    where: { userId: { in: userIds }, attendanceStatus: { in: noShowStatuses(countLateCancel) } },
+    _count: { _all: true }
+  });
+
+  return new Map(rows.map(row => [row.userId, row._count._all]));
+}
+
+/**
+ * Elenco iscritti di un evento con la presenza registrata
+ * @param {number} eventId
+ * @returns {Promise<{event: Object, roster: Object[]}|null>} null se evento non trovato
+ */
+async function getEventRoster(eventId) {
+  const event = await prisma.event.findUnique({
+    where: { id: eventId },
+    include: {
+      category: true,
+      signups: {
+        include: {
+          user: { select: { id: true, email: true, firstName: true, lastName: true } },
+          attendanceMarkedBy: { select: { id: true, firstName: true, lastName: true } }
+        },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  if (!event) return null;
+
+  const { signups, ...eventData } = event;
+
+  return {
+    event: eventData,
+    roster: signups.map(signup => ({
+      signupId: signup.id,
+      user: signup.user,
+      bookedAt: signup.createdAt,
+      checkedInAt: signup.checkedInAt,
+      attendanceStatus: signup.attendanceStatus,
+      attendanceMarkedAt: signup.attendanceMarkedAt,
+      attendanceMarkedBy: signup.attendanceMarkedBy
+    }))
+  };
+}
+
+/**
+ * Registra le presenze di un evento in blocco
+ * - possibile solo da inizio evento in poi e per eventi non annullati
+ * - status null cancella la presenza registrata
+ * - tutti gli utenti devono essere iscritti all'evento, altrimenti nessuna modifica
+ * @param {number} eventId
+ * @param {Array<{userId: string, status: string|null}>} entries
+ * @param {Object} params
+ * @param {string} params.actorId - admin/istruttore che registra
+ * @returns {Promise<Object|null>} elenco iscritti aggiornato, null se evento non trovato
+ */
+async function markAttendance(eventId, entries, { actorId }) {
+  const event = await prisma.event.findUnique({
+    where: { id: eventId },
+    include: { signups: { select: { id: true, userId: true } } }
+  });
+
+  if (!event) return null;
+  if (event.status === EventStatus.CANCELLED) {
+    throw new Error('Evento annullato');
+  }
+  if (getEventStart(event) > getNowItaly()) {
+    throw new Error('Le presenze si registrano dall\'inizio dell\'evento');
+  }
+
+  const signupByUser = new Map(event.signups.map(s => [s.userId, s.id]));
+  const unknown = entries.filter(e => !signupByUser.has(e.userId)).map(e => e.userId);
+
+  if (unknown.length) {
+    throw new Error(`Utenti non iscritti all'evento: ${unknown.join(', ')}`);
+  }
+
+  const now = new Date();
+
+  await prisma.$transaction(
+    entries.map(({ userId, status }) =>
+      prisma.eventSignup.update({
+        where: { id: signupByUser.get(userId) },
+        data: status
+          ? { attendanceStatus: status, attendanceMarkedAt: now, attendanceMarkedById: actorId }
+          : { attendanceStatus: null, attendanceMarkedAt: null, attendanceMarkedById: null }
+      })
+    )
+  );
+
+  return getEventRoster(eventId);
+}
+
+module.exports = {
+  NO_SHOW_BLOCKED,
+  getNoShowPolicy,
+  checkNoShowPolicy,
+  getAttendanceSummary,
+  getNoShowCounts,
+  getEventRoster,
+  markAttendance
+};
@@ -0,0 +1,85 @@
+// utils/booking.js
+const { EventStatus, SubscriptionStatus, IngressiReason } = require('@prisma/client');
+const { applyIngressiChange } = require('./ingressi');
+const { checkEventCapacity } = require('./instructors');
+
+// Ingressi scalati per ogni prenotazione
+const INGRESSI_PER_BOOKING = 1;
+
+/**
+ * Crea la prenotazione di un utente a un evento dentro una transazione già aperta
+ * - ricontrolla stato evento e posti disponibili
+ * - scala un ingresso dalla subscription attiva (movimento BOOKING nel ledger)
+ * - rimuove l'eventuale posizione in lista d'attesa
+ * @param {Object} tx - client Prisma della transazione
+ * @param {Object} params
+ * @param {string} params.userId - ID utente
+ * @param {number} params.eventId - ID evento
+ * @returns {Promise<Object>} prenotazione creata
+ */
+async function bookEventInTransaction(tx, { userId, eventId }) {
+  // Lock evento: prendi signups correnti
+  const event = await tx.event.findUnique({
+    where: { id: eventId },
+    include: { signups: true }
+  });
+
+  if (!event || event.status !== EventStatus.SCHEDULED) {
+    throw new Error('Evento non disponibile');
+  }
+
+  const capacity = await checkEventCapacity(event, event.signups.length, tx);
+  if (!capacity.available) {
+    throw new Error(capacity.message);
+  }
+
+  // Inserisci prenotazione
+  const signup = await tx.eventSignup.create({
+    data: { userId, eventId, ingressiCharged: INGRESSI_PER_BOOKING }
+  });
+
+  await chargeBookingInTransaction(tx, { userId, eventId });
+
+  // Chi prenota esce dalla lista d'attesa
+  await tx.eventWaitlistEntry.deleteMany({
+    where: { userId, eventId }
+  });
+
+  return signup;
+}
+
+/**
+ * Addebita gli ingressi di una prenotazione sulla subscription attiva
+ * (movimento BOOKING nel ledger)
+ * @param {Object} tx - client Prisma della transazione
+ * @param {Object} params
+ * @param {string} params.userId - ID utente
+ * @param {number} params.eventId - ID evento
+ * @param {string} [params.note] - nota del movimento
+ * @returns {Promise<Object>} movimento creato
+ */
+async function chargeBookingInTransaction(tx, { userId, eventId, note = null }) {
+  // Lock subscription attiva dell’utente
+  const subscription = await tx.subscription.findFirst({
+    where: {
+      userId,
+      status: SubscriptionStatus.ACTIVE,
+      startDate: { lte: new Date() },
+      endDate: { gte: new Date() }
+    }
+  });
+
+  if (!subscription || subscription.ingressi < INGRESSI_PER_BOOKING) {
+    throw new Error('Ingressi insufficienti');
+  }
+
+  return applyIngressiChange(tx, {
+    subscriptionId: subscription.id,
+    delta: -INGRESSI_PER_BOOKING,
+    reason: IngressiReason.BOOKING,
+    eventId,
+    note
+  });
+}
+
+module.exports = { INGRESSI_PER_BOOKING, bookEventInTransaction, chargeBookingInTransaction };
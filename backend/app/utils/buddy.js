@@ -0,0 +1,331 @@
+// utils/buddy.js
+const { BuddySource, EventStatus } = require('@prisma/client');
+const prisma = require('../prisma');
+const { LEVEL_PRIORITY } = require('../config/eventRules');
+const { sendBuddyUnpairedEmail, sendBuddyRequestedEmail, sendBuddyPairLeftEmail } = require('./notifications');
+
+const participantSelect = { id: true, email: true, firstName: true, lastName: true };
+
+/**
+ * Livello più alto dei gruppi attivi di ogni utente, come priorità (0 = nessun gruppo)
+ * @param {Object} tx - client Prisma (o transazione)
+ * @param {string[]} userIds
+ * @returns {Promise<Map<string, number>>} userId → priorità (config/eventRules.js)
+ */
+async function getUserLevelRanks(tx, userIds) {
+  const now = new Date();
+
+  const userGroups = await tx.userGroup.findMany({
+    where: {
+      userId: { in: userIds },
+      isActive: true,
+      validFrom: { lte: now },
+      validTo: { gte: now }
+    },
+    include: { group: { select: { level: true } } }
+  });
+
+  const ranks = new Map(userIds.map(id => [id, 0]));
+  for (const ug of userGroups) {
+    ranks.set(ug.userId, Math.max(ranks.get(ug.userId), LEVEL_PRIORITY[ug.group.level]));
+  }
+
+  return ranks;
+}
+
+const levelFromRank = (rank) =>
+  Object.keys(LEVEL_PRIORITY).find(level => LEVEL_PRIORITY[level] === rank) ?? null;
+
+/**
+ * Abbina due prenotazioni dello stesso evento
+ * - aggiornamento condizionato: fallisce se una delle due è già in coppia
+ */
+async function pairSignups(tx, first, second, source) {
+  for (const [signup, buddy] of [[first, second], [second, first]]) {
+    const { count } = await tx.eventSignup.updateMany({
+      where: { id: signup.id, buddySignupId: null },
+      data: { buddySignupId: buddy.id, buddySource: source }
+    });
+
+    if (!count) throw new Error('Il compagno indicato è già in coppia');
+  }
+}
+
+/**
+ * Abbina alla prenotazione appena creata il compagno richiesto dal membro
+ * - il compagno deve essere già iscritto all'evento e senza coppia
+ * - il compagno viene avvisato e può sciogliere la coppia (leaveBuddyPair)
+ * @param {Object} tx - client Prisma della transazione
+ * @param {Object} params
+ * @param {Object} params.signup - prenotazione del richiedente
+ * @param {string} params.buddyEmail - email del compagno
+ * @returns {Promise<Function>} () => Promise, avvisa il compagno (da chiamare dopo il commit)
+ */
+async function requestBuddyInTransaction(tx, { signup, buddyEmail }) {
+  const buddy = await tx.user.findFirst({
+    where: { email: { equals: buddyEmail.trim(), mode: 'insensitive' } },
+    select: participantSelect
+  });
+
+  if (buddy?.id === signup.userId) {
+    throw new Error('Non puoi indicare te stesso come compagno');
+  }
+
+  const buddySignup = buddy && await tx.eventSignup.findUnique({
+    where: { userId_eventId: { userId: buddy.id, eventId: signup.eventId } }
+  });
+
+  if (!buddySignup) {
+    throw new Error('Il compagno indicato non è iscritto all\'evento');
+  }
+
+  await pairSignups(tx, signup, buddySignup, BuddySource.REQUESTED);
+
+  const requester = await tx.user.findUnique({ where: { id: signup.userId }, select: participantSelect });
+  const event = await tx.event.findUnique({ where: { id: signup.eventId } });
+
+  return async () => {
+    try {
+      await sendBuddyRequestedEmail(buddy, event, requester);
+    } catch (err) {
+      console.error(`Notifica compagno fallita (${buddy.email}):`, err.message);
+    }
+  };
+}
+
+/**
+ * Scioglie la coppia scelta da un membro: il compagno indicato può rifiutarla, il richiedente ripensarci
+ * - solo coppie REQUESTED: quelle automatiche sono gestite dallo staff
+ * - nessun riabbinamento automatico; l'altro partecipante viene avvisato
+ * @param {string} userId
+ * @param {number} eventId
+ * @returns {Promise<Object|null>} ex compagno (id, email, nome), null se prenotazione non trovata
+ */
+async function leaveBuddyPair(userId, eventId) {
+  const signup = await prisma.$transaction(async (tx) => {
+    const current = await tx.eventSignup.findUnique({
+      where: { userId_eventId: { userId, eventId } },
+      include: {
+        event: true,
+        user: { select: participantSelect },
+        buddySignup: { include: { user: { select: participantSelect } } }
+      }
+    });
+
+    if (!current) return null;
+    if (current.event.status !== EventStatus.SCHEDULED) {
+      throw new Error('Evento non disponibile');
+    }
+    if (!current.buddySignup) {
+      throw new Error('Non sei in coppia per questo evento');
+    }
+    if (current.buddySource !== BuddySource.REQUESTED) {
+      throw new Error('La coppia è stata assegnata dallo staff');
+    }
+
+    await tx.eventSignup.updateMany({
+      where: { id: { in: [current.id, current.buddySignup.id] } },
+      data: { buddySignupId: null, buddySource: null }
+    });
+
+    return current;
+  });
+
+  if (!signup) return null;
+
+  const formerBuddy = signup.buddySignup.user;
+  try {
+    await sendBuddyPairLeftEmail(formerBuddy, signup.event, signup.user);
+  } catch (err) {
+    console.error(`Notifica compagno fallita (${formerBuddy.email}):`, err.message);
+  }
+
+  return formerBuddy;
+}
+
+/**
+ * Scioglie le coppie delle prenotazioni che stanno per essere rimosse
+ * - da chiamare prima della delete, nella stessa transazione
+ * @param {Object} tx - client Prisma della transazione
+ * @param {Object[]} signups - prenotazioni in rimozione
+ * @returns {Promise<Object[]>} prenotazioni rimaste senza compagno (con user)
+ */
+async function detachBuddiesInTransaction(tx, signups) {
+  const removedIds = signups.map(s => s.id);
+
+  const orphans = await tx.eventSignup.findMany({
+    where: { buddySignupId: { in: removedIds }, id: { notIn: removedIds } },
+    include: { user: { select: participantSelect } }
+  });
+
+  await tx.eventSignup.updateMany({
+    where: { id: { in: [...removedIds, ...orphans.map(o => o.id)] } },
+    data: { buddySignupId: null, buddySource: null }
+  });
+
+  return orphans;
+}
+
+/**
+ * Riabbina chi è rimasto senza compagno con un altro partecipante libero,
+ * scegliendo il livello più vicino
+ * @param {Object} tx - client Prisma della transazione
+ * @param {Object[]} orphans - prenotazioni senza compagno (da detachBuddiesInTransaction)
+ * @returns {Promise<Array<{orphan: Object, buddy: Object|null}>>} nuovo compagno (con user) o null
+ */
+async function rePairOrphansInTransaction(tx, orphans) {
+  const results = [];
+
+  for (const orphan of orphans) {
+    // Già riabbinato come compagno di un orfano precedente
+    const current = await tx.eventSignup.findUnique({
+      where: { id: orphan.id },
+      include: { buddySignup: { include: { user: { select: participantSelect } } } }
+    });
+
+    if (current.buddySignup) {
+      results.push({ orphan, buddy: current.buddySignup });
+      continue;
+    }
+
+    const candidates = await tx.eventSignup.findMany({
+      where: { eventId: orphan.eventId, buddySignupId: null, id: { not: orphan.id } },
+      include: { user: { select: participantSelect } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (!candidates.length) {
+      results.push({ orphan, buddy: null });
+      continue;
+    }
+
+    const ranks = await getUserLevelRanks(tx, [orphan.userId, ...candidates.map(c => c.userId)]);
+    const orphanRank = ranks.get(orphan.userId);
+    const buddy = candidates.reduce((best, c) =>
+      Math.abs(ranks.get(c.userId) - orphanRank) < Math.abs(ranks.get(best.userId) - orphanRank) ? c : best
+    );
+
+    await pairSignups(tx, orphan, buddy, BuddySource.AUTO);
+    results.push({ orphan, buddy });
+  }
+
+  return results;
+}
+
+/**
+ * Avvisa chi è rimasto senza compagno (eventualmente riabbinato)
+ * @param {Object} event - evento
+ * @param {Array<{orphan: Object, buddy: Object|null}>} results - da rePairOrphansInTransaction
+ */
+async function notifyOrphans(event, results) {
+  for (const { orphan, buddy } of results) {
+    try {
+      await sendBuddyUnpairedEmail(orphan.user, event, buddy?.user ?? null);
+    } catch (err) {
+      console.error(`Notifica compagno fallita (${orphan.user.email}):`, err.message);
+    }
+  }
+}
+
+/**
+ * Scioglie le coppie, riabbina e avvisa per le prenotazioni in rimozione
+ * - detach/re-pair nella transazione, notifiche dopo il commit tramite il callback restituito
+ * @param {Object} tx - client Prisma della transazione
+ * @param {Object[]} signups - prenotazioni in rimozione (stesso evento)
+ * @returns {Promise<Function>} () => Promise, invia le notifiche
+ */
+async function releaseBuddiesInTransaction(tx, signups) {
+  const orphans = await detachBuddiesInTransaction(tx, signups);
+  if (!orphans.length) return async () => {};
+
+  const results = await rePairOrphansInTransaction(tx, orphans);
+  const event = await tx.event.findUnique({ where: { id: orphans[0].eventId } });
+
+  return () => notifyOrphans(event, results);
+}
+
+/**
+ * Coppie e partecipanti senza compagno di un evento
+ * @param {number} eventId
+ * @param {Object} [tx] - client Prisma (default: client condiviso)
+ * @returns {Promise<{event: Object, pairs: Object[], unpaired: Object[]}|null>} null se evento non trovato
+ */
+async function getBuddyRoster(eventId, tx = prisma) {
+  const event = await tx.event.findUnique({
+    where: { id: eventId },
+    include: {
+      signups: {
+        include: { user: { select: participantSelect } },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  if (!event) return null;
+
+  const { signups, ...eventData } = event;
+  const ranks = await getUserLevelRanks(tx, signups.map(s => s.userId));
+  const byId = new Map(signups.map(s => [s.id, s]));
+
+  const member = (signup) => ({
+    signupId: signup.id,
+    ...signup.user,
+    level: levelFromRank(ranks.get(signup.userId))
+  });
+
+  const pairs = signups
+    .filter(s => s.buddySignupId && s.id < s.buddySignupId && byId.has(s.buddySignupId))
+    .map(s => ({
+      source: s.buddySource,
+      members: [member(s), member(byId.get(s.buddySignupId))]
+    }));
+
+  return {
+    event: eventData,
+    pairs,
+    unpaired: signups.filter(s => !s.buddySignupId).map(member)
+  };
+}
+
+/**
+ * Abbina automaticamente i partecipanti ancora senza compagno
+ * - ordina per livello (GroupLevel del gruppo attivo più alto) e abbina i vicini,
+ *   così le coppie sono dello stesso livello quando possibile
+ * - con un numero dispari l'ultimo resta senza compagno
+ * @param {number} eventId
+ * @returns {Promise<{created: number, roster: Object}|null>} null se evento non trovato
+ */
+async function autoPairEvent(eventId) {
+  return prisma.$transaction(async (tx) => {
+    const event = await tx.event.findUnique({ where: { id: eventId } });
+
+    if (!event) return null;
+    if (event.status !== EventStatus.SCHEDULED) {
+      throw new Error('Evento non disponibile');
+    }
+
+    const unpaired = await tx.eventSignup.findMany({
+      where: { eventId, buddySignupId: null },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const ranks = await getUserLevelRanks(tx, unpaired.map(s => s.userId));
+    const sorted = [...unpaired].sort((a, b) => ranks.get(b.userId) - ranks.get(a.userId));
+
+    let created = 0;
+    for (let i = 0; i + 1 < sorted.length; i += 2) {
+      await pairSignups(tx, sorted[i], sorted[i + 1], BuddySource.AUTO);
+      created++;
+    }
+
+    return { created, roster: await getBuddyRoster(eventId, tx) };
+  });
+}
+
+module.exports = {
+  requestBuddyInTransaction,
+  leaveBuddyPair,
+  releaseBuddiesInTransaction,
+  getBuddyRoster,
+  autoPairEvent
+};
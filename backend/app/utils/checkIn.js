@@ -0,0 +1,150 @@
+// utils/checkIn.js
+const QRCode = require('qrcode');
+const { EventStatus, AttendanceStatus } = require('@prisma/client');
+const prisma = require('../prisma');
+const { generateCheckInToken, verifyCheckInToken, CHECK_IN_TOKEN_TTL_SECONDS } = require('./token');
+const { getNowItaly, getEventEnd, getCheckInWindow } = require('./dateRules');
+
+// Esiti del check-in restituiti alla reception
+const CHECK_IN_INVALID_TOKEN = 'CHECK_IN_INVALID_TOKEN';
+const CHECK_IN_WRONG_EVENT = 'CHECK_IN_WRONG_EVENT';
+const CHECK_IN_BOOKING_NOT_FOUND = 'CHECK_IN_BOOKING_NOT_FOUND';
+const CHECK_IN_EVENT_CANCELLED = 'CHECK_IN_EVENT_CANCELLED';
+const CHECK_IN_CLOSED = 'CHECK_IN_CLOSED';
+const CHECK_IN_ALREADY_DONE = 'CHECK_IN_ALREADY_DONE';
+
+const participantSelect = {
+  id: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  medicalCertificateExpiryDate: true
+};
+
+/**
+ * Genera il token di check-in di una prenotazione dell'utente
+ * @param {string} userId - titolare della prenotazione
+ * @param {number} signupId - ID prenotazione
+ * @returns {Promise<{token?: string, expiresAt?: Date, message?: string}|null>}
+ *   null se la prenotazione non esiste o è di un altro utente, message se il check-in non è possibile
+ */
+async function issueCheckInToken(userId, signupId) {
+  const signup = await prisma.eventSignup.findUnique({
+    where: { id: signupId },
+    include: { event: true }
+  });
+
+  if (!signup || signup.userId !== userId) return null;
+
+  if (signup.event.status !== EventStatus.SCHEDULED) {
+    return { message: 'Evento non disponibile' };
+  }
+  if (signup.checkedInAt) {
+    return { message: 'Check-in già effettuato' };
+  }
+  if (getEventEnd(signup.event) < getNowItaly()) {
+    return { message: 'Evento terminato' };
+  }
+
+  return {
+    token: generateCheckInToken(signup),
+    expiresAt: new Date(Date.now() + CHECK_IN_TOKEN_TTL_SECONDS * 1000)
+  };
+}
+
+/**
+ * Rende il token come QR code
+ * @param {string} token
+ * @param {'png'|'svg'|'dataUrl'} format
+ * @returns {Promise<Buffer|string>} PNG come Buffer, SVG come stringa, dataUrl PNG
+ */
+async function renderCheckInQr(token, format) {
+  if (format === 'png') return QRCode.toBuffer(token, { type: 'png' });
+  if (format === 'svg') return QRCode.toString(token, { type: 'svg' });
+  return QRCode.toDataURL(token);
+}
+
+/**
+ * Registra l'ingresso di un partecipante dal QR scansionato alla reception
+ * - il token deve essere valido, dell'evento indicato e della prenotazione ancora esistente
+ * - solo nella finestra di check-in dell'evento, una sola volta per prenotazione
+ * - il partecipante viene segnato presente
+ * @param {number} eventId - evento per cui si sta facendo il check-in
+ * @param {string} token - contenuto del QR
+ * @param {Object} params
+ * @param {string} params.actorId - operatore che registra l'ingresso
+ * @returns {Promise<{checkedIn: boolean, code?: string, message?: string, signup?: Object}>}
+ */
+async function checkInWithToken(eventId, token, { actorId }) {
+  const payload = verifyCheckInToken(token);
+  if (!payload) {
+    return { checkedIn: false, code: CHECK_IN_INVALID_TOKEN, message: 'QR non valido o scaduto' };
+  }
+
+  if (payload.eventId !== eventId) {
+    return { checkedIn: false, code: CHECK_IN_WRONG_EVENT, message: 'Il QR è di un altro evento' };
+  }
+
+  const signup = await prisma.eventSignup.findUnique({
+    where: { id: payload.signupId },
+    include: { event: true, user: { select: participantSelect } }
+  });
+
+  // Prenotazione disdetta (ed eventualmente rifatta): il vecchio QR non vale più
+  if (!signup || signup.userId !== payload.userId || signup.eventId !== eventId) {
+    return { checkedIn: false, code: CHECK_IN_BOOKING_NOT_FOUND, message: 'Prenotazione non trovata' };
+  }
+
+  if (signup.event.status !== EventStatus.SCHEDULED) {
+    return { checkedIn: false, code: CHECK_IN_EVENT_CANCELLED, message: 'Evento annullato' };
+  }
+
+  const window = await getCheckInWindow(signup.event);
+  if (!window.canCheckIn) {
+    return { checkedIn: false, code: CHECK_IN_CLOSED, message: window.message };
+  }
+
+  // Aggiornamento condizionato: due scansioni dello stesso QR non passano entrambe
+  const checkedInAt = new Date();
+  const { count } = await prisma.eventSignup.updateMany({
+    where: { id: signup.id, checkedInAt: null },
+    data: {
+      checkedInAt,
+      checkedInById: actorId,
+      attendanceStatus: AttendanceStatus.PRESENT,
+      attendanceMarkedAt: checkedInAt,
+      attendanceMarkedById: actorId
+    }
+  });
+
+  if (!count) {
+    const current = await prisma.eventSignup.findUnique({
+      where: { id: signup.id },
+      select: { checkedInAt: true }
+    });
+
+    return {
+      checkedIn: false,
+      code: CHECK_IN_ALREADY_DONE,
+      message: 'Check-in già effettuato',
+      signup: { id: signup.id, checkedInAt: current?.checkedInAt ?? null, user: signup.user }
+    };
+  }
+
+  return {
+    checkedIn: true,
+    signup: { id: signup.id, checkedInAt, user: signup.user }
+  };
+}
+
+module.exports = {
+  CHECK_IN_INVALID_TOKEN,
+  CHECK_IN_WRONG_EVENT,
+  CHECK_IN_BOOKING_NOT_FOUND,
+  CHECK_IN_EVENT_CANCELLED,
+  CHECK_IN_CLOSED,
+  CHECK_IN_ALREADY_DONE,
+  issueCheckInToken,
+  renderCheckInQr,
+  checkInWithToken
+};
@@ -1,6 +1,7 @@
 // utils/dateRules.js
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { getSetting, getSettings } = require('./settings');
 
 const TIMEZONE = "Europe/Rome";
 
@@ -26,6 +27,93 @@ function stripTime(date) {
   return d;
 }
 
+/**
+ * Ritorna data/ora di inizio evento (stesso riferimento di getNowItaly)
+ * @param {{date: Date, startTime: string}} event
+ * @returns {Date}
+ */
+function getEventStart(event) {
+  const day = new Date(event.date);
+  const [hours, minutes] = event.startTime.split(":").map(Number);
+  return new Date(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+}
+
+/**
+ * Ritorna data/ora di fine evento (stesso riferimento di getNowItaly)
+ * @param {{date: Date, endTime: string}} event
+ * @returns {Date}
+ */
+function getEventEnd(event) {
+  return getEventStart({ date: event.date, startTime: event.endTime });
+}
+
+/**
+ * Converte una data di getNowItaly/getEventStart (campi = ora italiana) nell'istante reale,
+ * da usare per le date restituite dall'API (serializzate in ISO UTC)
+ * @param {Date} date
+ * @returns {Date}
+ */
+function toItalyInstant(date) {
+  const wall = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds());
+
+  // Scarto tra ora italiana e UTC in un dato istante (cambia con l'ora legale)
+  const italyOffset = (instant) => {
+    const italy = new Date(new Date(instant).toLocaleString("en-US", { timeZone: TIMEZONE }));
+    return Date.UTC(italy.getFullYear(), italy.getMonth(), italy.getDate(), italy.getHours(), italy.getMinutes(), italy.getSeconds()) - instant;
+  };
+
+  // Seconda passata: l'offset va letto sull'istante trovato, non sull'ora locale
+  const guess = wall - italyOffset(wall);
+  return new Date(wall - italyOffset(guess));
+}
+
+/**
+ * Formatta un intervallo in minuti per i messaggi utente
+ */
+function formatCutoff(minutes) {
+  if (minutes % 60 !== 0) return `${minutes} minuti`;
+  const hours = minutes / 60;
+  return hours === 1 ? "1 ora" : `${hours} ore`;
+}
+
+/* =====================
+   CUTOFF RULES
+===================== */
+
+/**
+ * Restituisce le chiusure prenotazione/disdetta della categoria,
+ * con fallback sul default globale
+ * @param {{bookCutoffMinutes?: number|null, cancelCutoffMinutes?: number|null}|null} category
+ * @returns {Promise<{bookCutoffMinutes: number, cancelCutoffMinutes: number}>}
+ */
+async function getEventCutoffs(category) {
+  const defaults = await getSettings([
+    "booking.bookCutoffMinutes",
+    "booking.cancelCutoffMinutes"
+  ]);
+
+  return {
+    bookCutoffMinutes: category?.bookCutoffMinutes ?? defaults["booking.bookCutoffMinutes"],
+    cancelCutoffMinutes: category?.cancelCutoffMinutes ?? defaults["booking.cancelCutoffMinutes"]
+  };
+}
+
+/**
+ * Carica l'evento con i dati necessari alle regole temporali
+ */
+async function findEventForRules(eventId) {
+  return prisma.event.findUnique({
+    where: { id: eventId },
+    select: {
+      date: true,
+      startTime: true,
+      category: {
+        select: { bookCutoffMinutes: true, cancelCutoffMinutes: true }
+      }
+    }
+  });
+}
+
 /* =====================
    BOOK EVENT RULE
 ===================== */
@@ -36,29 +124,28 @@ function stripTime(date) {
  * @returns {Promise<{canBook: boolean, message?: string}>}
  */
 async function canBookEventByEventId(eventId) {
-  const event = await prisma.event.findUnique({
-    where: { id: eventId },
-    select: { date: true } // campo corretto dal modello
-  });
+  const event = await findEventForRules(eventId);
 
   if (!event) {
     return { canBook: false, message: "Evento non trovato" };
   }
 
   const now = getNowItaly();
-  const today = stripTime(now);
-  const eventDay = stripTime(event.date);
+  const eventStart = getEventStart(event);
 
-  // evento passato
-  if (eventDay < today) {
+  // evento iniziato o passato
+  if (eventStart <= now) {
     return { canBook: false, message: "Non puoi prenotare eventi passati" };
   }
 
-  // evento oggi ma dopo le 18
-  if (eventDay.getTime() === today.getTime() && now.getHours() >= 18) {
+  // oltre la chiusura prenotazioni della categoria
+  const { bookCutoffMinutes } = await getEventCutoffs(event.category);
+  const deadline = new Date(eventStart.getTime() - bookCutoffMinutes * 60 * 1000);
+
+  if (now > deadline) {
     return {
       canBook: false,
-      message: "Non puoi prenotare eventi del giorno corrente dopo le 18:00"
+      message: `Le prenotazioni per questo evento chiudono ${formatCutoff(bookCutoffMinutes)} prima dell'inizio`
     };
   }
 
@@ -75,33 +162,73 @@ async function canBookEventByEventId(eventId) {
  * @returns {Promise<{canCancel: boolean, message?: string}>}
  */
 async function canCancelEventByEventId(eventId) {
-  const event = await prisma.event.findUnique({
-    where: { id: eventId },
-    select: { date: true } // campo corretto dal modello
-  });
+  const event = await findEventForRules(eventId);
 
   if (!event) {
     return { canCancel: false, message: "Evento non trovato" };
   }
 
+  return canCancelEvent(event);
+}
+
+/**
+ * Come canCancelEventByEventId ma su un evento già caricato (es. liste)
+ * @param {{date: Date, startTime: string, category?: Object|null}} event
+ * @returns {Promise<{canCancel: boolean, message?: string, deadline?: Date}>} deadline come istante reale (toItalyInstant)
+ */
+async function canCancelEvent(event) {
   const now = getNowItaly();
-  const today = stripTime(now);
-  const eventDay = stripTime(event.date);
+  const eventStart = getEventStart(event);
 
-  // evento passato
-  if (eventDay < today) {
+  // evento iniziato o passato
+  if (eventStart <= now) {
     return { canCancel: false, message: "Non puoi disdire eventi passati" };
   }
 
-  // evento oggi ma dopo le 18
-  if (eventDay.getTime() === today.getTime() && now.getHours() >= 18) {
+  // oltre la chiusura disdette della categoria
+  const { cancelCutoffMinutes } = await getEventCutoffs(event.category);
+  const deadline = new Date(eventStart.getTime() - cancelCutoffMinutes * 60 * 1000);
+
+  if (now > deadline) {
     return {
       canCancel: false,
-      message: "Non puoi disdire eventi del giorno corrente dopo le 18:00"
+      message: `Le disdette per questo evento chiudono ${formatCutoff(cancelCutoffMinutes)} prima dell'inizio`,
+      deadline: toItalyInstant(deadline)
     };
   }
 
-  return { canCancel: true };
+  return { canCancel: true, deadline: toItalyInstant(deadline) };
+}
+
+/* =====================
+   CHECK-IN RULE
+===================== */
+
+/**
+ * Finestra del check-in: da checkIn.opensMinutesBefore minuti prima dell'inizio fino a fine evento
+ * @param {{date: Date, startTime: string, endTime: string}} event
+ * @returns {Promise<{canCheckIn: boolean, message?: string, opensAt: Date, closesAt: Date}>}
+ */
+async function getCheckInWindow(event) {
+  const opensMinutesBefore = await getSetting("checkIn.opensMinutesBefore");
+  const now = getNowItaly();
+  const opensAt = new Date(getEventStart(event).getTime() - opensMinutesBefore * 60 * 1000);
+  const closesAt = getEventEnd(event);
+
+  if (now < opensAt) {
+    return {
+      canCheckIn: false,
+      message: `Il check-in apre ${formatCutoff(opensMinutesBefore)} prima dell'inizio`,
+      opensAt,
+      closesAt
+    };
+  }
+
+  if (now > closesAt) {
+    return { canCheckIn: false, message: "Evento terminato", opensAt, closesAt };
+  }
+
+  return { canCheckIn: true, opensAt, closesAt };
 }
 
 /* =====================
@@ -110,6 +237,12 @@ async function canCancelEventByEventId(eventId) {
 module.exports = {
   getNowItaly,
   stripTime,
+  getEventStart,
+  getEventEnd,
+  toItalyInstant,
+  getEventCutoffs,
   canBookEventByEventId,
-  canCancelEventByEventId
+  canCancelEventByEventId,
+  canCancelEvent,
+  getCheckInWindow
 };
@@ -0,0 +1,101 @@
+// utils/emailVerification.js
+const prisma = require('../prisma');
+const { generateOpaqueToken, hashToken } = require('./token');
+const { sendEmailVerificationEmail } = require('./notifications');
+
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24);
+
+// Throttling reinvio: attesa minima tra due invii e massimo invii per ora
+const RESEND_MIN_INTERVAL_SECONDS = 60;
+const RESEND_MAX_PER_HOUR = 5;
+
+/**
+ * Crea un nuovo token di verifica (invalidando i precedenti) e invia l'email
+ * @param {Object} user - utente
+ * @param {string} [email] - indirizzo da verificare, default email attuale
+ */
+async function issueEmailVerification(user, email = user.email) {
+  const token = generateOpaqueToken();
+
+  await prisma.$transaction([
+    prisma.emailVerificationToken.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: new Date() }
+    }),
+    prisma.emailVerificationToken.create({
+      data: {
+        userId: user.id,
+        email,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+      }
+    })
+  ]);
+
+  await sendEmailVerificationEmail(user, email, token, EMAIL_VERIFICATION_TTL_HOURS);
+}
+
+/**
+ * Controlla il throttling dei reinvii
+ * @param {string} userId
+ * @returns {Promise<{allowed: boolean, retryAfter?: number}>} retryAfter in secondi
+ */
+async function canResendEmailVerification(userId) {
+  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+
+  const recent = await prisma.emailVerificationToken.findMany({
+    where: { userId, createdAt: { gte: oneHourAgo } },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true }
+  });
+
+  if (recent.length >= RESEND_MAX_PER_HOUR) {
+    const oldest = recent[recent.length - 1].createdAt;
+    return { allowed: false, retryAfter: Math.ceil((oldest.getTime() + 60 * 60 * 1000 - Date.now()) / 1000) };
+  }
+
+  if (recent.length > 0) {
+    const elapsed = (Date.now() - recent[0].createdAt.getTime()) / 1000;
+    if (elapsed < RESEND_MIN_INTERVAL_SECONDS) {
+      return { allowed: false, retryAfter: Math.ceil(RESEND_MIN_INTERVAL_SECONDS - elapsed) };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Consuma un token di verifica e marca l'email come verificata.
+ * L'email verificata è quella salvata nel token.
+ * @param {string} token - token in chiaro
+ * @returns {Promise<Object|null>} utente aggiornato o null se token non valido/scaduto
+ */
+async function consumeEmailVerification(token) {
+  const verification = await prisma.emailVerificationToken.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!verification || verification.usedAt || verification.expiresAt < new Date()) {
+    return null;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const consumed = await tx.emailVerificationToken.updateMany({
+      where: { id: verification.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (consumed.count === 0) return null;
+
+    return tx.user.update({
+      where: { id: verification.userId },
+      data: { email: verification.email, emailVerifiedAt: new Date() }
+    });
+  });
+}
+
+module.exports = {
+  issueEmailVerification,
+  canResendEmailVerification,
+  consumeEmailVerification
+};
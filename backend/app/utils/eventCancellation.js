@@ -0,0 +1,205 @@
+// utils/eventCancellation.js
+const { EventStatus } = require('@prisma/client');
+const prisma = require('../prisma');
+const { refundBooking } = require('./ingressi');
+const { INGRESSI_PER_BOOKING, chargeBookingInTransaction } = require('./booking');
+const { canBookEvent } = require('./subscription');
+const { promoteFromWaitlist } = require('./waitlist');
+const { releaseBuddiesInTransaction } = require('./buddy');
+const { findEventConflicts } = require('./resources');
+const { sendEventCancelledEmail, sendEventRestoredEmail } = require('./notifications');
+
+/**
+ * Invia le email senza interrompere l'operazione in caso di errori SMTP
+ */
+async function notifyAll(items, send) {
+  for (const item of items) {
+    try {
+      await send(item);
+    } catch (err) {
+      console.error(`Notifica evento fallita (${item.user.email}):`, err.message);
+    }
+  }
+}
+
+/**
+ * Annulla un evento
+ * - salva motivo e data di annullamento
+ * - restituisce gli ingressi ai partecipanti (le prenotazioni restano, per un eventuale ripristino)
+ * - avvisa tutti i partecipanti
+ * @param {number} eventId - ID evento
+ * @param {Object} params
+ * @param {string} params.reason - motivo dell'annullamento
+ * @param {string} [params.actorId] - admin che annulla
+ * @returns {Promise<{event: Object, refunded: number, notified: number}|null>} null se evento non trovato
+ */
+async function cancelEvent(eventId, { reason, actorId = null }) {
+  const result = await prisma.$transaction(async (tx) => {
+    const event = await tx.event.findUnique({
+      where: { id: eventId },
+      include: { signups: { include: { user: true } } }
+    });
+
+    if (!event) return null;
+    if (event.status === EventStatus.CANCELLED) {
+      throw new Error('Evento già cancellato');
+    }
+
+    const cancelled = await tx.event.update({
+      where: { id: eventId },
+      data: {
+        status: EventStatus.CANCELLED,
+        cancellationReason: reason,
+        cancelledAt: new Date()
+      }
+    });
+
+    const participants = [];
+
+    for (const signup of event.signups) {
+      const refund = await refundBooking(tx, signup, {
+        actorId,
+        note: `Evento annullato: ${reason}`
+      });
+
+      // Segna la restituzione: al ripristino l'ingresso verrà riaddebitato
+      if (refund) {
+        await tx.eventSignup.update({
+          where: { id: signup.id },
+          data: { ingressiCharged: 0, refundedAt: new Date() }
+        });
+      }
+
+      participants.push({ user: signup.user, refunded: !!refund });
+    }
+
+    return { event: cancelled, participants };
+  });
+
+  if (!result) return null;
+
+  await notifyAll(result.participants, ({ user, refunded }) =>
+    sendEventCancelledEmail(user, result.event, refunded)
+  );
+
+  return {
+    event: result.event,
+    refunded: result.participants.filter(p => p.refunded).length,
+    notified: result.participants.length
+  };
+}
+
+/**
+ * Ripristina un evento annullato
+ * - i partecipanti rimborsati vengono riverificati (regole di prenotazione, ingressi)
+ *   e riaddebitati; chi non è più idoneo viene rimosso dall'evento
+ * - i posti liberati passano alla lista d'attesa
+ * - avvisa tutti i partecipanti
+ * - se l'evento si sovrappone ad altri eventi in programma non ripristina nulla, salvo force
+ * @param {number} eventId - ID evento
+ * @param {Object} [params]
+ * @param {boolean} [params.force]
+ * @returns {Promise<{event?: Object, recharged?: string[], dropped?: Object[], conflicts: Object[]}|null>} null se evento non trovato
+ */
+async function restoreEvent(eventId, { force = false } = {}) {
+  const event = await prisma.event.findUnique({
+    where: { id: eventId },
+    include: {
+      signups: { include: { user: true } },
+      resources: { select: { resourceId: true } }
+    }
+  });
+
+  if (!event) return null;
+  if (event.status !== EventStatus.CANCELLED) {
+    throw new Error('Evento non cancellato');
+  }
+
+  // Nel frattempo lo slot può essere stato occupato da un altro evento
+  const conflicts = await findEventConflicts({
+    date: event.date,
+    startTime: event.startTime,
+    endTime: event.endTime,
+    locationId: event.locationId,
+    resourceIds: event.resources.map(r => r.resourceId)
+  }, { excludeEventId: event.id });
+
+  if (conflicts.length && !force) {
+    return { conflicts };
+  }
+
+  const restored = await prisma.event.update({
+    where: { id: eventId },
+    data: {
+      status: EventStatus.SCHEDULED,
+      cancellationReason: null,
+      cancelledAt: null
+    }
+  });
+
+  const outcomes = [];
+
+  for (const signup of event.signups) {
+    // Iscrizioni non rimborsate (es. d'ufficio): restano invariate
+    if (!signup.refundedAt) {
+      outcomes.push({ user: signup.user, confirmed: true, charged: false });
+      continue;
+    }
+
+    const check = await canBookEvent(signup.userId, eventId, { ignoreCapacity: true });
+    let message = check.message;
+
+    if (check.canBook) {
+      try {
+        await prisma.$transaction(async (tx) => {
+          await chargeBookingInTransaction(tx, {
+            userId: signup.userId,
+            eventId,
+            note: 'Evento ripristinato'
+          });
+
+          await tx.eventSignup.update({
+            where: { id: signup.id },
+            data: { ingressiCharged: INGRESSI_PER_BOOKING, refundedAt: null }
+          });
+        });
+
+        outcomes.push({ user: signup.user, confirmed: true, charged: true });
+        continue;
+      } catch (err) {
+        message = err.message;
+      }
+    }
+
+    const notifyBuddies = await prisma.$transaction(async (tx) => {
+      const notify = await releaseBuddiesInTransaction(tx, [signup]);
+      await tx.eventSignup.delete({ where: { id: signup.id } });
+      return notify;
+    });
+    await notifyBuddies();
+
+    outcomes.push({ user: signup.user, confirmed: false, message });
+  }
+
+  const dropped = outcomes.filter(o => !o.confirmed);
+  if (dropped.length) {
+    try {
+      await promoteFromWaitlist(eventId);
+    } catch (err) {
+      console.error('Errore promozione lista d\'attesa:', err);
+    }
+  }
+
+  await notifyAll(outcomes, ({ user, ...outcome }) =>
+    sendEventRestoredEmail(user, restored, outcome)
+  );
+
+  return {
+    event: restored,
+    recharged: outcomes.filter(o => o.charged).map(o => o.user.id),
+    dropped: dropped.map(o => ({ userId: o.user.id, email: o.user.email, message: o.message })),
+    conflicts
+  };
+}
+
+module.exports = { cancelEvent, restoreEvent };
@@ -0,0 +1,392 @@
+// utils/eventSeries.js
+const { EventStatus, SeriesFrequency } = require('@prisma/client');
+const prisma = require('../prisma');
+const { getNowItaly } = require('./dateRules');
+const { assertReservableResources, findEventConflicts } = require('./resources');
+const { cancelEvent } = require('./eventCancellation');
+const { promoteFromWaitlist } = require('./waitlist');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Limite di occorrenze generate da una regola
+const MAX_SERIES_OCCURRENCES = 200;
+
+// Ambito delle modifiche/annullamenti su un evento di una serie
+const SERIES_SCOPE_OCCURRENCE = 'occurrence';
+const SERIES_SCOPE_FOLLOWING = 'following';
+const SERIES_SCOPE_SERIES = 'series';
+const SERIES_SCOPES = [SERIES_SCOPE_OCCURRENCE, SERIES_SCOPE_FOLLOWING, SERIES_SCOPE_SERIES];
+
+// Giorni della settimana come Date.getUTCDay()
+const WEEKDAY_MAP = {
+  LUNEDI: 1,
+  MARTEDI: 2,
+  MERCOLEDI: 3,
+  GIOVEDI: 4,
+  VENERDI: 5,
+  SABATO: 6,
+  DOMENICA: 0,
+};
+
+const dateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Data di calendario (senza orario) come Date UTC, confrontabile con le date evento (@db.Date)
+ * @param {Date} date - data locale
+ * @returns {Date}
+ */
+const toUtcDate = (date) => new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+
+const todayUtc = () => toUtcDate(getNowItaly());
+
+/**
+ * Date generate dalla regola di una serie
+ * - BIWEEKLY: settimane alterne contate dalla settimana (lunedì) di startDate
+ * - count conta anche i giorni in exceptionDates, che vengono poi saltati
+ * @param {Object} rule
+ * @param {string} rule.frequency - WEEKLY | BIWEEKLY
+ * @param {string[]} rule.weekdays - LUNEDI ... DOMENICA
+ * @param {Date} rule.startDate
+ * @param {Date|null} [rule.untilDate]
+ * @param {number|null} [rule.count]
+ * @param {Date[]} [rule.exceptionDates]
+ * @returns {Date[]} date UTC in ordine
+ */
+function generateSeriesDates({ frequency, weekdays, startDate, untilDate, count, exceptionDates = [] }) {
+  if (!untilDate && !count) {
+    throw new Error('Indica una data di fine oppure il numero di occorrenze');
+  }
+
+  const days = new Set(weekdays.map(day => WEEKDAY_MAP[day]));
+  if (!days.size) {
+    throw new Error('Indica almeno un giorno della settimana');
+  }
+
+  const start = new Date(startDate).getTime();
+  const until = untilDate ? new Date(untilDate).getTime() : Infinity;
+  const weekStart = start - ((new Date(start).getUTCDay() + 6) % 7) * DAY_MS;
+  const step = frequency === SeriesFrequency.BIWEEKLY ? 2 : 1;
+  const skipped = new Set(exceptionDates.map(dateKey));
+
+  const dates = [];
+  let generated = 0;
+
+  for (let time = start; time <= until && (!count || generated < count); time += DAY_MS) {
+    const day = new Date(time);
+    const week = Math.floor((time - weekStart) / (7 * DAY_MS));
+
+    if (week % step !== 0 || !days.has(day.getUTCDay())) continue;
+
+    if (++generated > MAX_SERIES_OCCURRENCES) {
+      throw new Error(`La serie supera il massimo di ${MAX_SERIES_OCCURRENCES} occorrenze`);
+    }
+
+    if (!skipped.has(dateKey(day))) dates.push(day);
+  }
+
+  return dates;
+}
+
+/**
+ * Crea una serie e tutte le sue occorrenze
+ * - le risorse devono essere prenotabili
+ * - se qualche occorrenza si sovrappone ad altri eventi non crea nulla, salvo force
+ * @param {Object} data - modello evento (senza data), resourceIds e regola
+ * @param {Object} params
+ * @param {string} params.creatorId
+ * @param {boolean} [params.force] - crea anche in presenza di sovrapposizioni
+ * @returns {Promise<{series: Object|null, events: Object[], conflicts: Object[]}>} series null se bloccata dai conflitti
+ */
+async function createEventSeries(data, { creatorId, force = false }) {
+  const { resourceIds = [], frequency, weekdays, startDate, untilDate, count, exceptionDates = [], ...template } = data;
+  const rule = { frequency, weekdays, startDate, untilDate: untilDate ?? null, count: count ?? null, exceptionDates };
+
+  const dates = generateSeriesDates(rule);
+  if (!dates.length) {
+    throw new Error('La regola non genera nessuna occorrenza');
+  }
+
+  await assertReservableResources(resourceIds, template.locationId);
+
+  const conflicts = [];
+  for (const date of dates) {
+    conflicts.push(...await findEventConflicts({ ...template, date, resourceIds }));
+  }
+
+  if (conflicts.length && !force) {
+    return { series: null, events: [], conflicts };
+  }
+
+  // Fino a MAX_SERIES_OCCURRENCES inserimenti: timeout più ampio del default
+  const { series, events } = await prisma.$transaction(async (tx) => {
+    const series = await tx.eventSeries.create({
+      data: { ...template, ...rule, resourceIds, creatorId }
+    });
+
+    const events = [];
+    for (const date of dates) {
+      events.push(await tx.event.create({
+        data: {
+          ...template,
+          date,
+          seriesId: series.id,
+          creatorId,
+          resources: { create: resourceIds.map(resourceId => ({ resourceId })) }
+        }
+      }));
+    }
+
+    return { series, events };
+  }, { timeout: 30000 });
+
+  return { series, events, conflicts };
+}
+
+/**
+ * Occorrenze in programma interessate da un'operazione sulla serie
+ * - following: da questa occorrenza in poi
+ * - series: dalla data odierna in poi (le occorrenze passate restano come storico)
+ */
+async function findScopeOccurrences(event, scope) {
+  const from = scope === SERIES_SCOPE_FOLLOWING ? event.date : todayUtc();
+
+  return prisma.event.findMany({
+    where: {
+      seriesId: event.seriesId,
+      status: EventStatus.SCHEDULED,
+      date: { gte: from }
+    },
+    include: { resources: { select: { resourceId: true } } },
+    orderBy: { date: 'asc' }
+  });
+}
+
+/**
+ * Carica un evento con la sua serie
+ * @returns {Promise<Object|null>} null se evento non trovato
+ */
+async function findSeriesEvent(eventId) {
+  const event = await prisma.event.findUnique({
+    where: { id: eventId },
+    include: { series: true }
+  });
+
+  if (event && !event.series) {
+    throw new Error('L\'evento non fa parte di una serie');
+  }
+
+  return event;
+}
+
+/**
+ * Divide una serie: da fromDate in poi le occorrenze passano a una nuova serie con il modello modificato
+ * - la serie originale termina il giorno prima
+ * @param {Object} tx - client Prisma della transazione
+ * @param {Object} series - serie originale
+ * @param {Date} fromDate - prima occorrenza della nuova serie
+ * @param {Object} changes - modifiche al modello
+ * @returns {Promise<Object>} nuova serie
+ */
+async function splitSeriesInTransaction(tx, series, fromDate, changes) {
+  const { id, createdAt, updatedAt, ...template } = series;
+  const lastDate = series.untilDate ?? generateSeriesDates({ ...series, exceptionDates: [] }).at(-1);
+  const from = dateKey(fromDate);
+
+  const next = await tx.eventSeries.create({
+    data: {
+      ...template,
+      ...changes,
+      startDate: fromDate,
+      untilDate: lastDate,
+      count: null,
+      exceptionDates: series.exceptionDates.filter(date => dateKey(date) >= from)
+    }
+  });
+
+  await tx.eventSeries.update({
+    where: { id },
+    data: {
+      untilDate: new Date(new Date(fromDate).getTime() - DAY_MS),
+      count: null,
+      exceptionDates: series.exceptionDates.filter(date => dateKey(date) < from)
+    }
+  });
+
+  await tx.event.updateMany({
+    where: { seriesId: id, date: { gte: fromDate } },
+    data: { seriesId: next.id }
+  });
+
+  return next;
+}
+
+/**
+ * Modifica le occorrenze di una serie a partire da un evento
+ * - following: questa e le successive (la serie viene divisa se l'evento non è il primo)
+ * - series: tutte le occorrenze in programma da oggi, e il modello della serie
+ * - data e stato si modificano solo sulla singola occorrenza
+ * - se qualche occorrenza si sovrappone ad altri eventi non modifica nulla, salvo force
+ * @param {number} eventId - occorrenza di riferimento
+ * @param {Object} changes - campi validati (validateEventPatchBody), resourceIds sostituisce le risorse
+ * @param {string} scope - following | series
+ * @param {Object} [params]
+ * @param {boolean} [params.force]
+ * @returns {Promise<{seriesId?: number, updated: number, conflicts: Object[]}|null>} null se evento non trovato
+ */
+async function updateSeriesOccurrences(eventId, { resourceIds, ...changes }, scope, { force = false } = {}) {
+  const event = await findSeriesEvent(eventId);
+  if (!event) return null;
+
+  if (changes.date !== undefined || changes.status !== undefined) {
+    throw new Error('Data e stato si modificano solo sulla singola occorrenza');
+  }
+
+  const targets = await findScopeOccurrences(event, scope);
+  const locationId = changes.locationId !== undefined ? changes.locationId : event.series.locationId;
+
+  if (resourceIds) {
+    await assertReservableResources(resourceIds, locationId);
+  }
+
+  const slotChanged = ['startTime', 'endTime', 'locationId'].some(key => changes[key] !== undefined) ||
+    resourceIds !== undefined;
+
+  const conflicts = [];
+  for (const target of targets) {
+    const slot = {
+      date: target.date,
+      startTime: changes.startTime ?? target.startTime,
+      endTime: changes.endTime ?? target.endTime,
+      locationId: changes.locationId !== undefined ? changes.locationId : target.locationId,
+      resourceIds: resourceIds ?? target.resources.map(r => r.resourceId)
+    };
+
+    if (slot.startTime > slot.endTime) {
+      throw new Error('L\'orario di inizio non può essere successivo a quello di fine');
+    }
+
+    if (slotChanged) {
+      conflicts.push(...await findEventConflicts(slot, { excludeEventId: target.id }));
+    }
+  }
+
+  if (conflicts.length && !force) {
+    return { updated: 0, conflicts };
+  }
+
+  const templateChanges = { ...changes, ...(resourceIds && { resourceIds }) };
+  const splitting = scope === SERIES_SCOPE_FOLLOWING && dateKey(event.date) > dateKey(event.series.startDate);
+
+  const seriesId = await prisma.$transaction(async (tx) => {
+    const seriesId = splitting
+      ? (await splitSeriesInTransaction(tx, event.series, event.date, templateChanges)).id
+      : (await tx.eventSeries.update({ where: { id: event.seriesId }, data: templateChanges })).id;
+
+    for (const target of targets) {
+      await tx.event.update({
+        where: { id: target.id },
+        data: {
+          ...changes,
+          ...(resourceIds && {
+            resources: {
+              deleteMany: {},
+              create: resourceIds.map(resourceId => ({ resourceId }))
+            }
+          })
+        }
+      });
+    }
+
+    return seriesId;
+  }, { timeout: 30000 });
+
+  // Più posti disponibili: scorre la lista d'attesa di ogni occorrenza
+  if (changes.maxSlots !== undefined) {
+    for (const target of targets) {
+      await promoteFromWaitlist(target.id);
+    }
+  }
+
+  return { seriesId, updated: targets.length, conflicts };
+}
+
+/**
+ * Annulla le occorrenze di una serie a partire da un evento
+ * - following: questa e le successive; series: tutte quelle in programma da oggi
+ * - ogni occorrenza viene annullata come un evento singolo (rimborsi e notifiche)
+ * - la regola della serie termina prima della prima occorrenza annullata
+ * @param {number} eventId - occorrenza di riferimento
+ * @param {string} scope - following | series
+ * @param {Object} params
+ * @param {string} params.reason
+ * @param {string} [params.actorId]
+ * @returns {Promise<{cancelled: number, refunded: number, notified: number}|null>} null se evento non trovato
+ */
+async function cancelSeriesOccurrences(eventId, scope, { reason, actorId = null }) {
+  const event = await findSeriesEvent(eventId);
+  if (!event) return null;
+
+  const targets = await findScopeOccurrences(event, scope);
+  let refunded = 0;
+  let notified = 0;
+
+  for (const target of targets) {
+    const result = await cancelEvent(target.id, { reason, actorId });
+    refunded += result.refunded;
+    notified += result.notified;
+  }
+
+  if (targets.length) {
+    await prisma.eventSeries.update({
+      where: { id: event.seriesId },
+      data: {
+        untilDate: new Date(new Date(targets[0].date).getTime() - DAY_MS),
+        count: null
+      }
+    });
+  }
+
+  return { cancelled: targets.length, refunded, notified };
+}
+
+/**
+ * Serie con le sue occorrenze
+ * @param {number} seriesId
+ * @returns {Promise<Object|null>}
+ */
+async function getEventSeries(seriesId) {
+  return prisma.eventSeries.findUnique({
+    where: { id: seriesId },
+    include: {
+      category: true,
+      venue: { select: { id: true, name: true } },
+      events: {
+        select: {
+          id: true,
+          date: true,
+          startTime: true,
+          endTime: true,
+          status: true,
+          maxSlots: true,
+          _count: { select: { signups: true } }
+        },
+        orderBy: { date: 'asc' }
+      }
+    }
+  });
+}
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  SERIES_SCOPE_OCCURRENCE,
+  SERIES_SCOPE_FOLLOWING,
+  SERIES_SCOPE_SERIES,
+  SERIES_SCOPES,
+  WEEKDAY_MAP,
+  toUtcDate,
+  generateSeriesDates,
+  createEventSeries,
+  updateSeriesOccurrences,
+  cancelSeriesOccurrences,
+  getEventSeries
+};
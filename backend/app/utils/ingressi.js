@@ -0,0 +1,237 @@
+// utils/ingressi.js
+const { IngressiReason, SubscriptionStatus } = require('@prisma/client');
+const prisma = require('../prisma');
+
+/**
+ * Registra la dotazione iniziale di una subscription appena creata
+ * (il contatore è già valorizzato dalla create)
+ * @param {Object} tx - client Prisma (o transazione)
+ * @param {Object} subscription - subscription creata
+ * @param {Object} [options]
+ * @param {string} [options.reason] - GRANT (default) o IMPORT
+ * @param {string} [options.actorId] - admin che ha creato la subscription
+ * @param {string} [options.note]
+ * @returns {Promise<Object>} movimento creato
+ */
+async function recordInitialIngressi(tx, subscription, { reason = IngressiReason.GRANT, actorId = null, note = null } = {}) {
+  return tx.ingressiLedgerEntry.create({
+    data: {
+      subscriptionId: subscription.id,
+      userId: subscription.userId,
+      delta: subscription.ingressi,
+      balanceAfter: subscription.ingressi,
+      reason,
+      actorId,
+      note
+    }
+  });
+}
+
+/**
+ * Applica un movimento al contatore e lo registra nel ledger
+ * - da chiamare dentro una transazione
+ * - rifiuta movimenti che porterebbero il saldo sotto zero
+ * @param {Object} tx - client Prisma della transazione
+ * @param {Object} params
+ * @param {number} params.subscriptionId
+ * @param {number} params.delta - positivo = accredito, negativo = addebito
+ * @param {string} params.reason - IngressiReason
+ * @param {number} [params.eventId]
+ * @param {string} [params.actorId]
+ * @param {string} [params.note]
+ * @returns {Promise<Object|null>} movimento creato, null se delta = 0
+ */
+async function applyIngressiChange(tx, { subscriptionId, delta, reason, eventId = null, actorId = null, note = null }) {
+  if (!delta) return null;
+
+  const subscription = await tx.subscription.update({
+    where: { id: subscriptionId },
+    data: { ingressi: { increment: delta } }
+  });
+
+  if (subscription.ingressi < 0) {
+    throw new Error('Ingressi insufficienti');
+  }
+
+  return tx.ingressiLedgerEntry.create({
+    data: {
+      subscriptionId,
+      userId: subscription.userId,
+      delta,
+      balanceAfter: subscription.ingressi,
+      reason,
+      eventId,
+      actorId,
+      note
+    }
+  });
+}
+
+/**
+ * Porta il contatore a un valore assoluto registrando la differenza
+ * (modifica da anagrafica admin, import Excel, scadenza)
+ * @param {Object} tx - client Prisma della transazione
+ * @param {Object} params
+ * @param {number} params.subscriptionId
+ * @param {number} params.balance - nuovo saldo
+ * @param {string} params.reason - IngressiReason
+ * @param {string} [params.actorId]
+ * @param {string} [params.note]
+ * @returns {Promise<Object|null>} movimento creato, null se il saldo non cambia
+ */
+async function setIngressiBalance(tx, { subscriptionId, balance, reason, actorId = null, note = null }) {
+  const subscription = await tx.subscription.findUnique({
+    where: { id: subscriptionId },
+    select: { ingressi: true }
+  });
+
+  if (!subscription) throw new Error('Subscription non trovata');
+
+  return applyIngressiChange(tx, {
+    subscriptionId,
+    delta: balance - subscription.ingressi,
+    reason,
+    actorId,
+    note
+  });
+}
+
+/**
+ * Restituisce gli ingressi di una prenotazione rimossa
+ * - accredita la subscription addebitata se ancora attiva, altrimenti quella attiva
+ * @param {Object} tx - client Prisma della transazione
+ * @param {Object} signup - prenotazione (userId, eventId, ingressiCharged)
+ * @param {Object} [options]
+ * @param {string} [options.actorId]
+ * @param {string} [options.note]
+ * @returns {Promise<Object|null>} movimento creato, null se non c'è nulla da restituire
+ */
+async function refundBooking(tx, signup, { actorId = null, note = null } = {}) {
+  if (!signup.ingressiCharged) return null;
+
+  const debit = await tx.ingressiLedgerEntry.findFirst({
+    where: {
+      userId: signup.userId,
+      eventId: signup.eventId,
+      reason: IngressiReason.BOOKING
+    },
+    orderBy: { createdAt: 'desc' },
+    include: { subscription: { select: { status: true } } }
+  });
+
+  let subscriptionId = debit?.subscription.status === SubscriptionStatus.ACTIVE
+    ? debit.subscriptionId
+    : null;
+
+  if (!subscriptionId) {
+    const active = await tx.subscription.findFirst({
+      where: { userId: signup.userId, status: SubscriptionStatus.ACTIVE },
+      orderBy: { endDate: 'desc' },
+      select: { id: true }
+    });
+    subscriptionId = active?.id;
+  }
+
+  if (!subscriptionId) return null;
+
+  return applyIngressiChange(tx, {
+    subscriptionId,
+    delta: signup.ingressiCharged,
+    reason: IngressiReason.CANCELLATION,
+    eventId: signup.eventId,
+    actorId,
+    note
+  });
+}
+
+/**
+ * Saldo ricavato dal ledger per ogni subscription
+ * @param {number[]} [subscriptionIds] - se omesso, tutte
+ * @returns {Promise<Map<number, number>>} subscriptionId → saldo
+ */
+async function getLedgerBalances(subscriptionIds) {
+  const sums = await prisma.ingressiLedgerEntry.groupBy({
+    by: ['subscriptionId'],
+    where: subscriptionIds ? { subscriptionId: { in: subscriptionIds } } : {},
+    _sum: { delta: true }
+  });
+
+  return new Map(sums.map(row => [row.subscriptionId, row._sum.delta ?? 0]));
+}
+
+/**
+ * Subscription il cui contatore non coincide con il ledger
+ * @param {Object} [filters]
+ * @param {string} [filters.userId]
+ * @returns {Promise<Object[]>}
+ */
+async function findIngressiMismatches({ userId } = {}) {
+  const subscriptions = await prisma.subscription.findMany({
+    where: userId ? { userId } : {},
+    select: {
+      id: true,
+      userId: true,
+      status: true,
+      ingressi: true,
+      user: { select: { email: true, firstName: true, lastName: true } }
+    },
+    orderBy: { id: 'asc' }
+  });
+
+  const balances = await getLedgerBalances(subscriptions.map(s => s.id));
+
+  return subscriptions
+    .map(subscription => ({
+      subscriptionId: subscription.id,
+      userId: subscription.userId,
+      email: subscription.user.email,
+      firstName: subscription.user.firstName,
+      lastName: subscription.user.lastName,
+      status: subscription.status,
+      counter: subscription.ingressi,
+      ledgerBalance: balances.get(subscription.id) ?? 0
+    }))
+    .filter(row => row.counter !== row.ledgerBalance)
+    .map(row => ({ ...row, difference: row.counter - row.ledgerBalance }));
+}
+
+/**
+ * Riallinea il contatore al saldo del ledger (il ledger fa fede)
+ * @param {number} subscriptionId
+ * @returns {Promise<{subscriptionId: number, previous: number, ingressi: number}|null>}
+ */
+async function reconcileSubscription(subscriptionId) {
+  return prisma.$transaction(async (tx) => {
+    const subscription = await tx.subscription.findUnique({
+      where: { id: subscriptionId },
+      select: { id: true, ingressi: true }
+    });
+
+    if (!subscription) return null;
+
+    const { _sum } = await tx.ingressiLedgerEntry.aggregate({
+      where: { subscriptionId },
+      _sum: { delta: true }
+    });
+    const balance = _sum.delta ?? 0;
+
+    if (balance !== subscription.ingressi) {
+      await tx.subscription.update({
+        where: { id: subscriptionId },
+        data: { ingressi: balance }
+      });
+    }
+
+    return { subscriptionId, previous: subscription.ingressi, ingressi: balance };
+  });
+}
+
+module.exports = {
+  recordInitialIngressi,
+  applyIngressiChange,
+  setIngressiBalance,
+  refundBooking,
+  getLedgerBalances,
+  findIngressiMismatches,
+  reconcileSubscription
+};
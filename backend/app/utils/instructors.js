@@ -0,0 +1,150 @@
+// utils/instructors.js
+const { Role } = require('@prisma/client');
+const prisma = require('../prisma');
+const { getSetting } = require('./settings');
+
+// Ruoli che possono essere assegnati come istruttori di un evento
+const INSTRUCTOR_ROLES = [Role.INSTRUCTOR, Role.ADMIN, Role.SUPERADMIN];
+
+// Codice restituito all'app quando i posti sono limitati dagli istruttori assegnati
+const INSTRUCTOR_RATIO_EXCEEDED = 'INSTRUCTOR_RATIO_EXCEEDED';
+
+const instructorSelect = { id: true, email: true, firstName: true, lastName: true, role: true };
+
+/**
+ * Partecipanti ammessi per istruttore della categoria, con fallback sul default globale
+ * @param {{maxParticipantsPerInstructor?: number|null}|null} category
+ * @returns {Promise<number>} 0 = nessun limite
+ */
+async function getInstructorRatio(category) {
+  return category?.maxParticipantsPerInstructor ?? await getSetting('instructor.maxParticipantsPerInstructor');
+}
+
+/**
+ * Posti prenotabili di un evento: maxSlots, ridotti se gli istruttori assegnati non bastano
+ * @param {Object} event - evento con maxSlots e categoryId (o category)
+ * @param {Object} [tx] - client Prisma (default: client condiviso)
+ * @returns {Promise<{capacity: number, maxSlots: number, instructors: number, maxParticipantsPerInstructor: number, limitedByInstructors: boolean}>}
+ */
+async function getEventCapacity(event, tx = prisma) {
+  const category = event.category ?? await tx.eventCategory.findUnique({
+    where: { id: event.categoryId },
+    select: { maxParticipantsPerInstructor: true }
+  });
+
+  const [ratio, instructors] = await Promise.all([
+    getInstructorRatio(category),
+    tx.eventInstructor.count({ where: { eventId: event.id } })
+  ]);
+
+  const instructorLimit = ratio ? instructors * ratio : Infinity;
+
+  return {
+    capacity: Math.min(event.maxSlots, instructorLimit),
+    maxSlots: event.maxSlots,
+    instructors,
+    maxParticipantsPerInstructor: ratio,
+    limitedByInstructors: instructorLimit < event.maxSlots
+  };
+}
+
+/**
+ * Verifica se ci sono posti prenotabili
+ * @param {Object} event - evento con maxSlots e categoryId (o category)
+ * @param {number} signupsCount - prenotazioni attuali
+ * @param {Object} [tx]
+ * @returns {Promise<{available: boolean, code?: string, message?: string}>}
+ */
+async function checkEventCapacity(event, signupsCount, tx = prisma) {
+  const { capacity, limitedByInstructors } = await getEventCapacity(event, tx);
+
+  if (signupsCount < capacity) return { available: true };
+
+  if (limitedByInstructors && signupsCount < event.maxSlots) {
+    return {
+      available: false,
+      code: INSTRUCTOR_RATIO_EXCEEDED,
+      message: 'Posti esauriti per il numero di istruttori assegnati'
+    };
+  }
+
+  return { available: false, message: 'Evento pieno' };
+}
+
+/**
+ * Istruttori assegnati a un evento
+ * @param {number} eventId
+ * @returns {Promise<Object[]>}
+ */
+async function listEventInstructors(eventId) {
+  const assignments = await prisma.eventInstructor.findMany({
+    where: { eventId },
+    include: { user: { select: instructorSelect } },
+    orderBy: { assignedAt: 'asc' }
+  });
+
+  return assignments.map(a => ({ ...a.user, assignedAt: a.assignedAt }));
+}
+
+/**
+ * Sostituisce gli istruttori assegnati a un evento
+ * - gli utenti devono avere ruolo INSTRUCTOR, ADMIN o SUPERADMIN
+ * @param {number} eventId
+ * @param {string[]} userIds - nuovi istruttori (lista completa)
+ * @param {Object} params
+ * @param {string} params.actorId - admin che assegna
+ * @returns {Promise<Object[]|null>} istruttori assegnati, null se evento non trovato
+ */
+async function setEventInstructors(eventId, userIds, { actorId }) {
+  const event = await prisma.event.findUnique({ where: { id: eventId }, select: { id: true } });
+  if (!event) return null;
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: userIds }, role: { in: INSTRUCTOR_ROLES } },
+    select: { id: true }
+  });
+
+  const valid = new Set(users.map(u => u.id));
+  const invalid = userIds.filter(id => !valid.has(id));
+
+  if (invalid.length) {
+    throw new Error(`Utenti non abilitati come istruttori: ${invalid.join(', ')}`);
+  }
+
+  await prisma.$transaction([
+    prisma.eventInstructor.deleteMany({
+      where: { eventId, userId: { notIn: userIds } }
+    }),
+    prisma.eventInstructor.createMany({
+      data: userIds.map(userId => ({ eventId, userId, assignedById: actorId })),
+      skipDuplicates: true
+    })
+  ]);
+
+  return listEventInstructors(eventId);
+}
+
+/**
+ * Indica se l'utente è assegnato come istruttore all'evento
+ * @param {string} userId
+ * @param {number} eventId
+ * @returns {Promise<boolean>}
+ */
+async function isEventInstructor(userId, eventId) {
+  const assignment = await prisma.eventInstructor.findUnique({
+    where: { eventId_userId: { eventId, userId } }
+  });
+
+  return !!assignment;
+}
+
+module.exports = {
+  INSTRUCTOR_ROLES,
+  INSTRUCTOR_RATIO_EXCEEDED,
+  getInstructorRatio,
+  getEventCapacity,
+  checkEventCapacity,
+  listEventInstructors,
+  setEventInstructors,
+  isEventInstructor
+};
@@ -0,0 +1,51 @@
+// utils/locations.js
+const prisma = require('../prisma');
+
+// Dati del luogo mostrati insieme agli eventi
+const venueSelect = {
+  id: true,
+  name: true,
+  type: true,
+  address: true,
+  latitude: true,
+  longitude: true
+};
+
+/**
+ * Completa i dati di un evento con il luogo gestito
+ * - il luogo deve esistere
+ * - senza maxSlots si usano i posti di default del luogo (se definiti)
+ * @param {Object} data - dati evento validati (locationId, maxSlots)
+ * @returns {Promise<Object>} dati evento da salvare
+ */
+async function applyLocationDefaults(data) {
+  if (!data.locationId) return data;
+
+  const location = await prisma.location.findUnique({
+    where: { id: data.locationId },
+    select: { defaultCapacity: true }
+  });
+
+  if (!location) {
+    throw new Error('Luogo non trovato');
+  }
+
+  return {
+    ...data,
+    maxSlots: data.maxSlots ?? location.defaultCapacity ?? undefined
+  };
+}
+
+/**
+ * Filtro eventi per luogo da query string (?locationId=)
+ * @param {string|undefined} locationId
+ * @returns {Object} condizione Prisma (vuota se il parametro manca)
+ */
+const locationFilter = (locationId) =>
+  locationId ? { locationId: Number(locationId) } : {};
+
+module.exports = {
+  venueSelect,
+  applyLocationDefaults,
+  locationFilter
+};
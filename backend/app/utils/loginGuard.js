@@ -0,0 +1,202 @@
+// utils/loginGuard.js
+const prisma = require('../prisma');
+
+// Ritardo progressivo: dopo 3 errori consecutivi 1s, 2s, 4s... fino a 60s
+const FAILURES_BEFORE_DELAY = 3;
+const MAX_DELAY_SECONDS = 60;
+
+// Blocco account: 10 errori consecutivi → 15 minuti
+const LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_MINUTES = 15;
+
+// Limite per IP: 30 errori in 15 minuti
+const IP_WINDOW_MINUTES = 15;
+const IP_MAX_FAILURES = 30;
+
+// Email senza account: errori delle ultime 24 ore
+const EMAIL_WINDOW_HOURS = 24;
+const CREDENTIAL_FAILURE_REASONS = ['UNKNOWN_EMAIL', 'USER_CANCELLED', 'WRONG_PASSWORD'];
+
+/**
+ * Controlla se l'IP ha superato il limite di tentativi falliti
+ * @param {string} ip
+ * @returns {Promise<{allowed: boolean, retryAfter?: number}>} retryAfter in secondi
+ */
+async function checkIpThrottle(ip) {
+  if (!ip) return { allowed: true };
+
+  const since = new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000);
+
+  const failures = await prisma.loginAttempt.findMany({
+    where: { ip, success: false, createdAt: { gte: since } },
+    orderBy: { createdAt: 'asc' },
+    select: { createdAt: true }
+  });
+
+  if (failures.length < IP_MAX_FAILURES) return { allowed: true };
+
+  // Si libera quando il tentativo più vecchio esce dalla finestra
+  const oldest = failures[failures.length - IP_MAX_FAILURES].createdAt;
+  const retryAfter = Math.ceil((oldest.getTime() + IP_WINDOW_MINUTES * 60 * 1000 - Date.now()) / 1000);
+
+  return { allowed: false, retryAfter: Math.max(retryAfter, 1) };
+}
+
+/**
+ * Stato di blocco/ritardo dell'account
+ * @param {Object} user
+ * @returns {{allowed: boolean, locked?: boolean, retryAfter?: number}}
+ */
+function getAccountThrottle(user) {
+  const now = Date.now();
+
+  if (user.lockedUntil && user.lockedUntil.getTime() > now) {
+    return {
+      allowed: false,
+      locked: true,
+      retryAfter: Math.ceil((user.lockedUntil.getTime() - now) / 1000)
+    };
+  }
+
+  if (user.failedLoginCount >= FAILURES_BEFORE_DELAY && user.lastFailedLoginAt) {
+    const delaySeconds = Math.min(
+      2 ** (user.failedLoginCount - FAILURES_BEFORE_DELAY),
+      MAX_DELAY_SECONDS
+    );
+    const nextAllowedAt = user.lastFailedLoginAt.getTime() + delaySeconds * 1000;
+
+    if (nextAllowedAt > now) {
+      return { allowed: false, retryAfter: Math.ceil((nextAllowedAt - now) / 1000) };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Stato di blocco/ritardo per un'email senza account attivo (inesistente o cancellato)
+ * Ricostruisce dai tentativi salvati gli stessi contatori dell'account, così le risposte
+ * di /login non rivelano quali email sono registrate.
+ * @param {string} email
+ * @returns {Promise<{allowed: boolean, locked?: boolean, retryAfter?: number}>}
+ */
+async function getEmailThrottle(email) {
+  const since = new Date(Date.now() - EMAIL_WINDOW_HOURS * 60 * 60 * 1000);
+
+  const lastSuccess = await prisma.loginAttempt.findFirst({
+    where: { email, success: true, createdAt: { gte: since } },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true }
+  });
+
+  // solo gli errori di credenziali: i tentativi respinti dal blocco non contano
+  const failures = await prisma.loginAttempt.findMany({
+    where: {
+      email,
+      success: false,
+      reason: { in: CREDENTIAL_FAILURE_REASONS },
+      createdAt: { gt: lastSuccess?.createdAt ?? since }
+    },
+    orderBy: { createdAt: 'asc' },
+    select: { createdAt: true }
+  });
+
+  if (!failures.length) return { allowed: true };
+
+  // ogni LOCKOUT_THRESHOLD errori l'account sarebbe stato bloccato e il conteggio azzerato
+  const locks = Math.floor(failures.length / LOCKOUT_THRESHOLD);
+  const lockedAt = locks ? failures[locks * LOCKOUT_THRESHOLD - 1].createdAt : null;
+
+  return getAccountThrottle({
+    failedLoginCount: failures.length % LOCKOUT_THRESHOLD,
+    lastFailedLoginAt: failures[failures.length - 1].createdAt,
+    lockedUntil: lockedAt && new Date(lockedAt.getTime() + LOCKOUT_MINUTES * 60 * 1000)
+  });
+}
+
+/**
+ * Registra un errore di password sull'account e lo blocca oltre la soglia
+ * - il conteggio viene incrementato nel database, così i tentativi concorrenti non si sovrascrivono
+ * - il blocco si decide sul valore restituito dall'update
+ * @param {Object} user
+ * @returns {Promise<Object>} utente aggiornato
+ */
+async function registerLoginFailure(user) {
+  const updated = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: { increment: 1 }, lastFailedLoginAt: new Date() }
+  });
+
+  if (updated.failedLoginCount < LOCKOUT_THRESHOLD) return updated;
+
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+
+  // dopo il blocco il conteggio riparte da zero
+  await prisma.user.updateMany({
+    where: { id: user.id, failedLoginCount: { gte: LOCKOUT_THRESHOLD } },
+    data: { failedLoginCount: 0, lockedUntil }
+  });
+
+  return { ...updated, failedLoginCount: 0, lockedUntil };
+}
+
+/**
+ * Azzera i contatori dopo un login riuscito
+ * @param {Object} user
+ */
+async function registerLoginSuccess(user) {
+  if (!user.failedLoginCount && !user.lockedUntil) return user;
+
+  return prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null }
+  });
+}
+
+/**
+ * Sblocca un account (admin)
+ * @param {string} userId
+ */
+async function unlockAccount(userId) {
+  return prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null }
+  });
+}
+
+/**
+ * Salva il tentativo di login nell'audit
+ * @param {Object} req - request Express (IP, user agent)
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {string} [params.userId]
+ * @param {boolean} params.success
+ * @param {string} [params.reason]
+ */
+async function recordLoginAttempt(req, { email, userId = null, success, reason = null }) {
+  try {
+    await prisma.loginAttempt.create({
+      data: {
+        email: String(email ?? ''),
+        userId,
+        ip: req.ip || null,
+        userAgent: req.get('user-agent')?.slice(0, 512) || null,
+        success,
+        reason
+      }
+    });
+  } catch (err) {
+    // l'audit non deve bloccare il login
+    console.error('Login attempt audit error:', err);
+  }
+}
+
+module.exports = {
+  checkIpThrottle,
+  getAccountThrottle,
+  getEmailThrottle,
+  registerLoginFailure,
+  registerLoginSuccess,
+  unlockAccount,
+  recordLoginAttempt
+};
@@ -0,0 +1,64 @@
+require('dotenv').config();
+const nodemailer = require('nodemailer');
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (IS_PRODUCTION ? 'smtp' : 'console');
+
+// In produzione le email contengono link di reset e verifica: niente trasporto console
+if (IS_PRODUCTION && MAIL_TRANSPORT === 'console') {
+  throw new Error('MAIL_TRANSPORT=console non consentito con NODE_ENV=production');
+}
+const MAIL_FROM = process.env.MAIL_FROM || 'Blue Dream Freediving <noreply@freedivingbluedream.it>';
+
+let smtpTransporter = null;
+
+// Trasporti disponibili, selezionati tramite MAIL_TRANSPORT
+const transports = {
+  // Sviluppo: registra solo destinatario e oggetto (il corpo può contenere link con token)
+  console: {
+    send: async (message) => {
+      console.log(`[mail] to: ${message.to} | subject: ${message.subject}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  },
+  // SMTP reale o catcher locale (es. Mailpit su localhost:1025)
+  smtp: {
+    send: async (message) => {
+      if (!smtpTransporter) {
+        smtpTransporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST || 'localhost',
+          port: Number(process.env.SMTP_PORT || 1025),
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+        });
+      }
+      return smtpTransporter.sendMail(message);
+    }
+  }
+};
+
+/**
+ * Invia un'email con il trasporto configurato
+ * @param {Object} params
+ * @param {string} params.to
+ * @param {string} params.subject
+ * @param {string} params.text
+ * @param {string} [params.html]
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transports[MAIL_TRANSPORT]) throw new Error(`Trasporto email ${MAIL_TRANSPORT} non supportato`);
+  return transports[MAIL_TRANSPORT].send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+/**
+ * Costruisce un link verso il frontend
+ * @param {string} path - percorso con eventuale query string
+ */
+const buildClientUrl = (path) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${path}`;
+};
+
+module.exports = { sendMail, buildClientUrl };
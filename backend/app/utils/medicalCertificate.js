@@ -0,0 +1,370 @@
+// utils/medicalCertificate.js
+const { Role, UserStatus, MedicalCertificateStatus } = require('@prisma/client');
+const prisma = require('../prisma');
+const { getSetting } = require('./settings');
+const { buildStorageKey, saveFile, readFile } = require('./storage');
+const { sendMedicalCertificateReviewedEmail } = require('./notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Codici di errore restituiti all'app
+const MEDICAL_CERTIFICATE_MISSING = 'MEDICAL_CERTIFICATE_MISSING';
+const MEDICAL_CERTIFICATE_EXPIRED = 'MEDICAL_CERTIFICATE_EXPIRED';
+
+// Dimensione massima del file caricato
+const MEDICAL_CERTIFICATE_MAX_SIZE = 10 * 1024 * 1024;
+
+// Formati accettati, riconosciuti dai primi byte (il mimetype del client non è affidabile)
+const MEDICAL_CERTIFICATE_FORMATS = [
+  { mimeType: 'application/pdf', extension: 'pdf', signature: [0x25, 0x50, 0x44, 0x46] },
+  { mimeType: 'image/jpeg', extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47] }
+];
+
+// Motivo assegnato al certificato in attesa sostituito da un nuovo caricamento
+const SUPERSEDED_REASON = 'Sostituito da un nuovo caricamento';
+
+// Campi restituiti all'app (la chiave di storage resta interna)
+const certificateSelect = {
+  id: true,
+  userId: true,
+  status: true,
+  fileName: true,
+  mimeType: true,
+  size: true,
+  declaredExpiryDate: true,
+  expiryDate: true,
+  reviewedAt: true,
+  rejectionReason: true,
+  createdAt: true,
+  reviewedBy: { select: { id: true, firstName: true, lastName: true } }
+};
+
+/**
+ * Giorno di calendario come timestamp UTC, confrontabile tra date evento (@db.Date, UTC)
+ * e scadenze certificato (salvate a mezzanotte locale)
+ */
+const eventDay = (date) => {
+  const d = new Date(date);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+};
+
+const localDay = (date) => {
+  const d = new Date(date);
+  return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+};
+
+/**
+ * Indica se la categoria richiede il certificato medico (EventCategory.requiresMedicalCertificate)
+ * @param {Object} category - categoria evento
+ * @returns {boolean}
+ */
+function requiresMedicalCertificate(category) {
+  return category.requiresMedicalCertificate ?? true;
+}
+
+/**
+ * Controlla che il certificato copra la data dell'evento (più i giorni di tolleranza)
+ * @param {Date|null} expiryDate - scadenza certificato dell'utente
+ * @param {Object} event - evento con date e category
+ * @returns {Promise<{valid: boolean, code?: string, message?: string}>}
+ */
+async function checkMedicalCertificate(expiryDate, event) {
+  if (!requiresMedicalCertificate(event.category)) return { valid: true };
+
+  if (!expiryDate) {
+    return {
+      valid: false,
+      code: MEDICAL_CERTIFICATE_MISSING,
+      message: 'Per prenotare questa attività serve un certificato medico valido'
+    };
+  }
+
+  const graceDays = await getSetting('medical.gracePeriodDays');
+
+  if (eventDay(event.date) > localDay(expiryDate) + graceDays * DAY_MS) {
+    return {
+      valid: false,
+      code: MEDICAL_CERTIFICATE_EXPIRED,
+      message: 'Il tuo certificato medico scade prima della data dell\'evento'
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Membri attivi con certificato in scadenza entro N giorni
+ * @param {Object} params
+ * @param {number} params.days - orizzonte in giorni da oggi
+ * @param {boolean} [params.includeExpired=true] - include i certificati già scaduti
+ * @param {boolean} [params.includeMissing=false] - include i membri senza certificato
+ * @returns {Promise<Object[]>}
+ */
+async function findExpiringCertificates({ days, includeExpired = true, includeMissing = false }) {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const until = new Date(today.getTime() + (days + 1) * DAY_MS);
+
+  const expiryFilters = [
+    { medicalCertificateExpiryDate: includeExpired ? { lt: until } : { gte: today, lt: until } }
+  ];
+  if (includeMissing) expiryFilters.push({ medicalCertificateExpiryDate: null });
+
+  const users = await prisma.user.findMany({
+    where: {
+      role: Role.USER,
+      status: UserStatus.SUBSCRIBED,
+      OR: expiryFilters
+    },
+    select: {
+      id: true,
+      email: true,
+      firstName: true,
+      lastName: true,
+      medicalCertificateExpiryDate: true
+    },
+    orderBy: { medicalCertificateExpiryDate: { sort: 'asc', nulls: 'first' } }
+  });
+
+  return users.map(user => {
+    const expiry = user.medicalCertificateExpiryDate;
+    const daysLeft = expiry ? Math.round((localDay(expiry) - localDay(today)) / DAY_MS) : null;
+
+    return {
+      ...user,
+      daysLeft,
+      status: !expiry ? 'MISSING' : daysLeft < 0 ? 'EXPIRED' : 'EXPIRING'
+    };
+  });
+}
+
+/**
+ * Riconosce il formato del file dai primi byte
+ * @param {Buffer} buffer
+ * @returns {{mimeType: string, extension: string}|null} null se il formato non è accettato
+ */
+function detectCertificateFormat(buffer) {
+  const format = MEDICAL_CERTIFICATE_FORMATS.find(({ signature }) =>
+    buffer.length >= signature.length && signature.every((byte, i) => buffer[i] === byte)
+  );
+  return format ? { mimeType: format.mimeType, extension: format.extension } : null;
+}
+
+/**
+ * Salva il certificato caricato da un membro e lo mette in coda di revisione
+ * - un eventuale certificato ancora in attesa viene rifiutato come sostituito
+ * @param {string} userId
+ * @param {Object} file - file multer (buffer, originalname, size)
+ * @param {Object} [options]
+ * @param {Date} [options.declaredExpiryDate] - scadenza indicata dal membro
+ * @returns {Promise<Object>} certificato creato
+ */
+async function uploadMedicalCertificate(userId, file, { declaredExpiryDate = null } = {}) {
+  const format = detectCertificateFormat(file.buffer);
+  if (!format) {
+    throw new Error('Formato non supportato: carica un PDF, JPEG o PNG');
+  }
+
+  const storageKey = buildStorageKey(`medical-certificates/${userId}`, format.extension);
+  await saveFile(storageKey, file.buffer);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.medicalCertificate.updateMany({
+      where: { userId, status: MedicalCertificateStatus.PENDING },
+      data: {
+        status: MedicalCertificateStatus.REJECTED,
+        rejectionReason: SUPERSEDED_REASON,
+        reviewedAt: new Date()
+      }
+    });
+
+    return tx.medicalCertificate.create({
+      data: {
+        userId,
+        storageKey,
+        fileName: file.originalname,
+        mimeType: format.mimeType,
+        size: file.size,
+        declaredExpiryDate
+      },
+      select: certificateSelect
+    });
+  });
+}
+
+/**
+ * Storico dei certificati di un utente (dal più recente)
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+async function listUserCertificates(userId) {
+  return prisma.medicalCertificate.findMany({
+    where: { userId },
+    select: certificateSelect,
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+/**
+ * Coda di revisione per gli admin
+ * @param {Object} params
+ * @param {string} [params.status] - MedicalCertificateStatus (default PENDING)
+ * @param {number} params.page
+ * @param {number} params.pageSize
+ * @returns {Promise<{items: Object[], total: number}>}
+ */
+async function listCertificatesForReview({ status = MedicalCertificateStatus.PENDING, page, pageSize }) {
+  const where = { status };
+
+  const [items, total] = await prisma.$transaction([
+    prisma.medicalCertificate.findMany({
+      where,
+      select: {
+        ...certificateSelect,
+        user: {
+          select: { id: true, email: true, firstName: true, lastName: true, medicalCertificateExpiryDate: true }
+        }
+      },
+      // In attesa: prima i più vecchi; revisionati: prima i più recenti
+      orderBy: { createdAt: status === MedicalCertificateStatus.PENDING ? 'asc' : 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize
+    }),
+    prisma.medicalCertificate.count({ where })
+  ]);
+
+  return { items, total };
+}
+
+/**
+ * Recupera il file di un certificato
+ * @param {number} certificateId
+ * @returns {Promise<{certificate: Object, buffer: Buffer}|null>} null se non trovato
+ */
+async function getCertificateFile(certificateId) {
+  const certificate = await prisma.medicalCertificate.findUnique({
+    where: { id: certificateId }
+  });
+
+  if (!certificate) return null;
+
+  const buffer = await readFile(certificate.storageKey);
+  return { certificate, buffer };
+}
+
+/**
+ * Revisione di un certificato in attesa (l'esito viene notificato al membro)
+ * @param {number} certificateId
+ * @param {Object} data - campi di revisione (status, reviewedById, ...)
+ * @param {Function} [applyToUser] - (tx, certificate) aggiornamenti dell'utente nella stessa transazione
+ * @returns {Promise<Object|null>} certificato revisionato, null se non trovato
+ */
+async function reviewCertificate(certificateId, data, applyToUser) {
+  const certificate = await prisma.medicalCertificate.findUnique({
+    where: { id: certificateId },
+    include: { user: true }
+  });
+
+  if (!certificate) return null;
+
+  const reviewed = await prisma.$transaction(async (tx) => {
+    // Aggiornamento condizionato: due admin non possono revisionare lo stesso certificato
+    const { count } = await tx.medicalCertificate.updateMany({
+      where: { id: certificateId, status: MedicalCertificateStatus.PENDING },
+      data: { ...data, reviewedAt: new Date() }
+    });
+
+    if (!count) {
+      throw new Error('Certificato già revisionato');
+    }
+
+    if (applyToUser) await applyToUser(tx, certificate);
+
+    return tx.medicalCertificate.findUnique({
+      where: { id: certificateId },
+      select: certificateSelect
+    });
+  });
+
+  try {
+    await sendMedicalCertificateReviewedEmail(certificate.user, reviewed);
+  } catch (err) {
+    console.error(`Notifica certificato fallita (${certificate.user.email}):`, err.message);
+  }
+
+  return reviewed;
+}
+
+/**
+ * Approva un certificato e aggiorna la scadenza dell'utente
+ * @param {number} certificateId
+ * @param {Object} params
+ * @param {Date} [params.expiryDate] - scadenza confermata (default: quella dichiarata dal membro)
+ * @param {string} params.reviewerId - admin che approva
+ * @returns {Promise<Object|null>} certificato approvato, null se non trovato
+ */
+async function approveMedicalCertificate(certificateId, { expiryDate = null, reviewerId }) {
+  const certificate = await prisma.medicalCertificate.findUnique({
+    where: { id: certificateId },
+    select: { userId: true, status: true, declaredExpiryDate: true }
+  });
+
+  if (!certificate) return null;
+  if (certificate.status !== MedicalCertificateStatus.PENDING) {
+    throw new Error('Certificato già revisionato');
+  }
+
+  const expiry = expiryDate ?? certificate.declaredExpiryDate;
+  if (!expiry) {
+    throw new Error('Indica la data di scadenza del certificato');
+  }
+  if (localDay(expiry) < localDay(new Date())) {
+    throw new Error('Il certificato medico è scaduto');
+  }
+
+  return reviewCertificate(
+    certificateId,
+    {
+      status: MedicalCertificateStatus.APPROVED,
+      expiryDate: expiry,
+      reviewedById: reviewerId
+    },
+    (tx) => tx.user.update({
+      where: { id: certificate.userId },
+      data: { medicalCertificateExpiryDate: expiry }
+    })
+  );
+}
+
+/**
+ * Rifiuta un certificato (la scadenza dell'utente resta invariata)
+ * @param {number} certificateId
+ * @param {Object} params
+ * @param {string} params.reason - motivo comunicato al membro
+ * @param {string} params.reviewerId - admin che rifiuta
+ * @returns {Promise<Object|null>} certificato rifiutato, null se non trovato
+ */
+async function rejectMedicalCertificate(certificateId, { reason, reviewerId }) {
+  return reviewCertificate(certificateId, {
+    status: MedicalCertificateStatus.REJECTED,
+    rejectionReason: reason,
+    reviewedById: reviewerId
+  });
+}
+
+module.exports = {
+  MEDICAL_CERTIFICATE_MISSING,
+  MEDICAL_CERTIFICATE_EXPIRED,
+  MEDICAL_CERTIFICATE_MAX_SIZE,
+  requiresMedicalCertificate,
+  checkMedicalCertificate,
+  findExpiringCertificates,
+  detectCertificateFormat,
+  uploadMedicalCertificate,
+  listUserCertificates,
+  listCertificatesForReview,
+  getCertificateFile,
+  approveMedicalCertificate,
+  rejectMedicalCertificate
+};
@@ -0,0 +1,271 @@
+// utils/notifications.js
+const { sendMail, buildClientUrl } = require('./mailer');
+
+/**
+ * Nome da usare nel saluto delle email
+ */
+const greetingName = (user) => user.firstName || user.email;
+
+/**
+ * Data e ora evento per il testo delle email (es. "sabato 12 ottobre 2026 alle 18:30")
+ */
+const formatEventWhen = (event) => {
+  const day = new Date(event.date).toLocaleDateString('it-IT', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+  return `${day} alle ${event.startTime}`;
+};
+
+/**
+ * Invia il link per reimpostare la password
+ * @param {Object} user - utente destinatario
+ * @param {string} token - token in chiaro (non salvato a db)
+ * @param {number} ttlMinutes - validità del link
+ */
+async function sendPasswordResetEmail(user, token, ttlMinutes) {
+  const link = buildClientUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Blue Dream - Reimposta la password',
+    text:
+      `Ciao ${greetingName(user)},\n\n` +
+      `abbiamo ricevuto una richiesta di reimpostazione della password.\n` +
+      `Apri questo link entro ${ttlMinutes} minuti per sceglierne una nuova:\n\n${link}\n\n` +
+      `Se non hai fatto tu la richiesta puoi ignorare questa email.`
+  });
+}
+
+/**
+ * Invia il link di verifica dell'indirizzo email
+ * @param {Object} user - utente
+ * @param {string} email - indirizzo da verificare (destinatario)
+ * @param {string} token - token in chiaro (non salvato a db)
+ * @param {number} ttlHours - validità del link
+ */
+async function sendEmailVerificationEmail(user, email, token, ttlHours) {
+  const link = buildClientUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+
+  return sendMail({
+    to: email,
+    subject: 'Blue Dream - Conferma il tuo indirizzo email',
+    text:
+      `Ciao ${greetingName(user)},\n\n` +
+      `conferma il tuo indirizzo email aprendo questo link entro ${ttlHours} ore:\n\n${link}\n\n` +
+      `Se non hai creato tu l'account puoi ignorare questa email.`
+  });
+}
+
+/**
+ * Avvisa l'indirizzo attuale che è stato richiesto il cambio email
+ * @param {Object} user - utente (email attuale)
+ * @param {string} newEmail - nuovo indirizzo in attesa di verifica
+ */
+async function sendEmailChangeRequestedEmail(user, newEmail) {
+  return sendMail({
+    to: user.email,
+    subject: 'Blue Dream - Richiesta di cambio email',
+    text:
+      `Ciao ${greetingName(user)},\n\n` +
+      `è stato richiesto di cambiare l'email del tuo account in ${newEmail}.\n` +
+      `Il cambio diventerà effettivo solo dopo la conferma dal nuovo indirizzo.\n\n` +
+      `Se non sei stato tu, cambia subito la password e contattaci.`
+  });
+}
+
+/**
+ * Avvisa un partecipante dell'annullamento di un evento
+ * @param {Object} user - partecipante
+ * @param {Object} event - evento annullato (con cancellationReason)
+ * @param {boolean} refunded - true se l'ingresso è stato restituito
+ */
+async function sendEventCancelledEmail(user, event, refunded) {
+  return sendMail({
+    to: user.email,
+    subject: `Blue Dream - Evento annullato: ${event.title}`,
+    text:
+      `Ciao ${greetingName(user)},\n\n` +
+      `l'evento "${event.title}" di ${formatEventWhen(event)} è stato annullato.\n` +
+      (event.cancellationReason ? `Motivo: ${event.cancellationReason}\n` : '') +
+      (refunded ? `\nL'ingresso utilizzato per la prenotazione ti è stato restituito.\n` : '') +
+      `\nCi scusiamo per il disagio.`
+  });
+}
+
+/**
+ * Avvisa un partecipante che l'evento annullato è stato ripristinato
+ * @param {Object} user - partecipante
+ * @param {Object} event - evento ripristinato
+ * @param {Object} outcome
+ * @param {boolean} outcome.confirmed - false se la prenotazione è stata rimossa
+ * @param {boolean} [outcome.charged] - true se è stato riaddebitato l'ingresso
+ * @param {string} [outcome.message] - motivo della mancata conferma
+ */
+async function sendEventRestoredEmail(user, event, { confirmed, charged = false, message = null }) {
+  return sendMail({
+    to: user.email,
+    subject: `Blue Dream - Evento ripristinato: ${event.title}`,
+    text:
+      `Ciao ${greetingName(user)},\n\n` +
+      `l'evento "${event.title}" di ${formatEventWhen(event)} è di nuovo in programma.\n\n` +
+      (confirmed
+        ? `La tua prenotazione è confermata${charged ? ' ed è stato scalato un ingresso' : ''}.`
+        : `Non è stato possibile riconfermare la tua prenotazione${message ? ` (${message})` : ''}.`)
+  });
+}
+
+/**
+ * Avvisa un partecipante che il suo compagno di immersione ha lasciato l'evento
+ * @param {Object} user - partecipante rimasto senza compagno
+ * @param {Object} event - evento
+ * @param {Object|null} newBuddy - nuovo compagno assegnato, se disponibile
+ */
+async function sendBuddyUnpairedEmail(user, event, newBuddy) {
+  const buddyName = newBuddy
+    ? [newBuddy.firstName, newBuddy.lastName].filter(Boolean).join(' ') || newBuddy.email
+    : null;
+
+  return sendMail({
+    to: user.email,
+    subject: `Blue Dream - Cambio compagno: ${event.title}`,
+    text:
+      `Ciao ${greetingName(user)},\n\n` +
+      `il tuo compagno per "${event.title}" di ${formatEventWhen(event)} non parteciperà più.\n` +
+      (buddyName
+        ? `Ti abbiamo abbinato a ${buddyName}.`
+        : `Al momento sei senza compagno: l'istruttore ti assegnerà una coppia prima dell'inizio.`)
+  });
+}
+
+/**
+ * Avvisa il partecipante indicato come compagno da un altro membro
+ * @param {Object} user - compagno indicato
+ * @param {Object} event - evento
+ * @param {Object} requester - membro che ha fatto la richiesta
+ */
+async function sendBuddyRequestedEmail(user, event, requester) {
+  const requesterName = [requester.firstName, requester.lastName].filter(Boolean).join(' ') || requester.email;
+
+  return sendMail({
+    to: user.email,
+    subject: `Blue Dream - Nuovo compagno: ${event.title}`,
+    text:
+      `Ciao ${greetingName(user)},
+
+` +
+      `${requesterName} ti ha indicato come compagno per "${event.title}" di ${formatEventWhen(event)}.
+` +
+      `Se non sei d'accordo puoi sciogliere la coppia dalle tue prenotazioni.`
+  });
+}
+
+/**
+ * Avvisa un partecipante che il compagno ha sciolto la coppia
+ * @param {Object} user - partecipante rimasto senza compagno
+ * @param {Object} event - evento
+ * @param {Object} formerBuddy - chi ha sciolto la coppia
+ */
+async function sendBuddyPairLeftEmail(user, event, formerBuddy) {
+  const buddyName = [formerBuddy.firstName, formerBuddy.lastName].filter(Boolean).join(' ') || formerBuddy.email;
+
+  return sendMail({
+    to: user.email,
+    subject: `Blue Dream - Cambio compagno: ${event.title}`,
+    text:
+      `Ciao ${greetingName(user)},
+
+` +
+      `${buddyName} ha sciolto la coppia per "${event.title}" di ${formatEventWhen(event)}.
+` +
+      `La tua prenotazione resta valida: l'istruttore ti assegnerà un compagno prima dell'inizio.`
+  });
+}
+
+/**
+ * Esito della revisione di un certificato medico caricato
+ * @param {Object} user - membro
+ * @param {Object} certificate - certificato revisionato (status, expiryDate, rejectionReason)
+ */
+async function sendMedicalCertificateReviewedEmail(user, certificate) {
+  const approved = certificate.status === 'APPROVED';
+  const expiry = certificate.expiryDate
+    ? new Date(certificate.expiryDate).toLocaleDateString('it-IT')
+    : null;
+
+  return sendMail({
+    to: user.email,
+    subject: approved
+      ? 'Blue Dream - Certificato medico approvato'
+      : 'Blue Dream - Certificato medico non accettato',
+    text:
+      `Ciao ${greetingName(user)},\n\n` +
+      (approved
+        ? `il certificato medico che hai caricato è stato approvato${expiry ? ` ed è valido fino al ${expiry}` : ''}.`
+        : `il certificato medico che hai caricato non è stato accettato.\n` +
+          (certificate.rejectionReason ? `Motivo: ${certificate.rejectionReason}\n` : '') +
+          `\nPuoi caricarne uno nuovo dal tuo profilo.`)
+  });
+}
+
+/**
+ * Promemoria di scadenza della subscription
+ * @param {Object} user - membro
+ * @param {Object} subscription - subscription in scadenza (endDate, ingressi, autoRenew)
+ * @param {Object|null} plan - piano da cui verrà rinnovata (solo con rinnovo automatico)
+ */
+async function sendSubscriptionExpiringEmail(user, subscription, plan) {
+  const endDate = new Date(subscription.endDate).toLocaleDateString('it-IT');
+
+  return sendMail({
+    to: user.email,
+    subject: 'Blue Dream - Il tuo abbonamento sta per scadere',
+    text:
+      `Ciao ${greetingName(user)},\n\n` +
+      `il tuo abbonamento scade il ${endDate}` +
+      (subscription.ingressi > 0 ? ` e ti restano ${subscription.ingressi} ingressi da usare.\n` : '.\n') +
+      (plan
+        ? `\nAlla scadenza ti invieremo il pagamento per il rinnovo con il piano "${plan.name}" (${plan.price} ${plan.currency}).`
+        : `\nRinnovalo per continuare a prenotare gli allenamenti.`)
+  });
+}
+
+/**
+ * Rinnovo automatico creato: la nuova subscription si attiva al pagamento
+ * @param {Object} user - membro
+ * @param {Object} subscription - nuova subscription PENDING (endDate, ingressi, amount, currency)
+ * @param {string|null} checkoutUrl - pagina di pagamento del provider (null se il checkout non è partito)
+ */
+async function sendSubscriptionRenewalPaymentEmail(user, subscription, checkoutUrl) {
+  const endDate = new Date(subscription.endDate).toLocaleDateString('it-IT');
+
+  return sendMail({
+    to: user.email,
+    subject: 'Blue Dream - Completa il rinnovo del tuo abbonamento',
+    text:
+      `Ciao ${greetingName(user)},\n\n` +
+      `abbiamo preparato il rinnovo del tuo abbonamento fino al ${endDate} ` +
+      `con ${subscription.ingressi} ingressi (${subscription.amount} ${subscription.currency}).\n\n` +
+      (checkoutUrl
+        ? `Completa il pagamento per attivarlo:\n${checkoutUrl}\n\n`
+        : `Completa il pagamento dal tuo profilo per attivarlo.\n\n`) +
+      `Puoi disattivare il rinnovo automatico dal tuo profilo.`
+  });
+}
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  sendEmailChangeRequestedEmail,
+  sendEventCancelledEmail,
+  sendEventRestoredEmail,
+  sendMedicalCertificateReviewedEmail,
+  sendBuddyUnpairedEmail,
+  sendBuddyRequestedEmail,
+  sendBuddyPairLeftEmail,
+  sendSubscriptionExpiringEmail,
+  sendSubscriptionRenewalPaymentEmail
+};
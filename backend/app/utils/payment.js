@@ -1,62 +1,371 @@
-// Funzione generica per gestire i diversi provider
-const providers = {
-  paypal: {
-    create: async ({ subscription }) => {
-      // logica PayPal: crea ordine, ritorna link approvazione
-      return { provider: 'paypal', paymentId: 'PP123', approvalLink: 'https://paypal.com/checkout' };
-    },
-    confirm: async ({ paymentId }) => {
-      // logica conferma pagamento PayPal
-      console.log(`Verifico pagamento PayPal ${paymentId}`);
-      // Simulazione conferma (qui andrebbe chiamata API PayPal reale)
-      return true;
+// utils/payment.js
+const { PaymentStatus, PaymentPurpose, PaymentChangeSource, SubscriptionStatus, TopUpStatus, IngressiReason } = require('@prisma/client');
+const prisma = require('../prisma');
+const { getProvider } = require('./paymentProviders');
+const { applyIngressiChange, setIngressiBalance } = require('./ingressi');
+const { buildClientUrl } = require('./mailer');
+
+// Transizioni ammesse: le altre (webhook fuori ordine o ripetuti) vengono ignorate.
+// FAILED/CANCELLED → SUCCEEDED: il provider ha comunque incassato (es. pagamento asincrono)
+const TRANSITIONS = {
+  [PaymentStatus.PENDING]: [PaymentStatus.SUCCEEDED, PaymentStatus.FAILED, PaymentStatus.CANCELLED],
+  [PaymentStatus.FAILED]: [PaymentStatus.SUCCEEDED, PaymentStatus.CANCELLED],
+  [PaymentStatus.CANCELLED]: [PaymentStatus.SUCCEEDED],
+  [PaymentStatus.SUCCEEDED]: [PaymentStatus.REFUNDED],
+  [PaymentStatus.REFUNDED]: []
+};
+
+/**
+ * Effetti di un cambio di stato sulla subscription o sul pacchetto pagato
+ * - SUCCEEDED: subscription PENDING → ACTIVE, pacchetto PAID con ingressi accreditati
+ * - FAILED/CANCELLED: pacchetto annullato (la subscription resta PENDING per un nuovo checkout)
+ * - REFUNDED: subscription annullata, ingressi del pacchetto stornati
+ * @param {Object} tx - client Prisma della transazione
+ * @param {Object} payment - pagamento con il nuovo stato
+ * @param {Object} [options]
+ * @param {string} [options.actorId]
+ */
+async function applyPaymentEffects(tx, payment, { actorId = null } = {}) {
+  if (payment.purpose === PaymentPurpose.SUBSCRIPTION && payment.subscriptionId) {
+    if (payment.status === PaymentStatus.SUCCEEDED) {
+      await tx.subscription.updateMany({
+        where: { id: payment.subscriptionId, status: SubscriptionStatus.PENDING },
+        data: { status: SubscriptionStatus.ACTIVE }
+      });
     }
-  },
-  stripe: {
-    create: async ({ subscription }) => {
-      // logica Stripe: crea sessione, ritorna link checkout
-      return { provider: 'stripe', paymentId: 'ST123', checkoutLink: 'https://stripe.com/checkout' };
-    },
-    confirm: async ({ paymentId }) => {
-      console.log(`Verifico pagamento Stripe ${paymentId}`);
-      // Simulazione conferma
-      return true;
+
+    if (payment.status === PaymentStatus.REFUNDED) {
+      const updated = await tx.subscription.updateMany({
+        where: { id: payment.subscriptionId, status: { in: [SubscriptionStatus.PENDING, SubscriptionStatus.ACTIVE] } },
+        data: { status: SubscriptionStatus.CANCELLED }
+      });
+      if (!updated.count) return;
+
+      await setIngressiBalance(tx, {
+        subscriptionId: payment.subscriptionId,
+        balance: 0,
+        reason: IngressiReason.ADMIN_ADJUSTMENT,
+        actorId,
+        note: 'Rimborso pagamento'
+      });
+
+      await tx.userGroup.updateMany({
+        where: { subscriptionId: payment.subscriptionId, isActive: true },
+        data: { isActive: false }
+      });
     }
-  },
-  postepay: {
-    create: async ({ subscription }) => {
-      // logica PostePay: esempio fittizio
-      return { provider: 'postepay', paymentId: 'PPY123', instructions: 'Pagamento tramite app PostePay' };
-    },
-    confirm: async ({ paymentId }) => {
-      console.log(`Verifico pagamento PostePay ${paymentId}`);
-      // Simulazione conferma
-      return true;
+    return;
+  }
+
+  if (payment.purpose !== PaymentPurpose.TOP_UP || !payment.topUpPurchaseId) return;
+
+  const purchase = await tx.topUpPurchase.findUnique({
+    where: { id: payment.topUpPurchaseId },
+    include: { pack: { select: { name: true } } }
+  });
+
+  if (payment.status === PaymentStatus.SUCCEEDED) {
+    // Condizione ripetuta: evita doppi accrediti
+    const updated = await tx.topUpPurchase.updateMany({
+      where: { id: purchase.id, status: { in: [TopUpStatus.PENDING, TopUpStatus.CANCELLED] } },
+      data: { status: TopUpStatus.PAID, paidAt: new Date() }
+    });
+    if (!updated.count) return;
+
+    // Subscription dell'acquisto se ancora attiva, altrimenti quella attiva dell'utente;
+    // il pagamento è incassato: senza subscription attiva resta su quella originale
+    const now = new Date();
+    const target =
+      await tx.subscription.findFirst({ where: { id: purchase.subscriptionId, status: SubscriptionStatus.ACTIVE } }) ??
+      await tx.subscription.findFirst({
+        where: { userId: purchase.userId, status: SubscriptionStatus.ACTIVE, startDate: { lte: now }, endDate: { gte: now } },
+        orderBy: { endDate: 'desc' }
+      });
+    const subscriptionId = target?.id ?? purchase.subscriptionId;
+
+    await applyIngressiChange(tx, {
+      subscriptionId,
+      delta: purchase.ingressi,
+      reason: IngressiReason.TOP_UP,
+      actorId: purchase.userId,
+      note: `Pacchetto ${purchase.pack.name}`
+    });
+
+    if (subscriptionId !== purchase.subscriptionId) {
+      await tx.topUpPurchase.update({ where: { id: purchase.id }, data: { subscriptionId } });
     }
   }
-};
+
+  if (payment.status === PaymentStatus.FAILED || payment.status === PaymentStatus.CANCELLED) {
+    await tx.topUpPurchase.updateMany({
+      where: { id: purchase.id, status: TopUpStatus.PENDING },
+      data: { status: TopUpStatus.CANCELLED }
+    });
+  }
+
+  if (payment.status === PaymentStatus.REFUNDED) {
+    const updated = await tx.topUpPurchase.updateMany({
+      where: { id: purchase.id, status: TopUpStatus.PAID },
+      data: { status: TopUpStatus.REFUNDED }
+    });
+    if (!updated.count) return;
+
+    // Lancia "Ingressi insufficienti" se il pacchetto è già stato usato
+    await applyIngressiChange(tx, {
+      subscriptionId: purchase.subscriptionId,
+      delta: -purchase.ingressi,
+      reason: IngressiReason.TOP_UP,
+      actorId,
+      note: `Rimborso pacchetto ${purchase.pack.name}`
+    });
+  }
+}
 
 /**
- * Crea il pagamento per un provider specifico
+ * Cambia lo stato di un pagamento registrando lo storico e applicandone gli effetti
+ * @param {Object} tx - client Prisma della transazione
+ * @param {Object} payment - pagamento letto prima del cambio
+ * @param {string} toStatus - PaymentStatus
  * @param {Object} params
- * @param {string} params.provider
- * @param {Object} params.subscription
+ * @param {string} params.source - PaymentChangeSource
+ * @param {number} [params.webhookEventId]
+ * @param {string} [params.actorId]
+ * @param {string} [params.note]
+ * @returns {Promise<Object|null>} pagamento aggiornato, null se transizione non ammessa o già avvenuta
  */
-const createPayment = async ({ provider, subscription }) => {
-  if (!providers[provider]) throw new Error(`Provider ${provider} non supportato`);
-  return providers[provider].create({ subscription });
-};
+async function transitionPayment(tx, payment, toStatus, { source, webhookEventId = null, actorId = null, note = null }) {
+  if (!TRANSITIONS[payment.status].includes(toStatus)) return null;
+
+  // Condizione sullo stato letto: due webhook concorrenti non applicano due volte gli effetti
+  const updated = await tx.payment.updateMany({
+    where: { id: payment.id, status: payment.status },
+    data: { status: toStatus }
+  });
+  if (!updated.count) return null;
+
+  await tx.paymentStatusHistory.create({
+    data: { paymentId: payment.id, fromStatus: payment.status, toStatus, source, webhookEventId, actorId, note }
+  });
+
+  const result = { ...payment, status: toStatus };
+  await applyPaymentEffects(tx, result, { actorId });
+
+  return result;
+}
 
 /**
- * Conferma il pagamento per un provider specifico
+ * Crea un pagamento e il checkout presso il provider
+ * - se il provider rifiuta il checkout il pagamento resta registrato come FAILED
+ *   (errore "Checkout non disponibile presso il provider")
  * @param {Object} params
- * @param {string} params.provider
- * @param {string} params.paymentId
+ * @param {string} params.provider - stripe | paypal | mock
+ * @param {string} params.userId
+ * @param {string} params.purpose - PaymentPurpose
+ * @param {number} params.amount
+ * @param {string} params.currency
+ * @param {string} params.description - descrizione mostrata nel checkout
+ * @param {number} [params.subscriptionId]
+ * @param {number} [params.topUpPurchaseId]
+ * @returns {Promise<Object>} pagamento PENDING con checkoutUrl
  */
-const confirmPayment = async ({ provider, paymentId }) => {
-  if (!providers[provider]) throw new Error(`Provider ${provider} non supportato`);
-  return providers[provider].confirm({ paymentId });
-};
+async function createPayment({ provider, userId, purpose, amount, currency, description, subscriptionId = null, topUpPurchaseId = null }) {
+  const driver = getProvider(provider);
+
+  const payment = await prisma.payment.create({
+    data: {
+      provider,
+      purpose,
+      amount,
+      currency,
+      userId,
+      subscriptionId,
+      topUpPurchaseId,
+      statusHistory: { create: { toStatus: PaymentStatus.PENDING, source: PaymentChangeSource.CHECKOUT } }
+    }
+  });
+
+  let checkout;
+  try {
+    checkout = await driver.createCheckout({
+      payment,
+      description,
+      returnUrl: buildClientUrl(`/payments/return?paymentId=${payment.id}`)
+    });
+  } catch (err) {
+    await prisma.$transaction((tx) => transitionPayment(tx, payment, PaymentStatus.FAILED, {
+      source: PaymentChangeSource.CHECKOUT,
+      note: err.message
+    }));
+    console.error(`Checkout ${provider} fallito:`, err.message);
+    throw new Error('Checkout non disponibile presso il provider');
+  }
+
+  return prisma.payment.update({
+    where: { id: payment.id },
+    data: { providerPaymentId: checkout.providerPaymentId, checkoutUrl: checkout.checkoutUrl }
+  });
+}
+
+/**
+ * Elabora un webhook di un provider
+ * - firma verificata sul body grezzo, poi registrato in WebhookEvent
+ * - un evento già elaborato (stesso provider ed eventId) viene ignorato
+ * - un errore di elaborazione resta sull'evento e viene rilanciato (il provider ritenterà)
+ * @param {string} providerName
+ * @param {Buffer} rawBody
+ * @param {Object} headers - intestazioni HTTP (minuscole)
+ * @returns {Promise<{duplicate: boolean, paymentId?: number, status?: string|null}>}
+ */
+async function handleWebhook(providerName, rawBody, headers) {
+  const driver = getProvider(providerName);
+  const event = await driver.verifyWebhook(rawBody, headers);
 
-module.exports = { createPayment, confirmPayment };
+  if (!event.id || !event.type) throw new Error('Webhook non valido');
 
+  const payment = event.providerPaymentId
+    ? await prisma.payment.findUnique({
+        where: { provider_providerPaymentId: { provider: providerName, providerPaymentId: event.providerPaymentId } }
+      })
+    : null;
+
+  let webhookEvent;
+  try {
+    webhookEvent = await prisma.webhookEvent.create({
+      data: { provider: providerName, eventId: event.id, type: event.type, payload: event.payload, paymentId: payment?.id }
+    });
+  } catch (err) {
+    if (err.code !== 'P2002') throw err;
+
+    // Reinvio: rielaborato solo se il tentativo precedente non è andato a buon fine
+    webhookEvent = await prisma.webhookEvent.findUnique({
+      where: { provider_eventId: { provider: providerName, eventId: event.id } }
+    });
+    if (webhookEvent.processedAt) return { duplicate: true, paymentId: webhookEvent.paymentId };
+  }
+
+  try {
+    // Eventi non legati a un pagamento di questo sistema o senza effetti: solo registrati
+    const toStatus = payment ? await driver.resolveStatus(event) : null;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const current = toStatus && await tx.payment.findUnique({ where: { id: payment.id } });
+      const result = current
+        ? await transitionPayment(tx, current, toStatus, {
+            source: PaymentChangeSource.WEBHOOK,
+            webhookEventId: webhookEvent.id
+          })
+        : null;
+
+      await tx.webhookEvent.update({
+        where: { id: webhookEvent.id },
+        data: { processedAt: new Date(), error: null }
+      });
+
+      return result;
+    });
+
+    return { duplicate: false, paymentId: payment?.id, status: updated?.status ?? null };
+  } catch (err) {
+    await prisma.webhookEvent.update({
+      where: { id: webhookEvent.id },
+      data: { error: err.message }
+    });
+    throw err;
+  }
+}
+
+/**
+ * Rimborsa un pagamento riuscito presso il provider e ne annulla gli effetti
+ * @param {number} paymentId
+ * @param {Object} params
+ * @param {string} params.actorId - admin che rimborsa
+ * @param {string} [params.note]
+ * @returns {Promise<Object|null>} pagamento REFUNDED, null se non trovato
+ */
+async function refundPayment(paymentId, { actorId, note = null }) {
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId },
+    include: { topUpPurchase: { include: { subscription: { select: { ingressi: true } } } } }
+  });
+
+  if (!payment) return null;
+
+  if (payment.status !== PaymentStatus.SUCCEEDED) {
+    throw new Error('Solo i pagamenti riusciti possono essere rimborsati');
+  }
+
+  // Controllo prima del rimborso presso il provider: lo storno non deve fallire dopo
+  const purchase = payment.topUpPurchase;
+  if (purchase && purchase.status === TopUpStatus.PAID && purchase.subscription.ingressi < purchase.ingressi) {
+    throw new Error('Ingressi del pacchetto già utilizzati');
+  }
+
+  await getProvider(payment.provider).refund({
+    providerPaymentId: payment.providerPaymentId,
+    amount: payment.amount,
+    currency: payment.currency
+  });
+
+  const { topUpPurchase, ...current } = payment;
+
+  return prisma.$transaction((tx) => transitionPayment(tx, current, PaymentStatus.REFUNDED, {
+    source: PaymentChangeSource.REFUND,
+    actorId,
+    note
+  }));
+}
+
+/**
+ * Verifica lo stato presso il provider (es. webhook persi) e lo applica
+ * @param {number} paymentId
+ * @param {Object} params
+ * @param {string} params.actorId - admin che avvia la verifica
+ * @returns {Promise<{payment: Object, changed: boolean}|null>} null se non trovato
+ */
+async function syncPayment(paymentId, { actorId }) {
+  const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+
+  if (!payment) return null;
+  if (!payment.providerPaymentId) throw new Error('Pagamento senza checkout presso il provider');
+
+  const status = await getProvider(payment.provider).getStatus(payment.providerPaymentId);
+
+  const updated = status && status !== payment.status
+    ? await prisma.$transaction((tx) => transitionPayment(tx, payment, status, {
+        source: PaymentChangeSource.SYNC,
+        actorId
+      }))
+    : null;
+
+  return { payment: updated ?? payment, changed: Boolean(updated) };
+}
+
+/**
+ * Avvia il pagamento di una subscription PENDING (registrazione o nuovo tentativo)
+ * @param {Object} subscription - subscription PENDING (id, userId, amount, currency)
+ * @param {string} provider
+ * @returns {Promise<Object>} pagamento con checkoutUrl
+ */
+async function createSubscriptionPayment(subscription, provider) {
+  const plan = subscription.planId
+    ? await prisma.subscriptionPlan.findUnique({ where: { id: subscription.planId }, select: { name: true } })
+    : null;
+
+  return createPayment({
+    provider,
+    userId: subscription.userId,
+    purpose: PaymentPurpose.SUBSCRIPTION,
+    amount: subscription.amount,
+    currency: subscription.currency,
+    description: plan ? `Abbonamento ${plan.name}` : 'Abbonamento',
+    subscriptionId: subscription.id
+  });
+}
+
+module.exports = {
+  createPayment,
+  createSubscriptionPayment,
+  handleWebhook,
+  refundPayment,
+  syncPayment
+};
@@ -0,0 +1,373 @@
+// utils/paymentProviders.js
+require('dotenv').config();
+const crypto = require('crypto');
+const { PaymentStatus } = require('@prisma/client');
+
+// Tolleranza sul timestamp delle firme webhook (protezione dai replay)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const INVALID_SIGNATURE = 'Firma webhook non valida';
+
+const signTimestamped = (rawBody, timestamp, secret) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody.toString('utf8')}`).digest('hex');
+
+/**
+ * Verifica una firma "t=<timestamp>,v1=<hmac>" (schema Stripe, usato anche dal provider mock)
+ * - HMAC-SHA256 di "<timestamp>.<body>" con il secret del webhook
+ * @param {Buffer} rawBody - body così come ricevuto
+ * @param {string} header - intestazione con la firma
+ * @param {string} secret
+ */
+const verifyTimestampedSignature = (rawBody, header, secret) => {
+  if (!header || !secret) throw new Error(INVALID_SIGNATURE);
+
+  const parts = header.split(',').map(p => p.trim().split('='));
+  const timestamp = Number(parts.find(([k]) => k === 't')?.[1]);
+  const signatures = parts.filter(([k]) => k === 'v1').map(([, v]) => v);
+
+  if (!timestamp || !signatures.length) throw new Error(INVALID_SIGNATURE);
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error(INVALID_SIGNATURE);
+  }
+
+  const expected = Buffer.from(signTimestamped(rawBody, timestamp, secret), 'hex');
+  const valid = signatures.some(sig => {
+    const received = Buffer.from(sig, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+
+  if (!valid) throw new Error(INVALID_SIGNATURE);
+};
+
+const parseJson = (rawBody) => {
+  try {
+    return JSON.parse(rawBody.toString('utf8'));
+  } catch {
+    throw new Error(INVALID_SIGNATURE);
+  }
+};
+
+/* ================================
+   STRIPE (Checkout Sessions)
+================================ */
+const stripeRequest = async (method, path, params) => {
+  const res = await fetch(`https://api.stripe.com/v1${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: params ? new URLSearchParams(params) : undefined
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(`Stripe: ${data.error?.message || res.status}`);
+  return data;
+};
+
+const STRIPE_EVENTS = {
+  // completed senza payment_status "paid" = metodo asincrono ancora in corso
+  'checkout.session.completed': (session) => session.payment_status === 'paid' ? PaymentStatus.SUCCEEDED : null,
+  'checkout.session.async_payment_succeeded': () => PaymentStatus.SUCCEEDED,
+  'checkout.session.async_payment_failed': () => PaymentStatus.FAILED,
+  'checkout.session.expired': () => PaymentStatus.CANCELLED
+};
+
+const stripe = {
+  isConfigured: () => Boolean(process.env.STRIPE_SECRET_KEY && process.env.STRIPE_WEBHOOK_SECRET),
+
+  createCheckout: async ({ payment, description, returnUrl }) => {
+    const session = await stripeRequest('POST', '/checkout/sessions', {
+      mode: 'payment',
+      client_reference_id: String(payment.id),
+      'metadata[paymentId]': String(payment.id),
+      'line_items[0][quantity]': '1',
+      'line_items[0][price_data][currency]': payment.currency.toLowerCase(),
+      'line_items[0][price_data][unit_amount]': String(Math.round(payment.amount * 100)),
+      'line_items[0][price_data][product_data][name]': description,
+      success_url: returnUrl,
+      cancel_url: returnUrl
+    });
+
+    return { providerPaymentId: session.id, checkoutUrl: session.url };
+  },
+
+  verifyWebhook: async (rawBody, headers) => {
+    verifyTimestampedSignature(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+    const event = parseJson(rawBody);
+    const session = event.data?.object;
+
+    return {
+      id: event.id,
+      type: event.type,
+      providerPaymentId: session?.object === 'checkout.session' ? session.id : null,
+      payload: event
+    };
+  },
+
+  resolveStatus: async (event) => STRIPE_EVENTS[event.type]?.(event.payload.data.object) ?? null,
+
+  getStatus: async (providerPaymentId) => {
+    const session = await stripeRequest('GET', `/checkout/sessions/${providerPaymentId}`);
+    if (session.status === 'complete' && session.payment_status === 'paid') return PaymentStatus.SUCCEEDED;
+    if (session.status === 'expired') return PaymentStatus.CANCELLED;
+    return null;
+  },
+
+  refund: async ({ providerPaymentId }) => {
+    const session = await stripeRequest('GET', `/checkout/sessions/${providerPaymentId}`);
+    if (!session.payment_intent) throw new Error('Stripe: pagamento senza addebito da rimborsare');
+    await stripeRequest('POST', '/refunds', { payment_intent: session.payment_intent });
+  }
+};
+
+/* ================================
+   PAYPAL (Orders v2)
+================================ */
+const paypalBaseUrl = () => (process.env.PAYPAL_API_URL || 'https://api-m.sandbox.paypal.com').replace(/\/$/, '');
+
+const paypalToken = async () => {
+  const credentials = Buffer.from(`${process.env.PAYPAL_CLIENT_ID}:${process.env.PAYPAL_CLIENT_SECRET}`).toString('base64');
+  const res = await fetch(`${paypalBaseUrl()}/v1/oauth2/token`, {
+    method: 'POST',
+    headers: { Authorization: `Basic ${credentials}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: 'grant_type=client_credentials'
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(`PayPal: ${data.error_description || res.status}`);
+  return data.access_token;
+};
+
+const paypalRequest = async (method, path, body) => {
+  const res = await fetch(`${paypalBaseUrl()}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${await paypalToken()}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = res.status === 204 ? {} : await res.json();
+  if (!res.ok) {
+    const err = new Error(`PayPal: ${data.details?.[0]?.issue || data.message || res.status}`);
+    err.issue = data.details?.[0]?.issue;
+    throw err;
+  }
+  return data;
+};
+
+const paypalOrderStatus = (order) => {
+  if (order.status === 'COMPLETED') return PaymentStatus.SUCCEEDED;
+  if (order.status === 'VOIDED') return PaymentStatus.CANCELLED;
+  return null;
+};
+
+// Ordine approvato dal cliente: l'incasso avviene con la capture
+const paypalCapture = async (orderId) => {
+  try {
+    const order = await paypalRequest('POST', `/v2/checkout/orders/${orderId}/capture`, {});
+    const capture = order.purchase_units?.[0]?.payments?.captures?.[0];
+    return capture?.status === 'DECLINED' ? PaymentStatus.FAILED : paypalOrderStatus(order);
+  } catch (err) {
+    // Webhook rielaborato dopo una capture già riuscita
+    if (err.issue !== 'ORDER_ALREADY_CAPTURED') throw err;
+    return paypalOrderStatus(await paypalRequest('GET', `/v2/checkout/orders/${orderId}`));
+  }
+};
+
+// Le notifiche di capture riportano l'ordine in supplementary_data
+const paypalOrderId = (event) => event.event_type.startsWith('PAYMENT.CAPTURE.')
+  ? event.resource?.supplementary_data?.related_ids?.order_id
+  : event.resource?.id;
+
+const PAYPAL_EVENTS = {
+  'CHECKOUT.ORDER.APPROVED': (event) => paypalCapture(event.resource.id),
+  'PAYMENT.CAPTURE.COMPLETED': () => PaymentStatus.SUCCEEDED,
+  'PAYMENT.CAPTURE.DENIED': () => PaymentStatus.FAILED,
+  'CHECKOUT.ORDER.VOIDED': () => PaymentStatus.CANCELLED
+};
+
+const paypal = {
+  isConfigured: () => Boolean(process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_CLIENT_SECRET && process.env.PAYPAL_WEBHOOK_ID),
+
+  createCheckout: async ({ payment, description, returnUrl }) => {
+    const order = await paypalRequest('POST', '/v2/checkout/orders', {
+      intent: 'CAPTURE',
+      purchase_units: [{
+        custom_id: String(payment.id),
+        description,
+        amount: { currency_code: payment.currency, value: payment.amount.toFixed(2) }
+      }],
+      application_context: { return_url: returnUrl, cancel_url: returnUrl, user_action: 'PAY_NOW' }
+    });
+
+    const approve = order.links?.find(l => l.rel === 'approve' || l.rel === 'payer-action');
+    return { providerPaymentId: order.id, checkoutUrl: approve?.href ?? null };
+  },
+
+  // La firma PayPal (certificato) viene verificata dall'API di PayPal
+  verifyWebhook: async (rawBody, headers) => {
+    const event = parseJson(rawBody);
+
+    const { verification_status } = await paypalRequest('POST', '/v1/notifications/verify-webhook-signature', {
+      auth_algo: headers['paypal-auth-algo'],
+      cert_url: headers['paypal-cert-url'],
+      transmission_id: headers['paypal-transmission-id'],
+      transmission_sig: headers['paypal-transmission-sig'],
+      transmission_time: headers['paypal-transmission-time'],
+      webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+      webhook_event: event
+    });
+
+    if (verification_status !== 'SUCCESS') throw new Error(INVALID_SIGNATURE);
+
+    return {
+      id: event.id,
+      type: event.event_type,
+      providerPaymentId: paypalOrderId(event) ?? null,
+      payload: event
+    };
+  },
+
+  resolveStatus: async (event) => (await PAYPAL_EVENTS[event.type]?.(event.payload)) ?? null,
+
+  getStatus: async (providerPaymentId) =>
+    paypalOrderStatus(await paypalRequest('GET', `/v2/checkout/orders/${providerPaymentId}`)),
+
+  refund: async ({ providerPaymentId }) => {
+    const order = await paypalRequest('GET', `/v2/checkout/orders/${providerPaymentId}`);
+    const capture = order.purchase_units?.[0]?.payments?.captures?.[0];
+    if (!capture) throw new Error('PayPal: ordine senza capture da rimborsare');
+    await paypalRequest('POST', `/v2/payments/captures/${capture.id}/refund`, {});
+  }
+};
+
+/* ================================
+   MOCK (gateway locale per sviluppo e test)
+================================ */
+const MOCK_ENABLED = process.env.PAYMENT_MOCK_ENABLED === 'true';
+
+// Il checkout mock si conclude senza login né pagamento: mai in produzione, e solo con un secret esplicito
+if (MOCK_ENABLED && process.env.NODE_ENV === 'production') {
+  throw new Error('PAYMENT_MOCK_ENABLED=true non consentito con NODE_ENV=production');
+}
+if (MOCK_ENABLED && !process.env.PAYMENT_MOCK_WEBHOOK_SECRET) {
+  throw new Error('PAYMENT_MOCK_WEBHOOK_SECRET obbligatorio con PAYMENT_MOCK_ENABLED=true');
+}
+
+const mockSecret = () => process.env.PAYMENT_MOCK_WEBHOOK_SECRET;
+
+// Checkout del gateway mock (in memoria: si perdono al riavvio)
+const mockCheckouts = new Map();
+
+const MOCK_OUTCOMES = {
+  succeeded: PaymentStatus.SUCCEEDED,
+  failed: PaymentStatus.FAILED,
+  cancelled: PaymentStatus.CANCELLED
+};
+
+const mock = {
+  isConfigured: () => MOCK_ENABLED,
+
+  createCheckout: async ({ payment, description, returnUrl }) => {
+    const id = `mock_${crypto.randomBytes(12).toString('hex')}`;
+    const base = (process.env.PAYMENT_MOCK_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+    mockCheckouts.set(id, {
+      id,
+      paymentId: payment.id,
+      amount: payment.amount,
+      currency: payment.currency,
+      description,
+      returnUrl,
+      status: PaymentStatus.PENDING
+    });
+
+    return { providerPaymentId: id, checkoutUrl: `${base}/api/payments/mock/checkout/${id}` };
+  },
+
+  verifyWebhook: async (rawBody, headers) => {
+    verifyTimestampedSignature(rawBody, headers['x-mock-signature'], mockSecret());
+    const event = parseJson(rawBody);
+
+    return { id: event.id, type: event.type, providerPaymentId: event.data?.id ?? null, payload: event };
+  },
+
+  resolveStatus: async (event) => MOCK_OUTCOMES[event.type.replace('payment.', '')] ?? null,
+
+  getStatus: async (providerPaymentId) => {
+    const status = mockCheckouts.get(providerPaymentId)?.status;
+    return status && status !== PaymentStatus.PENDING ? status : null;
+  },
+
+  refund: async ({ providerPaymentId }) => {
+    const checkout = mockCheckouts.get(providerPaymentId);
+    if (checkout) checkout.status = PaymentStatus.REFUNDED;
+  }
+};
+
+/**
+ * Checkout del gateway mock
+ * @param {string} id - providerPaymentId
+ * @returns {Object|null}
+ */
+const getMockCheckout = (id) => mockCheckouts.get(id) ?? null;
+
+/**
+ * Conclude un checkout mock e prepara il webhook firmato che il provider invierebbe
+ * @param {string} id - providerPaymentId
+ * @param {string} outcome - succeeded | failed | cancelled
+ * @returns {{rawBody: Buffer, headers: Object}|null} null se checkout non trovato
+ */
+const completeMockCheckout = (id, outcome) => {
+  const checkout = mockCheckouts.get(id);
+  if (!checkout) return null;
+  if (!MOCK_OUTCOMES[outcome]) throw new Error('Esito non valido');
+
+  checkout.status = MOCK_OUTCOMES[outcome];
+
+  const rawBody = Buffer.from(JSON.stringify({
+    id: `evt_mock_${crypto.randomBytes(12).toString('hex')}`,
+    type: `payment.${outcome}`,
+    created: Math.floor(Date.now() / 1000),
+    data: { id, amount: checkout.amount, currency: checkout.currency }
+  }));
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  return {
+    rawBody,
+    headers: { 'x-mock-signature': `t=${timestamp},v1=${signTimestamped(rawBody, timestamp, mockSecret())}` }
+  };
+};
+
+// Provider disponibili: ognuno espone
+// isConfigured(), createCheckout({payment, description, returnUrl}) → {providerPaymentId, checkoutUrl},
+// verifyWebhook(rawBody, headers) → evento verificato, resolveStatus(evento) → PaymentStatus|null,
+// getStatus(providerPaymentId) → PaymentStatus|null, refund({providerPaymentId, amount, currency})
+const providers = { stripe, paypal, mock };
+
+const PAYMENT_PROVIDERS = Object.keys(providers);
+
+/**
+ * Provider configurato (chiavi presenti nell'ambiente)
+ * @param {string} name
+ * @returns {Object}
+ */
+const getProvider = (name) => {
+  const provider = Object.hasOwn(providers, name) ? providers[name] : null;
+  if (!provider?.isConfigured()) throw new Error(`Provider ${name} non supportato`);
+  return provider;
+};
+
+/**
+ * Nomi dei provider configurati
+ * @returns {string[]}
+ */
+const listEnabledProviders = () => PAYMENT_PROVIDERS.filter(name => providers[name].isConfigured());
+
+module.exports = {
+  INVALID_SIGNATURE,
+  PAYMENT_PROVIDERS,
+  MOCK_OUTCOMES,
+  getProvider,
+  listEnabledProviders,
+  getMockCheckout,
+  completeMockCheckout
+};
@@ -0,0 +1,78 @@
+// utils/plans.js
+const prisma = require('../prisma');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Campi del piano mostrati nella schermata di registrazione
+const publicPlanSelect = {
+  id: true,
+  name: true,
+  description: true,
+  price: true,
+  currency: true,
+  durationDays: true,
+  ingressi: true,
+  groupLevels: true
+};
+
+/**
+ * Piani del catalogo
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=false] - solo i piani sottoscrivibili
+ * @param {Object} [options.select] - campi da restituire (default: tutti)
+ * @returns {Promise<Object[]>}
+ */
+async function listPlans({ activeOnly = false, select } = {}) {
+  return prisma.subscriptionPlan.findMany({
+    where: activeOnly ? { isActive: true } : {},
+    ...(select && { select }),
+    orderBy: [{ price: 'asc' }, { name: 'asc' }]
+  });
+}
+
+/**
+ * Valori di default di una subscription creata da un piano
+ * - endDate = startDate + durata del piano
+ * - gruppi = tutti i gruppi con uno dei livelli inclusi nel piano
+ * @param {number} planId
+ * @param {Object} [options]
+ * @param {string|Date} [options.startDate] - inizio subscription (default: adesso)
+ * @param {boolean} [options.activeOnly=false] - rifiuta i piani disattivati
+ * @param {Object} [tx] - client Prisma (default: client condiviso)
+ * @returns {Promise<Object>} startDate, endDate, amount, ingressi, currency, groups
+ */
+async function getPlanSubscriptionDefaults(planId, { startDate, activeOnly = false } = {}, tx = prisma) {
+  const plan = await tx.subscriptionPlan.findUnique({ where: { id: Number(planId) } });
+
+  if (!plan) {
+    throw new Error('Piano non trovato');
+  }
+
+  if (activeOnly && !plan.isActive) {
+    throw new Error('Piano non disponibile');
+  }
+
+  const start = startDate ? new Date(startDate) : new Date();
+
+  const groups = plan.groupLevels.length
+    ? await tx.group.findMany({
+        where: { level: { in: plan.groupLevels } },
+        select: { id: true }
+      })
+    : [];
+
+  return {
+    startDate: start,
+    endDate: new Date(start.getTime() + plan.durationDays * DAY_MS),
+    amount: plan.price,
+    ingressi: plan.ingressi,
+    currency: plan.currency,
+    groups: groups.map(g => g.id)
+  };
+}
+
+module.exports = {
+  publicPlanSelect,
+  listPlans,
+  getPlanSubscriptionDefaults
+};
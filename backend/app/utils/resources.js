@@ -0,0 +1,141 @@
+// utils/resources.js
+const { EventStatus } = require('@prisma/client');
+const prisma = require('../prisma');
+
+// Motivo del conflitto tra due eventi
+const CONFLICT_RESOURCE = 'RESOURCE';   // risorsa riservata da entrambi
+const CONFLICT_VENUE = 'VENUE';         // stesso luogo, almeno uno dei due lo occupa per intero
+
+const resourceSelect = { id: true, name: true, type: true, locationId: true };
+
+/**
+ * Verifica le risorse da riservare per un evento
+ * - devono esistere ed essere attive
+ * - se l'evento ha un luogo, le risorse legate a un luogo devono essere di quello stesso
+ * @param {number[]} resourceIds
+ * @param {number|null} [locationId] - luogo dell'evento
+ */
+async function assertReservableResources(resourceIds, locationId) {
+  if (!resourceIds.length) return;
+
+  const resources = await prisma.resource.findMany({
+    where: { id: { in: resourceIds } },
+    select: { ...resourceSelect, isActive: true }
+  });
+
+  const byId = new Map(resources.map(r => [r.id, r]));
+  const missing = resourceIds.filter(id => !byId.has(id));
+
+  if (missing.length) {
+    throw new Error(`Risorse non trovate: ${missing.join(', ')}`);
+  }
+
+  const inactive = resources.filter(r => !r.isActive).map(r => r.name);
+  if (inactive.length) {
+    throw new Error(`Risorse non attive: ${inactive.join(', ')}`);
+  }
+
+  const elsewhere = resources
+    .filter(r => locationId && r.locationId && r.locationId !== locationId)
+    .map(r => r.name);
+
+  if (elsewhere.length) {
+    throw new Error(`Risorse di un altro luogo: ${elsewhere.join(', ')}`);
+  }
+}
+
+/**
+ * Eventi in programma che si sovrappongono a uno slot
+ * - stessa data e orari sovrapposti (gli estremi che si toccano non sono conflitto)
+ * - conflitto di risorsa: almeno una risorsa in comune
+ * - conflitto di luogo: stesso luogo e uno dei due eventi non riserva risorse (occupa tutto il luogo)
+ * @param {Object} slot
+ * @param {Date} slot.date
+ * @param {string} slot.startTime - HH:MM
+ * @param {string} slot.endTime - HH:MM
+ * @param {number|null} [slot.locationId]
+ * @param {number[]} [slot.resourceIds]
+ * @param {Object} [options]
+ * @param {number} [options.excludeEventId] - evento in modifica
+ * @returns {Promise<Object[]>} eventi in conflitto con motivo e risorse condivise
+ */
+async function findEventConflicts({ date, startTime, endTime, locationId, resourceIds = [] }, { excludeEventId } = {}) {
+  const wholeVenue = resourceIds.length === 0;
+
+  const clashes = [];
+  if (resourceIds.length) {
+    clashes.push({ resources: { some: { resourceId: { in: resourceIds } } } });
+  }
+  if (locationId) {
+    clashes.push(wholeVenue ? { locationId } : { locationId, resources: { none: {} } });
+  }
+
+  if (!clashes.length) return [];
+
+  const events = await prisma.event.findMany({
+    where: {
+      ...(excludeEventId && { id: { not: excludeEventId } }),
+      status: EventStatus.SCHEDULED,
+      date,
+      startTime: { lt: endTime },
+      endTime: { gt: startTime },
+      OR: clashes
+    },
+    include: {
+      venue: { select: { id: true, name: true } },
+      resources: { include: { resource: { select: resourceSelect } } }
+    },
+    orderBy: { startTime: 'asc' }
+  });
+
+  const requested = new Set(resourceIds);
+
+  return events.map(event => {
+    const shared = event.resources
+      .map(er => er.resource)
+      .filter(resource => requested.has(resource.id));
+
+    return {
+      id: event.id,
+      title: event.title,
+      date: event.date,
+      startTime: event.startTime,
+      endTime: event.endTime,
+      location: event.venue?.name ?? event.location,
+      reason: shared.length ? CONFLICT_RESOURCE : CONFLICT_VENUE,
+      resources: shared
+    };
+  });
+}
+
+/**
+ * Prenotazioni di una risorsa in un intervallo di date
+ * @param {number} resourceId
+ * @param {Object} range
+ * @param {Date} range.from
+ * @param {Date} range.to - escluso
+ * @returns {Promise<Object[]|null>} eventi in programma, null se risorsa non trovata
+ */
+async function getResourceSchedule(resourceId, { from, to }) {
+  const resource = await prisma.resource.findUnique({ where: { id: resourceId } });
+  if (!resource) return null;
+
+  return prisma.event.findMany({
+    where: {
+      status: EventStatus.SCHEDULED,
+      date: { gte: from, lt: to },
+      resources: { some: { resourceId } }
+    },
+    select: { id: true, title: true, date: true, startTime: true, endTime: true },
+    orderBy: [{ date: 'asc' }, { startTime: 'asc' }]
+  });
+}
+
+module.exports = {
+  CONFLICT_RESOURCE,
+  CONFLICT_VENUE,
+  resourceSelect,
+  assertReservableResources,
+  findEventConflicts,
+  getResourceSchedule
+};
@@ -0,0 +1,108 @@
+// utils/scheduler.js
+const { JobRunStatus, JobTrigger } = require('@prisma/client');
+const prisma = require('../prisma');
+const { runSubscriptionExpiryJob, sendRenewalReminders } = require('./subscriptionLifecycle');
+
+// Job pianificati: eseguiti all'avvio e poi ogni intervalMinutes
+const JOBS = {
+  'subscription-expiry': {
+    description: 'Scadenza subscription, disattivazione gruppi scaduti e rinnovi automatici',
+    intervalMinutes: Number(process.env.JOB_SUBSCRIPTION_EXPIRY_MINUTES || 60),
+    run: runSubscriptionExpiryJob
+  },
+  'subscription-reminders': {
+    description: 'Promemoria di scadenza subscription',
+    intervalMinutes: Number(process.env.JOB_SUBSCRIPTION_REMINDERS_MINUTES || 360),
+    run: () => sendRenewalReminders()
+  }
+};
+
+// Job in esecuzione in questo processo (evita sovrapposizioni tra timer e avvii manuali)
+const running = new Set();
+
+/**
+ * Esegue un job registrando l'esecuzione in JobRun
+ * @param {string} name - nome del job (chiave di JOBS)
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - JobTrigger (default SCHEDULED)
+ * @param {string} [options.triggeredById] - superadmin che avvia manualmente
+ * @returns {Promise<Object>} JobRun concluso (SUCCEEDED o FAILED)
+ */
+async function runJob(name, { trigger = JobTrigger.SCHEDULED, triggeredById = null } = {}) {
+  const job = JOBS[name];
+  if (!job) throw new Error('Job non trovato');
+  if (running.has(name)) throw new Error('Job già in esecuzione');
+
+  running.add(name);
+
+  try {
+    const jobRun = await prisma.jobRun.create({
+      data: { job: name, trigger, triggeredById }
+    });
+
+    try {
+      const result = await job.run();
+
+      return await prisma.jobRun.update({
+        where: { id: jobRun.id },
+        data: { status: JobRunStatus.SUCCEEDED, result, finishedAt: new Date() }
+      });
+    } catch (err) {
+      console.error(`Job ${name} fallito:`, err);
+
+      return await prisma.jobRun.update({
+        where: { id: jobRun.id },
+        data: { status: JobRunStatus.FAILED, error: err.message, finishedAt: new Date() }
+      });
+    }
+  } finally {
+    running.delete(name);
+  }
+}
+
+/**
+ * Elenco dei job con intervallo, stato e ultima esecuzione
+ * @returns {Promise<Object[]>}
+ */
+async function listJobs() {
+  return Promise.all(Object.entries(JOBS).map(async ([name, job]) => ({
+    name,
+    description: job.description,
+    intervalMinutes: job.intervalMinutes,
+    running: running.has(name),
+    lastRun: await prisma.jobRun.findFirst({
+      where: { job: name },
+      orderBy: { startedAt: 'desc' }
+    })
+  })));
+}
+
+/**
+ * Avvia lo scheduler interno (disattivabile con JOBS_ENABLED=false, es. con più istanze)
+ * - le esecuzioni rimaste RUNNING da un riavvio vengono chiuse come FAILED
+ */
+async function startScheduler() {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('Scheduler disattivato (JOBS_ENABLED=false)');
+    return;
+  }
+
+  await prisma.jobRun.updateMany({
+    where: { status: JobRunStatus.RUNNING },
+    data: { status: JobRunStatus.FAILED, error: 'Interrotto dal riavvio del server', finishedAt: new Date() }
+  });
+
+  for (const [name, job] of Object.entries(JOBS)) {
+    const tick = () => runJob(name).catch(err => console.error(`Job ${name} non avviato:`, err.message));
+
+    tick();
+    setInterval(tick, job.intervalMinutes * 60 * 1000).unref();
+  }
+}
+
+module.exports = {
+  JOBS,
+  runJob,
+  listJobs,
+  startScheduler
+};
@@ -0,0 +1,173 @@
+// utils/session.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../prisma');
+const { generateRefreshToken, hashToken, JWT_REFRESH_SECRET } = require('./token');
+
+// Deve coincidere con la scadenza del refresh token JWT
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'None' : 'Lax',
+  path: '/'
+});
+
+/**
+ * Scrive il refresh token nel cookie httpOnly
+ */
+function setRefreshCookie(res, refreshToken) {
+  res.cookie('refreshToken', refreshToken, {
+    ...refreshCookieOptions(),
+    maxAge: REFRESH_TOKEN_TTL_MS
+  });
+}
+
+/**
+ * Cancella il cookie del refresh token
+ */
+function clearRefreshCookie(res) {
+  res.clearCookie('refreshToken', refreshCookieOptions());
+}
+
+/**
+ * Dati del dispositivo da salvare sulla sessione
+ */
+function getClientInfo(req) {
+  return {
+    userAgent: req.get('user-agent')?.slice(0, 512) || null,
+    ip: req.ip || null
+  };
+}
+
+/**
+ * Crea una nuova sessione (login da un dispositivo)
+ * @param {Object} user - utente autenticato
+ * @param {Object} req - request Express (user agent, IP)
+ * @returns {Promise<{session: Object, refreshToken: string}>}
+ */
+async function createSession(user, req) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken(user, sessionId);
+
+  const session = await prisma.session.create({
+    data: {
+      id: sessionId,
+      userId: user.id,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      ...getClientInfo(req)
+    }
+  });
+
+  return { session, refreshToken };
+}
+
+/**
+ * Ruota il refresh token di una sessione.
+ * Se il token è valido ma non è quello corrente (già ruotato) la sessione
+ * viene revocata: qualcuno sta riusando un token rubato.
+ * @param {string} refreshToken - token ricevuto dal client
+ * @param {Object} req - request Express (user agent, IP)
+ * @returns {Promise<{valid: boolean, message?: string, user?: Object, session?: Object, refreshToken?: string}>}
+ */
+async function rotateSession(refreshToken, req) {
+  let payload;
+  try {
+    payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+  } catch {
+    return { valid: false, message: 'Refresh token non valido o scaduto' };
+  }
+
+  const session = payload.sid
+    ? await prisma.session.findUnique({ where: { id: payload.sid }, include: { user: true } })
+    : null;
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return { valid: false, message: 'Sessione non valida o scaduta' };
+  }
+
+  if (session.user.status === 'CANCELLED') {
+    await revokeSession(session.id, 'USER_CANCELLED');
+    return { valid: false, message: 'Sessione non valida o scaduta' };
+  }
+
+  const currentHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken(session.user, session.id);
+
+  // Aggiorna solo se il token presentato è ancora quello corrente
+  const rotated = await prisma.session.updateMany({
+    where: { id: session.id, tokenHash: currentHash, revokedAt: null },
+    data: {
+      tokenHash: hashToken(newRefreshToken),
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      ...getClientInfo(req)
+    }
+  });
+
+  if (rotated.count === 0) {
+    console.warn(`Riuso refresh token rilevato: sessione ${session.id} (utente ${session.userId}) revocata`);
+    await revokeSession(session.id, 'REUSE_DETECTED');
+    return { valid: false, message: 'Refresh token già utilizzato: sessione revocata' };
+  }
+
+  return { valid: true, user: session.user, session, refreshToken: newRefreshToken };
+}
+
+/**
+ * Revoca una sessione
+ * @param {string} sessionId
+ * @param {string} reason - es. LOGOUT, REUSE_DETECTED, USER_REVOKED, ADMIN_FORCE_LOGOUT
+ * @returns {Promise<number>} sessioni revocate
+ */
+async function revokeSession(sessionId, reason) {
+  const revoked = await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return revoked.count;
+}
+
+/**
+ * Revoca la sessione a cui appartiene un refresh token (logout)
+ * @param {string} refreshToken
+ */
+async function revokeSessionByToken(refreshToken, reason = 'LOGOUT') {
+  const revoked = await prisma.session.updateMany({
+    where: { tokenHash: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return revoked.count;
+}
+
+/**
+ * Revoca tutte le sessioni attive di un utente
+ * @param {string} userId
+ * @param {string} reason
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - sessione da mantenere (es. quella corrente)
+ * @returns {Promise<number>} sessioni revocate
+ */
+async function revokeUserSessions(userId, reason, { exceptSessionId } = {}) {
+  const revoked = await prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId ? { id: { not: exceptSessionId } } : {})
+    },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return revoked.count;
+}
+
+module.exports = {
+  setRefreshCookie,
+  clearRefreshCookie,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByToken,
+  revokeUserSessions
+};
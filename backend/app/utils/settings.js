@@ -0,0 +1,47 @@
+// utils/settings.js
+const prisma = require('../prisma');
+const { DEFAULT_SETTINGS } = require('../config/settings');
+
+/**
+ * Legge un'impostazione globale, con fallback sul default di config/settings.js
+ * @param {string} key - chiave impostazione
+ * @returns {Promise<any>} valore
+ */
+async function getSetting(key) {
+  const setting = await prisma.setting.findUnique({ where: { key } });
+  return setting ? setting.value : DEFAULT_SETTINGS[key];
+}
+
+/**
+ * Legge più impostazioni in una sola query
+ * @param {string[]} keys - chiavi impostazioni
+ * @returns {Promise<Object>} mappa chiave → valore
+ */
+async function getSettings(keys) {
+  const settings = await prisma.setting.findMany({
+    where: { key: { in: keys } }
+  });
+
+  return Object.fromEntries(
+    keys.map(key => {
+      const setting = settings.find(s => s.key === key);
+      return [key, setting ? setting.value : DEFAULT_SETTINGS[key]];
+    })
+  );
+}
+
+/**
+ * Salva un'impostazione globale
+ * @param {string} key - chiave impostazione
+ * @param {any} value - valore serializzabile in JSON
+ * @returns {Promise<Object>} impostazione salvata
+ */
+async function setSetting(key, value) {
+  return prisma.setting.upsert({
+    where: { key },
+    update: { value },
+    create: { key, value }
+  });
+}
+
+module.exports = { getSetting, getSettings, setSetting };
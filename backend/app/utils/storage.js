@@ -0,0 +1,67 @@
+require('dotenv').config();
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const STORAGE_LOCAL_DIR = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../storage'));
+
+// Le chiavi sono generate dal server: niente percorsi relativi o assoluti
+const resolveLocalPath = (key) => {
+  const filePath = path.resolve(STORAGE_LOCAL_DIR, key);
+  if (!filePath.startsWith(STORAGE_LOCAL_DIR + path.sep)) {
+    throw new Error('Chiave file non valida');
+  }
+  return filePath;
+};
+
+// Driver disponibili, selezionati tramite STORAGE_DRIVER
+// Ogni driver espone save(key, buffer), read(key) → Buffer, remove(key)
+const drivers = {
+  // File system locale (default)
+  local: {
+    save: async (key, buffer) => {
+      const filePath = resolveLocalPath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+    read: async (key) => fs.readFile(resolveLocalPath(key)),
+    remove: async (key) => fs.rm(resolveLocalPath(key), { force: true })
+  }
+};
+
+const getDriver = () => {
+  if (!drivers[STORAGE_DRIVER]) throw new Error(`Storage ${STORAGE_DRIVER} non supportato`);
+  return drivers[STORAGE_DRIVER];
+};
+
+/**
+ * Genera una chiave univoca per un nuovo file
+ * @param {string} prefix - cartella logica (es. medical-certificates/<userId>)
+ * @param {string} extension - estensione senza punto
+ * @returns {string}
+ */
+const buildStorageKey = (prefix, extension) =>
+  `${prefix}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${extension}`;
+
+/**
+ * Salva un file sullo storage configurato
+ * @param {string} key
+ * @param {Buffer} buffer
+ */
+const saveFile = (key, buffer) => getDriver().save(key, buffer);
+
+/**
+ * Legge un file dallo storage configurato
+ * @param {string} key
+ * @returns {Promise<Buffer>}
+ */
+const readFile = (key) => getDriver().read(key);
+
+/**
+ * Elimina un file dallo storage configurato (nessun errore se non esiste)
+ * @param {string} key
+ */
+const removeFile = (key) => getDriver().remove(key);
+
+module.exports = { buildStorageKey, saveFile, readFile, removeFile };
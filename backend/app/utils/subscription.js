@@ -1,7 +1,14 @@
 const { PrismaClient, SubscriptionStatus } = require('@prisma/client');
 const prisma = new PrismaClient();
 const z = require('zod');
-const { eventRules, DEFAULT_RULE, LEVEL_HIERARCHY } = require('../config/eventRules');
+const { eventRules, DEFAULT_RULE, LEVEL_HIERARCHY, LEVEL_PRIORITY } = require('../config/eventRules');
+const { recordInitialIngressi } = require('./ingressi');
+const { checkMedicalCertificate } = require('./medicalCertificate');
+const { checkNoShowPolicy } = require('./attendance');
+const { checkEventCapacity } = require('./instructors');
+const { getPlanSubscriptionDefaults } = require('./plans');
+const { checkSubscriptionFreeze } = require('./subscriptionFreeze');
+const { INGRESSI_EXHAUSTED } = require('./topUp');
 
 const ISO_CURRENCIES = ['EUR', 'USD', 'GBP', 'CHF'];
 
@@ -9,12 +16,13 @@ const createSubscriptionSchema = z.object({
   startDate: z.coerce.date(),
   endDate: z.coerce.date(),
   amount: z.coerce.number().positive(),
+  ingressi: z.coerce.number().int().positive().optional(),
   currency: z.string().refine(
     val => ISO_CURRENCIES.includes(val),
     { message: 'Currency not valid (ISO 4217)' }
   ).optional().default('EUR'),
   status: z.string().refine(
-    val => SubscriptionStatus.includes(val),
+    val => Object.values(SubscriptionStatus).includes(val),
     { message: 'Status not valid' }
   ).optional().default(SubscriptionStatus.ACTIVE),
   groups: z.array(z.coerce.number()).optional()
@@ -26,65 +34,96 @@ const createSubscriptionSchema = z.object({
 
 /**
  * Crea una subscription per un utente e assegna i gruppi
+ * - con planId i valori mancanti vengono presi dal piano (i campi passati hanno la precedenza)
  * @param {Object} params
  * @param {string} params.userId - ID utente
+ * @param {number} [params.planId] - Piano del catalogo
  * @param {string|Date} params.startDate - Data inizio subscription
- * @param {string|Date} params.endDate - Data fine subscription
+ * @param {string|Date} params.endDate - Data fine subscription (default piano: inizio + durata)
  * @param {number} params.amount - Importo subscription
- * @param {number[]} params.groups - Array di ID gruppi da assegnare
+ * @param {number} [params.ingressi] - Ingressi inclusi (default da piano o da schema)
+ * @param {number[]} params.groups - Array di ID gruppi da assegnare (default piano: gruppi dei livelli inclusi)
+ * @param {string} [params.actorId] - admin che crea la subscription (ledger ingressi)
+ * @param {boolean} [params.activePlanOnly=false] - rifiuta i piani disattivati
+ * @param {boolean} [params.autoRenew=false] - rinnovo automatico alla scadenza (solo con piano)
+ * @param {number} [params.renewedFromId] - subscription scaduta di cui questa è il rinnovo
  * @returns {Promise<Object>} subscription
  */
-async function createSubscriptionWithGroups({userId, startDate, endDate, amount, ingressi, currency, status, groups}) {
-  
-  // VALIDAZIONE INPUT
-  const validSubscription = createSubscriptionSchema.parse({startDate, endDate, amount, ingressi, currency, status, groups});
-
-  // TRANSAZIONE TUTTO INSIEME
-  const subscription = await prisma.$transaction(async (tx) => {
-
-    // Disattivo eventuali subscription attive
-    await tx.subscription.updateMany({
-      where: {
-        userId,
-        status: SubscriptionStatus.ACTIVE
-      },
-      data: {
-        status: SubscriptionStatus.CANCELLED,
-        endDate: new Date()
-      }
-    });
+async function createSubscriptionWithGroups(params) {
+  return prisma.$transaction((tx) => createSubscriptionWithGroupsInTransaction(tx, params));
+}
 
-    // Creo nuova subscription
-    const newSubscription = await tx.subscription.create({
-      data: {
-        userId,
-        startDate: validSubscription.startDate,
-        endDate: validSubscription.endDate,
-        amount: validSubscription.amount,
-        ingressi: validSubscription.ingressi,
-        currency: validSubscription.currency,
-        status: validSubscription.status
-      }
-    });
+/**
+ * Come createSubscriptionWithGroups, dentro una transazione del chiamante
+ * (es. registrazione: utente e subscription vengono creati insieme)
+ * @param {Object} tx - client Prisma della transazione
+ * @param {Object} params - vedi createSubscriptionWithGroups
+ * @returns {Promise<Object>} subscription
+ */
+async function createSubscriptionWithGroupsInTransaction(tx, {userId, planId, startDate, endDate, amount, ingressi, currency, status, groups, actorId, activePlanOnly = false, autoRenew = false, renewedFromId = null}) {
 
-    // Assegno i gruppi (se presenti)
-    if (validSubscription.groups?.length) {
-      const userGroupsData = validSubscription.groups.map(groupId => ({
-        userId,
-        groupId,
-        validFrom: validSubscription.startDate,
-        validTo: validSubscription.endDate,
-        isActive: true,
-        subscriptionId: newSubscription.id
-      }));
-
-      await tx.userGroup.createMany({ data: userGroupsData });
+  // DEFAULT DAL PIANO
+  const plan = planId
+    ? await getPlanSubscriptionDefaults(planId, { startDate, activeOnly: activePlanOnly }, tx)
+    : {};
+
+  // VALIDAZIONE INPUT
+  const validSubscription = createSubscriptionSchema.parse({
+    startDate: startDate ?? plan.startDate,
+    endDate: endDate ?? plan.endDate,
+    amount: amount ?? plan.amount,
+    ingressi: ingressi ?? plan.ingressi,
+    currency: currency ?? plan.currency,
+    status,
+    groups: groups ?? plan.groups
+  });
+
+  // Disattivo eventuali subscription attive
+  await tx.subscription.updateMany({
+    where: {
+      userId,
+      status: SubscriptionStatus.ACTIVE
+    },
+    data: {
+      status: SubscriptionStatus.CANCELLED,
+      endDate: new Date()
     }
+  });
 
-    return newSubscription;
+  // Creo nuova subscription
+  const newSubscription = await tx.subscription.create({
+    data: {
+      userId,
+      startDate: validSubscription.startDate,
+      endDate: validSubscription.endDate,
+      amount: validSubscription.amount,
+      ingressi: validSubscription.ingressi,
+      currency: validSubscription.currency,
+      status: validSubscription.status,
+      planId: planId ? Number(planId) : null,
+      autoRenew: !!planId && autoRenew,
+      renewedFromId
+    }
   });
 
-  return subscription;
+  // Dotazione iniziale nel ledger ingressi
+  await recordInitialIngressi(tx, newSubscription, { actorId });
+
+  // Assegno i gruppi (se presenti)
+  if (validSubscription.groups?.length) {
+    const userGroupsData = validSubscription.groups.map(groupId => ({
+      userId,
+      groupId,
+      validFrom: validSubscription.startDate,
+      validTo: validSubscription.endDate,
+      isActive: true,
+      subscriptionId: newSubscription.id
+    }));
+
+    await tx.userGroup.createMany({ data: userGroupsData });
+  }
+
+  return newSubscription;
 }
 
 /**
@@ -110,15 +149,20 @@ async function hasValidSubscription(userId) {
 /**
  * Controlla se un utente può prenotare un evento
  * - Subscription valida
+ * - Subscription non sospesa alla data evento
  * - Evento schedulato
- * - Posti disponibili
+ * - Posti disponibili (anche rispetto agli istruttori assegnati)
  * - Requisiti subscription
+ * - Certificato medico valido alla data evento (se richiesto dalla categoria)
+ * - Nessun blocco per assenze ripetute
  * - Requisiti gruppi
  * @param {string} userId - ID utente
  * @param {number} eventId - ID evento
- * @returns {Promise<{canBook: boolean, message?: string}>}
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreCapacity=false] - salta il controllo posti (usato per la lista d'attesa)
+ * @returns {Promise<{canBook: boolean, code?: string, message?: string}>} code valorizzato per i blocchi su certificato medico, assenze, istruttori e sospensione
  */
-async function canBookEvent(userId, eventId) {
+async function canBookEvent(userId, eventId, { ignoreCapacity = false } = {}) {
   // Prendo l'evento con la categoria
   const event = await prisma.event.findUnique({
     where: { id: eventId },
@@ -127,7 +171,12 @@ async function canBookEvent(userId, eventId) {
 
   if (!event) return { canBook: false, message: 'Evento non trovato' };
   if (event.status !== 'SCHEDULED') return { canBook: false, message: 'Evento non disponibile' };
-  if (event.signups.length >= event.maxSlots) return { canBook: false, message: 'Evento pieno' };
+
+  // Posti: maxSlots, ridotti se gli istruttori assegnati non bastano
+  if (!ignoreCapacity) {
+    const capacity = await checkEventCapacity(event, event.signups.length);
+    if (!capacity.available) return { canBook: false, code: capacity.code, message: capacity.message };
+  }
 
   const now = new Date();
   
@@ -145,7 +194,24 @@ async function canBookEvent(userId, eventId) {
   });
   
   const availableIngressi = activeIngressi?.ingressi ?? 0;
-  if (availableIngressi <= 0) return { canUse: false, message: "Non hai più ingressi disponibili" };
+  if (availableIngressi <= 0) return { canBook: false, code: INGRESSI_EXHAUSTED, message: "Non hai più ingressi disponibili" };
+
+  // Sospensione (infortunio, vacanza) che copre la data evento
+  const freeze = await checkSubscriptionFreeze(userId, event.date);
+  if (freeze.frozen) return { canBook: false, code: freeze.code, message: freeze.message };
+
+  // Certificato medico
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { medicalCertificateExpiryDate: true }
+  });
+
+  const certificate = await checkMedicalCertificate(user?.medicalCertificateExpiryDate ?? null, event);
+  if (!certificate.valid) return { canBook: false, code: certificate.code, message: certificate.message };
+
+  // Assenze ripetute
+  const noShow = await checkNoShowPolicy(userId);
+  if (noShow.blocked) return { canBook: false, code: noShow.code, message: noShow.message };
 
   // Prendo le regole della categoria o default
   const rule = eventRules[event.category.code] || DEFAULT_RULE;
@@ -202,12 +268,9 @@ async function canBookEvent(userId, eventId) {
 function getEventMinLevel(categoryCode) {
   const rule = eventRules[categoryCode] || DEFAULT_RULE;
 
-  // Ordina allowedLevels in base alla priorità (ALL=1, OPEN=2, ADVANCED=3, DEEP=4)
-  const levelPriority = { ALL: 1, OPEN: 2, ADVANCED: 3, DEEP: 4 };
-
-  // Trova il livello più “basso” che consente partecipazione
+  // Trova il livello più “basso” che consente partecipazione (priorità in config/eventRules.js)
   const minLevel = rule.allowedLevels.reduce((min, level) => {
-    return levelPriority[level] < levelPriority[min] ? level : min;
+    return LEVEL_PRIORITY[level] < LEVEL_PRIORITY[min] ? level : min;
   }, rule.allowedLevels[0]);
 
   return minLevel;
@@ -216,6 +279,7 @@ function getEventMinLevel(categoryCode) {
 
 module.exports = {
   createSubscriptionWithGroups,
+  createSubscriptionWithGroupsInTransaction,
   hasValidSubscription,
   canBookEvent,
   getEventMinLevel
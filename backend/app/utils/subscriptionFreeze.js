@@ -0,0 +1,191 @@
+// utils/subscriptionFreeze.js
+const { SubscriptionStatus, EventStatus } = require('@prisma/client');
+const prisma = require('../prisma');
+const { getSettings } = require('./settings');
+
+// Codice restituito all'app quando la prenotazione cade in un periodo di sospensione
+const SUBSCRIPTION_FROZEN = 'SUBSCRIPTION_FROZEN';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('it-IT', { timeZone: 'UTC' });
+
+// Giorno (UTC) di una data con orario, per il confronto con le date di sospensione
+const dayOf = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Limiti di sospensione del piano, con fallback sui default globali
+ * @param {{maxFreezes?: number|null, maxFreezeDays?: number|null}|null} plan
+ * @returns {Promise<{maxFreezes: number, maxFreezeDays: number}>}
+ */
+async function getFreezeLimits(plan) {
+  const defaults = await getSettings(['subscription.maxFreezes', 'subscription.maxFreezeDays']);
+
+  return {
+    maxFreezes: plan?.maxFreezes ?? defaults['subscription.maxFreezes'],
+    maxFreezeDays: plan?.maxFreezeDays ?? defaults['subscription.maxFreezeDays']
+  };
+}
+
+/**
+ * Sospende una subscription attiva
+ * - il periodo (date incluse) deve iniziare entro la validità e non sovrapporsi ad altre sospensioni
+ * - rispetta numero massimo di sospensioni e giorni totali del piano
+ * - endDate della subscription e validTo dei suoi gruppi slittano dei giorni sospesi
+ * - rifiutata se l'utente ha prenotazioni nel periodo (vanno prima disdette)
+ * @param {number} subscriptionId
+ * @param {Object} data
+ * @param {Date} data.startDate - primo giorno sospeso (UTC)
+ * @param {Date} data.endDate - ultimo giorno sospeso (UTC)
+ * @param {string} data.reason
+ * @param {Object} params
+ * @param {string} params.actorId - admin che registra la sospensione
+ * @returns {Promise<{freeze: Object|null, subscription?: Object, bookings: Object[]}|null>} null se subscription non trovata
+ */
+async function freezeSubscription(subscriptionId, { startDate, endDate, reason }, { actorId }) {
+  const subscription = await prisma.subscription.findUnique({
+    where: { id: subscriptionId },
+    include: { plan: true, freezes: true }
+  });
+
+  if (!subscription) return null;
+
+  if (subscription.status !== SubscriptionStatus.ACTIVE) {
+    throw new Error('Solo le subscription attive possono essere sospese');
+  }
+
+  if (startDate < dayOf(subscription.startDate) || startDate > dayOf(subscription.endDate)) {
+    throw new Error('La sospensione deve iniziare entro la validità della subscription');
+  }
+
+  if (subscription.freezes.some(f => f.startDate <= endDate && f.endDate >= startDate)) {
+    throw new Error('Il periodo si sovrappone a una sospensione esistente');
+  }
+
+  const days = Math.round((endDate - startDate) / DAY_MS) + 1;
+  const { maxFreezes, maxFreezeDays } = await getFreezeLimits(subscription.plan);
+  const usedDays = subscription.freezes.reduce((sum, f) => sum + f.days, 0);
+
+  if (subscription.freezes.length >= maxFreezes) {
+    throw new Error(`Numero massimo di sospensioni raggiunto (${maxFreezes})`);
+  }
+
+  if (usedDays + days > maxFreezeDays) {
+    throw new Error(`Giorni di sospensione oltre il massimo (${maxFreezeDays}, già usati ${usedDays})`);
+  }
+
+  const bookings = await prisma.eventSignup.findMany({
+    where: {
+      userId: subscription.userId,
+      event: { status: EventStatus.SCHEDULED, date: { gte: startDate, lte: endDate } }
+    },
+    select: { event: { select: { id: true, title: true, date: true, startTime: true } } }
+  });
+
+  if (bookings.length) {
+    return { freeze: null, bookings: bookings.map(b => b.event) };
+  }
+
+  const shift = days * DAY_MS;
+
+  const result = await prisma.$transaction(async (tx) => {
+    const freeze = await tx.subscriptionFreeze.create({
+      data: { subscriptionId, startDate, endDate, days, reason, createdById: actorId }
+    });
+
+    const updated = await tx.subscription.update({
+      where: { id: subscriptionId },
+      data: {
+        endDate: new Date(subscription.endDate.getTime() + shift),
+        // la nuova scadenza riceverà il suo promemoria
+        renewalReminderSentAt: null
+      }
+    });
+
+    // Gruppi ancora validi all'inizio della sospensione
+    const userGroups = await tx.userGroup.findMany({
+      where: { subscriptionId, isActive: true, validTo: { gte: startDate } }
+    });
+
+    for (const ug of userGroups) {
+      await tx.userGroup.update({
+        where: {
+          userId_groupId_subscriptionId: {
+            userId: ug.userId,
+            groupId: ug.groupId,
+            subscriptionId
+          }
+        },
+        data: { validTo: new Date(ug.validTo.getTime() + shift) }
+      });
+    }
+
+    return { freeze, subscription: updated };
+  });
+
+  return { ...result, bookings: [] };
+}
+
+/**
+ * Sospensioni di una subscription, con i limiti del piano
+ * @param {number} subscriptionId
+ * @returns {Promise<Object|null>} null se subscription non trovata
+ */
+async function listSubscriptionFreezes(subscriptionId) {
+  const subscription = await prisma.subscription.findUnique({
+    where: { id: subscriptionId },
+    include: {
+      plan: true,
+      freezes: {
+        include: { createdBy: { select: { id: true, email: true, firstName: true, lastName: true } } },
+        orderBy: { startDate: 'desc' }
+      }
+    }
+  });
+
+  if (!subscription) return null;
+
+  const limits = await getFreezeLimits(subscription.plan);
+  const usedDays = subscription.freezes.reduce((sum, f) => sum + f.days, 0);
+
+  return {
+    subscriptionId,
+    endDate: subscription.endDate,
+    ...limits,
+    usedFreezes: subscription.freezes.length,
+    usedDays,
+    freezes: subscription.freezes
+  };
+}
+
+/**
+ * Verifica che la data evento non cada in una sospensione della subscription attiva dell'utente
+ * @param {string} userId
+ * @param {Date} eventDate - data evento (UTC)
+ * @returns {Promise<{frozen: boolean, code?: string, message?: string}>}
+ */
+async function checkSubscriptionFreeze(userId, eventDate) {
+  const freeze = await prisma.subscriptionFreeze.findFirst({
+    where: {
+      startDate: { lte: eventDate },
+      endDate: { gte: eventDate },
+      subscription: { userId, status: SubscriptionStatus.ACTIVE }
+    }
+  });
+
+  if (!freeze) return { frozen: false };
+
+  return {
+    frozen: true,
+    code: SUBSCRIPTION_FROZEN,
+    message: `Abbonamento sospeso dal ${formatDate(freeze.startDate)} al ${formatDate(freeze.endDate)}`
+  };
+}
+
+module.exports = {
+  SUBSCRIPTION_FROZEN,
+  getFreezeLimits,
+  freezeSubscription,
+  listSubscriptionFreezes,
+  checkSubscriptionFreeze
+};
@@ -0,0 +1,279 @@
+// utils/subscriptionLifecycle.js
+const { SubscriptionStatus, IngressiReason, PaymentStatus } = require('@prisma/client');
+const prisma = require('../prisma');
+const { setIngressiBalance } = require('./ingressi');
+const { getSetting } = require('./settings');
+const { createSubscriptionWithGroups } = require('./subscription');
+const { createSubscriptionPayment } = require('./payment');
+const { listEnabledProviders } = require('./paymentProviders');
+const { sendSubscriptionExpiringEmail, sendSubscriptionRenewalPaymentEmail } = require('./notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const userSelect = { id: true, email: true, firstName: true };
+
+/**
+ * Scade le subscription ACTIVE con endDate passata
+ * - stato EXPIRED, ingressi residui azzerati nel ledger (EXPIRY), gruppi della subscription disattivati
+ * @param {Date} [now]
+ * @returns {Promise<{expired: number, ingressiCleared: number}>}
+ */
+async function expireSubscriptions(now = new Date()) {
+  const subscriptions = await prisma.subscription.findMany({
+    where: { status: SubscriptionStatus.ACTIVE, endDate: { lt: now } },
+    select: { id: true }
+  });
+
+  let expired = 0;
+  let ingressiCleared = 0;
+
+  for (const { id } of subscriptions) {
+    const cleared = await prisma.$transaction(async (tx) => {
+      // Condizione ripetuta: la subscription può essere stata modificata nel frattempo
+      const updated = await tx.subscription.updateMany({
+        where: { id, status: SubscriptionStatus.ACTIVE, endDate: { lt: now } },
+        data: { status: SubscriptionStatus.EXPIRED }
+      });
+      if (!updated.count) return null;
+
+      const entry = await setIngressiBalance(tx, {
+        subscriptionId: id,
+        balance: 0,
+        reason: IngressiReason.EXPIRY,
+        note: 'Scadenza subscription'
+      });
+
+      await tx.userGroup.updateMany({
+        where: { subscriptionId: id, isActive: true },
+        data: { isActive: false }
+      });
+
+      return entry ? -entry.delta : 0;
+    });
+
+    if (cleared === null) continue;
+    expired++;
+    ingressiCleared += cleared;
+  }
+
+  return { expired, ingressiCleared };
+}
+
+/**
+ * Disattiva le assegnazioni ai gruppi con validTo passata
+ * (anche quelle di subscription annullate o con validità più breve della subscription)
+ * @param {Date} [now]
+ * @returns {Promise<{deactivated: number}>}
+ */
+async function deactivateExpiredUserGroups(now = new Date()) {
+  const { count } = await prisma.userGroup.updateMany({
+    where: { isActive: true, validTo: { lt: now } },
+    data: { isActive: false }
+  });
+
+  return { deactivated: count };
+}
+
+/**
+ * Provider per il pagamento del rinnovo: quello dell'ultimo pagamento riuscito se ancora
+ * configurato, altrimenti il primo disponibile
+ * @param {string} userId
+ * @returns {Promise<string|null>} null se nessun provider è configurato
+ */
+async function getRenewalProvider(userId) {
+  const enabled = listEnabledProviders();
+
+  const lastPayment = await prisma.payment.findFirst({
+    where: { userId, status: PaymentStatus.SUCCEEDED, provider: { in: enabled } },
+    orderBy: { createdAt: 'desc' },
+    select: { provider: true }
+  });
+
+  return lastPayment?.provider ?? enabled[0] ?? null;
+}
+
+/**
+ * Rinnova dallo stesso piano le subscription scadute con rinnovo automatico
+ * - la nuova subscription parte dalla fine della precedente (o da adesso, se il job è in ritardo),
+ *   eredita il rinnovo automatico e resta PENDING: si attiva solo con il webhook del pagamento
+ * - il membro riceve il link del checkout (o ne avvia uno con POST /user/me/subscription/checkout)
+ * - nessun rinnovo (e rinnovo automatico spento) se il piano non è più attivo, l'utente
+ *   ha già un'altra subscription attiva o nessun provider di pagamento è configurato
+ * @param {Date} [now]
+ * @returns {Promise<{renewed: number, skipped: number, failed: number}>}
+ */
+async function renewExpiredSubscriptions(now = new Date()) {
+  const subscriptions = await prisma.subscription.findMany({
+    where: {
+      status: SubscriptionStatus.EXPIRED,
+      autoRenew: true,
+      planId: { not: null },
+      renewal: { is: null }
+    },
+    include: { plan: true, user: { select: userSelect } },
+    orderBy: { endDate: 'asc' }
+  });
+
+  let renewed = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const subscription of subscriptions) {
+    const otherActive = await prisma.subscription.count({
+      where: {
+        userId: subscription.userId,
+        status: SubscriptionStatus.ACTIVE,
+        endDate: { gte: now }
+      }
+    });
+
+    const provider = await getRenewalProvider(subscription.userId);
+
+    if (!subscription.plan.isActive || otherActive || !provider) {
+      await prisma.subscription.update({
+        where: { id: subscription.id },
+        data: { autoRenew: false }
+      });
+      skipped++;
+      continue;
+    }
+
+    let created;
+    try {
+      created = await createSubscriptionWithGroups({
+        userId: subscription.userId,
+        planId: subscription.planId,
+        startDate: subscription.endDate > now ? subscription.endDate : now,
+        status: SubscriptionStatus.PENDING,
+        autoRenew: true,
+        renewedFromId: subscription.id
+      });
+    } catch (err) {
+      // P2002: rinnovo già creato da un'altra esecuzione
+      if (err.code !== 'P2002') {
+        console.error(`Rinnovo subscription ${subscription.id} fallito:`, err.message);
+        failed++;
+      }
+      continue;
+    }
+
+    renewed++;
+
+    let checkoutUrl = null;
+    try {
+      ({ checkoutUrl } = await createSubscriptionPayment(created, provider));
+    } catch (err) {
+      console.error(`Checkout rinnovo subscription ${created.id} fallito:`, err.message);
+    }
+
+    try {
+      await sendSubscriptionRenewalPaymentEmail(subscription.user, created, checkoutUrl);
+    } catch (err) {
+      console.error(`Notifica rinnovo fallita (${subscription.user.email}):`, err.message);
+    }
+  }
+
+  return { renewed, skipped, failed };
+}
+
+/**
+ * Invia il promemoria di scadenza alle subscription che terminano entro N giorni
+ * (impostazione subscription.renewalReminderDays, 0 = disattivato), una sola volta per subscription
+ * @param {Date} [now]
+ * @returns {Promise<{reminded: number, failed: number}>}
+ */
+async function sendRenewalReminders(now = new Date()) {
+  const days = await getSetting('subscription.renewalReminderDays');
+  if (!days) return { reminded: 0, failed: 0 };
+
+  const subscriptions = await prisma.subscription.findMany({
+    where: {
+      status: SubscriptionStatus.ACTIVE,
+      renewalReminderSentAt: null,
+      endDate: { gte: now, lte: new Date(now.getTime() + days * DAY_MS) }
+    },
+    include: { plan: true, user: { select: userSelect } }
+  });
+
+  let reminded = 0;
+  let failed = 0;
+
+  for (const subscription of subscriptions) {
+    const renewalPlan = subscription.autoRenew && subscription.plan?.isActive ? subscription.plan : null;
+
+    try {
+      await sendSubscriptionExpiringEmail(subscription.user, subscription, renewalPlan);
+    } catch (err) {
+      console.error(`Promemoria scadenza fallito (${subscription.user.email}):`, err.message);
+      failed++;
+      continue;
+    }
+
+    await prisma.subscription.update({
+      where: { id: subscription.id },
+      data: { renewalReminderSentAt: new Date() }
+    });
+    reminded++;
+  }
+
+  return { reminded, failed };
+}
+
+/**
+ * Job di scadenza: scade le subscription, disattiva i gruppi scaduti e rinnova quelle con rinnovo automatico
+ * @returns {Promise<Object>} contatori dell'esecuzione
+ */
+async function runSubscriptionExpiryJob() {
+  const now = new Date();
+
+  const expiry = await expireSubscriptions(now);
+  const groups = await deactivateExpiredUserGroups(now);
+  const renewals = await renewExpiredSubscriptions(now);
+
+  return { ...expiry, userGroupsDeactivated: groups.deactivated, ...renewals };
+}
+
+/**
+ * Attiva o disattiva il rinnovo automatico della subscription attiva di un utente
+ * @param {string} userId
+ * @param {boolean} autoRenew
+ * @returns {Promise<Object|null>} subscription aggiornata, null se nessuna subscription attiva
+ */
+async function setAutoRenew(userId, autoRenew) {
+  const now = new Date();
+
+  const subscription = await prisma.subscription.findFirst({
+    where: {
+      userId,
+      status: SubscriptionStatus.ACTIVE,
+      startDate: { lte: now },
+      endDate: { gte: now }
+    },
+    include: { plan: true },
+    orderBy: { endDate: 'desc' }
+  });
+
+  if (!subscription) return null;
+
+  if (autoRenew && !subscription.plan) {
+    throw new Error('La subscription non è legata a un piano');
+  }
+
+  if (autoRenew && !subscription.plan.isActive) {
+    throw new Error('Il piano della subscription non è più disponibile');
+  }
+
+  return prisma.subscription.update({
+    where: { id: subscription.id },
+    data: { autoRenew }
+  });
+}
+
+module.exports = {
+  expireSubscriptions,
+  deactivateExpiredUserGroups,
+  renewExpiredSubscriptions,
+  sendRenewalReminders,
+  runSubscriptionExpiryJob,
+  setAutoRenew
+};
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 
@@ -9,21 +10,105 @@ const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || "";
 
 /* ================================
    GENERATE TOKENS
+   - sid: ID della sessione (dispositivo) a cui appartiene il token
 ================================ */
-const generateAccessToken = (user) => {
+const generateAccessToken = (user, sessionId) => {
   return jwt.sign(
-    { userId: user.id, email: user.email, role: user.role },
+    { userId: user.id, email: user.email, role: user.role, sid: sessionId },
     JWT_SECRET,
     { expiresIn: "15m" }
   );
 };
 
-const generateRefreshToken = (user) => {
+// jti casuale: ogni rotazione produce un token diverso anche nello stesso secondo
+const generateRefreshToken = (user, sessionId) => {
   return jwt.sign(
-    { userId: user.id, email: user.email, role: user.role },
+    { userId: user.id, email: user.email, role: user.role, sid: sessionId, jti: crypto.randomUUID() },
     JWT_REFRESH_SECRET,
     { expiresIn: "30d" }
   );
 };
 
-module.exports = { generateAccessToken, generateRefreshToken, JWT_SECRET, JWT_REFRESH_SECRET };
\ No newline at end of file
+/* ================================
+   2FA CHALLENGE TOKENS
+   - firmati con una chiave derivata: non sono utilizzabili come access token
+   - purpose: login (codice TOTP da verificare) | setup (attivazione obbligatoria)
+================================ */
+const TWO_FACTOR_CHALLENGE_SECRET = crypto
+  .createHmac('sha256', JWT_SECRET)
+  .update('2fa-challenge')
+  .digest('hex');
+
+const generateChallengeToken = (user, purpose) => {
+  return jwt.sign(
+    { userId: user.id, purpose },
+    TWO_FACTOR_CHALLENGE_SECRET,
+    { expiresIn: "5m" }
+  );
+};
+
+// Ritorna il payload o null se il token non è valido, scaduto o di un altro tipo
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, TWO_FACTOR_CHALLENGE_SECRET);
+    return payload.purpose === purpose ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/* ================================
+   CHECK-IN TOKENS (QR)
+   - legati a una singola prenotazione, firmati con una chiave derivata
+   - brevi: l'app rigenera il QR alla scadenza
+================================ */
+const CHECK_IN_SECRET = crypto
+  .createHmac('sha256', JWT_SECRET)
+  .update('event-checkin')
+  .digest('hex');
+
+const CHECK_IN_TOKEN_TTL_SECONDS = 10 * 60;
+
+const generateCheckInToken = (signup) => {
+  return jwt.sign(
+    { signupId: signup.id, userId: signup.userId, eventId: signup.eventId, purpose: 'checkin' },
+    CHECK_IN_SECRET,
+    { expiresIn: CHECK_IN_TOKEN_TTL_SECONDS }
+  );
+};
+
+// Ritorna il payload o null se il token non è valido o scaduto
+const verifyCheckInToken = (token) => {
+  try {
+    const payload = jwt.verify(token, CHECK_IN_SECRET);
+    return payload.purpose === 'checkin' ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+/* ================================
+   OPAQUE TOKENS (reset password, verifiche email...)
+   - al client va il token in chiaro, a db solo l'hash
+================================ */
+const generateOpaqueToken = () => {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  generateAccessToken,
+  generateRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateCheckInToken,
+  verifyCheckInToken,
+  CHECK_IN_TOKEN_TTL_SECONDS,
+  generateOpaqueToken,
+  hashToken,
+  JWT_SECRET,
+  JWT_REFRESH_SECRET
+};
\ No newline at end of file
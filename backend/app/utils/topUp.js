@@ -0,0 +1,129 @@
+// utils/topUp.js
+const { SubscriptionStatus, TopUpStatus, PaymentPurpose } = require('@prisma/client');
+const prisma = require('../prisma');
+const { createPayment } = require('./payment');
+
+// Codice restituito all'app quando gli ingressi sono finiti (può proporre un pacchetto)
+const INGRESSI_EXHAUSTED = 'INGRESSI_EXHAUSTED';
+
+// Campi del pacchetto mostrati all'utente
+const publicPackSelect = {
+  id: true,
+  name: true,
+  ingressi: true,
+  price: true,
+  currency: true
+};
+
+/**
+ * Subscription attiva e in corso di validità di un utente
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+async function findActiveSubscription(userId) {
+  const now = new Date();
+
+  return prisma.subscription.findFirst({
+    where: {
+      userId,
+      status: SubscriptionStatus.ACTIVE,
+      startDate: { lte: now },
+      endDate: { gte: now }
+    },
+    orderBy: { endDate: 'desc' }
+  });
+}
+
+/**
+ * Pacchetti del catalogo
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly=false] - solo i pacchetti acquistabili
+ * @param {Object} [options.select] - campi da restituire (default: tutti)
+ * @returns {Promise<Object[]>}
+ */
+async function listTopUpPacks({ activeOnly = false, select } = {}) {
+  return prisma.topUpPack.findMany({
+    where: activeOnly ? { isActive: true } : {},
+    ...(select && { select }),
+    orderBy: [{ ingressi: 'asc' }, { name: 'asc' }]
+  });
+}
+
+/**
+ * Avvia l'acquisto di un pacchetto sulla subscription attiva dell'utente
+ * - prezzo e ingressi vengono copiati dal pacchetto
+ * - l'acquisto resta PENDING finché il webhook del provider non conferma il pagamento
+ * @param {string} userId
+ * @param {number} packId
+ * @param {string} provider - provider di pagamento
+ * @returns {Promise<{purchase: Object, payment: Object}>}
+ */
+async function createTopUpPurchase(userId, packId, provider) {
+  const subscription = await findActiveSubscription(userId);
+  if (!subscription) throw new Error('Nessuna subscription attiva');
+
+  const pack = await prisma.topUpPack.findFirst({ where: { id: packId, isActive: true } });
+  if (!pack) throw new Error('Pacchetto non disponibile');
+
+  const purchase = await prisma.topUpPurchase.create({
+    data: {
+      userId,
+      subscriptionId: subscription.id,
+      packId: pack.id,
+      ingressi: pack.ingressi,
+      amount: pack.price,
+      currency: pack.currency
+    }
+  });
+
+  let payment;
+  try {
+    payment = await createPayment({
+      provider,
+      userId,
+      purpose: PaymentPurpose.TOP_UP,
+      amount: purchase.amount,
+      currency: purchase.currency,
+      description: pack.name,
+      topUpPurchaseId: purchase.id
+    });
+  } catch (err) {
+    await prisma.topUpPurchase.update({
+      where: { id: purchase.id },
+      data: { status: TopUpStatus.CANCELLED }
+    });
+    throw err;
+  }
+
+  return { purchase, payment };
+}
+
+/**
+ * Storico acquisti di pacchetti
+ * @param {Object} [filters]
+ * @param {string} [filters.userId]
+ * @param {string} [filters.status] - TopUpStatus
+ * @returns {Promise<Object[]>}
+ */
+async function listTopUpPurchases({ userId, status } = {}) {
+  return prisma.topUpPurchase.findMany({
+    where: {
+      ...(userId && { userId }),
+      ...(status && { status })
+    },
+    include: {
+      pack: { select: publicPackSelect },
+      payment: { select: { id: true, provider: true, status: true, checkoutUrl: true } },
+      ...(!userId && { user: { select: { id: true, email: true, firstName: true, lastName: true } } })
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+module.exports = {
+  INGRESSI_EXHAUSTED,
+  publicPackSelect,
+  listTopUpPacks,
+  createTopUpPurchase,
+  listTopUpPurchases
+};
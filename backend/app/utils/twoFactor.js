@@ -0,0 +1,146 @@
+// utils/twoFactor.js
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const prisma = require('../prisma');
+const { getSetting } = require('./settings');
+const { hashToken } = require('./token');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Blue Dream';
+
+// Ruoli che possono attivare la 2FA
+const TWO_FACTOR_ROLES = ['ADMIN', 'SUPERADMIN'];
+
+// Codici da 30s, con tolleranza di un intervallo prima e dopo per lo scostamento dell'orologio
+const TOTP_STEP_SECONDS = 30;
+authenticator.options = { step: TOTP_STEP_SECONDS, window: 1 };
+
+const RECOVERY_CODES_COUNT = 10;
+
+/**
+ * Indica se per il ruolo la 2FA è obbligatoria (impostazione security.twoFactorRequiredRoles)
+ * @param {string} role - ruolo utente
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorRequired(role) {
+  const roles = await getSetting('security.twoFactorRequiredRoles');
+  return Array.isArray(roles) && roles.includes(role);
+}
+
+/**
+ * Genera un nuovo secret in attesa di conferma (la 2FA resta disattiva finché non viene confermata)
+ * @param {Object} user
+ * @returns {Promise<{secret: string, otpauthUri: string, qrCode: string}>} qrCode come data URL PNG
+ */
+async function startTwoFactorSetup(user) {
+  const secret = authenticator.generateSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: secret, twoFactorEnabledAt: null, twoFactorLastUsedStep: null }
+  });
+
+  const otpauthUri = authenticator.keyuri(user.email, TWO_FACTOR_ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUri);
+
+  return { secret, otpauthUri, qrCode };
+}
+
+/**
+ * Verifica un codice TOTP impedendo il riutilizzo dello stesso codice
+ * @param {Object} user - utente con twoFactorSecret
+ * @param {string} code - codice a 6 cifre
+ * @returns {Promise<boolean>}
+ */
+async function verifyTotpCode(user, code) {
+  if (!user.twoFactorSecret || !code) return false;
+
+  const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), user.twoFactorSecret);
+  if (delta === null) return false;
+
+  const step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+  if (user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep) return false;
+
+  // Aggiornamento condizionato: due richieste concorrenti con lo stesso codice non passano entrambe
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { lt: step } }]
+    },
+    data: { twoFactorLastUsedStep: step }
+  });
+
+  return count === 1;
+}
+
+/**
+ * Rigenera i codici di recupero invalidando i precedenti
+ * @param {string} userId
+ * @returns {Promise<string[]>} codici in chiaro (mostrati una sola volta)
+ */
+async function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await prisma.$transaction([
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.twoFactorRecoveryCode.createMany({
+      data: codes.map(code => ({ userId, codeHash: hashToken(code) }))
+    })
+  ]);
+
+  return codes;
+}
+
+/**
+ * Consuma un codice di recupero
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<boolean>} true se il codice era valido e non ancora usato
+ */
+async function consumeRecoveryCode(userId, code) {
+  if (!code) return false;
+
+  const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+    where: { userId, codeHash: hashToken(String(code).trim().toLowerCase()), usedAt: null },
+    data: { usedAt: new Date() }
+  });
+
+  return count === 1;
+}
+
+/**
+ * Conta i codici di recupero ancora disponibili
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+async function countRemainingRecoveryCodes(userId) {
+  return prisma.twoFactorRecoveryCode.count({ where: { userId, usedAt: null } });
+}
+
+/**
+ * Disattiva la 2FA ed elimina secret e codici di recupero
+ * @param {string} userId
+ */
+async function disableTwoFactor(userId) {
+  await prisma.$transaction([
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastUsedStep: null }
+    })
+  ]);
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  isTwoFactorRequired,
+  startTwoFactorSetup,
+  verifyTotpCode,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRemainingRecoveryCodes,
+  disableTwoFactor
+};
@@ -0,0 +1,79 @@
+// utils/waitlist.js
+const prisma = require('../prisma');
+const { canBookEvent } = require('./subscription');
+const { canBookEventByEventId } = require('./dateRules');
+const { checkEventCapacity } = require('./instructors');
+const { bookEventInTransaction } = require('./booking');
+
+// Ordine della coda: primo arrivato, primo servito
+const WAITLIST_ORDER = [{ createdAt: 'asc' }, { id: 'asc' }];
+
+/**
+ * Restituisce la posizione (1-based) dell'utente nella lista d'attesa dell'evento
+ * @param {string} userId - ID utente
+ * @param {number} eventId - ID evento
+ * @returns {Promise<number|null>} posizione o null se non in lista
+ */
+async function getWaitlistPosition(userId, eventId) {
+  const queue = await prisma.eventWaitlistEntry.findMany({
+    where: { eventId },
+    orderBy: WAITLIST_ORDER,
+    select: { userId: true }
+  });
+
+  const index = queue.findIndex(entry => entry.userId === userId);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Promuove gli utenti in lista d'attesa finché ci sono posti liberi
+ * - rispetta l'ordine della coda
+ * - salta (senza rimuoverli) gli utenti non più idonei
+ * - scala l'ingresso al momento della promozione
+ * @param {number} eventId - ID evento
+ * @returns {Promise<string[]>} ID degli utenti promossi
+ */
+async function promoteFromWaitlist(eventId) {
+  const promoted = [];
+
+  // Oltre la chiusura prenotazioni nessuno viene promosso
+  const timeCheck = await canBookEventByEventId(eventId);
+  if (!timeCheck.canBook) return promoted;
+
+  const queue = await prisma.eventWaitlistEntry.findMany({
+    where: { eventId },
+    orderBy: WAITLIST_ORDER
+  });
+
+  for (const entry of queue) {
+    const event = await prisma.event.findUnique({
+      where: { id: eventId },
+      include: { _count: { select: { signups: true } } }
+    });
+
+    if (!event) break;
+
+    const capacity = await checkEventCapacity(event, event._count.signups);
+    if (!capacity.available) break;
+
+    const check = await canBookEvent(entry.userId, eventId);
+    if (!check.canBook) continue;
+
+    try {
+      await prisma.$transaction(tx =>
+        bookEventInTransaction(tx, { userId: entry.userId, eventId })
+      );
+      promoted.push(entry.userId);
+    } catch (err) {
+      console.error(`Promozione lista d'attesa fallita (evento ${eventId}, utente ${entry.userId}):`, err.message);
+    }
+  }
+
+  return promoted;
+}
+
+module.exports = {
+  WAITLIST_ORDER,
+  getWaitlistPosition,
+  promoteFromWaitlist
+};
@@ -1,5 +1,6 @@
 const z = require('zod');
-const { Role, UserStatus, EventStatus } = require('@prisma/client');
+const { Role, UserStatus, EventStatus, AttendanceStatus, GroupLevel, LocationType, ResourceType, SeriesFrequency } = require('@prisma/client');
+const { PAYMENT_PROVIDERS, MOCK_OUTCOMES } = require('./paymentProviders');
 
 /* =====================
    Regex
@@ -8,6 +9,26 @@ const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/;
 const dateRegex = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
+/* =====================
+   Data YYYY-MM-DD come Date UTC a mezzanotte (colonne @db.Date: eventi, serie, sospensioni)
+===================== */
+const utcDateSchema = z
+  .string()
+  .regex(dateRegex, "Formato data non valido (YYYY-MM-DD)")
+  .refine((value) => {
+    const [y, m, d] = value.split("-").map(Number);
+    const date = new Date(y, m - 1, d);
+    return (
+      date.getFullYear() === y &&
+      date.getMonth() === m - 1 &&
+      date.getDate() === d
+    );
+  }, "Data non valida")
+  .transform((value) => {
+    const [y, m, d] = value.split("-").map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+  });
+
 /* =====================
    Schema USER CREATE & PATCH
 ===================== */
@@ -91,16 +112,33 @@ const baseUserFields = {
 
 /* =====================
    POST /users
+   con planId date, importo e ingressi sono facoltativi (default dal piano)
 ===================== */
 const userPostSchema = z
   .object({
     ...baseUserFields,
+    planId: z.coerce.number().int().positive("Piano non valido").optional(),
+    startDate: baseUserFields.startDate.optional(),
+    endDate: baseUserFields.endDate.optional(),
+    amount: baseUserFields.amount.optional(),
+    ingressi: baseUserFields.ingressi.optional(),
     password: z
       .string()
       .min(8, "La password deve avere almeno 8 caratteri"),
   })
   .superRefine((data, ctx) => {
-    if (new Date(data.startDate) > new Date(data.endDate)) {
+    if (!data.planId) {
+      for (const field of ["startDate", "endDate", "amount", "ingressi"]) {
+        if (data[field] === undefined) {
+          ctx.addIssue({
+            path: [field],
+            message: `${field} obbligatorio senza piano`,
+          });
+        }
+      }
+    }
+
+    if (data.startDate && data.endDate && data.startDate > data.endDate) {
       ctx.addIssue({
         path: ["startDate"],
         message: "La data di inizio non può essere successiva a quella di fine",
@@ -136,6 +174,114 @@ const validateUserPutBody = (body) => {
   return userPutSchema.parse(body);
 };
 
+/* =====================
+   Schema SUBSCRIPTION PLAN CREATE & PUT
+===================== */
+const basePlanSchema = z.object({
+  name: z.string().trim().min(1, "Nome obbligatorio"),
+  description: z.string().nullable().optional(),
+  price: z.number().positive("Il prezzo deve essere maggiore di 0"),
+  currency: z.enum(["EUR", "USD", "GBP", "CHF"], { message: "Valuta non valida" }).optional(),
+  durationDays: z.number().int().min(1, "La durata deve essere di almeno un giorno"),
+  ingressi: z.number().int().min(1, "Gli ingressi devono essere maggiori di 0"),
+  groupLevels: z
+    .array(z.enum(GroupLevel, { message: "Livello non valido" }))
+    .transform((levels) => [...new Set(levels)])
+    .optional(),
+  maxFreezes: z.number().int().min(0, "Non può essere negativo").nullable().optional(),
+  maxFreezeDays: z.number().int().min(1, "Deve essere un numero maggiore di 0").nullable().optional(),
+  isActive: z.boolean().optional(),
+});
+
+/* =====================
+   POST /admin/plans
+===================== */
+const validatePlanBody = (body) => {
+  return basePlanSchema.parse(body);
+};
+
+/* =====================
+   PUT /admin/plans/:id
+===================== */
+const validatePlanPutBody = (body) => {
+  return basePlanSchema.partial().parse(body);
+};
+
+/* =====================
+   Schema TOP-UP PACK CREATE & PUT
+===================== */
+const baseTopUpPackSchema = z.object({
+  name: z.string().trim().min(1, "Nome obbligatorio"),
+  ingressi: z.number().int().min(1, "Gli ingressi devono essere maggiori di 0"),
+  price: z.number().positive("Il prezzo deve essere maggiore di 0"),
+  currency: z.enum(["EUR", "USD", "GBP", "CHF"], { message: "Valuta non valida" }).optional(),
+  isActive: z.boolean().optional(),
+});
+
+/* =====================
+   POST /admin/top-up-packs
+===================== */
+const validateTopUpPackBody = (body) => {
+  return baseTopUpPackSchema.parse(body);
+};
+
+/* =====================
+   PUT /admin/top-up-packs/:id
+===================== */
+const validateTopUpPackPutBody = (body) => {
+  return baseTopUpPackSchema.partial().parse(body);
+};
+
+/* =====================
+   Provider di pagamento (solo quelli configurati vengono accettati da createPayment)
+===================== */
+const paymentProviderSchema = z.enum(PAYMENT_PROVIDERS, { message: "Provider di pagamento non valido" });
+
+/* =====================
+   POST /user/me/top-ups
+===================== */
+const validateTopUpPurchaseBody = (body) => {
+  return z
+    .object({
+      packId: z.number().int().positive("Pacchetto non valido"),
+      paymentProvider: paymentProviderSchema,
+    })
+    .parse(body);
+};
+
+/* =====================
+   POST /user/me/subscription/checkout
+===================== */
+const validatePaymentCheckoutBody = (body) => {
+  return z
+    .object({
+      paymentProvider: paymentProviderSchema,
+    })
+    .parse(body);
+};
+
+/* =====================
+   POST /admin/payments/:id/refund
+===================== */
+const validatePaymentRefundBody = (body) => {
+  return z
+    .object({
+      note: z.string().trim().max(500, "Massimo 500 caratteri").optional(),
+    })
+    .parse(body ?? {});
+};
+
+/* =====================
+   POST /payments/mock/checkout/:id/complete
+===================== */
+const validateMockCheckoutCompleteBody = (body) => {
+  return z
+    .object({
+      outcome: z.enum(Object.keys(MOCK_OUTCOMES), { message: "Esito non valido" }),
+    })
+    .parse(body);
+};
+
 /* =====================
    Schema EVENT CREATE & PATCH
 ===================== */
@@ -143,7 +289,9 @@ const baseEventSchema = z.object({
   title: z.string().min(1, "Titolo obbligatorio"),
   description: z.string().min(1, "Descrizione obbligatoria"),
   equipment: z.string().min(1, "Attrezzatura obbligatoria"),
-  location: z.string().min(1, "Posto obbligatorio"),
+  // luogo gestito (Location) o, in alternativa, testo libero
+  location: z.string().min(1, "Posto obbligatorio").optional(),
+  locationId: z.coerce.number().int().positive("Luogo non valido").nullable().optional(),
   note: z.string().optional(),
   status: z.enum(EventStatus).optional(),
 
@@ -167,10 +315,18 @@ const baseEventSchema = z.object({
   startTime: z.string().regex(timeRegex, "Formato ora non valido (HH:MM)"),
   endTime: z.string().regex(timeRegex, "Formato ora non valido (HH:MM)"),
 
+  // risorse riservate (corsie, barche, postazioni): in modifica sostituiscono quelle attuali
+  resourceIds: z
+    .array(z.coerce.number().int().positive("Risorsa non valida"))
+    .refine((ids) => new Set(ids).size === ids.length, "Risorsa ripetuta nell'elenco")
+    .optional(),
+
+  // se omesso: capienza di default del luogo
   maxSlots: z
     .coerce.number({ invalid_type_error: "Deve essere un numero" })
     .int()
-    .min(1, "Deve essere un numero maggiore di 0"),
+    .min(1, "Deve essere un numero maggiore di 0")
+    .optional(),
 
   categoryId: z.coerce.number().int("Categoria non valida"),
 });
@@ -181,6 +337,13 @@ const baseEventSchema = z.object({
 const validateEventBody = (body) => {
   return baseEventSchema
     .superRefine((data, ctx) => {
+      if (!data.locationId && !data.location) {
+        ctx.addIssue({
+          path: ["location"],
+          message: "Posto obbligatorio",
+        });
+      }
+
       const [sh, sm] = data.startTime.split(":").map(Number);
       const [eh, em] = data.endTime.split(":").map(Number);
 
@@ -218,6 +381,407 @@ const validateEventPatchBody = (body) => {
     .parse(body);
 };
 
+/* =====================
+   Schema LOCATION CREATE & PUT
+===================== */
+const baseLocationSchema = z.object({
+  name: z.string().trim().min(1, "Nome obbligatorio"),
+  type: z.enum(LocationType, { message: "Tipo di luogo non valido" }),
+  address: z.string().trim().min(1).nullable().optional(),
+  latitude: z.number().min(-90, "Latitudine non valida").max(90, "Latitudine non valida").nullable().optional(),
+  longitude: z.number().min(-180, "Longitudine non valida").max(180, "Longitudine non valida").nullable().optional(),
+  defaultCapacity: z.number().int().min(1, "Deve essere un numero maggiore di 0").nullable().optional(),
+  lanes: z.number().int().min(1, "Deve essere un numero maggiore di 0").nullable().optional(),
+  notes: z.string().nullable().optional(),
+});
+
+// Coordinate sempre in coppia
+const refineCoordinates = (data, ctx) => {
+  if ((data.latitude === undefined) !== (data.longitude === undefined) ||
+      (data.latitude === null) !== (data.longitude === null)) {
+    ctx.addIssue({
+      path: ["latitude"],
+      message: "Indica sia latitudine che longitudine",
+    });
+  }
+};
+
+/* =====================
+   POST /admin/locations
+===================== */
+const validateLocationBody = (body) => {
+  return baseLocationSchema.superRefine(refineCoordinates).parse(body);
+};
+
+/* =====================
+   PUT /admin/locations/:id
+===================== */
+const validateLocationPutBody = (body) => {
+  return baseLocationSchema.partial().superRefine(refineCoordinates).parse(body);
+};
+
+/* =====================
+   Schema RESOURCE CREATE & PUT
+===================== */
+const baseResourceSchema = z.object({
+  name: z.string().trim().min(1, "Nome obbligatorio"),
+  type: z.enum(ResourceType, { message: "Tipo di risorsa non valido" }),
+  locationId: z.number().int().positive("Luogo non valido").nullable().optional(),
+  notes: z.string().nullable().optional(),
+  isActive: z.boolean().optional(),
+});
+
+/* =====================
+   POST /admin/resources
+===================== */
+const validateResourceBody = (body) => {
+  return baseResourceSchema.parse(body);
+};
+
+/* =====================
+   PUT /admin/resources/:id
+===================== */
+const validateResourcePutBody = (body) => {
+  return baseResourceSchema.partial().parse(body);
+};
+
+/* =====================
+   POST /admin/event-series
+   - modello evento (senza data) + regola di ripetizione
+   - date della regola in UTC, come le date evento (@db.Date)
+===================== */
+const WEEKDAY_NAMES = ["LUNEDI", "MARTEDI", "MERCOLEDI", "GIOVEDI", "VENERDI", "SABATO", "DOMENICA"];
+
+const eventSeriesSchema = baseEventSchema
+  .omit({ date: true, status: true })
+  .extend({
+    frequency: z.enum(SeriesFrequency, { message: "Frequenza non valida" }),
+    weekdays: z
+      .array(z.enum(WEEKDAY_NAMES, { message: "Giorno della settimana non valido" }))
+      .min(1, "Indica almeno un giorno della settimana")
+      .refine((days) => new Set(days).size === days.length, "Giorno ripetuto nell'elenco"),
+    startDate: utcDateSchema,
+    untilDate: utcDateSchema.optional(),
+    count: z.number().int().min(1, "Deve essere un numero maggiore di 0").optional(),
+    exceptionDates: z.array(utcDateSchema).optional(),
+  })
+  .superRefine((data, ctx) => {
+    if (!data.locationId && !data.location) {
+      ctx.addIssue({
+        path: ["location"],
+        message: "Posto obbligatorio",
+      });
+    }
+
+    if (data.startTime > data.endTime) {
+      ctx.addIssue({
+        path: ["startTime"],
+        message: "L'orario di inizio non può essere successivo a quello di fine",
+      });
+    }
+
+    if ((data.untilDate === undefined) === (data.count === undefined)) {
+      ctx.addIssue({
+        path: ["untilDate"],
+        message: "Indica una data di fine oppure il numero di occorrenze",
+      });
+    }
+
+    if (data.untilDate && data.untilDate < data.startDate) {
+      ctx.addIssue({
+        path: ["untilDate"],
+        message: "La data di fine non può precedere quella di inizio",
+      });
+    }
+  });
+
+const validateEventSeriesBody = (body) => {
+  return eventSeriesSchema.parse(body);
+};
+
+/* =====================
+   DELETE /admin/events/:id (annullamento)
+===================== */
+const validateEventCancelBody = (body) => {
+  return z
+    .object({
+      reason: z.string().trim().min(3, "Indica il motivo dell'annullamento"),
+    })
+    .parse(body ?? {});
+};
+
+/* =====================
+   BOOKING RULES (chiusure prenotazione/disdetta)
+===================== */
+const cutoffMinutesSchema = z
+  .number({ invalid_type_error: "Deve essere un numero" })
+  .int("Deve essere un numero intero di minuti")
+  .min(0, "Non può essere negativo");
+
+// Partecipanti per istruttore (0 = nessun limite)
+const instructorRatioSchema = z
+  .number({ invalid_type_error: "Deve essere un numero" })
+  .int("Deve essere un numero intero")
+  .min(0, "Non può essere negativo");
+
+/* =====================
+   PUT /booking-rules/default
+===================== */
+const validateBookingRulesDefaultBody = (body) => {
+  return z
+    .object({
+      bookCutoffMinutes: cutoffMinutesSchema.optional(),
+      cancelCutoffMinutes: cutoffMinutesSchema.optional(),
+      maxParticipantsPerInstructor: instructorRatioSchema.optional(),
+    })
+    .parse(body);
+};
+
+/* =====================
+   PUT /event-categories/:id/booking-rules
+   null = usa il default globale
+===================== */
+const validateCategoryBookingRulesBody = (body) => {
+  return z
+    .object({
+      bookCutoffMinutes: cutoffMinutesSchema.nullable().optional(),
+      cancelCutoffMinutes: cutoffMinutesSchema.nullable().optional(),
+      maxParticipantsPerInstructor: instructorRatioSchema.nullable().optional(),
+      requiresMedicalCertificate: z.boolean().optional(),
+    })
+    .parse(body);
+};
+
+/* =====================
+   POST /auth/password/reset
+===================== */
+const validatePasswordResetBody = (body) => {
+  return z
+    .object({
+      token: z.string().min(1, "Token obbligatorio"),
+      password: z
+        .string()
+        .min(8, "La password deve avere almeno 8 caratteri"),
+    })
+    .parse(body);
+};
+
+/* =====================
+   PUT /admin/medical-certificates/settings
+===================== */
+const validateMedicalCertificateSettingsBody = (body) => {
+  return z
+    .object({
+      gracePeriodDays: z
+        .number({ invalid_type_error: "Deve essere un numero" })
+        .int("Deve essere un numero intero di giorni")
+        .min(0, "Non può essere negativo")
+        .max(90, "Massimo 90 giorni"),
+    })
+    .parse(body);
+};
+
+/* =====================
+   POST /user/me/medical-certificate (campi multipart)
+===================== */
+const validateMedicalCertificateUploadBody = (body) => {
+  return z
+    .object({
+      expiryDate: baseUserFields.medicalCertificateExpiryDate,
+    })
+    .parse(body ?? {});
+};
+
+/* =====================
+   POST /admin/medical-certificates/:id/approve
+   - senza expiryDate vale la scadenza dichiarata dal membro
+===================== */
+const validateMedicalCertificateApproveBody = (body) => {
+  return z
+    .object({
+      expiryDate: baseUserFields.medicalCertificateExpiryDate,
+    })
+    .parse(body ?? {});
+};
+
+/* =====================
+   POST /admin/medical-certificates/:id/reject
+===================== */
+const validateMedicalCertificateRejectBody = (body) => {
+  return z
+    .object({
+      reason: z.string().trim().min(3, "Indica il motivo del rifiuto"),
+    })
+    .parse(body ?? {});
+};
+
+/* =====================
+   PUT /admin/events/:id/attendance
+   - status null cancella la presenza registrata
+===================== */
+const validateAttendanceBody = (body) => {
+  return z
+    .object({
+      entries: z
+        .array(
+          z.object({
+            userId: z.string().min(1, "Utente obbligatorio"),
+            status: z.enum(AttendanceStatus, { message: "Presenza non valida" }).nullable(),
+          })
+        )
+        .min(1, "Indica almeno una presenza")
+        .refine(
+          (entries) => new Set(entries.map((e) => e.userId)).size === entries.length,
+          "Utente ripetuto nell'elenco"
+        ),
+    })
+    .parse(body);
+};
+
+/* =====================
+   PUT /admin/events/:id/instructors
+   - lista completa: sostituisce gli istruttori assegnati
+===================== */
+const validateEventInstructorsBody = (body) => {
+  return z
+    .object({
+      userIds: z
+        .array(z.string().min(1, "Utente obbligatorio"))
+        .refine((ids) => new Set(ids).size === ids.length, "Istruttore ripetuto nell'elenco"),
+    })
+    .parse(body);
+};
+
+/* =====================
+   PUT /admin/attendance/settings
+   - noShowThreshold 0 = blocco disattivato
+===================== */
+const validateAttendanceSettingsBody = (body) => {
+  const daysSchema = z
+    .number({ invalid_type_error: "Deve essere un numero" })
+    .int("Deve essere un numero intero di giorni")
+    .min(1, "Minimo 1 giorno")
+    .max(365, "Massimo 365 giorni");
+
+  return z
+    .object({
+      noShowThreshold: z
+        .number({ invalid_type_error: "Deve essere un numero" })
+        .int("Deve essere un numero intero")
+        .min(0, "Non può essere negativo")
+        .optional(),
+      noShowWindowDays: daysSchema.optional(),
+      noShowBlockDays: daysSchema.optional(),
+      countLateCancel: z.boolean().optional(),
+    })
+    .strict()
+    .parse(body);
+};
+
+/* =====================
+   POST /admin/users/:id/ingressi/adjustments
+===================== */
+const validateIngressiAdjustmentBody = (body) => {
+  return z
+    .object({
+      delta: z.coerce
+        .number()
+        .int("La rettifica deve essere un numero intero")
+        .refine((value) => value !== 0, "La rettifica non può essere 0"),
+      reason: z.string().trim().min(3, "Indica il motivo della rettifica"),
+      subscriptionId: z.coerce.number().int().positive().optional(),
+    })
+    .parse(body);
+};
+
+/* =====================
+   PATCH /user/me
+   - cambio email e password richiedono la password attuale
+===================== */
+const validateProfilePatchBody = (body) => {
+  return z
+    .object({
+      firstName: z.string().trim().min(1, "Nome non valido").optional(),
+      lastName: z.string().trim().min(1, "Cognome non valido").optional(),
+      email: z
+        .string()
+        .trim()
+        .regex(emailRegex, { message: "Email non valida" })
+        .optional(),
+      currentPassword: z.string().min(1).optional(),
+      newPassword: z
+        .string()
+        .min(8, "La password deve avere almeno 8 caratteri")
+        .optional(),
+    })
+    .strict()
+    .refine(
+      (data) => (data.email === undefined && data.newPassword === undefined) || !!data.currentPassword,
+      { message: "La password attuale è obbligatoria per cambiare email o password", path: ["currentPassword"] }
+    )
+    .parse(body);
+};
+
+/* =====================
+   PUT /superadmin/settings/two-factor
+===================== */
+const validateTwoFactorSettingsBody = (body) => {
+  return z
+    .object({
+      requiredRoles: z
+        .array(z.enum(["ADMIN", "SUPERADMIN"], { message: "Ruolo non valido: la 2FA è disponibile solo per ADMIN e SUPERADMIN" }))
+        .transform((roles) => [...new Set(roles)]),
+    })
+    .parse(body);
+};
+
+/* =====================
+   POST /admin/subscriptions/:id/freezes
+===================== */
+const validateSubscriptionFreezeBody = (body) => {
+  return z
+    .object({
+      startDate: utcDateSchema,
+      endDate: utcDateSchema,
+      reason: z.string().trim().min(1, "Motivo obbligatorio").max(500, "Motivo troppo lungo"),
+    })
+    .superRefine((data, ctx) => {
+      if (data.startDate > data.endDate) {
+        ctx.addIssue({
+          path: ["startDate"],
+          message: "La data di inizio non può essere successiva a quella di fine",
+        });
+      }
+    })
+    .parse(body);
+};
+
+/* =====================
+   PUT /superadmin/settings/subscription-reminders
+===================== */
+const validateSubscriptionReminderSettingsBody = (body) => {
+  return z
+    .object({
+      renewalReminderDays: z
+        .number({ invalid_type_error: "Deve essere un numero" })
+        .int("Deve essere un numero intero di giorni")
+        .min(0, "Non può essere negativo")
+        .max(60, "Massimo 60 giorni"),
+    })
+    .parse(body);
+};
+
+/* =====================
+   PUT /user/me/subscription/auto-renew
+===================== */
+const validateAutoRenewBody = (body) => {
+  return z
+    .object({
+      autoRenew: z.boolean({ message: "autoRenew deve essere true o false" }),
+    })
+    .parse(body);
+};
+
 /* =====================
    EXPORTS
 ===================== */
@@ -225,5 +789,35 @@ module.exports = {
   validateUserPostBody,
   validateUserPutBody,
   validateEventBody,
-  validateEventPatchBody
+  validateEventPatchBody,
+  validateEventCancelBody,
+  validateEventSeriesBody,
+  validatePlanBody,
+  validatePlanPutBody,
+  validateTopUpPackBody,
+  validateTopUpPackPutBody,
+  validateTopUpPurchaseBody,
+  validatePaymentCheckoutBody,
+  validatePaymentRefundBody,
+  validateMockCheckoutCompleteBody,
+  validateLocationBody,
+  validateLocationPutBody,
+  validateResourceBody,
+  validateResourcePutBody,
+  validateBookingRulesDefaultBody,
+  validateCategoryBookingRulesBody,
+  validatePasswordResetBody,
+  validateProfilePatchBody,
+  validateIngressiAdjustmentBody,
+  validateAttendanceBody,
+  validateAttendanceSettingsBody,
+  validateEventInstructorsBody,
+  validateMedicalCertificateSettingsBody,
+  validateMedicalCertificateUploadBody,
+  validateMedicalCertificateApproveBody,
+  validateMedicalCertificateRejectBody,
+  validateTwoFactorSettingsBody,
+  validateSubscriptionReminderSettingsBody,
+  validateAutoRenewBody,
+  validateSubscriptionFreezeBody
 };
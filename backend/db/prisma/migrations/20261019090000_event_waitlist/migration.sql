@@ -0,0 +1,12 @@
+-- TABLE: EventWaitlistEntry
+CREATE TABLE "EventWaitlistEntry" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "eventId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "EventWaitlistEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE,
+    CONSTRAINT "EventWaitlistEntry_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE CASCADE,
+    CONSTRAINT "EventWaitlistEntry_userId_eventId_key" UNIQUE ("userId","eventId")
+);
+
+CREATE INDEX "EventWaitlistEntry_eventId_createdAt_idx" ON "EventWaitlistEntry"("eventId", "createdAt");
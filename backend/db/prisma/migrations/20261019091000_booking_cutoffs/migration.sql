@@ -0,0 +1,20 @@
+-- ALTER TABLE: EventCategory
+ALTER TABLE "EventCategory" ADD COLUMN "bookCutoffMinutes" INTEGER;
+ALTER TABLE "EventCategory" ADD COLUMN "cancelCutoffMinutes" INTEGER;
+
+-- Uscite in acque libere e Y-40: chiusura 48 ore prima
+UPDATE "EventCategory"
+SET "bookCutoffMinutes" = 2880, "cancelCutoffMinutes" = 2880
+WHERE "code" LIKE 'OPEN_WATER_%' OR "code" LIKE 'Y40_%';
+
+-- Allenamenti in piscina: prenotazione fino a 1 ora prima
+UPDATE "EventCategory"
+SET "bookCutoffMinutes" = 60
+WHERE "code" LIKE 'TRAINING_%';
+
+-- TABLE: Setting
+CREATE TABLE "Setting" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "value" JSONB NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL
+);
@@ -0,0 +1,20 @@
+-- ALTER TABLE: User
+ALTER TABLE "User" ADD COLUMN "failedLoginCount" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "User" ADD COLUMN "lastFailedLoginAt" TIMESTAMP(3);
+ALTER TABLE "User" ADD COLUMN "lockedUntil" TIMESTAMP(3);
+
+-- TABLE: LoginAttempt
+CREATE TABLE "LoginAttempt" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "email" TEXT NOT NULL,
+    "userId" TEXT,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "success" BOOLEAN NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "LoginAttempt_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL
+);
+
+CREATE INDEX "LoginAttempt_email_createdAt_idx" ON "LoginAttempt"("email", "createdAt");
+CREATE INDEX "LoginAttempt_ip_createdAt_idx" ON "LoginAttempt"("ip", "createdAt");
@@ -0,0 +1,16 @@
+-- ALTER TABLE: User
+ALTER TABLE "User" ADD COLUMN "twoFactorSecret" TEXT;
+ALTER TABLE "User" ADD COLUMN "twoFactorEnabledAt" TIMESTAMP(3);
+ALTER TABLE "User" ADD COLUMN "twoFactorLastUsedStep" INTEGER;
+
+-- TABLE: TwoFactorRecoveryCode
+CREATE TABLE "TwoFactorRecoveryCode" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "TwoFactorRecoveryCode_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE
+);
+
+CREATE INDEX "TwoFactorRecoveryCode_userId_idx" ON "TwoFactorRecoveryCode"("userId");
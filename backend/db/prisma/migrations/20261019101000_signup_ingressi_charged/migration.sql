@@ -0,0 +1,3 @@
+-- ALTER TABLE: EventSignup
+-- le righe esistenti vengono corrette dal backfill sul registro ingressi (20261019127000)
+ALTER TABLE "EventSignup" ADD COLUMN "ingressiCharged" INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,27 @@
+-- ENUMS
+CREATE TYPE "IngressiReason" AS ENUM ('OPENING', 'GRANT', 'BOOKING', 'CANCELLATION', 'ADMIN_ADJUSTMENT', 'IMPORT', 'EXPIRY');
+
+-- TABLE: IngressiLedgerEntry
+CREATE TABLE "IngressiLedgerEntry" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "subscriptionId" INTEGER NOT NULL,
+    "userId" TEXT NOT NULL,
+    "delta" INTEGER NOT NULL,
+    "balanceAfter" INTEGER NOT NULL,
+    "reason" "IngressiReason" NOT NULL,
+    "note" TEXT,
+    "eventId" INTEGER,
+    "actorId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "IngressiLedgerEntry_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "Subscription"("id") ON DELETE CASCADE,
+    CONSTRAINT "IngressiLedgerEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE,
+    CONSTRAINT "IngressiLedgerEntry_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL
+);
+
+CREATE INDEX "IngressiLedgerEntry_subscriptionId_createdAt_idx" ON "IngressiLedgerEntry"("subscriptionId", "createdAt");
+CREATE INDEX "IngressiLedgerEntry_userId_createdAt_idx" ON "IngressiLedgerEntry"("userId", "createdAt");
+
+-- BACKFILL: saldo iniziale di ogni subscription esistente
+INSERT INTO "IngressiLedgerEntry" ("subscriptionId", "userId", "delta", "balanceAfter", "reason", "note")
+SELECT "id", "userId", "ingressi", "ingressi", 'OPENING', 'Saldo iniziale alla migrazione'
+FROM "Subscription";
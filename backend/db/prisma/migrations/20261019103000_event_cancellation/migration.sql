@@ -0,0 +1,6 @@
+-- ALTER TABLE: Event
+ALTER TABLE "Event" ADD COLUMN "cancellationReason" TEXT;
+ALTER TABLE "Event" ADD COLUMN "cancelledAt" TIMESTAMP(3);
+
+-- ALTER TABLE: EventSignup
+ALTER TABLE "EventSignup" ADD COLUMN "refundedAt" TIMESTAMP(3);
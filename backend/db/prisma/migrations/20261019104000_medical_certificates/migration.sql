@@ -0,0 +1,24 @@
+-- ENUMS
+CREATE TYPE "MedicalCertificateStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- TABLE: MedicalCertificate
+CREATE TABLE "MedicalCertificate" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "status" "MedicalCertificateStatus" NOT NULL DEFAULT 'PENDING',
+    "storageKey" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "declaredExpiryDate" TIMESTAMP(3),
+    "expiryDate" TIMESTAMP(3),
+    "reviewedById" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "rejectionReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "MedicalCertificate_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE,
+    CONSTRAINT "MedicalCertificate_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User"("id") ON DELETE SET NULL
+);
+
+CREATE INDEX "MedicalCertificate_status_createdAt_idx" ON "MedicalCertificate"("status", "createdAt");
+CREATE INDEX "MedicalCertificate_userId_createdAt_idx" ON "MedicalCertificate"("userId", "createdAt");
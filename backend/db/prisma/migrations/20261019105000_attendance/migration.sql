@@ -0,0 +1,10 @@
+-- ENUMS
+CREATE TYPE "AttendanceStatus" AS ENUM ('PRESENT', 'ABSENT', 'LATE_CANCEL');
+
+-- ALTER TABLE: EventSignup
+ALTER TABLE "EventSignup" ADD COLUMN "attendanceStatus" "AttendanceStatus";
+ALTER TABLE "EventSignup" ADD COLUMN "attendanceMarkedAt" TIMESTAMP(3);
+ALTER TABLE "EventSignup" ADD COLUMN "attendanceMarkedById" TEXT;
+ALTER TABLE "EventSignup" ADD CONSTRAINT "EventSignup_attendanceMarkedById_fkey" FOREIGN KEY ("attendanceMarkedById") REFERENCES "User"("id") ON DELETE SET NULL;
+
+CREATE INDEX "EventSignup_userId_attendanceStatus_idx" ON "EventSignup"("userId", "attendanceStatus");
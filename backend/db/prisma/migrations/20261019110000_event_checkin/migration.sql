@@ -0,0 +1,4 @@
+-- ALTER TABLE: EventSignup
+ALTER TABLE "EventSignup" ADD COLUMN "checkedInAt" TIMESTAMP(3);
+ALTER TABLE "EventSignup" ADD COLUMN "checkedInById" TEXT;
+ALTER TABLE "EventSignup" ADD CONSTRAINT "EventSignup_checkedInById_fkey" FOREIGN KEY ("checkedInById") REFERENCES "User"("id") ON DELETE SET NULL;
@@ -0,0 +1,9 @@
+-- ENUMS
+CREATE TYPE "BuddySource" AS ENUM ('REQUESTED', 'AUTO');
+
+-- ALTER TABLE: EventSignup
+ALTER TABLE "EventSignup" ADD COLUMN "buddySignupId" INTEGER;
+ALTER TABLE "EventSignup" ADD COLUMN "buddySource" "BuddySource";
+ALTER TABLE "EventSignup" ADD CONSTRAINT "EventSignup_buddySignupId_fkey" FOREIGN KEY ("buddySignupId") REFERENCES "EventSignup"("id") ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX "EventSignup_buddySignupId_key" ON "EventSignup"("buddySignupId");
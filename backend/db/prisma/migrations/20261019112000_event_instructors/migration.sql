@@ -0,0 +1,19 @@
+-- ENUMS
+ALTER TYPE "Role" ADD VALUE 'INSTRUCTOR' BEFORE 'ADMIN';
+
+-- ALTER TABLE: EventCategory
+ALTER TABLE "EventCategory" ADD COLUMN "maxParticipantsPerInstructor" INTEGER;
+
+-- TABLE: EventInstructor
+CREATE TABLE "EventInstructor" (
+    "eventId" INTEGER NOT NULL,
+    "userId" TEXT NOT NULL,
+    "assignedById" TEXT,
+    "assignedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY ("eventId", "userId"),
+    CONSTRAINT "EventInstructor_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE CASCADE,
+    CONSTRAINT "EventInstructor_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE,
+    CONSTRAINT "EventInstructor_assignedById_fkey" FOREIGN KEY ("assignedById") REFERENCES "User"("id") ON DELETE SET NULL
+);
+
+CREATE INDEX "EventInstructor_userId_idx" ON "EventInstructor"("userId");
@@ -0,0 +1,25 @@
+-- ENUMS
+CREATE TYPE "LocationType" AS ENUM ('POOL', 'SEA', 'Y40');
+
+-- TABLE: Location
+CREATE TABLE "Location" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "type" "LocationType" NOT NULL,
+    "address" TEXT,
+    "latitude" DOUBLE PRECISION,
+    "longitude" DOUBLE PRECISION,
+    "defaultCapacity" INTEGER,
+    "lanes" INTEGER,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL
+);
+
+CREATE UNIQUE INDEX "Location_name_key" ON "Location"("name");
+
+-- ALTER TABLE: Event
+ALTER TABLE "Event" ADD COLUMN "locationId" INTEGER;
+ALTER TABLE "Event" ADD CONSTRAINT "Event_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE RESTRICT;
+
+CREATE INDEX "Event_locationId_date_idx" ON "Event"("locationId", "date");
@@ -0,0 +1,28 @@
+-- ENUMS
+CREATE TYPE "ResourceType" AS ENUM ('LANE', 'BOAT', 'DEEP_STATION');
+
+-- TABLE: Resource
+CREATE TABLE "Resource" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "type" "ResourceType" NOT NULL,
+    "locationId" INTEGER,
+    "notes" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "Resource_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX "Resource_locationId_name_key" ON "Resource"("locationId", "name");
+
+-- TABLE: EventResource
+CREATE TABLE "EventResource" (
+    "eventId" INTEGER NOT NULL,
+    "resourceId" INTEGER NOT NULL,
+    PRIMARY KEY ("eventId", "resourceId"),
+    CONSTRAINT "EventResource_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE CASCADE,
+    CONSTRAINT "EventResource_resourceId_fkey" FOREIGN KEY ("resourceId") REFERENCES "Resource"("id") ON DELETE RESTRICT
+);
+
+CREATE INDEX "EventResource_resourceId_idx" ON "EventResource"("resourceId");
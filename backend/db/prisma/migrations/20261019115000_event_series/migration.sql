@@ -0,0 +1,36 @@
+-- ENUMS
+CREATE TYPE "SeriesFrequency" AS ENUM ('WEEKLY', 'BIWEEKLY');
+
+-- TABLE: EventSeries
+CREATE TABLE "EventSeries" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "equipment" TEXT,
+    "note" TEXT,
+    "location" TEXT,
+    "locationId" INTEGER,
+    "startTime" TEXT NOT NULL,
+    "endTime" TEXT NOT NULL,
+    "maxSlots" INTEGER NOT NULL DEFAULT 10,
+    "resourceIds" INTEGER[],
+    "categoryId" INTEGER NOT NULL,
+    "frequency" "SeriesFrequency" NOT NULL,
+    "weekdays" TEXT[],
+    "startDate" DATE NOT NULL,
+    "untilDate" DATE,
+    "count" INTEGER,
+    "exceptionDates" DATE[],
+    "creatorId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "EventSeries_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE RESTRICT,
+    CONSTRAINT "EventSeries_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "EventCategory"("id") ON DELETE RESTRICT,
+    CONSTRAINT "EventSeries_creatorId_fkey" FOREIGN KEY ("creatorId") REFERENCES "User"("id") ON DELETE RESTRICT
+);
+
+-- ALTER TABLE: Event
+ALTER TABLE "Event" ADD COLUMN "seriesId" INTEGER;
+ALTER TABLE "Event" ADD CONSTRAINT "Event_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "EventSeries"("id") ON DELETE SET NULL;
+
+CREATE INDEX "Event_seriesId_date_idx" ON "Event"("seriesId", "date");
@@ -0,0 +1,20 @@
+-- TABLE: SubscriptionPlan
+CREATE TABLE "SubscriptionPlan" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "price" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'EUR',
+    "durationDays" INTEGER NOT NULL,
+    "ingressi" INTEGER NOT NULL,
+    "groupLevels" "GroupLevel"[],
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL
+);
+
+CREATE UNIQUE INDEX "SubscriptionPlan_name_key" ON "SubscriptionPlan"("name");
+
+-- ALTER TABLE: Subscription
+ALTER TABLE "Subscription" ADD COLUMN "planId" INTEGER;
+ALTER TABLE "Subscription" ADD CONSTRAINT "Subscription_planId_fkey" FOREIGN KEY ("planId") REFERENCES "SubscriptionPlan"("id") ON DELETE RESTRICT;
@@ -0,0 +1,27 @@
+-- ENUMS
+CREATE TYPE "JobRunStatus" AS ENUM ('RUNNING', 'SUCCEEDED', 'FAILED');
+CREATE TYPE "JobTrigger" AS ENUM ('SCHEDULED', 'MANUAL');
+
+-- ALTER TABLE: Subscription
+ALTER TABLE "Subscription" ADD COLUMN "autoRenew" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "Subscription" ADD COLUMN "renewalReminderSentAt" TIMESTAMP(3);
+ALTER TABLE "Subscription" ADD COLUMN "renewedFromId" INTEGER;
+ALTER TABLE "Subscription" ADD CONSTRAINT "Subscription_renewedFromId_fkey" FOREIGN KEY ("renewedFromId") REFERENCES "Subscription"("id") ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX "Subscription_renewedFromId_key" ON "Subscription"("renewedFromId");
+
+-- TABLE: JobRun
+CREATE TABLE "JobRun" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "job" TEXT NOT NULL,
+    "status" "JobRunStatus" NOT NULL DEFAULT 'RUNNING',
+    "trigger" "JobTrigger" NOT NULL,
+    "triggeredById" TEXT,
+    "result" JSONB,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    CONSTRAINT "JobRun_triggeredById_fkey" FOREIGN KEY ("triggeredById") REFERENCES "User"("id") ON DELETE SET NULL
+);
+
+CREATE INDEX "JobRun_job_startedAt_idx" ON "JobRun"("job", "startedAt");
@@ -0,0 +1,19 @@
+-- ALTER TABLE: SubscriptionPlan
+ALTER TABLE "SubscriptionPlan" ADD COLUMN "maxFreezes" INTEGER;
+ALTER TABLE "SubscriptionPlan" ADD COLUMN "maxFreezeDays" INTEGER;
+
+-- TABLE: SubscriptionFreeze
+CREATE TABLE "SubscriptionFreeze" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "subscriptionId" INTEGER NOT NULL,
+    "startDate" DATE NOT NULL,
+    "endDate" DATE NOT NULL,
+    "days" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "SubscriptionFreeze_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "Subscription"("id") ON DELETE CASCADE,
+    CONSTRAINT "SubscriptionFreeze_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL
+);
+
+CREATE INDEX "SubscriptionFreeze_subscriptionId_startDate_idx" ON "SubscriptionFreeze"("subscriptionId", "startDate");
@@ -0,0 +1,39 @@
+-- ENUMS
+ALTER TYPE "IngressiReason" ADD VALUE 'TOP_UP';
+CREATE TYPE "TopUpStatus" AS ENUM ('PENDING', 'PAID', 'CANCELLED');
+
+-- TABLE: TopUpPack
+CREATE TABLE "TopUpPack" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "ingressi" INTEGER NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'EUR',
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL
+);
+
+CREATE UNIQUE INDEX "TopUpPack_name_key" ON "TopUpPack"("name");
+
+-- TABLE: TopUpPurchase
+CREATE TABLE "TopUpPurchase" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "subscriptionId" INTEGER NOT NULL,
+    "packId" INTEGER NOT NULL,
+    "ingressi" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL,
+    "status" "TopUpStatus" NOT NULL DEFAULT 'PENDING',
+    "provider" TEXT NOT NULL,
+    "paymentRef" TEXT,
+    "paidAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "TopUpPurchase_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE,
+    CONSTRAINT "TopUpPurchase_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "Subscription"("id") ON DELETE CASCADE,
+    CONSTRAINT "TopUpPurchase_packId_fkey" FOREIGN KEY ("packId") REFERENCES "TopUpPack"("id") ON DELETE RESTRICT
+);
+
+CREATE INDEX "TopUpPurchase_userId_createdAt_idx" ON "TopUpPurchase"("userId", "createdAt");
+CREATE INDEX "TopUpPurchase_status_createdAt_idx" ON "TopUpPurchase"("status", "createdAt");
@@ -0,0 +1,69 @@
+-- ENUMS
+ALTER TYPE "TopUpStatus" ADD VALUE 'REFUNDED';
+CREATE TYPE "PaymentStatus" AS ENUM ('PENDING', 'SUCCEEDED', 'FAILED', 'CANCELLED', 'REFUNDED');
+CREATE TYPE "PaymentPurpose" AS ENUM ('SUBSCRIPTION', 'TOP_UP');
+CREATE TYPE "PaymentChangeSource" AS ENUM ('CHECKOUT', 'WEBHOOK', 'SYNC', 'REFUND');
+
+-- ALTER TABLE: TopUpPurchase (il pagamento è ora in Payment)
+ALTER TABLE "TopUpPurchase" DROP COLUMN "provider";
+ALTER TABLE "TopUpPurchase" DROP COLUMN "paymentRef";
+
+-- TABLE: Payment
+CREATE TABLE "Payment" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "provider" TEXT NOT NULL,
+    "providerPaymentId" TEXT,
+    "purpose" "PaymentPurpose" NOT NULL,
+    "status" "PaymentStatus" NOT NULL DEFAULT 'PENDING',
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL,
+    "checkoutUrl" TEXT,
+    "userId" TEXT NOT NULL,
+    "subscriptionId" INTEGER,
+    "topUpPurchaseId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "Payment_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE,
+    CONSTRAINT "Payment_subscriptionId_fkey" FOREIGN KEY ("subscriptionId") REFERENCES "Subscription"("id") ON DELETE SET NULL,
+    CONSTRAINT "Payment_topUpPurchaseId_fkey" FOREIGN KEY ("topUpPurchaseId") REFERENCES "TopUpPurchase"("id") ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX "Payment_topUpPurchaseId_key" ON "Payment"("topUpPurchaseId");
+CREATE UNIQUE INDEX "Payment_provider_providerPaymentId_key" ON "Payment"("provider", "providerPaymentId");
+CREATE INDEX "Payment_userId_createdAt_idx" ON "Payment"("userId", "createdAt");
+CREATE INDEX "Payment_status_createdAt_idx" ON "Payment"("status", "createdAt");
+
+-- TABLE: WebhookEvent
+CREATE TABLE "WebhookEvent" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "provider" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "paymentId" INTEGER,
+    "processedAt" TIMESTAMP(3),
+    "error" TEXT,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "WebhookEvent_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX "WebhookEvent_provider_eventId_key" ON "WebhookEvent"("provider", "eventId");
+CREATE INDEX "WebhookEvent_paymentId_idx" ON "WebhookEvent"("paymentId");
+
+-- TABLE: PaymentStatusHistory
+CREATE TABLE "PaymentStatusHistory" (
+    "id" SERIAL NOT NULL PRIMARY KEY,
+    "paymentId" INTEGER NOT NULL,
+    "fromStatus" "PaymentStatus",
+    "toStatus" "PaymentStatus" NOT NULL,
+    "source" "PaymentChangeSource" NOT NULL,
+    "webhookEventId" INTEGER,
+    "actorId" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PaymentStatusHistory_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE CASCADE,
+    CONSTRAINT "PaymentStatusHistory_webhookEventId_fkey" FOREIGN KEY ("webhookEventId") REFERENCES "WebhookEvent"("id") ON DELETE SET NULL,
+    CONSTRAINT "PaymentStatusHistory_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL
+);
+
+CREATE INDEX "PaymentStatusHistory_paymentId_createdAt_idx" ON "PaymentStatusHistory"("paymentId", "createdAt");
@@ -0,0 +1,4 @@
+-- ALTER TABLE: EventSignup
+-- Le iscrizioni d'ufficio non scalano ingressi: il default non deve far credere a un addebito.
+-- Le righe esistenti vengono corrette dal backfill sul registro ingressi (20261019127000)
+ALTER TABLE "EventSignup" ALTER COLUMN "ingressiCharged" SET DEFAULT 0;
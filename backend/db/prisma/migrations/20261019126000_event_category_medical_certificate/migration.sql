@@ -0,0 +1,6 @@
+-- ALTER TABLE: EventCategory
+-- Obbligo di certificato medico per categoria (prima in config/eventRules.js)
+ALTER TABLE "EventCategory" ADD COLUMN "requiresMedicalCertificate" BOOLEAN NOT NULL DEFAULT true;
+
+-- La lezione di prova era l'unica categoria esente
+UPDATE "EventCategory" SET "requiresMedicalCertificate" = false WHERE "code" = 'TRY_DIVE';
@@ -0,0 +1,14 @@
+-- BACKFILL: EventSignup.ingressiCharged
+-- Prima del registro ingressi le iscrizioni fatte dagli admin (createMany) non scalavano nulla,
+-- e quelle dei membri sono già comprese nel saldo OPENING del registro: nessuna delle due va rimborsata.
+-- Resta addebitata solo l'iscrizione che ha un movimento BOOKING nel registro.
+UPDATE "EventSignup" AS s
+SET "ingressiCharged" = 0
+WHERE s."ingressiCharged" > 0
+  AND NOT EXISTS (
+    SELECT 1
+    FROM "IngressiLedgerEntry" AS l
+    WHERE l."userId" = s."userId"
+      AND l."eventId" = s."eventId"
+      AND l."reason" = 'BOOKING'
+  );
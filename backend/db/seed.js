@@ -10,22 +10,22 @@ async function main() {
   // Create Event Categories
   // ================================
   const categories = [
-    { code: 'TRY_DIVE', label: 'Lezione Prova' },
+    { code: 'TRY_DIVE', label: 'Lezione Prova', requiresMedicalCertificate: false },
     { code: 'COURSE_OPEN', label: 'Corso Open' },
     { code: 'COURSE_ADVANCED', label: 'Corso Advanced' },
     { code: 'COURSE_DEEP', label: 'Corso Deep' },
-    { code: 'TRAINING_ALL', label: 'Allenamento aperto a tutti' },
-    { code: 'TRAINING_OPEN', label: 'Allenamento Open' },
-    { code: 'TRAINING_ADVANCED', label: 'Allenamento Advanced' },
-    { code: 'TRAINING_DEEP', label: 'Allenamento Deep' },
-    { code: 'OPEN_WATER_ALL', label: 'Acque Libere aperto a tutti' },
-    { code: 'OPEN_WATER_OPEN', label: 'Acque Libere Open' },
-    { code: 'OPEN_WATER_ADVANCE', label: 'Acque Libere Advance' },
-    { code: 'OPEN_WATER_DEEP', label: 'Acque Libere Deep' },
-    { code: 'Y40_ALL', label: 'Uscita Y-40 aperto a tutti' },
-    { code: 'Y40_OPEN', label: 'Uscita Y-40 Open' },
-    { code: 'Y40_ADVANCED', label: 'Uscita Y-40 Advanced' },
-    { code: 'Y40_DEEP', label: 'Uscita Y-40 Deep' },
+    { code: 'TRAINING_ALL', label: 'Allenamento aperto a tutti', bookCutoffMinutes: 60 },
+    { code: 'TRAINING_OPEN', label: 'Allenamento Open', bookCutoffMinutes: 60 },
+    { code: 'TRAINING_ADVANCED', label: 'Allenamento Advanced', bookCutoffMinutes: 60 },
+    { code: 'TRAINING_DEEP', label: 'Allenamento Deep', bookCutoffMinutes: 60 },
+    { code: 'OPEN_WATER_ALL', label: 'Acque Libere aperto a tutti', bookCutoffMinutes: 2880, cancelCutoffMinutes: 2880 },
+    { code: 'OPEN_WATER_OPEN', label: 'Acque Libere Open', bookCutoffMinutes: 2880, cancelCutoffMinutes: 2880 },
+    { code: 'OPEN_WATER_ADVANCE', label: 'Acque Libere Advance', bookCutoffMinutes: 2880, cancelCutoffMinutes: 2880 },
+    { code: 'OPEN_WATER_DEEP', label: 'Acque Libere Deep', bookCutoffMinutes: 2880, cancelCutoffMinutes: 2880 },
+    { code: 'Y40_ALL', label: 'Uscita Y-40 aperto a tutti', bookCutoffMinutes: 2880, cancelCutoffMinutes: 2880 },
+    { code: 'Y40_OPEN', label: 'Uscita Y-40 Open', bookCutoffMinutes: 2880, cancelCutoffMinutes: 2880 },
+    { code: 'Y40_ADVANCED', label: 'Uscita Y-40 Advanced', bookCutoffMinutes: 2880, cancelCutoffMinutes: 2880 },
+    { code: 'Y40_DEEP', label: 'Uscita Y-40 Deep', bookCutoffMinutes: 2880, cancelCutoffMinutes: 2880 },
     { code: 'EVENT_SPECIAL_FREE', label: 'Evento Speciale Gratuito' },
     { code: 'EVENT_SPECIAL', label: 'Evento Speciale' },
     { code: 'EVENT_SPECIAL_OPEN', label: 'Evento Speciale Open' },
@@ -61,6 +61,41 @@ async function main() {
   }
   console.log('Groups created');
 
+  // ================================
+  // Create Subscription Plans
+  // ================================
+  const plans = [
+    { name: 'Mensile Open', description: 'Un mese di allenamenti Open', price: 50, durationDays: 30, ingressi: 8, groupLevels: [GroupLevel.OPEN, GroupLevel.ALL] },
+    { name: 'Trimestrale Advanced', description: 'Tre mesi di allenamenti Advanced', price: 140, durationDays: 90, ingressi: 24, groupLevels: [GroupLevel.ADVANCED, GroupLevel.ALL] },
+    { name: 'Annuale Deep', description: 'Un anno di allenamenti Deep', price: 480, durationDays: 365, ingressi: 96, groupLevels: [GroupLevel.DEEP, GroupLevel.ALL] },
+  ];
+
+  for (const plan of plans) {
+    await prisma.subscriptionPlan.upsert({
+      where: { name: plan.name },
+      update: {},
+      create: plan
+    });
+  }
+  console.log('Subscription plans created');
+
+  // ================================
+  // Create Top-up Packs
+  // ================================
+  const topUpPacks = [
+    { name: 'Pacchetto 5 ingressi', ingressi: 5, price: 40 },
+    { name: 'Pacchetto 10 ingressi', ingressi: 10, price: 75 },
+  ];
+
+  for (const pack of topUpPacks) {
+    await prisma.topUpPack.upsert({
+      where: { name: pack.name },
+      update: {},
+      create: pack
+    });
+  }
+  console.log('Top-up packs created');
+
   // ================================
   // Create default superadmin user
   // ================================
@@ -76,7 +111,7 @@ async function main() {
       lastName: 'Admin',
       role: 'SUPERADMIN',
       status: 'SUBSCRIBED',
-      refreshToken: null
+      emailVerifiedAt: new Date()
     }
   });
   console.log('Super Admin user created:', superAdminUser.email);
@@ -96,7 +131,7 @@ async function main() {
       lastName: 'BlueDream',
       role: 'ADMIN',
       status: 'SUBSCRIBED',
-      refreshToken: null
+      emailVerifiedAt: new Date()
     }
   });
   console.log('Admin user created:', adminUser.email);
@@ -116,7 +151,9 @@ async function main() {
       lastName: 'User',
       role: 'USER',
       status: 'SUBSCRIBED',
-      refreshToken: null
+      emailVerifiedAt: new Date(),
+      // certificato medico valido un anno (richiesto per prenotare)
+      medicalCertificateExpiryDate: new Date(new Date().getFullYear() + 1, new Date().getMonth(), new Date().getDate())
     }
   });
   console.log('Test user created:', testUser.email);
@@ -149,6 +186,16 @@ if (!existing) {
     },
   });
 
+  await prisma.ingressiLedgerEntry.create({
+    data: {
+      subscriptionId: subscription.id,
+      userId: testUser.id,
+      delta: subscription.ingressi,
+      balanceAfter: subscription.ingressi,
+      reason: 'GRANT',
+    },
+  });
+
   // Assign all groups to the subscription
   const group = await prisma.group.findFirst({
     where: { level: 'ADVANCED' }